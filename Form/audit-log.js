@@ -0,0 +1,124 @@
+// audit-log.js
+// Per-profile change history
+// - Field-level diffs between two versions of a profile (create, update, delete)
+// - Rebuilding earlier versions of a profile from the current one and its entries
+// - CSV/JSON export of the whole log
+// The log itself (an append-only list of entries) is stored by script.js.
+// Exposed as window.AuditLog and used by script.js.
+
+(function () {
+  const LOG_FORMAT = "profile-manager-audit-log";
+  const LOG_VERSION = 1;
+  // Bookkeeping that changes with every save; entries carry their own timestamp
+  const UNTRACKED_KEYS = ["rev", "file", "createdAt", "updatedAt", "photoRef", "photoMissing"];
+  // Photos are far too large to keep in every entry, so only the fact that one changed is recorded
+  const PHOTO_KEY = "photoUrl";
+
+  // entry: { id, at, by, action: "create" | "update" | "delete", profileId, name, summary,
+  //          changes: [{ field, before, after }] }  (before/after null = absent; photo values are true/false)
+  function actionFor(before, after) {
+    if (!before) return "create";
+    if (!after) return "delete";
+    return "update";
+  }
+
+  function comparable(key, value) {
+    if (key === PHOTO_KEY) return !!value;
+    return value === undefined || value === "" ? null : value;
+  }
+
+  // Field changes from `before` to `after` (either may be null). Keys keep the order they have on the profile.
+  function diffProfiles(before, after) {
+    const keys = [];
+    [before, after].forEach(p => {
+      Object.keys(p || {}).forEach(k => {
+        if (!UNTRACKED_KEYS.includes(k) && !keys.includes(k)) keys.push(k);
+      });
+    });
+    const changes = [];
+    keys.forEach(field => {
+      const from = before ? comparable(field, before[field]) : null;
+      const to = after ? comparable(field, after[field]) : null;
+      if (JSON.stringify(from) === JSON.stringify(to)) return;
+      // a deleted profile keeps its values in `before` so it can be rebuilt
+      if (from === null && to === null) return;
+      changes.push({ field, before: from, after: to });
+    });
+    return changes;
+  }
+
+  function createEntry({ at, by, summary, profileId, before, after }) {
+    const changes = diffProfiles(before, after);
+    if (!changes.length) return null;
+    const p = after || before;
+    return {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+      at,
+      by: by || "",
+      action: actionFor(before, after),
+      profileId,
+      name: `${p.firstName || ""} ${p.lastName || ""}`.trim(),
+      summary,
+      changes
+    };
+  }
+
+  // Walks the entries for one profile backwards from its current state, so the history works even
+  // when it started after the profile was created. Returns [{ entry, version }], newest first, where
+  // `version` is the profile as that entry left it (null after a delete). Photos aren't rebuilt.
+  function versionsOf(entries, profileId, current) {
+    const own = entries.filter(e => e.profileId === profileId);
+    const out = [];
+    let state = current ? { ...current } : null;
+    for (let i = own.length - 1; i >= 0; i--) {
+      const entry = own[i];
+      out.push({ entry, version: state ? { ...state } : null });
+      if (entry.action === "create") {
+        state = null;
+        continue;
+      }
+      state = { ...(state || {}) };
+      entry.changes.forEach(({ field, before }) => {
+        if (field === PHOTO_KEY) return;
+        if (before === null) delete state[field];
+        else state[field] = JSON.parse(JSON.stringify(before));
+      });
+    }
+    return out;
+  }
+
+  /* =========================
+     Export
+     ========================= */
+  function formatChangeValue(field, value) {
+    if (field === PHOTO_KEY) return value ? "(photo)" : "";
+    if (value === null) return "";
+    return Array.isArray(value) ? value.join("; ") : String(value);
+  }
+
+  // One row per field change, oldest first
+  function toCsvRows(entries, fieldLabel = key => key) {
+    const rows = [["Time", "Changed by", "Action", "Profile ID", "Profile", "Summary", "Field", "Before", "After"]];
+    entries.forEach(e => {
+      e.changes.forEach(c => {
+        rows.push([e.at, e.by, e.action, e.profileId, e.name, e.summary, fieldLabel(c.field),
+          formatChangeValue(c.field, c.before), formatChangeValue(c.field, c.after)]);
+      });
+    });
+    return rows;
+  }
+
+  function toJson(entries) {
+    return JSON.stringify({ format: LOG_FORMAT, version: LOG_VERSION, exportedAt: new Date().toISOString(), entries }, null, 2);
+  }
+
+  window.AuditLog = {
+    PHOTO_KEY,
+    diffProfiles,
+    createEntry,
+    versionsOf,
+    formatChangeValue,
+    toCsvRows,
+    toJson
+  };
+})();
@@ -0,0 +1,182 @@
+// benchmark.js
+// Benchmark for large rosters: open index.html?benchmark (10,000 profiles) or index.html?benchmark=50000
+// - Synthetic profiles from a seeded generator, so every run uses the same roster. They replace the saved
+//   profiles in memory only; nothing is written to storage (script.js switches to the memory adapter)
+// - Times the first render, searches typed into the search box, filtering with and without the search
+//   index, scrolling the windowed card grid and table, and re-rendering after one profile changes
+// - Results are shown in a dialog and logged with console.table (a developer tool, so not translated)
+// Exposed as window.ProfileBenchmark and used by script.js.
+
+(function () {
+  const DEFAULT_SIZE = 10000;
+  const MAX_SIZE = 50000; // the spacers standing in for more would pass the height browsers can lay out
+  const FIRST_NAMES = ["Ada", "Grace", "Alan", "Zoë", "Émile", "Omar", "Leila", "Kwame", "Mei", "Søren",
+    "Priya", "José", "Chloé", "Yusuf", "Aoife", "Mateo", "Hana", "Tomás", "Ingrid", "Samir"];
+  const LAST_NAMES = ["Lovelace", "Hopper", "Turing", "Smith", "Núñez", "Okafor", "Müller", "Nguyen", "Haddad",
+    "O'Brien", "Kowalski", "Rossi", "Tanaka", "Dubois", "Ivanova", "García", "Andersen", "Mensah", "Chen", "Ali"];
+  const DOMAINS = ["example.com", "uni.example.edu", "mail.example.org"];
+  const PROGRAMMES = ["Computer Science", "Information Systems", "Cybersecurity", "Engineering"];
+  const INTERESTS = ["AI", "Web", "Cloud", "Security", "Data", "Robotics", "Design", "Games", "Networks", "IoT"];
+  const QUERIES = ["a", "smith", "zoe", "programme:Engineering", "year:>=3 interest:AI", "-email:*@example.com", "(ada OR grace) year:2"];
+
+  // "?benchmark" -> 10000, "?benchmark=2500" -> 2500, no parameter -> 0 (no benchmark)
+  function requestedSize(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has("benchmark")) return 0;
+    const size = parseInt(params.get("benchmark"), 10);
+    return size > 0 ? Math.min(size, MAX_SIZE) : DEFAULT_SIZE;
+  }
+
+  // mulberry32: small, fast and the same sequence for the same seed
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let x = state;
+      x = Math.imul(x ^ (x >>> 15), x | 1);
+      x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+      return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // { id: profile } shaped like the saved roster, without photos (each card shows the placeholder)
+  function generateProfiles(count, seed = 1) {
+    const random = seededRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const emailPart = text => text.normalize("NFD").replace(/[^A-Za-z]/g, "").toLowerCase();
+    const start = Date.UTC(2024, 0, 1);
+    const profiles = {};
+    for (let i = 0; i < count; i++) {
+      const firstName = pick(FIRST_NAMES);
+      const lastName = pick(LAST_NAMES);
+      const interests = [];
+      const wanted = Math.floor(random() * 4);
+      while (interests.length < wanted) {
+        const tag = pick(INTERESTS);
+        if (!interests.includes(tag)) interests.push(tag);
+      }
+      const at = new Date(start + Math.floor(random() * 365 * 86400000)).toISOString();
+      profiles["bench" + i.toString(36).padStart(4, "0")] = {
+        firstName,
+        lastName,
+        email: `${emailPart(firstName)}.${emailPart(lastName)}${i}@${pick(DOMAINS)}`,
+        programme: pick(PROGRAMMES),
+        year: String(1 + Math.floor(random() * 4)),
+        interests,
+        photoUrl: null,
+        photoRef: null,
+        photoMissing: false,
+        rev: 1,
+        createdAt: at,
+        updatedAt: at
+      };
+    }
+    return profiles;
+  }
+
+  function time(work) {
+    const started = performance.now();
+    const result = work();
+    return { ms: performance.now() - started, result };
+  }
+
+  function round(ms) {
+    return Math.round(ms * 10) / 10;
+  }
+
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+  }
+
+  // app: what script.js lends the benchmark
+  //   load(profiles) -> profiles shown        search(query) -> profiles shown
+  //   scrollTo(y)                             replace(id, changes): one profile replaced and re-rendered
+  //   inDom() -> cards and rows in the DOM    tableTop() -> page y of the summary table
+  //   searchFields() -> the roster's ProfileQuery.createFields() set
+  // Times are for the synchronous work (building the DOM and the layout reads it forces), not painting.
+  async function run(size, app) {
+    const results = [];
+    const add = (step, ms, detail = "") => results.push({ step, ms: round(ms), detail });
+
+    const generated = time(() => generateProfiles(size));
+    const profiles = generated.result;
+    const ids = Object.keys(profiles);
+    add(`Generate ${ids.length} profiles`, generated.ms);
+
+    const loaded = time(() => app.load(profiles));
+    add("First render", loaded.ms, `${loaded.result} shown, ${app.inDom()} cards and rows in the DOM`);
+    await nextFrame();
+
+    QUERIES.forEach(query => {
+      const searched = time(() => app.search(query));
+      add(`Search "${query}"`, searched.ms, `${searched.result} shown`);
+    });
+    const cleared = time(() => app.search(""));
+    add("Clear the search", cleared.ms, `${cleared.result} shown`);
+
+    const fieldSet = app.searchFields();
+    const index = ProfileQuery.createIndex(fieldSet);
+    add("Build a search index", time(() => index.update(profiles)).ms);
+    QUERIES.forEach(query => {
+      const ast = ProfileQuery.parse(query, fieldSet);
+      const indexed = time(() => ids.filter(id => index.matches(ast, profiles[id], id)).length);
+      const plain = time(() => ids.filter(id => ProfileQuery.matches(ast, profiles[id], id, fieldSet)).length);
+      add(`Filter "${query}"`, indexed.ms, `${indexed.result} match; ${round(plain.ms)} ms without the index`);
+    });
+
+    const tableTop = app.tableTop();
+    const end = document.documentElement.scrollHeight;
+    [["Scroll to the table", tableTop], ["Scroll halfway down the table", (tableTop + end) / 2],
+      ["Scroll to the end", end], ["Scroll back to the top", 0]].forEach(([step, y]) => {
+      add(step, time(() => app.scrollTo(y)).ms, `${app.inDom()} cards and rows in the DOM`);
+    });
+    await nextFrame();
+
+    const changedId = ids[0];
+    add("Re-render after one profile changed", time(() => app.replace(changedId, { lastName: "Benchmark" })).ms, `profile ${changedId}`);
+
+    console.table(results);
+    showResults(ids.length, results);
+    return results;
+  }
+
+  function showResults(size, results) {
+    const dialog = document.createElement("dialog");
+    dialog.className = "app-dialog";
+    dialog.setAttribute("aria-labelledby", "benchmarkTitle");
+    const title = document.createElement("h2");
+    title.id = "benchmarkTitle";
+    title.textContent = `Benchmark: ${size} profiles`;
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    ["Step", "ms", "Details"].forEach(text => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    results.forEach(({ step, ms, detail }) => {
+      const row = body.insertRow();
+      [step, ms, detail].forEach(text => { row.insertCell().textContent = text; });
+    });
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "btn-primary mt-3";
+    close.textContent = "Close";
+    close.addEventListener("click", () => (dialog.close ? dialog.close() : dialog.removeAttribute("open")));
+    const wrapper = document.createElement("div");
+    wrapper.className = "table-wrapper";
+    wrapper.appendChild(table);
+    dialog.append(title, wrapper, close);
+    document.body.appendChild(dialog);
+    if (dialog.showModal) dialog.showModal();
+    else dialog.setAttribute("open", "");
+  }
+
+  window.ProfileBenchmark = {
+    DEFAULT_SIZE,
+    requestedSize,
+    generateProfiles,
+    run
+  };
+})();
@@ -0,0 +1,178 @@
+// duplicates.js
+// Finding profiles that are probably the same person entered twice
+// - Names compared without accents, case or punctuation, allowing typos (edit distance),
+//   swapped first and last names and an initial in place of a first name
+// - Photos compared by a 64-bit difference hash (see ImagePipeline.photoHash), so a re-encoded
+//   or slightly recropped copy of the same picture still matches
+// - Emails compared in their normalised form (the caller passes the normaliser)
+// Exposed as window.DuplicateScanner and used by script.js.
+
+(function () {
+  const PHOTO_HASH_MAX_DISTANCE = 6; // differing bits (of 64) still counted as the same photo
+  const MIN_SCORE = 0.6; // matches scoring lower are not reported
+
+  /* =========================
+     Names
+     ========================= */
+  // "Zoë  O'Brien-Smith" -> "zoe obrien smith"
+  function normalizeName(text) {
+    return String(text == null ? "" : text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "") // combining accents
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  // Optimal string alignment distance: insertions, deletions, substitutions and swapped neighbours
+  // each cost 1. Stops early and returns max + 1 once the distance is known to exceed `max`.
+  function editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d = Math.min(d, prevPrev[j - 2] + 1);
+        }
+        row.push(d);
+        rowMin = Math.min(rowMin, d);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Typos allowed in one name: none in short names, one up to 7 letters, two in longer ones
+  function allowedTypos(length) {
+    return length < 4 ? 0 : length < 8 ? 1 : 2;
+  }
+
+  // Total typos between two first/last name pairs, or null when either name is further off than it allows
+  function namesDistance(firstA, lastA, firstB, lastB) {
+    let total = 0;
+    for (const [x, y] of [[firstA, firstB], [lastA, lastB]]) {
+      const limit = allowedTypos(Math.min(x.length, y.length));
+      const distance = editDistance(x, y, limit);
+      if (distance > limit) return null;
+      total += distance;
+    }
+    return total;
+  }
+
+  // How alike two people's names are: { score 0..1, reason } or null
+  function compareNames(a, b) {
+    const first = [normalizeName(a.firstName), normalizeName(b.firstName)];
+    const last = [normalizeName(a.lastName), normalizeName(b.lastName)];
+    if (!first[0] && !last[0] || !first[1] && !last[1]) return null;
+    const full = [`${first[0]} ${last[0]}`.trim(), `${first[1]} ${last[1]}`.trim()];
+
+    if (full[0] === full[1]) {
+      const raw = [`${a.firstName} ${a.lastName}`, `${b.firstName} ${b.lastName}`].map(s => s.trim().toLowerCase());
+      return { score: 1, reason: raw[0] === raw[1] ? I18n.t("Same name") : I18n.t("Same name apart from accents or punctuation") };
+    }
+    if (first[0] && last[0] && first[0] === last[1] && last[0] === first[1]) {
+      return { score: 0.95, reason: I18n.t("First and last names swapped") };
+    }
+    // "A. Lovelace" / "Ada Lovelace"
+    if (last[0] && last[0] === last[1] && first[0] && first[1] &&
+        (first[0].length === 1 || first[1].length === 1) && first[0][0] === first[1][0]) {
+      return { score: 0.8, reason: I18n.t("Same last name and first initial") };
+    }
+    const length = Math.max(full[0].length, full[1].length);
+    const straight = namesDistance(first[0], last[0], first[1], last[1]);
+    const swapped = namesDistance(last[0], first[0], first[1], last[1]);
+    if (straight !== null && (swapped === null || straight <= swapped)) {
+      return { score: 1 - straight / length, reason: I18n.t("Similar name") };
+    }
+    if (swapped !== null) return { score: 0.95 * (1 - swapped / length), reason: I18n.t("Similar name, first and last swapped") };
+    return null;
+  }
+
+  /* =========================
+     Photos
+     ========================= */
+  function hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (x) {
+        bits += x & 1;
+        x >>= 1;
+      }
+    }
+    return bits;
+  }
+
+  /* =========================
+     Matching
+     ========================= */
+  // candidate/other: profiles plus an optional photoHash. Returns { score, reasons } or null.
+  function compareProfiles(candidate, other, { normalizeEmail = e => String(e || "").trim().toLowerCase() } = {}) {
+    const reasons = [];
+    let score = 0;
+    const names = compareNames(candidate, other);
+    if (names) {
+      reasons.push(names.reason);
+      score = names.score;
+    }
+    const email = normalizeEmail(candidate.email);
+    if (email && email === normalizeEmail(other.email)) {
+      reasons.push(I18n.t("Same email"));
+      score = Math.max(score, 1);
+    }
+    if (hashDistance(candidate.photoHash, other.photoHash) <= PHOTO_HASH_MAX_DISTANCE) {
+      reasons.push(I18n.t("Same photo"));
+      // a shared photo alone is a strong hint; together with a similar name it is near certain
+      score = names ? Math.min(1, score + 0.2) : Math.max(score, 0.85);
+    }
+    return reasons.length && score >= MIN_SCORE ? { score, reasons } : null;
+  }
+
+  // Profiles that look like `candidate`, best match first: [{ id, score, reasons }]
+  // profiles: { id: profile }, photoHashes: Map id -> hash (optional)
+  function findMatches(candidate, profiles, { excludeId = null, photoHashes = new Map(), normalizeEmail } = {}) {
+    const matches = [];
+    Object.keys(profiles).forEach(id => {
+      if (id === excludeId) return;
+      const other = { ...profiles[id], photoHash: photoHashes.get(id) };
+      const match = compareProfiles(candidate, other, { normalizeEmail });
+      if (match) matches.push({ id, ...match });
+    });
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  // Every likely duplicate pair in the roster, best match first: [{ ids: [a, b], score, reasons }]
+  function scanProfiles(profiles, { photoHashes = new Map(), normalizeEmail } = {}) {
+    const ids = Object.keys(profiles);
+    const withHashes = ids.map(id => ({ ...profiles[id], photoHash: photoHashes.get(id) }));
+    const pairs = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const match = compareProfiles(withHashes[i], withHashes[j], { normalizeEmail });
+        if (match) pairs.push({ ids: [ids[i], ids[j]], ...match });
+      }
+    }
+    return pairs.sort((a, b) => b.score - a.score);
+  }
+
+  window.DuplicateScanner = {
+    PHOTO_HASH_MAX_DISTANCE,
+    normalizeName,
+    editDistance,
+    compareNames,
+    hashDistance,
+    compareProfiles,
+    findMatches,
+    scanProfiles
+  };
+})();
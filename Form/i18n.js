@@ -0,0 +1,191 @@
+// i18n.js
+// Message catalogues and locale-aware formatting for the UI
+// - Messages are written in English in the code and looked up by that text (gettext style): a
+//   catalogue maps them to another language, and anything it lacks is shown in English
+// - {name} placeholders, and plural forms chosen by Intl.PluralRules for the active language
+// - Numbers, dates and lists are formatted for the active locale; sorting and search folding follow it
+// - translateDom() translates the fixed text and attributes of index.html
+// Catalogues (messages-*.js) register themselves with addMessages(). The language is chosen once per
+// page load (script.js reloads the page to switch). Exposed as window.I18n and used by script.js and
+// the other modules.
+
+(function () {
+  const LOCALES = {
+    en: { label: "English", dir: "ltr" },
+    ar: { label: "العربية", dir: "rtl" }
+  };
+  const DEFAULT_LOCALE = "en";
+  const TRANSLATED_ATTRIBUTES = ["placeholder", "title", "aria-label", "alt"];
+  const catalogues = {};
+  let locale = DEFAULT_LOCALE;
+  let formats = null; // Intl objects for the active locale, made on first use
+
+  function addMessages(code, messages) {
+    catalogues[code] = Object.assign(catalogues[code] || {}, messages);
+  }
+
+  // First supported language in `preferred` (e.g. navigator.languages), matching "ar-EG" to "ar"
+  function pickLocale(preferred) {
+    const match = [].concat(preferred || []).map(tag => String(tag).toLowerCase().split("-")[0]).find(code => LOCALES[code]);
+    return match || DEFAULT_LOCALE;
+  }
+
+  function setLocale(code) {
+    locale = LOCALES[code] ? code : DEFAULT_LOCALE;
+    formats = null;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+    return locale;
+  }
+
+  function getLocale() {
+    return locale;
+  }
+
+  function intl() {
+    if (!formats) {
+      formats = {
+        plural: new Intl.PluralRules(locale),
+        englishPlural: new Intl.PluralRules(DEFAULT_LOCALE),
+        number: new Intl.NumberFormat(locale),
+        percent: new Intl.NumberFormat(locale, { style: "percent" }),
+        date: new Intl.DateTimeFormat(locale, { dateStyle: "medium" }),
+        dateTime: new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "medium" }),
+        list: new Intl.ListFormat(locale, { style: "long", type: "conjunction" }),
+        collator: new Intl.Collator(locale, { sensitivity: "base", numeric: true })
+      };
+    }
+    return formats;
+  }
+
+  /* =========================
+     Messages
+     ========================= */
+  // {name} -> params.name; numbers are written the locale's way
+  function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (whole, name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) return whole;
+      const value = params[name];
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    });
+  }
+
+  function lookup(message) {
+    const catalogue = catalogues[locale];
+    return catalogue && Object.prototype.hasOwnProperty.call(catalogue, message) ? catalogue[message] : null;
+  }
+
+  // t("Profile {id} updated.", { id }) -> the active language's text for that message. A message that
+  // is also a plural key (tn) uses its "other" form.
+  function t(message, params = {}) {
+    const entry = lookup(message);
+    if (entry && typeof entry === "object") return interpolate(entry.other, params);
+    return interpolate(typeof entry === "string" ? entry : message, params);
+  }
+
+  // Message that depends on a count. The English plural form is the catalogue key; its entry lists
+  // the language's forms by plural category ({ zero, one, two, few, many, other }).
+  function tn(count, singular, plural, params = {}) {
+    const values = { count, ...params };
+    const entry = lookup(plural);
+    if (entry && typeof entry === "object") {
+      const form = entry[intl().plural.select(count)];
+      return interpolate(form != null ? form : entry.other, values);
+    }
+    return interpolate(intl().englishPlural.select(count) === "one" ? singular : plural, values);
+  }
+
+  /* =========================
+     Formatting & comparing
+     ========================= */
+  function formatNumber(n) {
+    return intl().number.format(n);
+  }
+
+  // ISO string, timestamp or Date
+  function formatDate(value) {
+    return intl().date.format(new Date(value));
+  }
+
+  function formatDateTime(value) {
+    return intl().dateTime.format(new Date(value));
+  }
+
+  // ["a", "b", "c"] -> "a, b and c"
+  function formatList(items) {
+    return intl().list.format(items.map(String));
+  }
+
+  // 0.25 -> "25%" (or "٪٢٥")
+  function formatPercent(fraction) {
+    return intl().percent.format(fraction);
+  }
+
+  // Sort order for names and other text: accents and case only break ties, digits count as numbers
+  function compare(a, b) {
+    return intl().collator.compare(String(a), String(b));
+  }
+
+  // Text as search compares it: lower case for the locale, accents and other marks dropped
+  // ("Zoë" and "zoe" match)
+  function fold(text) {
+    return String(text).toLocaleLowerCase(locale).normalize("NFD").replace(/\p{M}/gu, "");
+  }
+
+  /* =========================
+     Page text
+     ========================= */
+  // The message is the text with its whitespace collapsed; the surrounding whitespace is kept
+  function translateText(node) {
+    const source = node.nodeValue;
+    const message = source.trim().replace(/\s+/g, " ");
+    if (!message) return;
+    const [, before, after] = source.match(/^(\s*)[\s\S]*?(\s*)$/);
+    node.nodeValue = before + t(message) + after;
+  }
+
+  function translateAttributes(element) {
+    TRANSLATED_ATTRIBUTES.forEach(name => {
+      if (element.hasAttribute(name)) element.setAttribute(name, t(element.getAttribute(name)));
+    });
+  }
+
+  // Translates text nodes and attributes under `root`, skipping anything inside translate="no"
+  // (profile data, which is never translated) and scripts. Run once, before the page fills in
+  // anything of its own.
+  function translateDom(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+        if (node.getAttribute("translate") === "no" || node.tagName === "SCRIPT" || node.tagName === "STYLE") {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    if (root.nodeType === Node.ELEMENT_NODE) translateAttributes(root);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) translateText(node);
+      else translateAttributes(node);
+    }
+  }
+
+  window.I18n = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    addMessages,
+    pickLocale,
+    setLocale,
+    getLocale,
+    t,
+    tn,
+    formatNumber,
+    formatDate,
+    formatDateTime,
+    formatList,
+    formatPercent,
+    compare,
+    fold,
+    translateDom
+  };
+})();
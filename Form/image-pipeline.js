@@ -0,0 +1,245 @@
+// image-pipeline.js
+// Client-side processing for uploaded profile photos
+// - Decodes JPG/PNG/WebP uploads onto a canvas
+// - Fixes EXIF rotation (for browsers that don't apply it themselves)
+// - Square crop + downscale to a fixed avatar size
+// - Re-encodes to fit a size budget; re-encoding drops EXIF and other metadata
+// - A small perceptual hash of a photo, used to spot the same picture on two profiles
+// Exposed as window.ImagePipeline and used by script.js.
+
+(function () {
+  const ACCEPTED_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+  const AVATAR_SIZE = 320;      // px, output is AVATAR_SIZE x AVATAR_SIZE
+  const MIN_AVATAR_SIZE = 128;  // px, smallest size we shrink to when chasing the budget
+  const MAX_WORKING_SIZE = 2048; // px, long edge of the decoded working copy (limits memory use)
+  const PHOTO_HASH_TIMEOUT = 5000; // ms, a web address that doesn't answer is skipped
+
+  /* =========================
+     EXIF orientation
+     ========================= */
+  // Returns the EXIF orientation (1-8) of a JPEG, or 1 when absent/unknown.
+  function readExifOrientation(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1; // not a JPEG
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) return 1;
+      const segmentLength = view.getUint16(offset + 2);
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        return readTiffOrientation(view, offset + 10);
+      }
+      if (marker === 0xffda) return 1; // start of scan: no more metadata
+      offset += 2 + segmentLength;
+    }
+    return 1;
+  }
+
+  function readTiffOrientation(view, tiffStart) {
+    if (tiffStart + 8 > view.byteLength) return 1;
+    const little = view.getUint16(tiffStart) === 0x4949; // "II"
+    const ifdOffset = view.getUint32(tiffStart + 4, little);
+    const ifdStart = tiffStart + ifdOffset;
+    if (ifdStart + 2 > view.byteLength) return 1;
+    const entries = view.getUint16(ifdStart, little);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifdStart + 2 + i * 12;
+      if (entry + 10 > view.byteLength) break;
+      if (view.getUint16(entry, little) === 0x0112) {
+        const value = view.getUint16(entry + 8, little);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+    return 1;
+  }
+
+  // Modern browsers already honour EXIF orientation when decoding <img> (image-orientation: from-image).
+  // Applying it again would rotate twice, so we only correct manually where that isn't supported.
+  function browserAppliesOrientation() {
+    return typeof CSS !== "undefined" && CSS.supports && CSS.supports("image-orientation", "from-image");
+  }
+
+  /* =========================
+     Decoding
+     ========================= */
+  function readAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  function loadImageElement(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(I18n.t("The image could not be decoded.")));
+      };
+      img.src = url;
+    });
+  }
+
+  // Draws the image upright onto a canvas no larger than MAX_WORKING_SIZE on its long edge.
+  function drawUpright(img, orientation) {
+    const scale = Math.min(1, MAX_WORKING_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const w = Math.round(img.naturalWidth * scale);
+    const h = Math.round(img.naturalHeight * scale);
+    const swap = orientation >= 5;
+    const canvas = document.createElement("canvas");
+    canvas.width = swap ? h : w;
+    canvas.height = swap ? w : h;
+    const ctx = canvas.getContext("2d");
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+      default: break;
+    }
+    ctx.drawImage(img, 0, 0, w, h);
+    return canvas;
+  }
+
+  // Decode a File into an upright working canvas.
+  function decodeImageFile(file) {
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      return Promise.reject(new Error(I18n.t("Unsupported image type.")));
+    }
+    return readAsArrayBuffer(file)
+      .then(buffer => readExifOrientation(buffer))
+      .then(orientation => loadImageElement(file).then(img =>
+        drawUpright(img, browserAppliesOrientation() ? 1 : orientation)
+      ));
+  }
+
+  /* =========================
+     Crop & encode
+     ========================= */
+  // crop = { zoom >= 1, x, y } where x/y (0..1) position the square within the free space of the source.
+  function getCropRect(source, crop) {
+    const zoom = Math.max(1, crop && crop.zoom || 1);
+    const side = Math.min(source.width, source.height) / zoom;
+    const x = clamp01(crop && crop.x != null ? crop.x : 0.5);
+    const y = clamp01(crop && crop.y != null ? crop.y : 0.5);
+    return {
+      sx: (source.width - side) * x,
+      sy: (source.height - side) * y,
+      side
+    };
+  }
+
+  function drawSquareCrop(source, crop, size, target) {
+    const canvas = target || document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    const { sx, sy, side } = getCropRect(source, crop);
+    // flatten transparency: JPEG has no alpha channel
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, size, size);
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(source, sx, sy, side, side, 0, 0, size, size);
+    return canvas;
+  }
+
+  function supportsWebpEncoding() {
+    const probe = document.createElement("canvas");
+    probe.width = probe.height = 1;
+    return probe.toDataURL("image/webp").indexOf("data:image/webp") === 0;
+  }
+
+  // Re-encode the crop until its data URL fits maxLength characters, lowering quality first, then size.
+  function encodeWithinBudget(source, crop, maxLength) {
+    const type = supportsWebpEncoding() ? "image/webp" : "image/jpeg";
+    let size = AVATAR_SIZE;
+    let best = null;
+    while (size >= MIN_AVATAR_SIZE) {
+      const canvas = drawSquareCrop(source, crop, size);
+      for (let quality = 0.9; quality >= 0.45; quality -= 0.15) {
+        const dataUrl = canvas.toDataURL(type, quality);
+        if (!best || dataUrl.length < best.length) best = dataUrl;
+        if (dataUrl.length <= maxLength) return dataUrl;
+      }
+      size = Math.round(size * 0.75);
+    }
+    return best; // smallest we could do; the photo store copes with anything larger
+  }
+
+  /* =========================
+     Photo fingerprint
+     ========================= */
+  // 64-bit difference hash as 16 hex digits: the image shrunk to 9x8 grey pixels, one bit per
+  // "is this pixel brighter than its right neighbour". Survives re-encoding, resizing and small crops.
+  // Returns null when the pixels can't be read (no canvas support, or a cross-origin image).
+  function photoHash(source) {
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = 9;
+      canvas.height = 8;
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return null;
+      ctx.drawImage(source, 0, 0, 9, 8);
+      const { data } = ctx.getImageData(0, 0, 9, 8);
+      const grey = i => data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+      let hex = "";
+      for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+          nibble = (nibble << 1) | (grey(y * 9 + x) > grey(y * 9 + x + 1) ? 1 : 0);
+          if (x % 4 === 3) {
+            hex += nibble.toString(16);
+            nibble = 0;
+          }
+        }
+      }
+      return hex;
+    } catch (err) {
+      return null; // tainted canvas
+    }
+  }
+
+  // photoHash of a stored photo (data URL or web address); resolves to null when it can't be loaded in time
+  function photoHashFromUrl(url) {
+    return new Promise(resolve => {
+      const img = new Image();
+      const timer = setTimeout(() => resolve(null), PHOTO_HASH_TIMEOUT);
+      img.crossOrigin = "anonymous";
+      img.onload = () => {
+        clearTimeout(timer);
+        resolve(photoHash(img));
+      };
+      img.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+      img.src = url;
+    });
+  }
+
+  function clamp01(n) {
+    return Math.min(1, Math.max(0, Number(n) || 0));
+  }
+
+  window.ImagePipeline = {
+    ACCEPTED_TYPES,
+    AVATAR_SIZE,
+    readExifOrientation,
+    decodeImageFile,
+    getCropRect,
+    drawSquareCrop,
+    encodeWithinBudget,
+    photoHash,
+    photoHashFromUrl
+  };
+})();
@@ -0,0 +1,678 @@
+// messages-ar.js
+// Arabic (العربية) messages for i18n.js, keyed by the English text used in the code
+// - Plain messages map to a string; {name} placeholders are kept as they are
+// - Messages with a count are keyed by the English plural form and list the Arabic forms by plural
+//   category: zero (0), one (1), two (2), few (3-10), many (11-99) and other (100 and up)
+// Loaded right after i18n.js, before the scripts that use it.
+
+I18n.addMessages("ar", {
+  "\"{operator}\" only works with numeric fields such as year.": "يعمل \"{operator}\" مع الحقول الرقمية فقط، مثل السنة.",
+  "\"{synonym}\" already counts as \"{tag}\".": "\"{synonym}\" يُحتسب بالفعل على أنه \"{tag}\".",
+  "\"{synonym}\" is no longer a synonym. Profiles already using the other tag keep it.": "لم يعد \"{synonym}\" مرادفًا. الملفات الشخصية التي تستخدم الوسم الآخر تحتفظ به.",
+  "\"{value}\" is not a number.": "\"{value}\" ليس رقمًا.",
+  "(empty)": "(فارغ)",
+  "(no photo)": "(بلا صورة)",
+  "(not imported)": "(لا يُستورد)",
+  "(saved photo)": "(صورة محفوظة)",
+  ", then ": "، ثم ",
+  ". A copy stays in this browser, so you can keep working offline.": ". تبقى نسخة في هذا المتصفح، لتتمكن من مواصلة العمل دون اتصال.",
+  ". Combine with AND, OR and parentheses.": ". اجمع الشروط باستخدام AND وOR والأقواس.",
+  "A new version is available.": "يتوفر إصدار جديد.",
+  "A new version of the app is available. Reload to use it.": "يتوفر إصدار جديد من التطبيق. أعد التحميل لاستخدامه.",
+  "A profile": "ملف شخصي",
+  "A4": "A4",
+  "AND needs a term on both sides.": "يحتاج AND إلى شرط على كلا الجانبين.",
+  "Actions": "الإجراءات",
+  "Add Field": "إضافة حقل",
+  "Add Synonym": "إضافة مرادف",
+  "Add Tag": "إضافة وسم",
+  "Add a synonym for {field}": "إضافة مرادف في {field}",
+  "Add custom fields, change labels, options and validation rules, and choose where each field appears. Changes apply when you save them.": "أضف حقولًا مخصصة، وغيّر التسميات والخيارات وقواعد التحقق، واختر أين يظهر كل حقل. تُطبَّق التغييرات عند حفظها.",
+  "Add interest \"{tag}\"": "إضافة الاهتمام \"{tag}\"",
+  "Add {name}": "إضافة {name}",
+  "All Fields": "كل الحقول",
+  "All changes saved to the server.": "حُفظت كل التغييرات على الخادم.",
+  "All fields are shown on one page.": "تظهر كل الحقول في صفحة واحدة.",
+  "All selected profiles already have that {label}.": "كل الملفات الشخصية المحددة لها هذا الـ{label} بالفعل.",
+  "Also written as": "يُكتب أيضًا",
+  "Apply": "تطبيق",
+  "Back": "السابق",
+  "Back to all profiles": "العودة إلى كل الملفات الشخصية",
+  "Badge sheet {number}": "ورقة البطاقات {number}",
+  "Batch actions": "إجراءات جماعية",
+  "Both": "كلاهما",
+  "Both profiles hold the same details.": "يحمل الملفان الشخصيان التفاصيل نفسها.",
+  "Both versions show the same details.": "تعرض النسختان التفاصيل نفسها.",
+  "Cancel": "إلغاء",
+  "Cancel Edit": "إلغاء التعديل",
+  "Change": "تغيير",
+  "Change history": "سجل التغييرات",
+  "Change history of {name}": "سجل تغييرات {name}",
+  "Change {label}…": "تغيير {label}…",
+  "Change {step}": "تعديل {step}",
+  "Changes will be recorded as made by {name}.": "ستُسجَّل التغييرات باسم {name}.",
+  "Changes will be recorded without a name.": "ستُسجَّل التغييرات دون اسم.",
+  "Check the details, then submit": "راجع التفاصيل ثم أرسل",
+  "Choose a JPG, PNG or WebP file (max 10MB). It will be cropped square and resized.": "اختر ملف JPG أو PNG أو WebP (بحد أقصى 10 ميغابايت). سيُقصّ مربعًا ويُعاد تحجيمه.",
+  "Choose a tag": "اختر وسمًا",
+  "Choose a {label} to apply.": "اختر {label} لتطبيقه.",
+  "Choose the tag to merge \"{tag}\" into.": "اختر الوسم الذي سيُدمج فيه \"{tag}\".",
+  "Class roster of the profiles shown, grouped by programme and year": "قائمة الصف للملفات الشخصية المعروضة، مجمّعة حسب البرنامج والسنة",
+  "Clear": "مسح",
+  "Clear Search": "مسح البحث",
+  "Clear Selection": "إلغاء التحديد",
+  "Click a column heading to sort; Shift+click adds it as a secondary sort.": "انقر عنوان عمود للترتيب؛ النقر مع Shift يضيفه ترتيبًا ثانويًا.",
+  "Close": "إغلاق",
+  "Column heading": "عنوان العمود",
+  "Combined": "مدمج",
+  "Comparing profiles…": "جارٍ مقارنة الملفات الشخصية…",
+  "Computer Science": "علوم الحاسوب",
+  "Conflicting changes to {name}. Choose which to keep.": "تغييرات متعارضة على {name}. اختر ما تريد الإبقاء عليه.",
+  "Copy Link": "نسخ الرابط",
+  "Could not read {file}.": "تعذّرت قراءة {file}.",
+  "Could not read {file}: {error}": "تعذّرت قراءة {file}: {error}",
+  "Could not save the profile photo to browser storage.": "تعذّر حفظ صورة الملف الشخصي في تخزين المتصفح.",
+  "Could not save to localStorage (quota or privacy settings).": "تعذّر الحفظ في localStorage (الحصة أو إعدادات الخصوصية).",
+  "Created": "تاريخ الإنشاء",
+  "Created {created} · Last updated {updated}": "أُنشئ {created} · آخر تحديث {updated}",
+  "Current photo kept": "أُبقيت الصورة الحالية",
+  "Current version": "النسخة الحالية",
+  "Cybersecurity": "الأمن السيبراني",
+  "Default form restored.": "استُعيد النموذج الافتراضي.",
+  "Delete It": "احذفه",
+  "Delete Selected": "حذف المحدد",
+  "Deletion cancelled.": "أُلغي الحذف.",
+  "Details": "التفاصيل",
+  "Details of {name}": "تفاصيل {name}",
+  "Discard Changes": "تجاهل التغييرات",
+  "Discard Draft": "تجاهل المسودة",
+  "Dismiss": "إغلاق",
+  "Dismiss notification": "إغلاق الإشعار",
+  "Download Damaged Data": "تنزيل البيانات التالفة",
+  "Draft discarded.": "تم تجاهل المسودة.",
+  "Draft restored. If you had chosen a photo file, choose it again.": "استُعيدت المسودة. إن كنت قد اخترت ملف صورة، فاختره مرة أخرى.",
+  "Drag the preview or use the arrow keys to choose the square crop.": "اسحب المعاينة أو استخدم مفاتيح الأسهم لاختيار القص المربع.",
+  "Drop-down list": "قائمة منسدلة",
+  "Earlier version restored": "استُعيدت نسخة سابقة",
+  "Edit": "تعديل",
+  "Edit cancelled.": "أُلغي التعديل.",
+  "Edit profile {name}": "تعديل الملف الشخصي {name}",
+  "Edit {name}": "تعديل {name}",
+  "Editing profile {id}. Form populated.": "جارٍ تعديل الملف الشخصي {id}. مُلئ النموذج.",
+  "Email": "البريد الإلكتروني",
+  "Empty parentheses.": "أقواس فارغة.",
+  "Engineering": "الهندسة",
+  "Enter the server address, starting with http:// or https://.": "أدخل عنوان الخادم، بدءًا بـ http:// أو https://.",
+  "Export CSV": "تصدير CSV",
+  "Export Change History (CSV)": "تصدير سجل التغييرات (CSV)",
+  "Export Change History (JSON)": "تصدير سجل التغييرات (JSON)",
+  "Export JSON": "تصدير JSON",
+  "Failed to read image file.": "فشلت قراءة ملف الصورة.",
+  "Field": "الحقل",
+  "Field searched by plain words": "الحقل الذي تبحث فيه الكلمات العادية",
+  "Field {number}": "الحقل {number}",
+  "File too large. Max 10MB.": "الملف كبير جدًا. الحد الأقصى 10 ميغابايت.",
+  "Fill in step by step": "التعبئة خطوة بخطوة",
+  "Fill in the form below to create a profile card and table entry.": "املأ النموذج أدناه لإنشاء بطاقة ملف شخصي وصف في الجدول.",
+  "Filter in the sidebar": "تصفية في الشريط الجانبي",
+  "Filters": "عوامل التصفية",
+  "Filters cleared.": "مُسحت عوامل التصفية.",
+  "Find Duplicates": "البحث عن التكرارات",
+  "First Name": "الاسم الأول",
+  "First and last names swapped": "الاسم الأول واسم العائلة متبادلان",
+  "First profile": "الملف الشخصي الأول",
+  "Form Settings": "إعدادات النموذج",
+  "Form settings saved. The form, cards and table now use them.": "حُفظت إعدادات النموذج. يستخدمها الآن النموذج والبطاقات والجدول.",
+  "Hint": "تلميح",
+  "History": "السجل",
+  "History of {name}": "سجل {name}",
+  "ID": "المعرّف",
+  "ID badges for the profiles shown": "بطاقات تعريف للملفات الشخصية المعروضة",
+  "ID to keep": "المعرّف المُبقى عليه",
+  "ID {id}": "المعرّف {id}",
+  "Import": "استيراد",
+  "Import & Export": "الاستيراد والتصدير",
+  "Import Preview": "معاينة الاستيراد",
+  "Import a CSV or JSON roster": "استيراد قائمة CSV أو JSON",
+  "Import cancelled.": "أُلغي الاستيراد.",
+  "Import complete: {added} added, {updated} updated, {skipped} skipped.": "اكتمل الاستيراد: أُضيف {added}، وحُدّث {updated}، وتُخطّي {skipped}.",
+  "Import {file}": "استيراد {file}",
+  "Include photos in JSON": "تضمين الصور في JSON",
+  "Information Systems": "نظم المعلومات",
+  "Interest tag": "وسم الاهتمام",
+  "Interest tag for selected profiles": "وسم الاهتمام للملفات الشخصية المحددة",
+  "Interests": "الاهتمامات",
+  "Interests & Tags": "الاهتمامات والوسوم",
+  "Keep It Deleted": "إبقاؤه محذوفًا",
+  "Keep Other Tab's Version": "الإبقاء على نسخة علامة التبويب الأخرى",
+  "Keep This Tab's Version": "الإبقاء على نسخة علامة التبويب هذه",
+  "Key (stored name)": "المفتاح (الاسم المخزَّن)",
+  "Label": "التسمية",
+  "Language": "اللغة",
+  "Last Name": "اسم العائلة",
+  "Last updated": "آخر تحديث",
+  "Letter": "Letter",
+  "Link copied.": "نُسخ الرابط.",
+  "Loading profiles from the server…": "جارٍ تحميل الملفات الشخصية من الخادم…",
+  "Match file columns to profile fields": "طابق أعمدة الملف مع حقول الملف الشخصي",
+  "Matches {name} ({id}) — {outcome}": "يطابق {name} ({id}) — {outcome}",
+  "Maximum length": "الطول الأقصى",
+  "Maximum number of tags": "أقصى عدد من الوسوم",
+  "Maximum value": "القيمة القصوى",
+  "Merge": "دمج",
+  "Merge (fill blanks, combine interests)": "دمج (ملء الفراغات وجمع الاهتمامات)",
+  "Merge Profiles": "دمج الملفات الشخصية",
+  "Merge into": "دمج في",
+  "Merge profile {id} into {name}": "دمج الملف الشخصي {id} في {name}",
+  "Merge the Two…": "دمج الاثنين…",
+  "Merge {field} \"{from}\" into \"{to}\"": "دمج {field} \"{from}\" في \"{to}\"",
+  "Merge {first} and {second}": "دمج {first} و{second}",
+  "Merge {tag} into the chosen tag": "دمج {tag} في الوسم المختار",
+  "Merged \"{from}\" into \"{to}\"; {profiles} updated.": "دُمج \"{from}\" في \"{to}\"؛ حُدّث {profiles}.",
+  "Merged \"{from}\" into \"{to}\"; {profiles} updated. \"{from}\" is now a synonym.": "دُمج \"{from}\" في \"{to}\"؛ حُدّث {profiles}. أصبح \"{from}\" مرادفًا الآن.",
+  "Merged {dropped} into {kept}.": "دُمج {dropped} في {kept}.",
+  "Merge…": "دمج…",
+  "Message when the pattern doesn't match": "الرسالة عند عدم مطابقة النمط",
+  "Minimum length": "الطول الأدنى",
+  "Minimum value": "القيمة الدنيا",
+  "Missing closing parenthesis.": "القوس الختامي مفقود.",
+  "Missing closing quote.": "علامة الاقتباس الختامية مفقودة.",
+  "Missing value after \"{term}\".": "القيمة مفقودة بعد \"{term}\".",
+  "Most common {label}": "أكثر {label} شيوعًا",
+  "Move Down": "نقل لأسفل",
+  "Move Up": "نقل لأعلى",
+  "Move {field} down": "نقل {field} لأسفل",
+  "Move {field} up": "نقل {field} لأعلى",
+  "Must be unique": "يجب أن يكون فريدًا",
+  "Name": "الاسم",
+  "New field": "حقل جديد",
+  "New name for {tag}": "اسم جديد لـ{tag}",
+  "New photo: {file}": "صورة جديدة: {file}",
+  "New profile": "ملف شخصي جديد",
+  "New programme for selected profiles": "برنامج جديد للملفات الشخصية المحددة",
+  "New year for selected profiles": "سنة جديدة للملفات الشخصية المحددة",
+  "New {label} for selected profiles": "{label} جديد للملفات الشخصية المحددة",
+  "Next": "التالي",
+  "No changes recorded yet. Changes made from now on are listed here.": "لم تُسجَّل أي تغييرات بعد. ستظهر هنا التغييرات من الآن فصاعدًا.",
+  "No earlier snapshot is available.": "لا تتوفر لقطة سابقة.",
+  "No photo (a placeholder is shown)": "بلا صورة (تظهر صورة بديلة)",
+  "No profiles found in JSON file.": "لم يُعثر على ملفات شخصية في ملف JSON.",
+  "No profiles yet. Use the form to add one.": "لا توجد ملفات شخصية بعد. استخدم النموذج لإضافة ملف.",
+  "No rows found in {file}.": "لم يُعثر على صفوف في {file}.",
+  "No tags yet.": "لا توجد وسوم بعد.",
+  "No {label}": "بلا {label}",
+  "No {label} entered.": "لم تُدخل أي {label}.",
+  "None yet.": "لا شيء بعد.",
+  "Nothing to redo": "لا شيء لإعادته",
+  "Nothing to redo.": "لا شيء لإعادته.",
+  "Nothing to undo": "لا شيء للتراجع عنه",
+  "Nothing to undo.": "لا شيء للتراجع عنه.",
+  "Number": "رقم",
+  "OR needs a term on both sides.": "يحتاج OR إلى شرط على كلا الجانبين.",
+  "Offline. Retrying in {seconds} s.": "غير متصل. إعادة المحاولة خلال {seconds} ث.",
+  "Only JPG, PNG or WebP files are allowed.": "يُسمح بملفات JPG أو PNG أو WebP فقط.",
+  "Options (one per line, value | label)": "الخيارات (واحد في كل سطر، القيمة | التسمية)",
+  "Or Photo URL": "أو رابط الصورة",
+  "Other names (for search and import)": "أسماء أخرى (للبحث والاستيراد)",
+  "Other tab": "علامة التبويب الأخرى",
+  "Overwrite the profile": "الكتابة فوق الملف الشخصي",
+  "Paper": "الورق",
+  "Paper size for printing": "حجم الورق للطباعة",
+  "Paste a direct link to a JPG or PNG image.": "الصق رابطًا مباشرًا لصورة JPG أو PNG.",
+  "Pattern (regular expression)": "النمط (تعبير نمطي)",
+  "Phone": "الهاتف",
+  "Photo": "الصورة",
+  "Photo URL": "رابط الصورة",
+  "Photo could not be restored — edit to upload it again.": "تعذّرت استعادة الصورة — عدّل الملف لرفعها مجددًا.",
+  "Photo crop preview. Drag or use the arrow keys to reposition.": "معاينة قص الصورة. اسحب أو استخدم مفاتيح الأسهم لتغيير الموضع.",
+  "Photo from a link": "صورة من رابط",
+  "Photo must be a JPG, PNG or WebP image.": "يجب أن تكون الصورة بصيغة JPG أو PNG أو WebP.",
+  "Photo must be less than 10MB.": "يجب أن يقل حجم الصورة عن 10 ميغابايت.",
+  "Photo of {name}": "صورة {name}",
+  "Photos": "الصور",
+  "Photos aren't kept in the history; restoring a version keeps the current photo.": "لا تُحفظ الصور في السجل؛ استعادة نسخة تُبقي الصورة الحالية.",
+  "Placeholder": "العنصر النائب",
+  "Please enter a valid image URL ending with .jpg, .jpeg, or .png.": "يُرجى إدخال رابط صورة صالح ينتهي بـ ‎.jpg أو ‎.jpeg أو ‎.png.",
+  "Please fix form errors before submitting.": "يُرجى تصحيح أخطاء النموذج قبل الإرسال.",
+  "Please fix the errors in {step} before going on.": "يُرجى تصحيح الأخطاء في {step} قبل المتابعة.",
+  "Possible Duplicates": "تكرارات محتملة",
+  "Print Badge": "طباعة البطاقة",
+  "Print Badges": "طباعة البطاقات",
+  "Print Roster": "طباعة القائمة",
+  "Profile Cards": "بطاقات الملفات الشخصية",
+  "Profile Manager": "مدير الملفات الشخصية",
+  "Profile Manager – Registration & Cards": "مدير الملفات الشخصية – التسجيل والبطاقات",
+  "Profile Photo": "صورة الملف الشخصي",
+  "Profile added successfully with ID {id}.": "أُضيف الملف الشخصي بنجاح بالمعرّف {id}.",
+  "Profile not found": "الملف الشخصي غير موجود",
+  "Profile photo of {name}": "صورة الملف الشخصي لـ{name}",
+  "Profile removed": "أُزيل الملف الشخصي",
+  "Profile {id} has an invalid photo.": "للملف الشخصي {id} صورة غير صالحة.",
+  "Profile {id} has an invalid revision.": "للملف الشخصي {id} رقم مراجعة غير صالح.",
+  "Profile {id} has invalid interests.": "للملف الشخصي {id} اهتمامات غير صالحة.",
+  "Profile {id} has no valid {key}.": "ليس للملف الشخصي {id} قيمة {key} صالحة.",
+  "Profile {id} is not an object.": "الملف الشخصي {id} ليس كائنًا.",
+  "Profile {id} removed.": "أُزيل الملف الشخصي {id}.",
+  "Profile {id} updated successfully.": "حُدّث الملف الشخصي {id} بنجاح.",
+  "Profile {id} updated.": "حُدّث الملف الشخصي {id}.",
+  "Profile {id} will be removed. The merge can be undone.": "سيُزال الملف الشخصي {id}. يمكن التراجع عن الدمج.",
+  "Profiles are now saved in this browser only.": "تُحفظ الملفات الشخصية الآن في هذا المتصفح فقط.",
+  "Profiles loaded from storage.": "حُمّلت الملفات الشخصية من التخزين.",
+  "Profiles loaded from the server.": "حُمّلت الملفات الشخصية من الخادم.",
+  "Profiles merged": "دُمجت الملفات الشخصية",
+  "Profiles per {rows}, split by {columns}": "الملفات الشخصية لكل {rows}، مقسّمة حسب {columns}",
+  "Profiles restored from the last good snapshot.": "استُعيدت الملفات الشخصية من آخر لقطة سليمة.",
+  "Profiles with a photo": "الملفات الشخصية التي لها صورة",
+  "Programme": "البرنامج",
+  "QR code for profile {id}": "رمز QR للملف الشخصي {id}",
+  "Reconnected. All changes are saved on the server.": "عاد الاتصال. كل التغييرات محفوظة على الخادم.",
+  "Recorded with every add, edit and removal made in this browser.": "يُسجَّل مع كل إضافة وتعديل وإزالة في هذا المتصفح.",
+  "Redo: {label}": "إعادة: {label}",
+  "Redo: {label} (Ctrl+Shift+Z)": "إعادة: {label} (Ctrl+Shift+Z)",
+  "Redone: {label}.": "أُعيد: {label}.",
+  "Register a New Profile": "تسجيل ملف شخصي جديد",
+  "Registration steps": "خطوات التسجيل",
+  "Reload": "إعادة التحميل",
+  "Remove": "إزالة",
+  "Remove Field": "إزالة الحقل",
+  "Remove Tag": "إزالة الوسم",
+  "Remove interest \"{tag}\"": "إزالة الاهتمام \"{tag}\"",
+  "Remove profile {name}": "إزالة الملف الشخصي {name}",
+  "Remove the profile of {name}?": "هل تريد إزالة الملف الشخصي لـ {name}؟",
+  "Remove the synonym {synonym}": "إزالة المرادف {synonym}",
+  "Remove {field}": "إزالة {field}",
+  "Remove {name}": "إزالة {name}",
+  "Remove {tag}": "إزالة {tag}",
+  "Rename": "إعادة تسمية",
+  "Rename a tag or merge it into another on every profile. Merged spellings and synonyms are turned into the tag they stand for whenever someone types them. Renames and merges can be undone.": "أعد تسمية وسم أو ادمجه في وسم آخر في كل الملفات الشخصية. تتحول التهجئات المدمجة والمرادفات إلى الوسم الذي تمثله كلما كتبها أحد. يمكن التراجع عن إعادة التسمية والدمج.",
+  "Rename {field} \"{from}\" to \"{to}\"": "إعادة تسمية {field} \"{from}\" إلى \"{to}\"",
+  "Rename {tag}": "إعادة تسمية {tag}",
+  "Renamed \"{from}\" to \"{to}\"; {profiles} updated.": "أُعيدت تسمية \"{from}\" إلى \"{to}\"؛ حُدّث {profiles}.",
+  "Request failed with status {status}": "فشل الطلب بالحالة {status}",
+  "Required": "مطلوب",
+  "Reset": "إعادة تعيين",
+  "Resolve conflict on {name}": "حل التعارض في {name}",
+  "Restore Default Form": "استعادة النموذج الافتراضي",
+  "Restore Draft": "استعادة المسودة",
+  "Restore Last Good Snapshot": "استعادة آخر لقطة سليمة",
+  "Restore This Version": "استعادة هذه النسخة",
+  "Restore the default form? Custom fields are removed from the form; their values stay on the profiles.": "استعادة النموذج الافتراضي؟ تُزال الحقول المخصصة من النموذج؛ وتبقى قيمها في الملفات الشخصية.",
+  "Restore the version saved {when}": "استعادة النسخة المحفوظة في {when}",
+  "Restore {name} to the version of {when}": "استعادة {name} إلى نسخة {when}",
+  "Result": "النتيجة",
+  "Retry Now": "إعادة المحاولة الآن",
+  "Review": "المراجعة",
+  "Review the import preview for {file}.": "راجع معاينة الاستيراد لـ{file}.",
+  "Rewrite {field} on every profile with the spellings shown": "أعد كتابة {field} في كل الملفات الشخصية بالتهجئات المعروضة",
+  "Row": "الصف",
+  "Same as the label": "مثل التسمية",
+  "Same email": "البريد الإلكتروني نفسه",
+  "Same email as row {row} of this file.": "البريد الإلكتروني نفسه في الصف {row} من هذا الملف.",
+  "Same last name and first initial": "اسم العائلة نفسه والحرف الأول من الاسم نفسه",
+  "Same name": "الاسم نفسه",
+  "Same name apart from accents or punctuation": "الاسم نفسه باستثناء علامات التشكيل أو الترقيم",
+  "Same photo": "الصورة نفسها",
+  "Save Form Settings": "حفظ إعدادات النموذج",
+  "Save Merged Version": "حفظ النسخة المدمجة",
+  "Saved locally but could not persist to localStorage.": "حُفظ محليًا لكن تعذّر حفظه في localStorage.",
+  "Saved profiles could not be loaded": "تعذّر تحميل الملفات الشخصية المحفوظة",
+  "Saved your choice for {name}.": "حُفظ اختيارك لـ{name}.",
+  "Saving is paused until you choose how to recover the damaged profile data.": "الحفظ متوقف حتى تختار طريقة استرداد بيانات الملفات الشخصية التالفة.",
+  "Search & Filter": "البحث والتصفية",
+  "Search cleared.": "مُسح البحث.",
+  "Search profiles": "البحث في الملفات الشخصية",
+  "Search profiles...": "ابحث في الملفات الشخصية...",
+  "Searched by plain words": "يُبحث فيه بالكلمات العادية",
+  "Second profile": "الملف الشخصي الثاني",
+  "Select": "تحديد",
+  "Select all profiles shown": "تحديد كل الملفات الشخصية المعروضة",
+  "Select {label}": "اختر {label}",
+  "Select {name}": "تحديد {name}",
+  "Server address": "عنوان الخادم",
+  "Server error {status}": "خطأ في الخادم {status}",
+  "Set": "تعيين",
+  "Set {label} to {value}": "تعيين {label} إلى {value}",
+  "Shared server": "خادم مشترك",
+  "Show in table": "إظهار في الجدول",
+  "Show on cards": "إظهار على البطاقات",
+  "Similar name": "اسم مشابه",
+  "Similar name, first and last swapped": "اسم مشابه، مع تبادل الاسم الأول واسم العائلة",
+  "Skip the row": "تخطي الصف",
+  "Skip to main content": "انتقل إلى المحتوى الرئيسي",
+  "Sorted by ID.": "مرتّب حسب المعرّف.",
+  "Sorted by {columns}.": "مرتّب حسب {columns}.",
+  "Start Empty": "البدء فارغًا",
+  "Start the stand-in server with": "شغّل الخادم البديل بالأمر",
+  "Started with an empty roster. The damaged data is still kept aside in this browser.": "بدأت بقائمة فارغة. لا تزال البيانات التالفة محفوظة جانبًا في هذا المتصفح.",
+  "Statistics": "الإحصاءات",
+  "Step 1 of 2: choose what to keep": "الخطوة 1 من 2: اختر ما تُبقي عليه",
+  "Step 2 of 2: check the merged profile": "الخطوة 2 من 2: تحقق من الملف الشخصي المدمج",
+  "Step {step} of {total}: {label}.": "الخطوة {step} من {total}: {label}.",
+  "Storage & Sync": "التخزين والمزامنة",
+  "Storage settings are unchanged.": "لم تتغير إعدادات التخزين.",
+  "Stored data is not a profile payload.": "البيانات المخزنة ليست بيانات ملفات شخصية.",
+  "Stored data is not valid JSON.": "البيانات المخزنة ليست JSON صالحًا.",
+  "Stored data uses schema version {version}, which is newer than this app supports.": "تستخدم البيانات المخزنة إصدار المخطط {version}، وهو أحدث مما يدعمه هذا التطبيق.",
+  "Stored profile data could not be loaded. Choose how to recover it.": "تعذّر تحميل بيانات الملفات الشخصية المخزنة. اختر طريقة استردادها.",
+  "Study details": "تفاصيل الدراسة",
+  "Submit": "إرسال",
+  "Summary Table": "جدول الملخص",
+  "Synonym": "المرادف",
+  "Tag": "الوسم",
+  "Tag the synonym stands for": "الوسم الذي يمثله المرادف",
+  "Tag to merge {tag} into": "الوسم الذي يُدمج فيه {tag}",
+  "Tags": "وسوم",
+  "Text": "نص",
+  "That change can no longer be undone from here; later changes came after it.": "لم يعد بالإمكان التراجع عن هذا التغيير من هنا؛ فقد جاءت بعده تغييرات أخرى.",
+  "That version can't be restored: its {label} is now used by another profile.": "لا يمكن استعادة تلك النسخة: {label} الخاص بها يستخدمه الآن ملف شخصي آخر.",
+  "That version can't be restored: {errors}": "لا يمكن استعادة تلك النسخة: {errors}",
+  "The built-in field \"{key}\" can't be removed.": "لا يمكن إزالة الحقل المدمج \"{key}\".",
+  "The change could not be added to the change history (storage is full).": "تعذّرت إضافة التغيير إلى سجل التغييرات (التخزين ممتلئ).",
+  "The change history is empty.": "سجل التغييرات فارغ.",
+  "The change was not made: {errors}": "لم يُجرَ التغيير: {errors}",
+  "The form has no tag fields.": "لا يحتوي النموذج على حقول وسوم.",
+  "The form settings have problems; see the list under the editor.": "في إعدادات النموذج مشكلات؛ راجع القائمة أسفل المحرر.",
+  "The image could not be decoded.": "تعذّر فك ترميز الصورة.",
+  "The link could not be copied; copy it from the address bar.": "تعذّر نسخ الرابط؛ انسخه من شريط العنوان.",
+  "The offline copy of the profiles could not be read; loading them from the server instead.": "تعذّرت قراءة النسخة غير المتصلة من الملفات الشخصية؛ سيجري تحميلها من الخادم بدلًا من ذلك.",
+  "The profile data stored in this browser is damaged or unreadable. Nothing will be saved over it until you choose what to do.": "بيانات الملفات الشخصية المخزنة في هذا المتصفح تالفة أو غير قابلة للقراءة. لن يُحفظ شيء فوقها حتى تختار ما تفعله.",
+  "The profile stays deleted.": "يبقى الملف الشخصي محذوفًا.",
+  "The profile you are editing was just changed in another tab. When you save, you can choose which changes to keep.": "تغيّر الملف الشخصي الذي تعدّله للتو في علامة تبويب أخرى. عند الحفظ يمكنك اختيار التغييرات التي تُبقي عليها.",
+  "The profile you are editing was just deleted in another tab. When you save, you can choose whether to keep it.": "حُذف الملف الشخصي الذي تعدّله للتو في علامة تبويب أخرى. عند الحفظ يمكنك اختيار الإبقاء عليه.",
+  "The profiles map is missing.": "خريطة الملفات الشخصية مفقودة.",
+  "The query ends too early.": "ينتهي الاستعلام قبل أوانه.",
+  "The saved profiles could not be read, so nothing was saved over them.": "تعذّرت قراءة الملفات الشخصية المحفوظة، لذا لم يُحفظ شيء فوقها.",
+  "The search query has a syntax error.": "في استعلام البحث خطأ في الصياغة.",
+  "The server can't be reached. Changes are kept in this browser and sent once it is back.": "يتعذّر الوصول إلى الخادم. تُحفظ التغييرات في هذا المتصفح وتُرسل عند عودته.",
+  "The server rejected a change to profile {id}: {error}": "رفض الخادم تغييرًا على الملف الشخصي {id}: {error}",
+  "The server sent profile data this app can't read: {problem}": "أرسل الخادم بيانات ملفات شخصية لا يستطيع هذا التطبيق قراءتها: {problem}",
+  "There are no profiles to export.": "لا توجد ملفات شخصية للتصدير.",
+  "There are no profiles to print badges for.": "لا توجد ملفات شخصية لطباعة بطاقاتها.",
+  "There are no profiles to print.": "لا توجد ملفات شخصية للطباعة.",
+  "There is no profile with the ID {id}.": "لا يوجد ملف شخصي بالمعرّف {id}.",
+  "There is no profile with the ID {id}. It may have been removed.": "لا يوجد ملف شخصي بالمعرّف {id}. ربما أُزيل.",
+  "This browser only": "هذا المتصفح فقط",
+  "This may be a duplicate of one of these:": "قد يكون هذا تكرارًا لأحد هؤلاء:",
+  "This may be a duplicate of:": "قد يكون هذا تكرارًا لـ:",
+  "This profile was changed in another tab": "تغيّر هذا الملف الشخصي في علامة تبويب أخرى",
+  "This tab": "علامة التبويب هذه",
+  "This {label} is already registered.": "هذا الـ{label} مسجّل بالفعل.",
+  "Tidy up {field}": "ترتيب {field}",
+  "Toggle dark mode": "تبديل الوضع الداكن",
+  "Top {top} {label} (of {count})": "أعلى {top} من {label} (من أصل {count})",
+  "Try": "جرّب",
+  "Type": "النوع",
+  "Type a synonym and choose the tag it stands for.": "اكتب مرادفًا واختر الوسم الذي يمثله.",
+  "Type an interest and press Enter (e.g. AI, Web, Cloud)": "اكتب اهتمامًا واضغط Enter (مثل AI أو Web أو Cloud)",
+  "Type an interest to add or remove.": "اكتب اهتمامًا لإضافته أو إزالته.",
+  "Type the new name for the tag.": "اكتب الاسم الجديد للوسم.",
+  "Undo": "تراجع",
+  "Undo: {label}": "تراجع: {label}",
+  "Undo: {label} (Ctrl+Z)": "تراجع: {label} (Ctrl+Z)",
+  "Undone: {label}.": "تم التراجع: {label}.",
+  "Unexpected {token}.": "{token} غير متوقع.",
+  "Unknown field \"{field}\".": "حقل غير معروف \"{field}\".",
+  "Unsaved form settings discarded.": "تم تجاهل إعدادات النموذج غير المحفوظة.",
+  "Unsupported image type.": "نوع صورة غير مدعوم.",
+  "Unterminated quoted field.": "حقل بين علامتي اقتباس غير مكتمل.",
+  "Up to three interests. Press Enter or a comma after each one; Backspace removes the last.": "حتى ثلاثة اهتمامات. اضغط Enter أو فاصلة بعد كل واحد؛ ويزيل Backspace آخرها.",
+  "Updated {date}": "حُدّث {date}",
+  "Use the Shown Spellings Everywhere": "استخدام التهجئات المعروضة في كل مكان",
+  "Valid {label} is required.": "مطلوب {label} صالح.",
+  "Values are numbers": "القيم أرقام",
+  "When a profile with the same email already exists": "عند وجود ملف شخصي بالبريد الإلكتروني نفسه",
+  "Where profiles are saved": "مكان حفظ الملفات الشخصية",
+  "With a photo": "لها صورة",
+  "With photo": "بصورة",
+  "Year": "السنة",
+  "Year 1": "السنة 1",
+  "Year 2": "السنة 2",
+  "Year 3": "السنة 3",
+  "Year 4": "السنة 4",
+  "Year of Study": "السنة الدراسية",
+  "You can add up to {max} {label}. Remove one to add another.": "يمكنك إضافة {max} من {label} كحد أقصى. أزل واحدًا لإضافة آخر.",
+  "You can still save. To combine two saved profiles, use Find Duplicates below the table.": "لا يزال بإمكانك الحفظ. لدمج ملفين شخصيين محفوظين، استخدم «البحث عن التكرارات» أسفل الجدول.",
+  "You have an unsaved new profile for {name} from {when}.": "لديك ملف شخصي جديد غير محفوظ لـ{name} من {when}.",
+  "You have an unsaved new profile from {when}.": "لديك ملف شخصي جديد غير محفوظ من {when}.",
+  "You have unsaved changes from {when} to a profile that has since been removed. Restoring them starts a new profile.": "لديك تغييرات غير محفوظة من {when} على ملف شخصي أُزيل منذ ذلك الحين. استعادتها تبدأ ملفًا شخصيًا جديدًا.",
+  "You have unsaved changes to {name} ({id}) from {when}.": "لديك تغييرات غير محفوظة على {name} ({id}) من {when}.",
+  "You're offline. A link can still be saved; its photo shows once the connection is back.": "أنت غير متصل. لا يزال بإمكانك حفظ الرابط، وستظهر الصورة بعد عودة الاتصال.",
+  "Your details": "بياناتك",
+  "Your name in the change history": "اسمك في سجل التغييرات",
+  "Zoom": "التكبير",
+  "counts as": "يُحتسب",
+  "e.g. Artificial Intelligence": "مثل: الذكاء الاصطناعي",
+  "e.g. Registry office": "مثل: مكتب التسجيل",
+  "e.g. [A-Z]{2}[0-9]{6}": "مثل: [A-Z]{2}[0-9]{6}",
+  "e.g. student id, matric": "مثل: رقم الطالب، الرقم الجامعي",
+  "field": "الحقل",
+  "no photo": "بلا صورة",
+  "photo": "الصورة",
+  "unknown": "غير معروف",
+  "will be merged": "سيُدمج",
+  "will be overwritten": "ستُكتب فوقه",
+  "will be skipped": "سيُتخطّى",
+  "{column} (ascending)": "{column} (تصاعديًا)",
+  "{column} (descending)": "{column} (تنازليًا)",
+  "{column}, not sorted. Shift-click to add as a secondary sort.": "{column}، غير مرتّب. انقر مع Shift لإضافته ترتيبًا ثانويًا.",
+  "{column}, sort {position}, ascending": "{column}، الترتيب {position}، تصاعديًا",
+  "{column}, sort {position}, descending": "{column}، الترتيب {position}، تنازليًا",
+  "{count} added": "أُضيف {count}",
+  "{count} of {max}": "{count} من {max}",
+  "{count} — limit reached": "{count} — بلغت الحد",
+  "{count} — remove {extra}": "{count} — أزل {extra}",
+  "{error} (at character {position})": "{error} (عند الحرف {position})",
+  "{field} was {value}": "كان {field} {value}",
+  "{field} — built in": "{field} — مدمج",
+  "{field}: the key \"{key}\" is used by the page itself; choose another.": "{field}: المفتاح \"{key}\" تستخدمه الصفحة نفسها؛ اختر غيره.",
+  "{field}: {before} → {after}": "{field}: {before} ← {after}",
+  "{field}: {value}": "{field}: {value}",
+  "{first} and {second}": "{first} و{second}",
+  "{first} and {second} will become one profile.": "سيصبح {first} و{second} ملفًا شخصيًا واحدًا.",
+  "{id}, created {date}": "{id}، أُنشئ {date}",
+  "{label} (up to {max} per profile)": "{label} (حتى {max} لكل ملف شخصي)",
+  "{label} is not in the expected format.": "{label} ليس بالصيغة المتوقعة.",
+  "{label} is required.": "{label} مطلوب.",
+  "{label} keeps at most {max}; {tags} were left out.": "يحتفظ {label} بـ{max} على الأكثر؛ واستُبعد {tags}.",
+  "{label} keeps at most {max}; {tags} will be left out.": "يحتفظ {label} بـ{max} على الأكثر؛ وسيُستبعد {tags}.",
+  "{label} must be a number.": "يجب أن يكون {label} رقمًا.",
+  "{label} must be at least {min}.": "يجب ألا يقل {label} عن {min}.",
+  "{label} must be at most {max}.": "يجب ألا يزيد {label} عن {max}.",
+  "{label} must be one of the listed options.": "يجب أن يكون {label} أحد الخيارات المدرجة.",
+  "{name} ({key})": "{name} ({key})",
+  "{name} photo": "صورة {name}",
+  "{name} restored to the version of {when}.": "استُعيد {name} إلى نسخة {when}.",
+  "{name} was changed both in this tab and in another tab. Pick the version to keep, or choose field by field and save the merged version.": "تغيّر {name} في علامة التبويب هذه وفي علامة تبويب أخرى. اختر النسخة التي تُبقي عليها، أو اختر حقلًا حقلًا واحفظ النسخة المدمجة.",
+  "{name} was changed in another tab while you were editing it. Pick the version to keep, or choose field by field and save the merged version.": "تغيّر {name} في علامة تبويب أخرى أثناء تعديلك له. اختر النسخة التي تُبقي عليها، أو اختر حقلًا حقلًا واحفظ النسخة المدمجة.",
+  "{name} was changed in this tab but deleted in another tab.": "تغيّر {name} في علامة التبويب هذه لكنه حُذف في علامة تبويب أخرى.",
+  "{name} was deleted in this tab but changed in another tab.": "حُذف {name} في علامة التبويب هذه لكنه تغيّر في علامة تبويب أخرى.",
+  "{name} was edited here but deleted in another tab.": "عُدّل {name} هنا لكنه حُذف في علامة تبويب أخرى.",
+  "{profiles} updated.": "حُدّث {profiles}.",
+  "{rows} by {columns}": "{rows} حسب {columns}",
+  "{tag}. Delete removes it, Enter edits it.": "{tag}. يزيله Delete، ويعدّله Enter.",
+  "{title} — Class Roster": "{title} — قائمة الصف",
+  "— by {name}": "— بواسطة {name}",
+  "↶ Undo": "↶ تراجع",
+  "↷ Redo": "↷ إعادة",
+  "☀️ Light Mode": "☀️ الوضع الفاتح",
+  "🌙 Dark Mode": "🌙 الوضع الداكن",
+
+  /* =========================
+     Plurals
+     ========================= */
+  "Profiles": { zero: "ملفات شخصية", one: "ملف شخصي", two: "ملفان شخصيان", few: "ملفات شخصية", many: "ملفًا شخصيًا", other: "ملف شخصي" },
+  "{label}s": { zero: "{label}", one: "{label}", two: "{label}", few: "{label}", many: "{label}", other: "{label}" },
+  "{count} profiles": {
+    zero: "لا ملفات شخصية", one: "ملف شخصي واحد", two: "ملفان شخصيان",
+    few: "{count} ملفات شخصية", many: "{count} ملفًا شخصيًا", other: "{count} ملف شخصي"
+  },
+  "{count} groups": {
+    zero: "لا مجموعات", one: "مجموعة واحدة", two: "مجموعتان",
+    few: "{count} مجموعات", many: "{count} مجموعة", other: "{count} مجموعة"
+  },
+  "{count} {paper} sheets": {
+    zero: "لا أوراق {paper}", one: "ورقة {paper} واحدة", two: "ورقتا {paper}",
+    few: "{count} أوراق {paper}", many: "{count} ورقة {paper}", other: "{count} ورقة {paper}"
+  },
+  "You can enter up to {count} {label}.": {
+    zero: "لا يمكنك إدخال أي {label}.", one: "يمكنك إدخال {label} واحد فقط.", two: "يمكنك إدخال اثنين من {label} كحد أقصى.",
+    few: "يمكنك إدخال {count} من {label} كحد أقصى.", many: "يمكنك إدخال {count} من {label} كحد أقصى.", other: "يمكنك إدخال {count} من {label} كحد أقصى."
+  },
+  "{label} must be at least {count} characters.": {
+    zero: "يجب ألا يكون {label} فارغًا.", one: "يجب ألا يقل {label} عن حرف واحد.", two: "يجب ألا يقل {label} عن حرفين.",
+    few: "يجب ألا يقل {label} عن {count} أحرف.", many: "يجب ألا يقل {label} عن {count} حرفًا.", other: "يجب ألا يقل {label} عن {count} حرف."
+  },
+  "{label} must be at most {count} characters.": {
+    zero: "يجب أن يكون {label} فارغًا.", one: "يجب ألا يزيد {label} عن حرف واحد.", two: "يجب ألا يزيد {label} عن حرفين.",
+    few: "يجب ألا يزيد {label} عن {count} أحرف.", many: "يجب ألا يزيد {label} عن {count} حرفًا.", other: "يجب ألا يزيد {label} عن {count} حرف."
+  },
+  "({count} more)": {
+    zero: "(لا مزيد)", one: "(واحد آخر)", two: "(اثنان آخران)",
+    few: "({count} آخرون)", many: "({count} آخرين)", other: "({count} آخرين)"
+  },
+  "A previous snapshot with {count} profiles saved {when} is available.": {
+    zero: "تتوفر لقطة سابقة بلا ملفات شخصية حُفظت {when}.", one: "تتوفر لقطة سابقة بملف شخصي واحد حُفظت {when}.", two: "تتوفر لقطة سابقة بملفين شخصيين حُفظت {when}.",
+    few: "تتوفر لقطة سابقة بـ{count} ملفات شخصية حُفظت {when}.", many: "تتوفر لقطة سابقة بـ{count} ملفًا شخصيًا حُفظت {when}.", other: "تتوفر لقطة سابقة بـ{count} ملف شخصي حُفظت {when}."
+  },
+  "A previous snapshot with {count} profiles is available.": {
+    zero: "تتوفر لقطة سابقة بلا ملفات شخصية.", one: "تتوفر لقطة سابقة بملف شخصي واحد.", two: "تتوفر لقطة سابقة بملفين شخصيين.",
+    few: "تتوفر لقطة سابقة بـ{count} ملفات شخصية.", many: "تتوفر لقطة سابقة بـ{count} ملفًا شخصيًا.", other: "تتوفر لقطة سابقة بـ{count} ملف شخصي."
+  },
+  "{count} profile photos were too large to keep in an earlier save and could not be restored. Edit those profiles to upload them again.": {
+    zero: "لا توجد صور فُقدت في حفظ سابق.",
+    one: "كانت صورة ملف شخصي واحدة أكبر من أن تُحفظ في حفظ سابق وتعذّرت استعادتها. عدّل ذلك الملف لرفعها مجددًا.",
+    two: "كانت صورتا ملفين شخصيين أكبر من أن تُحفظا في حفظ سابق وتعذّرت استعادتهما. عدّل الملفين لرفعهما مجددًا.",
+    few: "كانت {count} صور ملفات شخصية أكبر من أن تُحفظ في حفظ سابق وتعذّرت استعادتها. عدّل تلك الملفات لرفعها مجددًا.",
+    many: "كانت {count} صورة ملفات شخصية أكبر من أن تُحفظ في حفظ سابق وتعذّرت استعادتها. عدّل تلك الملفات لرفعها مجددًا.",
+    other: "كانت {count} صورة ملفات شخصية أكبر من أن تُحفظ في حفظ سابق وتعذّرت استعادتها. عدّل تلك الملفات لرفعها مجددًا."
+  },
+  "{count} profiles were updated from another tab.": {
+    zero: "لم يُحدَّث أي ملف شخصي من علامة تبويب أخرى.", one: "حُدّث ملف شخصي واحد من علامة تبويب أخرى.", two: "حُدّث ملفان شخصيان من علامة تبويب أخرى.",
+    few: "حُدّثت {count} ملفات شخصية من علامة تبويب أخرى.", many: "حُدّث {count} ملفًا شخصيًا من علامة تبويب أخرى.", other: "حُدّث {count} ملف شخصي من علامة تبويب أخرى."
+  },
+  "Uploading {count} profiles from this browser to the server.": {
+    zero: "لا توجد ملفات شخصية لرفعها إلى الخادم.", one: "جارٍ رفع ملف شخصي واحد من هذا المتصفح إلى الخادم.", two: "جارٍ رفع ملفين شخصيين من هذا المتصفح إلى الخادم.",
+    few: "جارٍ رفع {count} ملفات شخصية من هذا المتصفح إلى الخادم.", many: "جارٍ رفع {count} ملفًا شخصيًا من هذا المتصفح إلى الخادم.", other: "جارٍ رفع {count} ملف شخصي من هذا المتصفح إلى الخادم."
+  },
+  "Saving {count} changes to the server…": {
+    zero: "لا تغييرات للحفظ على الخادم.", one: "جارٍ حفظ تغيير واحد على الخادم…", two: "جارٍ حفظ تغييرين على الخادم…",
+    few: "جارٍ حفظ {count} تغييرات على الخادم…", many: "جارٍ حفظ {count} تغييرًا على الخادم…", other: "جارٍ حفظ {count} تغيير على الخادم…"
+  },
+  "Offline. {count} changes waiting. Retrying in {seconds} s.": {
+    zero: "غير متصل. لا تغييرات بالانتظار. إعادة المحاولة خلال {seconds} ث.", one: "غير متصل. تغيير واحد بالانتظار. إعادة المحاولة خلال {seconds} ث.",
+    two: "غير متصل. تغييران بالانتظار. إعادة المحاولة خلال {seconds} ث.", few: "غير متصل. {count} تغييرات بالانتظار. إعادة المحاولة خلال {seconds} ث.",
+    many: "غير متصل. {count} تغييرًا بالانتظار. إعادة المحاولة خلال {seconds} ث.", other: "غير متصل. {count} تغيير بالانتظار. إعادة المحاولة خلال {seconds} ث."
+  },
+  "{count} changes haven't reached the server yet. Switch anyway? They stay in this browser's copy only.": {
+    zero: "وصلت كل التغييرات إلى الخادم. هل تريد التبديل؟",
+    one: "لم يصل تغيير واحد إلى الخادم بعد. هل تريد التبديل على أي حال؟ سيبقى في نسخة هذا المتصفح فقط.",
+    two: "لم يصل تغييران إلى الخادم بعد. هل تريد التبديل على أي حال؟ سيبقيان في نسخة هذا المتصفح فقط.",
+    few: "لم تصل {count} تغييرات إلى الخادم بعد. هل تريد التبديل على أي حال؟ ستبقى في نسخة هذا المتصفح فقط.",
+    many: "لم يصل {count} تغييرًا إلى الخادم بعد. هل تريد التبديل على أي حال؟ ستبقى في نسخة هذا المتصفح فقط.",
+    other: "لم يصل {count} تغيير إلى الخادم بعد. هل تريد التبديل على أي حال؟ ستبقى في نسخة هذا المتصفح فقط."
+  },
+  "{count} selected ({hidden} hidden by the search)": {
+    zero: "لا شيء محدد ({hidden} مخفي بالبحث)", one: "واحد محدد ({hidden} مخفي بالبحث)", two: "اثنان محددان ({hidden} مخفي بالبحث)",
+    few: "{count} محددة ({hidden} مخفي بالبحث)", many: "{count} محددًا ({hidden} مخفي بالبحث)", other: "{count} محدد ({hidden} مخفي بالبحث)"
+  },
+  "{count} selected": {
+    zero: "لا شيء محدد", one: "واحد محدد", two: "اثنان محددان", few: "{count} محددة", many: "{count} محددًا", other: "{count} محدد"
+  },
+  "Delete {count} selected profiles? You can undo this afterwards.": {
+    zero: "لا توجد ملفات شخصية محددة للحذف.", one: "حذف الملف الشخصي المحدد؟ يمكنك التراجع عن ذلك لاحقًا.", two: "حذف الملفين الشخصيين المحددين؟ يمكنك التراجع عن ذلك لاحقًا.",
+    few: "حذف {count} ملفات شخصية محددة؟ يمكنك التراجع عن ذلك لاحقًا.", many: "حذف {count} ملفًا شخصيًا محددًا؟ يمكنك التراجع عن ذلك لاحقًا.", other: "حذف {count} ملف شخصي محدد؟ يمكنك التراجع عن ذلك لاحقًا."
+  },
+  "Delete {count} profiles": {
+    zero: "حذف لا شيء", one: "حذف ملف شخصي واحد", two: "حذف ملفين شخصيين",
+    few: "حذف {count} ملفات شخصية", many: "حذف {count} ملفًا شخصيًا", other: "حذف {count} ملف شخصي"
+  },
+  "{count} profiles removed.": {
+    zero: "لم يُزل أي ملف شخصي.", one: "أُزيل ملف شخصي واحد.", two: "أُزيل ملفان شخصيان.",
+    few: "أُزيلت {count} ملفات شخصية.", many: "أُزيل {count} ملفًا شخصيًا.", other: "أُزيل {count} ملف شخصي."
+  },
+  "{count} profiles removed": {
+    zero: "لم يُزل أي ملف شخصي", one: "أُزيل ملف شخصي واحد", two: "أُزيل ملفان شخصيان",
+    few: "أُزيلت {count} ملفات شخصية", many: "أُزيل {count} ملفًا شخصيًا", other: "أُزيل {count} ملف شخصي"
+  },
+  "{label} updated for {count} profiles.": {
+    zero: "لم يُحدَّث {label} لأي ملف شخصي.", one: "حُدّث {label} لملف شخصي واحد.", two: "حُدّث {label} لملفين شخصيين.",
+    few: "حُدّث {label} لـ{count} ملفات شخصية.", many: "حُدّث {label} لـ{count} ملفًا شخصيًا.", other: "حُدّث {label} لـ{count} ملف شخصي."
+  },
+  "Interest \"{tag}\" added to {count} profiles.": {
+    zero: "لم يُضف الاهتمام \"{tag}\" إلى أي ملف شخصي.", one: "أُضيف الاهتمام \"{tag}\" إلى ملف شخصي واحد.", two: "أُضيف الاهتمام \"{tag}\" إلى ملفين شخصيين.",
+    few: "أُضيف الاهتمام \"{tag}\" إلى {count} ملفات شخصية.", many: "أُضيف الاهتمام \"{tag}\" إلى {count} ملفًا شخصيًا.", other: "أُضيف الاهتمام \"{tag}\" إلى {count} ملف شخصي."
+  },
+  "Interest \"{tag}\" removed from {count} profiles.": {
+    zero: "لم يُزل الاهتمام \"{tag}\" من أي ملف شخصي.", one: "أُزيل الاهتمام \"{tag}\" من ملف شخصي واحد.", two: "أُزيل الاهتمام \"{tag}\" من ملفين شخصيين.",
+    few: "أُزيل الاهتمام \"{tag}\" من {count} ملفات شخصية.", many: "أُزيل الاهتمام \"{tag}\" من {count} ملفًا شخصيًا.", other: "أُزيل الاهتمام \"{tag}\" من {count} ملف شخصي."
+  },
+  "{count} already had {max} interests and were left unchanged.": {
+    zero: "لم يكن لأي ملف {max} اهتمامات.", one: "كان لملف واحد {max} اهتمامات بالفعل فلم يتغير.", two: "كان لملفين {max} اهتمامات بالفعل فلم يتغيرا.",
+    few: "كان لـ{count} ملفات {max} اهتمامات بالفعل فلم تتغير.", many: "كان لـ{count} ملفًا {max} اهتمامات بالفعل فلم تتغير.", other: "كان لـ{count} ملف {max} اهتمامات بالفعل فلم تتغير."
+  },
+  "Exported {count} changes as {format}.": {
+    zero: "لم يُصدَّر أي تغيير بصيغة {format}.", one: "صُدّر تغيير واحد بصيغة {format}.", two: "صُدّر تغييران بصيغة {format}.",
+    few: "صُدّرت {count} تغييرات بصيغة {format}.", many: "صُدّر {count} تغييرًا بصيغة {format}.", other: "صُدّر {count} تغيير بصيغة {format}."
+  },
+  "{count} possible duplicates among {profiles} profiles, most likely first.": {
+    zero: "لا تكرارات محتملة بين {profiles} ملفات شخصية.", one: "تكرار محتمل واحد بين {profiles} ملفات شخصية.", two: "تكراران محتملان بين {profiles} ملفات شخصية، الأرجح أولًا.",
+    few: "{count} تكرارات محتملة بين {profiles} ملفات شخصية، الأرجح أولًا.", many: "{count} تكرارًا محتملًا بين {profiles} ملفات شخصية، الأرجح أولًا.", other: "{count} تكرار محتمل بين {profiles} ملفات شخصية، الأرجح أولًا."
+  },
+  "No likely duplicates among {count} profiles.": {
+    zero: "لا تكرارات محتملة، فلا توجد ملفات شخصية.", one: "لا تكرارات محتملة في ملف شخصي واحد.", two: "لا تكرارات محتملة بين ملفين شخصيين.",
+    few: "لا تكرارات محتملة بين {count} ملفات شخصية.", many: "لا تكرارات محتملة بين {count} ملفًا شخصيًا.", other: "لا تكرارات محتملة بين {count} ملف شخصي."
+  },
+  "{count} fields are the same on both and kept as they are.": {
+    zero: "لا حقول متطابقة في الاثنين.", one: "حقل واحد متطابق في الاثنين ويبقى كما هو.", two: "حقلان متطابقان في الاثنين ويبقيان كما هما.",
+    few: "{count} حقول متطابقة في الاثنين وتبقى كما هي.", many: "{count} حقلًا متطابقًا في الاثنين وتبقى كما هي.", other: "{count} حقل متطابق في الاثنين وتبقى كما هي."
+  },
+  "Exported {count} profiles as {format}.": {
+    zero: "لم يُصدَّر أي ملف شخصي بصيغة {format}.", one: "صُدّر ملف شخصي واحد بصيغة {format}.", two: "صُدّر ملفان شخصيان بصيغة {format}.",
+    few: "صُدّرت {count} ملفات شخصية بصيغة {format}.", many: "صُدّر {count} ملفًا شخصيًا بصيغة {format}.", other: "صُدّر {count} ملف شخصي بصيغة {format}."
+  },
+  "{file}: {count} rows — {new} new, {duplicate} matching existing profiles, {rejected} rejected.": {
+    zero: "{file}: لا صفوف.", one: "{file}: صف واحد — {new} جديد، {duplicate} يطابق ملفات موجودة، {rejected} مرفوض.",
+    two: "{file}: صفان — {new} جديد، {duplicate} يطابق ملفات موجودة، {rejected} مرفوض.", few: "{file}: {count} صفوف — {new} جديد، {duplicate} يطابق ملفات موجودة، {rejected} مرفوض.",
+    many: "{file}: {count} صفًا — {new} جديد، {duplicate} يطابق ملفات موجودة، {rejected} مرفوض.", other: "{file}: {count} صف — {new} جديد، {duplicate} يطابق ملفات موجودة، {rejected} مرفوض."
+  },
+  "Import {count} profiles": {
+    zero: "استيراد لا شيء", one: "استيراد ملف شخصي واحد", two: "استيراد ملفين شخصيين",
+    few: "استيراد {count} ملفات شخصية", many: "استيراد {count} ملفًا شخصيًا", other: "استيراد {count} ملف شخصي"
+  },
+  "Printing {count} badges on {sheets} ({perSheet} per sheet).": {
+    zero: "لا بطاقات للطباعة.", one: "جارٍ طباعة بطاقة واحدة على {sheets} ({perSheet} في كل ورقة).", two: "جارٍ طباعة بطاقتين على {sheets} ({perSheet} في كل ورقة).",
+    few: "جارٍ طباعة {count} بطاقات على {sheets} ({perSheet} في كل ورقة).", many: "جارٍ طباعة {count} بطاقة على {sheets} ({perSheet} في كل ورقة).", other: "جارٍ طباعة {count} بطاقة على {sheets} ({perSheet} في كل ورقة)."
+  },
+  "{count} profiles in {groups} · printed {date}": {
+    zero: "لا ملفات شخصية · طُبعت {date}", one: "ملف شخصي واحد في {groups} · طُبعت {date}", two: "ملفان شخصيان في {groups} · طُبعت {date}",
+    few: "{count} ملفات شخصية في {groups} · طُبعت {date}", many: "{count} ملفًا شخصيًا في {groups} · طُبعت {date}", other: "{count} ملف شخصي في {groups} · طُبعت {date}"
+  },
+  "Printing a roster of {count} profiles.": {
+    zero: "لا ملفات شخصية للطباعة.", one: "جارٍ طباعة قائمة بملف شخصي واحد.", two: "جارٍ طباعة قائمة بملفين شخصيين.",
+    few: "جارٍ طباعة قائمة بـ{count} ملفات شخصية.", many: "جارٍ طباعة قائمة بـ{count} ملفًا شخصيًا.", other: "جارٍ طباعة قائمة بـ{count} ملف شخصي."
+  },
+  "{count} profiles match \"{query}\".": {
+    zero: "لا ملفات شخصية تطابق \"{query}\".", one: "ملف شخصي واحد يطابق \"{query}\".", two: "ملفان شخصيان يطابقان \"{query}\".",
+    few: "{count} ملفات شخصية تطابق \"{query}\".", many: "{count} ملفًا شخصيًا يطابق \"{query}\".", other: "{count} ملف شخصي يطابق \"{query}\"."
+  },
+  "{option}, {count} profiles": {
+    zero: "{option}، لا ملفات شخصية", one: "{option}، ملف شخصي واحد", two: "{option}، ملفان شخصيان",
+    few: "{option}، {count} ملفات شخصية", many: "{option}، {count} ملفًا شخصيًا", other: "{option}، {count} ملف شخصي"
+  },
+  "{count} profiles shown.": {
+    zero: "لا ملفات شخصية معروضة.", one: "يُعرض ملف شخصي واحد.", two: "يُعرض ملفان شخصيان.",
+    few: "تُعرض {count} ملفات شخصية.", many: "يُعرض {count} ملفًا شخصيًا.", other: "يُعرض {count} ملف شخصي."
+  },
+  "All {count} profiles.": {
+    zero: "لا ملفات شخصية.", one: "الملف الشخصي الوحيد.", two: "الملفان الشخصيان كلاهما.",
+    few: "كل الملفات الشخصية الـ{count}.", many: "كل الملفات الشخصية الـ{count}.", other: "كل الملفات الشخصية الـ{count}."
+  },
+  "{shown} of {count} profiles: the ones the search and filters show.": {
+    zero: "{shown} من لا شيء.", one: "{shown} من ملف شخصي واحد: ما يعرضه البحث وعوامل التصفية.", two: "{shown} من ملفين شخصيين: ما يعرضه البحث وعوامل التصفية.",
+    few: "{shown} من {count} ملفات شخصية: ما يعرضه البحث وعوامل التصفية.", many: "{shown} من {count} ملفًا شخصيًا: ما يعرضه البحث وعوامل التصفية.", other: "{shown} من {count} ملف شخصي: ما يعرضه البحث وعوامل التصفية."
+  },
+  "{count} other spellings are in use.": {
+    zero: "لا تهجئات أخرى مستخدمة.", one: "تهجئة أخرى واحدة مستخدمة.", two: "تهجئتان أخريان مستخدمتان.",
+    few: "{count} تهجئات أخرى مستخدمة.", many: "{count} تهجئة أخرى مستخدمة.", other: "{count} تهجئة أخرى مستخدمة."
+  }
+});
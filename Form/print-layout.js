@@ -0,0 +1,172 @@
+// print-layout.js
+// Printable views built from profile data
+// - ID badges (credit-card size, 85.6 x 54 mm) laid out on A4 or Letter sheets, with a QR code
+//   of the profile ID (qr-code.js) and cut lines
+// - A class roster: one table per group (script.js groups by programme and year)
+// Sheets are sized in millimetres so the printout matches the paper; styles.css hides the rest of
+// the page while one of these views is being printed. Exposed as window.PrintLayout and used by script.js.
+
+(function () {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const PAGE_MARGIN = 10; // mm, on every side
+  const BADGE = { width: 85.6, height: 54 }; // ID-1 card
+  const QR_SIZE = 20; // mm, including its quiet zone
+  const PAPER_SIZES = {
+    A4: { label: "A4", width: 210, height: 297 },
+    Letter: { label: "Letter", width: 215.9, height: 279.4 }
+  };
+  const IMAGE_TIMEOUT = 5000; // ms to wait for a photo before printing without it
+
+  function paperSize(paper) {
+    return PAPER_SIZES[paper] || PAPER_SIZES.A4;
+  }
+
+  // @page rule for the chosen paper; script.js puts it in a <style> element while printing
+  function pageRule(paper) {
+    return `@page { size: ${paperSize(paper).label} portrait; margin: ${PAGE_MARGIN}mm; }`;
+  }
+
+  // How many badges fit on one sheet: { columns, rows, perSheet }
+  function badgeGrid(paper) {
+    const size = paperSize(paper);
+    const columns = Math.floor((size.width - 2 * PAGE_MARGIN) / BADGE.width);
+    const rows = Math.floor((size.height - 2 * PAGE_MARGIN) / BADGE.height);
+    return { columns, rows, perSheet: columns * rows };
+  }
+
+  /* =========================
+     Building blocks
+     ========================= */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // Photo that falls back to `fallback` (the placeholder the cards use) when it can't be loaded
+  function photo(src, fallback, alt, className) {
+    const img = el("img", className);
+    img.alt = alt;
+    img.src = src || fallback;
+    img.onerror = () => {
+      img.onerror = null;
+      img.src = fallback;
+    };
+    return img;
+  }
+
+  function qrSvg(text, sizeMm) {
+    const qr = QRCode.encode(text, { level: "M" });
+    const n = qr.size + 2 * QRCode.QUIET_ZONE;
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("viewBox", `0 0 ${n} ${n}`);
+    svg.setAttribute("width", `${sizeMm}mm`);
+    svg.setAttribute("height", `${sizeMm}mm`);
+    svg.setAttribute("shape-rendering", "crispEdges");
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", I18n.t("QR code for profile {id}", { id: text }));
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("width", String(n));
+    background.setAttribute("height", String(n));
+    background.setAttribute("fill", "#fff");
+    const modules = document.createElementNS(SVG_NS, "path");
+    modules.setAttribute("d", QRCode.toPathData(qr));
+    modules.setAttribute("fill", "#000");
+    svg.append(background, modules);
+    return svg;
+  }
+
+  /* =========================
+     Badges
+     ========================= */
+  // person: { id, name, details: [text], photo, fallbackPhoto }
+  function buildBadge(person, title) {
+    const badge = el("article", "badge");
+    badge.style.width = `${BADGE.width}mm`;
+    badge.style.height = `${BADGE.height}mm`;
+    const header = el("p", "badge-title", title);
+    const body = el("div", "badge-body");
+    const text = el("div", "badge-text");
+    text.append(el("h3", "badge-name", person.name));
+    person.details.filter(Boolean).forEach(line => text.append(el("p", "badge-detail", line)));
+    text.append(el("p", "badge-id", I18n.t("ID {id}", { id: person.id })));
+    const qr = el("div", "badge-qr");
+    qr.append(qrSvg(person.id, QR_SIZE));
+    body.append(photo(person.photo, person.fallbackPhoto, I18n.t("Photo of {name}", { name: person.name }), "badge-photo"), text, qr);
+    badge.append(header, body);
+    return badge;
+  }
+
+  // One <section> per sheet of paper
+  function buildBadgeSheets(people, { paper = "A4", title = "" } = {}) {
+    const { columns, perSheet } = badgeGrid(paper);
+    const sheets = [];
+    for (let i = 0; i < people.length; i += perSheet) {
+      const sheet = el("section", "print-sheet badge-sheet");
+      sheet.style.gridTemplateColumns = `repeat(${columns}, ${BADGE.width}mm)`;
+      sheet.setAttribute("aria-label", I18n.t("Badge sheet {number}", { number: sheets.length + 1 }));
+      people.slice(i, i + perSheet).forEach(person => sheet.append(buildBadge(person, title)));
+      sheets.push(sheet);
+    }
+    return sheets;
+  }
+
+  /* =========================
+     Roster
+     ========================= */
+  // groups: [{ heading, people: [person] }], columns: [{ label, value: person -> text }]
+  // A person here also has `photo` and `fallbackPhoto`, shown in the first column.
+  function buildRoster(groups, columns, { title = "", subtitle = "" } = {}) {
+    const sheet = el("section", "print-sheet roster-sheet");
+    sheet.append(el("h2", "roster-title", title));
+    if (subtitle) sheet.append(el("p", "roster-subtitle", subtitle));
+    groups.forEach(group => {
+      const section = el("section", "roster-group");
+      section.append(el("h3", null, `${group.heading} (${I18n.formatNumber(group.people.length)})`));
+      const table = el("table", "roster-table");
+      const headRow = el("tr");
+      [I18n.t("Photo")].concat(columns.map(c => c.label)).forEach(label => {
+        const th = el("th", null, label);
+        th.scope = "col";
+        headRow.append(th);
+      });
+      table.append(el("thead"));
+      table.tHead.append(headRow);
+      const tbody = el("tbody");
+      group.people.forEach(person => {
+        const tr = el("tr");
+        const photoTd = el("td");
+        photoTd.append(photo(person.photo, person.fallbackPhoto, "", "roster-photo"));
+        tr.append(photoTd);
+        columns.forEach(c => tr.append(el("td", null, c.value(person) || "—")));
+        tbody.append(tr);
+      });
+      table.append(tbody);
+      section.append(table);
+      sheet.append(section);
+    });
+    return sheet;
+  }
+
+  // Resolves once every image in `root` has loaded or failed (or after IMAGE_TIMEOUT), so the
+  // print preview doesn't show empty frames
+  function imagesReady(root) {
+    const pending = Array.from(root.querySelectorAll("img")).filter(img => !img.complete);
+    const loads = pending.map(img => new Promise(resolve => {
+      img.addEventListener("load", resolve, { once: true });
+      img.addEventListener("error", resolve, { once: true });
+    }));
+    return Promise.race([Promise.all(loads), new Promise(resolve => setTimeout(resolve, IMAGE_TIMEOUT))]);
+  }
+
+  window.PrintLayout = {
+    PAPER_SIZES,
+    BADGE,
+    pageRule,
+    badgeGrid,
+    buildBadgeSheets,
+    buildRoster,
+    imagesReady
+  };
+})();
@@ -0,0 +1,659 @@
+// profile-elements.js
+// The registration form, card grid and summary table as custom elements, for pages other than index.html
+// - <profile-form>, <profile-cards> and <profile-table>, and <profile-manager> with all three
+// - Attributes: storage-key (localStorage key of the roster, the app's own by default), columns (field
+//   keys shown on the cards and in the table, e.g. "firstName lastName email"), readonly (no form and
+//   no Edit/Remove buttons) and theme="dark"
+// - Elements with the same storage-key share one ProfileStore (profile-store.js) and pick up what
+//   other tabs, index.html included, save under that key
+// - Each element renders into its own shadow root, styled by styles.css: the file is fetched once and
+//   its :root and body.dark rules are rewritten for :host
+// - Changes made through an element fire profile-created, profile-updated and profile-removed with
+//   detail { id, profile, previous }; Edit on a card or row fires profile-edit with detail { id }.
+//   All of them bubble out of the shadow roots.
+// The form takes photo links only (no uploads), and keeps no change history or undo. Needs i18n.js,
+// schema.js, tags.js, storage-adapters.js, query.js, profile-store.js and profile-render.js loaded
+// first. Exposed as window.ProfileElements; see embed.html.
+
+(function () {
+  const { t } = I18n;
+  const DEFAULT_STORAGE_KEY = "profile_manager_v1"; // the key index.html keeps its roster under
+  const SCHEMA_STORAGE_KEY = "profile_manager_form_schema"; // the form as edited under Form Settings
+  const STYLES_URL = new URL("styles.css", document.currentScript.src).href;
+  // tags are compared by their key only: the app's synonym lists aren't shared with other pages
+  const TAG_VOCABULARY = Tags.emptyVocabulary();
+
+  /* =========================
+     Form schema
+     ========================= */
+  // The saved form schema when this origin has a valid one, else the default form, in the active language
+  let schema = null;
+
+  function formSchema() {
+    if (schema) return schema;
+    let saved = null;
+    try {
+      const raw = localStorage.getItem(SCHEMA_STORAGE_KEY);
+      if (raw) {
+        const candidate = ProfileSchema.normalizeSchema(JSON.parse(raw));
+        if (!ProfileSchema.validateSchema(candidate).length) saved = candidate;
+      }
+    } catch (err) {
+      console.error("Saved form schema could not be read, using the default form:", err);
+    }
+    schema = ProfileSchema.localizeSchema(saved || ProfileSchema.normalizeSchema(ProfileSchema.DEFAULT_SCHEMA));
+    return schema;
+  }
+
+  // The fields listed in a `columns` attribute, in its order (unknown keys are skipped), or the
+  // schema's fields with `flag` set (showInCard, showInTable) when there is none
+  function columnFields(columns, flag) {
+    const fields = formSchema().fields;
+    if (columns == null) return fields.filter(f => f[flag]);
+    return columns.split(/[\s,]+/).map(key => fields.find(f => f.key === key)).filter(Boolean);
+  }
+
+  /* =========================
+     Shared stores
+     ========================= */
+  // storage key -> { store, damaged, users, onStorage }
+  const shared = new Map();
+
+  function loadShared(entry) {
+    try {
+      entry.store.load();
+      entry.damaged = false;
+    } catch (err) {
+      // nothing may be saved over data that can't be read; index.html offers to recover it
+      console.error("Stored profiles could not be read:", err);
+      entry.damaged = true;
+      entry.store.reset({});
+    }
+  }
+
+  function acquireStore(key) {
+    let entry = shared.get(key);
+    if (!entry) {
+      const store = ProfileStore.create({
+        fields: formSchema().fields,
+        storage: StorageAdapters.createLocalAdapter(key),
+        tagKey: (fieldKey, text) => Tags.resolveKey(text, TAG_VOCABULARY)
+      });
+      entry = { store, damaged: false, users: 0, onStorage: null };
+      entry.onStorage = (e) => {
+        if (e.key === key) loadShared(entry);
+      };
+      window.addEventListener("storage", entry.onStorage);
+      shared.set(key, entry);
+      loadShared(entry);
+    }
+    entry.users++;
+    return entry;
+  }
+
+  function releaseStore(key) {
+    const entry = shared.get(key);
+    if (!entry || --entry.users > 0) return;
+    window.removeEventListener("storage", entry.onStorage);
+    shared.delete(key);
+  }
+
+  /* =========================
+     Styles
+     ========================= */
+  // Rules for the elements themselves; the rest comes from styles.css
+  const HOST_CSS = `
+    :host { display: block; font-family: "Inter", "Segoe UI", Roboto, sans-serif; line-height: 1.6; color: var(--text-dark); }
+    :host([hidden]) { display: none; }
+    .element-status:empty { display: none; }
+    profile-form, profile-cards, profile-table { margin-bottom: 1.5rem; }
+  `;
+  let stylesPromise = null;
+
+  // styles.css for a shadow root: its variables sit on :root and its dark theme on body.dark, which
+  // nothing inside a shadow root matches
+  function shadowCss(text) {
+    return text
+      .replace(/:root\b/g, ":host")
+      .replace(/\bbody\.dark\b/g, ':host([theme="dark"])');
+  }
+
+  function loadStyles() {
+    if (!stylesPromise) {
+      stylesPromise = fetch(STYLES_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`${STYLES_URL}: HTTP ${res.status}`);
+          return res.text();
+        })
+        .then(text => shadowCss(text) + HOST_CSS);
+    }
+    return stylesPromise;
+  }
+
+  function addStyles(root) {
+    const style = document.createElement("style");
+    style.textContent = HOST_CSS;
+    root.appendChild(style);
+    loadStyles().then(css => { style.textContent = css; }).catch(err => {
+      // e.g. a page opened from file://, where fetch() is refused: the stylesheet as it is still does most of it
+      console.error("styles.css could not be fetched for the profile elements:", err);
+      const link = document.createElement("link");
+      link.rel = "stylesheet";
+      link.href = STYLES_URL;
+      root.insertBefore(link, style);
+    });
+  }
+
+  /* =========================
+     Base element
+     ========================= */
+  // Shadow root, shared store and attribute handling for <profile-form>, <profile-cards> and
+  // <profile-table>. Subclasses build their content in render() and refresh it in changed(event).
+  class ProfileElement extends HTMLElement {
+    static get observedAttributes() {
+      return ["storage-key", "columns", "readonly"];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      addStyles(this.shadowRoot);
+      this.content = document.createElement("div");
+      this.content.className = "profile-element";
+      this.shadowRoot.appendChild(this.content);
+      this.shared = null;
+      this.unsubscribe = null;
+    }
+
+    get storageKey() {
+      return this.getAttribute("storage-key") || DEFAULT_STORAGE_KEY;
+    }
+
+    get readOnly() {
+      return this.hasAttribute("readonly");
+    }
+
+    // The ProfileStore behind the element (null while it isn't in the page)
+    get store() {
+      return this.shared ? this.shared.store : null;
+    }
+
+    connectedCallback() {
+      this.connectStore();
+      this.renderAll();
+    }
+
+    disconnectedCallback() {
+      this.disconnectStore();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.shared || oldValue === newValue) return;
+      if (name === "storage-key") {
+        this.disconnectStore();
+        this.connectStore();
+      }
+      this.renderAll();
+    }
+
+    connectStore() {
+      this.sharedKey = this.storageKey;
+      this.shared = acquireStore(this.sharedKey);
+      this.unsubscribe = this.shared.store.subscribe(event => this.changed(event));
+    }
+
+    disconnectStore() {
+      if (!this.shared) return;
+      this.unsubscribe();
+      releaseStore(this.sharedKey);
+      this.shared = null;
+    }
+
+    renderAll() {
+      const locale = I18n.getLocale();
+      this.content.lang = locale;
+      this.content.dir = I18n.LOCALES[locale].dir;
+      this.content.innerHTML = "";
+      this.render();
+    }
+
+    render() {}
+
+    changed() {}
+
+    emit(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail }));
+    }
+
+    // Writes the roster back to storage; returns an error message, or "" when it was saved
+    save() {
+      if (this.shared.damaged) return t("The saved profiles could not be read, so nothing was saved over them.");
+      try {
+        this.store.save();
+        return "";
+      } catch (err) {
+        console.error("localStorage set error:", err);
+        return t("Could not save to localStorage (quota or privacy settings).");
+      }
+    }
+
+    // Edit and Remove for a card or row
+    actions(id, name) {
+      const editBtn = document.createElement("button");
+      editBtn.className = "edit-btn";
+      editBtn.type = "button";
+      editBtn.textContent = t("Edit");
+      editBtn.setAttribute("aria-label", t("Edit profile {name}", { name }));
+      editBtn.addEventListener("click", () => this.emit("profile-edit", { id }));
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "remove-btn";
+      removeBtn.type = "button";
+      removeBtn.textContent = t("Remove");
+      removeBtn.setAttribute("aria-label", t("Remove profile {name}", { name }));
+      removeBtn.addEventListener("click", () => this.removeProfile(id, name));
+
+      const container = document.createElement("div");
+      container.append(editBtn, removeBtn);
+      return container;
+    }
+
+    removeProfile(id, name) {
+      if (!confirm(t("Remove the profile of {name}?", { name }))) return;
+      const previous = this.store.remove(id);
+      if (!previous) return;
+      const problem = this.save();
+      if (problem) {
+        this.store.apply([{ id, after: previous }]);
+        this.showStatus(problem);
+        return;
+      }
+      this.emit("profile-removed", { id, profile: null, previous });
+    }
+
+    // A line under the cards or table for what went wrong (the form has its own)
+    showStatus(message) {
+      let status = this.content.querySelector(".element-status");
+      if (!status) {
+        status = document.createElement("p");
+        status.className = "error element-status";
+        status.setAttribute("role", "status");
+        this.content.appendChild(status);
+      }
+      status.textContent = message;
+    }
+  }
+
+  function fullName(p) {
+    return `${p.firstName || ""} ${p.lastName || ""}`.trim();
+  }
+
+  /* =========================
+     <profile-form>
+     ========================= */
+  // Adds profiles, or edits one after edit(id). read-only disables it.
+  class ProfileFormElement extends ProfileElement {
+    constructor() {
+      super();
+      this.editingId = null;
+      this.tagInputs = new Map(); // field key -> chip input
+    }
+
+    render() {
+      const form = document.createElement("form");
+      form.noValidate = true;
+      const fields = document.createElement("div");
+      fields.className = "grid-2 form-fields";
+      this.tagInputs.clear();
+      formSchema().fields.forEach(field => {
+        const { row, input } = ProfileRender.formRow(field);
+        input.addEventListener("input", () => this.showError(field.key, ""));
+        fields.appendChild(row);
+        if (field.type === "tags") this.createTagInput(field, input);
+      });
+
+      const photoRow = document.createElement("div");
+      photoRow.className = "form-row";
+      const photoLabel = document.createElement("label");
+      photoLabel.htmlFor = "photoUrl";
+      photoLabel.textContent = t("Photo URL");
+      const photoInput = document.createElement("input");
+      photoInput.type = "url";
+      photoInput.id = "photoUrl";
+      photoInput.name = "photoUrl";
+      photoInput.placeholder = "https://example.com/photo.jpg";
+      photoInput.addEventListener("input", () => this.showError("photoUrl", ""));
+      const photoHint = document.createElement("span");
+      photoHint.className = "hint";
+      photoHint.textContent = t("Paste a direct link to a JPG or PNG image.");
+      const photoError = document.createElement("span");
+      photoError.className = "error";
+      photoError.id = "photoUrlError";
+      photoError.setAttribute("aria-live", "polite");
+      photoRow.append(photoLabel, photoInput, photoHint, photoError);
+
+      const buttons = document.createElement("div");
+      buttons.className = "flex gap-2 mt-3";
+      const submit = document.createElement("button");
+      submit.type = "submit";
+      submit.className = "btn-primary";
+      submit.textContent = t("Submit");
+      const reset = document.createElement("button");
+      reset.type = "reset";
+      reset.className = "btn-secondary";
+      reset.textContent = t("Reset");
+      const cancel = document.createElement("button");
+      cancel.type = "button";
+      cancel.id = "cancelEdit";
+      cancel.className = "btn-warning";
+      cancel.textContent = t("Cancel Edit");
+      cancel.hidden = true;
+      cancel.addEventListener("click", () => form.reset());
+      buttons.append(submit, reset, cancel);
+
+      const status = document.createElement("p");
+      status.id = "formStatus";
+      status.className = "mt-2";
+      status.setAttribute("aria-live", "polite");
+
+      form.append(fields, photoRow, buttons, status);
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.submit();
+      });
+      form.addEventListener("reset", () => {
+        // after the browser has cleared the inputs
+        setTimeout(() => {
+          this.tagInputs.forEach(tagInput => tagInput.setTags([]));
+          formSchema().fields.forEach(field => this.showError(field.key, ""));
+          this.showError("photoUrl", "");
+          if (this.editingId) this.announce(t("Edit cancelled."), "info");
+          this.endEdit();
+        });
+      });
+      Array.from(form.elements).forEach(control => { control.disabled = this.readOnly; });
+      this.form = form;
+      this.content.appendChild(form);
+      this.endEdit();
+    }
+
+    changed() {
+      // the profile being edited was removed (here or in another tab)
+      if (this.editingId && !this.store.get(this.editingId)) this.form.reset();
+    }
+
+    createTagInput(field, input) {
+      const index = () => Tags.indexTags(Object.values(this.store.all()).map(p => p[field.key]), TAG_VOCABULARY);
+      this.tagInputs.set(field.key, Tags.createTagInput(input, {
+        maxItems: field.maxItems,
+        canonical: text => Tags.canonicalTag(text, TAG_VOCABULARY, index()),
+        keyOf: text => Tags.resolveKey(text, TAG_VOCABULARY),
+        suggest: (text, exclude) => Tags.suggestTags(text, TAG_VOCABULARY, index(), { exclude }),
+        onChange: () => this.showError(field.key, ""),
+        onLimit: max => this.showError(field.key, t("You can add up to {max} {label}. Remove one to add another.", { max, label: field.label.toLowerCase() }))
+      }));
+    }
+
+    input(key) {
+      return this.shadowRoot.getElementById(key);
+    }
+
+    showError(key, message) {
+      const error = this.shadowRoot.getElementById(key + "Error");
+      if (error) error.textContent = message;
+    }
+
+    announce(message, mode) {
+      const status = this.shadowRoot.getElementById("formStatus");
+      status.textContent = message;
+      status.className = `mt-2 ${mode}`;
+    }
+
+    // Fills the form with a profile; submitting saves it over that profile
+    edit(id) {
+      const profile = this.store.get(id);
+      if (!profile || this.readOnly) return;
+      this.editingId = id;
+      formSchema().fields.forEach(field => {
+        const value = profile[field.key];
+        if (this.tagInputs.has(field.key)) this.tagInputs.get(field.key).setTags(value || []);
+        else if (this.input(field.key)) this.input(field.key).value = value == null ? "" : String(value);
+      });
+      // an uploaded photo stays unless a link replaces it; only links are shown
+      this.input("photoUrl").value = /^https?:/i.test(profile.photoUrl || "") ? profile.photoUrl : "";
+      this.input("cancelEdit").hidden = false;
+      const first = formSchema().fields.length && this.input(formSchema().fields[0].key);
+      if (first) first.focus();
+      this.announce(t("Editing profile {id}. Form populated.", { id }), "info");
+    }
+
+    endEdit() {
+      this.editingId = null;
+      if (this.input("cancelEdit")) this.input("cancelEdit").hidden = true;
+    }
+
+    readForm() {
+      const data = {};
+      formSchema().fields.forEach(field => {
+        if (field.type === "tags") data[field.key] = this.tagInputs.has(field.key) ? this.tagInputs.get(field.key).getTags() : [];
+        else data[field.key] = field.type === "select" ? this.input(field.key).value : this.input(field.key).value.trim();
+      });
+      const photoUrl = this.input("photoUrl").value.trim();
+      const current = this.editingId ? this.store.get(this.editingId) : null;
+      data.photoUrl = photoUrl || (current && current.photoUrl) || null;
+      if (photoUrl) {
+        // a new link replaces a lost photo or one kept in index.html's photo store
+        data.photoRef = null;
+        data.photoMissing = false;
+      }
+      return data;
+    }
+
+    submit() {
+      if (this.readOnly) return;
+      const id = this.editingId;
+      const data = this.readForm();
+      formSchema().fields.forEach(field => this.showError(field.key, ""));
+      this.showError("photoUrl", "");
+      const errors = this.store.validate(data, { excludeId: id });
+      if (errors.length) {
+        errors.forEach(error => this.showError(error.field, error.message));
+        this.announce(t("Please fix form errors before submitting."), "error");
+        return;
+      }
+
+      const previous = id ? this.store.get(id) : null;
+      let newId = id;
+      try {
+        if (id) this.store.update(id, data);
+        else newId = this.store.add(data);
+      } catch (err) {
+        if (!(err instanceof ProfileStore.ValidationError)) throw err;
+        err.errors.forEach(error => this.showError(error.field, error.message));
+        this.announce(t("Please fix form errors before submitting."), "error");
+        return;
+      }
+      const problem = this.save();
+      if (problem) {
+        this.store.apply([{ id: newId, after: previous }]);
+        this.announce(problem, "error");
+        return;
+      }
+      const profile = this.store.get(newId);
+      this.form.reset();
+      this.endEdit();
+      if (id) {
+        this.announce(t("Profile {id} updated successfully.", { id }), "success");
+        this.emit("profile-updated", { id, profile, previous });
+      } else {
+        this.announce(t("Profile added successfully with ID {id}.", { id: newId }), "success");
+        this.emit("profile-created", { id: newId, profile, previous: null });
+      }
+    }
+  }
+
+  /* =========================
+     <profile-cards>
+     ========================= */
+  class ProfileCardsElement extends ProfileElement {
+    constructor() {
+      super();
+      this.built = new Map(); // id -> { profile, element }: a card is rebuilt only when its profile changes
+    }
+
+    render() {
+      this.built.clear();
+      this.grid = document.createElement("div");
+      this.grid.className = "cards-grid";
+      this.grid.setAttribute("role", "list");
+      this.empty = document.createElement("p");
+      this.empty.className = "hint";
+      this.empty.textContent = t("No profiles yet. Use the form to add one.");
+      this.content.append(this.grid, this.empty);
+      if (this.shared.damaged) this.showStatus(t("Saved profiles could not be loaded"));
+      this.changed();
+    }
+
+    changed() {
+      const fields = columnFields(this.getAttribute("columns"), "showInCard");
+      const next = new Map();
+      const cards = this.store.query().map(([id, profile]) => {
+        const old = this.built.get(id);
+        const element = old && old.profile === profile ? old.element : ProfileRender.card(id, profile, {
+          fields,
+          photoNote: profile.photoMissing && !profile.photoUrl ? t("Photo could not be restored — edit to upload it again.") : null,
+          actions: this.readOnly ? null : name => this.actions(id, name)
+        });
+        next.set(id, { profile, element });
+        return element;
+      });
+      this.built = next;
+      this.grid.replaceChildren(...cards);
+      this.empty.hidden = cards.length > 0;
+    }
+  }
+
+  /* =========================
+     <profile-table>
+     ========================= */
+  class ProfileTableElement extends ProfileElement {
+    constructor() {
+      super();
+      this.built = new Map(); // id -> { profile, element }
+    }
+
+    render() {
+      this.built.clear();
+      this.fields = columnFields(this.getAttribute("columns"), "showInTable");
+      const wrapper = document.createElement("div");
+      wrapper.className = "table-wrapper";
+      const table = document.createElement("table");
+      const headRow = document.createElement("tr");
+      const headings = [t("ID"), t("Photo")].concat(this.fields.map(f => f.shortLabel));
+      if (!this.readOnly) headings.push(t("Actions"));
+      headings.forEach(text => {
+        const th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      const thead = document.createElement("thead");
+      thead.appendChild(headRow);
+      this.tbody = document.createElement("tbody");
+      table.append(thead, this.tbody);
+      wrapper.appendChild(table);
+      this.content.appendChild(wrapper);
+      if (this.shared.damaged) this.showStatus(t("Saved profiles could not be loaded"));
+      this.changed();
+    }
+
+    changed() {
+      const next = new Map();
+      const rows = this.store.query().map(([id, profile]) => {
+        const old = this.built.get(id);
+        const element = old && old.profile === profile ? old.element : ProfileRender.row(id, profile, {
+          fields: this.fields,
+          photoNote: profile.photoMissing && !profile.photoUrl ? t("Photo could not be restored — edit to upload it again.") : null,
+          actions: this.readOnly ? null : name => this.actions(id, name)
+        });
+        next.set(id, { profile, element });
+        return element;
+      });
+      this.built = next;
+      this.tbody.replaceChildren(...rows);
+    }
+  }
+
+  /* =========================
+     <profile-manager>
+     ========================= */
+  // The form, the cards and the table together, as on index.html. Its attributes are passed on to
+  // the three, and Edit on a card or row fills in the form.
+  const PASSED_ATTRIBUTES = ["storage-key", "columns", "readonly", "theme"];
+
+  class ProfileManagerElement extends HTMLElement {
+    static get observedAttributes() {
+      return PASSED_ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      addStyles(this.shadowRoot);
+      const content = document.createElement("div");
+      content.className = "profile-element";
+      const section = (title, part) => {
+        const el = document.createElement("section");
+        const heading = document.createElement("h2");
+        heading.textContent = title;
+        el.append(heading, part);
+        content.appendChild(el);
+        return el;
+      };
+      this.form = document.createElement("profile-form");
+      this.cards = document.createElement("profile-cards");
+      this.table = document.createElement("profile-table");
+      this.formSection = section(t("Register a New Profile"), this.form);
+      section(t("Profile Cards"), this.cards);
+      section(t("Summary Table"), this.table);
+      this.shadowRoot.appendChild(content);
+      this.shadowRoot.addEventListener("profile-edit", (e) => {
+        this.form.edit(e.detail.id);
+        this.form.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+    }
+
+    connectedCallback() {
+      const content = this.shadowRoot.querySelector(".profile-element");
+      const locale = I18n.getLocale();
+      content.lang = locale;
+      content.dir = I18n.LOCALES[locale].dir;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      [this.form, this.cards, this.table].forEach(part => {
+        if (newValue == null) part.removeAttribute(name);
+        else part.setAttribute(name, newValue);
+      });
+      if (name === "readonly") this.formSection.hidden = newValue != null;
+    }
+
+    // The ProfileStore the three parts share (null while it isn't in the page)
+    get store() {
+      return this.cards.store;
+    }
+  }
+
+  customElements.define("profile-form", ProfileFormElement);
+  customElements.define("profile-cards", ProfileCardsElement);
+  customElements.define("profile-table", ProfileTableElement);
+  customElements.define("profile-manager", ProfileManagerElement);
+
+  window.ProfileElements = {
+    DEFAULT_STORAGE_KEY,
+    ProfileFormElement,
+    ProfileCardsElement,
+    ProfileTableElement,
+    ProfileManagerElement
+  };
+})();
@@ -0,0 +1,294 @@
+// profile-render.js
+// Builds the profile cards and summary table rows from profile data
+// - Profile values only ever become text nodes and attribute values (never HTML), so a name like
+//   <img onerror=...> in a typed, imported or synced record shows as that text
+// - Form rows for the schema fields are built here too, so every form shows a field the same way
+// - Search matches are marked by splitting the text nodes around <mark> elements
+// - Photo URLs are shown only with a safe scheme (https, http, blob, or a base64 PNG/JPEG/WebP/GIF
+//   data URL); anything else gets the placeholder
+// Exposed as window.ProfileRender and used by script.js.
+
+(function () {
+  const SAFE_DATA_IMAGE_RE = /^data:image\/(png|jpeg|webp|gif);base64,[a-z0-9+/=\s]*$/i;
+  const SAFE_PHOTO_PROTOCOLS = ["https:", "http:", "blob:"];
+  // query fields that highlight inside a displayed name
+  const NAME_FIELDS = ["firstName", "lastName", "name"];
+
+  /* =========================
+     Photos
+     ========================= */
+  // `url` if an <img> may load it, else "". Relative URLs are refused too: a stored or imported
+  // record names its photo in full.
+  function safePhotoUrl(url) {
+    if (typeof url !== "string") return "";
+    const trimmed = url.trim();
+    if (!trimmed) return "";
+    if (/^data:/i.test(trimmed)) return SAFE_DATA_IMAGE_RE.test(trimmed) ? trimmed : "";
+    try {
+      // URL() drops the tabs, newlines and leading control characters browsers ignore in a scheme
+      return SAFE_PHOTO_PROTOCOLS.includes(new URL(trimmed).protocol) ? trimmed : "";
+    } catch (err) {
+      return "";
+    }
+  }
+
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+  }
+
+  // A subtle SVG data URI with the initials, so nothing is fetched for profiles without a photo
+  function placeholderPhoto(first, last) {
+    const initials = ((first || "").charAt(0) + (last || "").charAt(0)).toUpperCase() || "U";
+    const svg = `<svg xmlns='http://www.w3.org/2000/svg' width='300' height='180'>
+      <defs><linearGradient id='g' x1='0' x2='1'><stop stop-color='#e0f2f1' offset='0'/><stop stop-color='#b2dfdb' offset='1'/></linearGradient></defs>
+      <rect width='100%' height='100%' fill='url(#g)'/>
+      <text x='50%' y='55%' dominant-baseline='middle' text-anchor='middle' font-family='Arial' font-size='48' fill='#00695c'>${escapeXml(initials)}</text>
+    </svg>`;
+    return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+  }
+
+  // The profile's photo, or its placeholder when there is none, the URL isn't safe or it fails to load
+  function photo(data, alt, className) {
+    const fallback = placeholderPhoto(data.firstName, data.lastName);
+    const img = document.createElement("img");
+    if (className) img.className = className;
+    img.alt = alt;
+    img.loading = "lazy";
+    img.src = safePhotoUrl(data.photoUrl) || fallback;
+    img.onerror = () => {
+      img.onerror = null;
+      img.src = fallback;
+    };
+    return img;
+  }
+
+  /* =========================
+     Highlighting
+     ========================= */
+  // I18n.fold(text) one character at a time; starts[i] is where folded character i came from in
+  // `text` (plus one entry for the end), so accents dropped by folding stay inside a match
+  function foldWithOffsets(text) {
+    let folded = "";
+    const starts = [];
+    for (let i = 0; i < text.length;) {
+      const ch = String.fromCodePoint(text.codePointAt(i));
+      const piece = I18n.fold(ch);
+      for (let k = 0; k < piece.length; k++) starts.push(i);
+      folded += piece;
+      i += ch.length;
+    }
+    starts.push(text.length);
+    return { folded, starts };
+  }
+
+  // [[from, to], ...] spans of `text` matching the search. `highlights` comes from
+  // ProfileQuery.highlightTerms(); a term aimed at a field only applies to text showing one of
+  // `fields`. The terms are folded (I18n.fold), so they are matched against the folded text and the
+  // matches mapped back: "zoe" marks the "Zoë" in "Zoë Smith".
+  function matchRanges(text, highlights, fields) {
+    const sources = (highlights || [])
+      .filter(h => !h.field || fields.includes(h.field))
+      .map(h => h.regex.source);
+    if (!sources.length || !text) return [];
+    const re = new RegExp(sources.join("|"), "gi");
+    const { folded, starts } = foldWithOffsets(text);
+    const ranges = [];
+    let last = 0;
+    folded.replace(re, (m, ...args) => {
+      const offset = args[args.length - 2];
+      const from = starts[offset];
+      const to = starts[offset + m.length];
+      if (m && from >= last) {
+        ranges.push([from, to]);
+        last = to;
+      }
+      return m;
+    });
+    return ranges;
+  }
+
+  // `text` as text nodes, with the matches wrapped in <mark>
+  function highlightedText(text, highlights, fields) {
+    const str = String(text == null ? "" : text);
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    matchRanges(str, highlights, fields).forEach(([from, to]) => {
+      if (from > last) fragment.appendChild(document.createTextNode(str.slice(last, from)));
+      const mark = document.createElement("mark");
+      mark.textContent = str.slice(from, to);
+      fragment.appendChild(mark);
+      last = to;
+    });
+    if (last < str.length) fragment.appendChild(document.createTextNode(str.slice(last)));
+    return fragment;
+  }
+
+  function highlightFieldsFor(key) {
+    return key === "firstName" || key === "lastName" ? NAME_FIELDS : [key];
+  }
+
+  /* =========================
+     Form fields
+     ========================= */
+  // The form row for one schema field: label, input (a <select> for options), hint and error
+  // message. The input's id is the field key and the error's is key + "Error"; a tag field's input is
+  // a plain text input until Tags.createTagInput() turns it into chips.
+  function formRow(field) {
+    const row = document.createElement("div");
+    row.className = "form-row" + (field.type === "tags" ? " span-2" : "");
+    const label = document.createElement("label");
+    label.htmlFor = field.key;
+    label.textContent = field.label;
+
+    let input;
+    if (field.type === "select") {
+      input = document.createElement("select");
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = I18n.t("Select {label}", { label: field.shortLabel });
+      input.appendChild(placeholder);
+      field.options.forEach(o => {
+        const opt = document.createElement("option");
+        opt.value = o.value;
+        opt.textContent = o.label;
+        input.appendChild(opt);
+      });
+    } else {
+      input = document.createElement("input");
+      input.type = field.type === "tags" ? "text" : field.type;
+      if (field.type === "tags") input.autocomplete = "off";
+      if (field.placeholder) input.placeholder = field.placeholder;
+      if (field.type === "number") {
+        if (field.min != null) input.min = field.min;
+        if (field.max != null) input.max = field.max;
+      }
+    }
+    input.id = field.key;
+    input.name = field.key;
+    input.required = field.required;
+    row.append(label, input);
+
+    if (field.hint) {
+      const hint = document.createElement("span");
+      hint.className = "hint";
+      hint.id = field.key + "Help";
+      hint.textContent = field.hint;
+      input.setAttribute("aria-describedby", hint.id);
+      row.appendChild(hint);
+    }
+    const error = document.createElement("span");
+    error.className = "error";
+    error.id = field.key + "Error";
+    error.setAttribute("aria-live", "polite");
+    row.appendChild(error);
+    return { row, input };
+  }
+
+  /* =========================
+     Cards & rows
+     ========================= */
+  function fullName(data) {
+    return `${data.firstName || ""} ${data.lastName || ""}`.trim();
+  }
+
+  // One profile as a card. Options:
+  //   fields             schema fields shown on cards
+  //   highlights         ProfileQuery.highlightTerms() of the current search
+  //   editing            the card is the one being edited
+  //   photoNote          text shown under the fields when the photo was lost (or null)
+  //   actions(name)      -> Element with the card's buttons
+  function card(id, data, { fields = [], highlights = [], editing = false, photoNote = null, actions } = {}) {
+    const name = fullName(data);
+    const article = document.createElement("article");
+    article.className = "profile-card fade-in";
+    article.id = "card-" + id;
+    article.setAttribute("data-id", id);
+    article.setAttribute("role", "listitem");
+    if (editing) article.setAttribute("aria-current", "true");
+
+    const body = document.createElement("div");
+    body.className = "card-body";
+    const heading = document.createElement("h4");
+    heading.appendChild(highlightedText(name, highlights, NAME_FIELDS));
+    body.appendChild(heading);
+
+    fields.forEach(field => {
+      if (field.key === "firstName" || field.key === "lastName") return; // shown as the heading
+      const text = ProfileSchema.formatValue(field, data[field.key]);
+      if (!text) return;
+      const p = document.createElement("p");
+      const label = document.createElement("strong");
+      label.textContent = `${field.shortLabel}:`;
+      const value = document.createElement("span");
+      value.appendChild(highlightedText(text, highlights, highlightFieldsFor(field.key)));
+      p.append(label, " ", value);
+      body.appendChild(p);
+    });
+    if (photoNote) {
+      const note = document.createElement("p");
+      note.className = "photo-note";
+      note.textContent = photoNote;
+      body.appendChild(note);
+    }
+    if (data.updatedAt) {
+      const updated = document.createElement("p");
+      updated.className = "card-meta";
+      updated.textContent = I18n.t("Updated {date}", { date: I18n.formatDate(data.updatedAt) });
+      body.appendChild(updated);
+    }
+    if (actions) {
+      const cardActions = actions(name);
+      cardActions.className = "card-actions";
+      body.appendChild(cardActions);
+    }
+    article.append(photo(data, I18n.t("Profile photo of {name}", { name }), ""), body);
+    return article;
+  }
+
+  // One profile as a summary table row. Options as for card(), with `fields` the table's fields, plus:
+  //   selected           the row is selected
+  //   selectCell         -> <td> with the row's checkbox
+  // Without `actions` the row has no Actions cell.
+  function row(id, data, { fields = [], highlights = [], selected = false, photoNote = null, selectCell, actions } = {}) {
+    const name = fullName(data);
+    const tr = document.createElement("tr");
+    tr.id = "row-" + id;
+    tr.setAttribute("data-id", id);
+    tr.classList.toggle("is-selected", selected);
+    if (selectCell) tr.appendChild(selectCell());
+
+    const cell = label => {
+      const td = document.createElement("td");
+      td.setAttribute("data-label", label);
+      tr.appendChild(td);
+      return td;
+    };
+    cell(I18n.t("ID")).appendChild(highlightedText(id, highlights, ["id"]));
+
+    const photoCell = cell(I18n.t("Photo"));
+    photoCell.appendChild(photo(data, I18n.t("{name} photo", { name }), "table-photo"));
+    if (photoNote) photoCell.title = photoNote;
+
+    fields.forEach(field => {
+      const text = ProfileSchema.formatValue(field, data[field.key]) || "—";
+      cell(field.shortLabel).appendChild(highlightedText(text, highlights, highlightFieldsFor(field.key)));
+    });
+
+    if (actions) {
+      const rowActions = actions(name);
+      rowActions.className = "td-actions";
+      cell(I18n.t("Actions")).appendChild(rowActions);
+    }
+    return tr;
+  }
+
+  window.ProfileRender = {
+    safePhotoUrl,
+    placeholderPhoto,
+    matchRanges,
+    highlightedText,
+    formRow,
+    card,
+    row
+  };
+})();
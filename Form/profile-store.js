@@ -0,0 +1,477 @@
+// profile-store.js
+// The profile roster without a page: records, validation, search, sorting and the stored format
+// - create() gives a store with add / update / remove / query and change events (subscribe); script.js
+//   keeps the page's roster in one, and it runs as well in Node (see tests/)
+// - Validation follows the form schema (schema.js): each field's rules, unique fields (emails compared
+//   in their normalised form) and photo links
+// - The stored payload is versioned: older payloads are migrated and damaged ones rejected with a
+//   readable reason; large photos are left out of the stored records or handed to a photo store
+// Profiles are replaced, never edited in place, so a changed profile is always a new object (the card
+// grid, the table and the search index rely on that). Exposed as window.ProfileStore and used by script.js.
+
+(function () {
+  const { t, tn } = I18n;
+  const STORAGE_SCHEMA_VERSION = 3;
+  // Photos restored from a JSON roster export are embedded as data URLs
+  const DATA_IMAGE_RE = /^data:image\/(png|jpeg|webp);base64,/i;
+  const PHOTO_LINK_RE = /^https?:\/\/.+\.(jpg|jpeg|png)$/i;
+
+  class ValidationError extends Error {
+    // errors: [{ field, message }]
+    constructor(errors) {
+      super(errors.map(e => e.message).join(" "));
+      this.name = "ValidationError";
+      this.errors = errors;
+    }
+  }
+
+  function uid() {
+    // simple id generator using timestamp + random
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // `after` with createdAt kept from `before` and updatedAt set to now; null (a removal) stays null
+  function stampProfile(before, after) {
+    if (!after) return after;
+    const now = new Date().toISOString();
+    return { ...after, createdAt: (before && before.createdAt) || after.createdAt || now, updatedAt: now };
+  }
+
+  /* =========================
+     Validation
+     ========================= */
+  // The form an address is compared in for uniqueness: lower case, "+tag" dropped, and for Gmail
+  // the dots in the local part too ("J.Doe+x@gmail.com" -> "jdoe@gmail.com")
+  function normalizeEmail(email) {
+    if (!email) return "";
+    email = String(email).trim().toLowerCase();
+    const parts = email.split("@");
+    if (parts.length !== 2) return email;
+    let [local, domain] = parts;
+    if (domain === "gmail.com" || domain === "googlemail.com") {
+      // remove dots
+      local = local.split("+")[0].replace(/\./g, "");
+      return `${local}@${domain}`;
+    }
+    // For other domains, strip +tag but keep dots (safer)
+    local = local.split("+")[0];
+    return `${local}@${domain}`;
+  }
+
+  // Unique check for a field marked `unique`; emails compare in their normalised form
+  function isValueTaken(profiles, field, value, excludeId = null) {
+    const text = String(value == null ? "" : value).trim();
+    if (!text) return false;
+    const normalize = field.type === "email" ? normalizeEmail : v => String(v == null ? "" : v).trim().toLowerCase();
+    const target = normalize(text);
+    return Object.keys(profiles).some(id => id !== excludeId && normalize(profiles[id][field.key]) === target);
+  }
+
+  // Checks profile input against the schema's fields. Returns [{ field, message }], empty when valid.
+  // `profiles` are the others a unique field must differ from (the one being edited is `excludeId`);
+  // `only` limits the checks to those keys ("photoUrl" stands for the photo link).
+  function validateProfile(data, { fields = [], profiles = {}, excludeId = null, only = null } = {}) {
+    const errors = [];
+    const checked = key => !only || only.includes(key);
+    fields.filter(field => checked(field.key)).forEach(field => {
+      const value = data[field.key];
+      const message = ProfileSchema.validateFieldValue(field, value);
+      if (message) {
+        errors.push({ field: field.key, message });
+      } else if (field.unique && isValueTaken(profiles, field, value, excludeId)) {
+        errors.push({ field: field.key, message: t("This {label} is already registered.", { label: field.label.toLowerCase() }) });
+      }
+    });
+
+    const url = (data.photoUrl || "").trim();
+    if (url && checked("photoUrl") && !DATA_IMAGE_RE.test(url) && !PHOTO_LINK_RE.test(url)) {
+      errors.push({ field: "photoUrl", message: t("Please enter a valid image URL ending with .jpg, .jpeg, or .png.") });
+    }
+    return errors;
+  }
+
+  /* =========================
+     Stored payload (versioned envelope + migrations)
+     ========================= */
+  // Each migration upgrades a payload from `version - 1` to `version`. Payloads without schemaVersion are v1.
+  const STORAGE_MIGRATIONS = [
+    {
+      version: 2,
+      description: "Normalise interests/year, replace _photoOmitted with photoMissing, drop stray file fields",
+      migrate(payload) {
+        const out = { profileId: payload.profileId, profiles: {} };
+        for (const id of Object.keys(payload.profiles || {})) {
+          const p = { ...payload.profiles[id] };
+          if (Array.isArray(p.interests)) {
+            p.interests = p.interests.filter(t => typeof t === "string" && t.trim() !== "");
+          } else if (typeof p.interests === "string") {
+            p.interests = p.interests.split(",").map(t => t.trim()).filter(Boolean);
+          } else {
+            p.interests = [];
+          }
+          p.year = p.year == null ? "" : String(p.year);
+          p.photoUrl = p.photoUrl || null;
+          p.photoRef = p.photoRef || null;
+          p.photoMissing = !!p._photoOmitted && !p.photoUrl && !p.photoRef;
+          delete p._photoOmitted;
+          delete p.file;
+          out.profiles[id] = p;
+        }
+        return out;
+      }
+    },
+    {
+      version: 3,
+      description: "Add a revision number to every profile for cross-tab conflict detection",
+      migrate(payload) {
+        const out = { profileId: payload.profileId, profiles: {} };
+        for (const id of Object.keys(payload.profiles || {})) {
+          out.profiles[id] = { ...payload.profiles[id], rev: payload.profiles[id].rev || 1 };
+        }
+        return out;
+      }
+    }
+  ];
+
+  function migratePayload(payload) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw new Error(t("Stored data is not a profile payload."));
+    }
+    let version = payload.schemaVersion || 1;
+    if (version > STORAGE_SCHEMA_VERSION) {
+      throw new Error(t("Stored data uses schema version {version}, which is newer than this app supports.", { version }));
+    }
+    let current = payload;
+    for (const step of STORAGE_MIGRATIONS) {
+      if (step.version <= version) continue;
+      current = step.migrate(current);
+      version = step.version;
+      console.debug(`Storage migrated to v${version}: ${step.description}`);
+    }
+    return { ...current, schemaVersion: version };
+  }
+
+  // Returns a list of problems; an empty list means the (migrated) payload is safe to load.
+  function validatePayload(payload) {
+    const problems = [];
+    if (!payload.profiles || typeof payload.profiles !== "object" || Array.isArray(payload.profiles)) {
+      return [t("The profiles map is missing.")];
+    }
+    for (const id of Object.keys(payload.profiles)) {
+      const p = payload.profiles[id];
+      if (!p || typeof p !== "object") {
+        problems.push(t("Profile {id} is not an object.", { id }));
+        continue;
+      }
+      ["firstName", "lastName", "email", "programme", "year"].forEach(k => {
+        if (typeof p[k] !== "string") problems.push(t("Profile {id} has no valid {key}.", { id, key: k }));
+      });
+      if (!Array.isArray(p.interests)) problems.push(t("Profile {id} has invalid interests.", { id }));
+      if (p.photoUrl != null && typeof p.photoUrl !== "string") problems.push(t("Profile {id} has an invalid photo.", { id }));
+      if (p.rev != null && !(Number.isInteger(p.rev) && p.rev > 0)) problems.push(t("Profile {id} has an invalid revision.", { id }));
+    }
+    return problems;
+  }
+
+  // Parse, migrate and validate a raw payload string; throws with a readable message on failure.
+  // Returns { payload, fromVersion } so callers can tell whether a migration ran.
+  function readPayload(raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(t("Stored data is not valid JSON."));
+    }
+    const payload = migratePayload(parsed);
+    const problems = validatePayload(payload);
+    if (problems.length) {
+      throw new Error(problems.slice(0, 3).join(" ") + (problems.length > 3 ? " " + tn(problems.length - 3, "({count} more)", "({count} more)") : ""));
+    }
+    return { payload, fromVersion: (parsed && parsed.schemaVersion) || 1 };
+  }
+
+  // One profile as it is stored. A photo longer than `photoLimit` characters is left out: handed to
+  // storePhoto(id, dataUrl), which returns the reference to keep in photoRef, or null when there is
+  // nowhere to put it (the record is then flagged photoMissing). dropPhoto(id) is told when the
+  // profile no longer has a photo kept elsewhere.
+  function storedRecord(id, p, { photoLimit = Infinity, storePhoto = () => null, dropPhoto = () => {} } = {}) {
+    const copy = { ...p };
+    delete copy.file;
+    if (copy.photoUrl && copy.photoUrl.length > photoLimit) {
+      const ref = storePhoto(id, p.photoUrl);
+      if (ref) {
+        copy.photoRef = ref;
+        copy.photoMissing = false;
+      } else {
+        // omit large base64 to save space
+        copy.photoMissing = true;
+      }
+      copy.photoUrl = null;
+    } else if (!copy.photoUrl && copy.photoRef) {
+      // photo still being loaded back from the photo store; keep the reference
+      copy.photoMissing = false;
+    } else {
+      dropPhoto(id);
+      copy.photoUrl = copy.photoUrl || null;
+      copy.photoRef = null;
+      copy.photoMissing = !copy.photoUrl && !!p.photoMissing;
+    }
+    return copy;
+  }
+
+  /* =========================
+     Sorting & search
+     ========================= */
+  // ID and photo columns plus one per schema field: tags sort by count, numeric fields by value,
+  // text in the order of the chosen language (I18n.compare). { key: { label, compare } }
+  function sortColumns(fields) {
+    const columns = {
+      id: { label: t("ID"), compare: (a, b) => I18n.compare(a.id, b.id) },
+      photo: { label: t("Photo"), compare: (a, b) => Number(!!b.data.photoUrl) - Number(!!a.data.photoUrl) }
+    };
+    fields.forEach(field => {
+      const k = field.key;
+      let compare;
+      if (field.type === "tags") compare = (a, b) => (a.data[k] || []).length - (b.data[k] || []).length;
+      else if (field.numeric) compare = (a, b) => (Number(a.data[k]) || 0) - (Number(b.data[k]) || 0);
+      else compare = (a, b) => I18n.compare(a.data[k] || "", b.data[k] || "");
+      columns[k] = { label: field.shortLabel, compare };
+    });
+    return columns;
+  }
+
+  // Sorts [[id, profile], ...] in place by sortKeys ([{ key, dir: "asc" | "desc" }], the first is the
+  // primary key) and returns it. Keys without a column are skipped.
+  function sortEntries(entries, sortKeys, columns) {
+    const keys = sortKeys.filter(k => columns[k.key]).concat({ key: "id", dir: "asc" }); // id keeps the order stable
+    entries.sort((a, b) => {
+      const A = { id: String(a[0]), data: a[1] };
+      const B = { id: String(b[0]), data: b[1] };
+      for (const { key, dir } of keys) {
+        const result = columns[key].compare(A, B);
+        if (result !== 0) return dir === "desc" ? -result : result;
+      }
+      return 0;
+    });
+    return entries;
+  }
+
+  // The query.js field list for schema fields. tagKey(fieldKey, text) -> what two tags are compared by.
+  function queryFields(fields, tagKey = null) {
+    return fields.map(f => ({
+      key: f.key,
+      aliases: [f.label, f.shortLabel].concat(f.aliases || []),
+      numeric: f.numeric,
+      multiple: f.type === "tags",
+      tagKey: f.type === "tags" && tagKey ? text => tagKey(f.key, text) : null,
+      searchable: f.searchable
+    }));
+  }
+
+  /* =========================
+     Store
+     ========================= */
+  // Options:
+  //   fields                       the schema's fields (setFields() changes them)
+  //   storage                      { read() -> text | null, write(text) } (storage-adapters.js) for load() and save()
+  //   photoLimit, storePhoto, dropPhoto   how save() stores photos (see storedRecord)
+  //   tagKey(fieldKey, text)       tag comparison for search (tags.js)
+  //   newId() -> id                ids for added profiles
+  // Listeners get { type, changes: [{ id, before, after }] }: type "add", "update" or "remove" for one
+  // profile, "change" for apply() and "reset" (no changes listed) when the whole roster was replaced.
+  function create({
+    fields = [],
+    storage = null,
+    photoLimit = Infinity,
+    storePhoto,
+    dropPhoto,
+    tagKey = null,
+    newId = uid
+  } = {}) {
+    let profiles = {}; // replaced, not edited, on every change
+    let storedProfileId = 1; // the payload's legacy id counter, kept as it was read
+    let columns = null;
+    let sorted = { profiles: null, columns: null, sortBy: null, entries: [] };
+    let searchFields = null; // this store's ProfileQuery.createFields()
+    let index = null;
+    const listeners = new Set();
+
+    function setFields(list) {
+      fields = list;
+      columns = sortColumns(fields);
+      searchFields = ProfileQuery.createFields(queryFields(fields, tagKey));
+      index = ProfileQuery.createIndex(searchFields);
+    }
+    setFields(fields);
+
+    function emit(type, changes) {
+      listeners.forEach(listener => {
+        try {
+          listener({ type, changes });
+        } catch (err) {
+          console.error("Profile store listener failed:", err);
+        }
+      });
+    }
+
+    function commit(type, changes) {
+      const next = { ...profiles };
+      changes.forEach(({ id, after }) => {
+        if (after) next[id] = after;
+        else delete next[id];
+      });
+      profiles = next;
+      emit(type, changes);
+    }
+
+    function validate(data, { excludeId = null, only = null } = {}) {
+      return validateProfile(data, { fields, profiles, excludeId, only });
+    }
+
+    function check(data, excludeId, only = null) {
+      const errors = validate(data, { excludeId, only });
+      if (errors.length) throw new ValidationError(errors);
+    }
+
+    // Adds a profile; fields it leaves out start empty. Returns the new id.
+    function add(data, { id = newId() } = {}) {
+      if (profiles[id]) throw new Error(`Profile ${id} already exists.`);
+      const blank = { photoUrl: null, photoRef: null, photoMissing: false };
+      fields.forEach(field => { blank[field.key] = ProfileSchema.emptyValue(field); });
+      const profile = { ...blank, ...data };
+      delete profile.file;
+      check(profile, null);
+      commit("add", [{ id, before: null, after: stampProfile(null, { ...profile, rev: 1 }) }]);
+      return id;
+    }
+
+    // Changes some fields of a profile (a field set to undefined is removed); returns the new version.
+    // Only the changed fields are checked, so a profile saved under older rules can still be changed.
+    function update(id, changes) {
+      const before = profiles[id];
+      if (!before) throw new Error(`Profile ${id} does not exist.`);
+      const profile = { ...before, ...changes };
+      Object.keys(changes).forEach(key => { if (changes[key] === undefined) delete profile[key]; });
+      delete profile.file;
+      check(profile, id, Object.keys(changes));
+      const after = stampProfile(before, { ...profile, rev: (before.rev || 1) + 1 });
+      commit("update", [{ id, before, after }]);
+      return after;
+    }
+
+    // Returns the removed profile, or null when there was none
+    function remove(id) {
+      const before = profiles[id];
+      if (!before) return null;
+      commit("remove", [{ id, before, after: null }]);
+      return before;
+    }
+
+    // Puts versions already checked or stamped elsewhere (undo and redo, another tab, the server):
+    // changes: [{ id, after }], `after` null to remove. Nothing is validated.
+    function apply(changes) {
+      if (!changes.length) return;
+      commit("change", changes.map(({ id, after }) => ({ id, before: profiles[id] || null, after: after || null })));
+    }
+
+    // Replaces the whole roster (a payload read from storage or the server)
+    function reset(next = {}) {
+      profiles = { ...next };
+      emit("reset", []);
+    }
+
+    // The whole roster in sort order. Kept until a profile is added, removed or replaced or the sort
+    // changes, so searching doesn't re-sort.
+    function sortedEntries(sortKeys) {
+      const sortBy = JSON.stringify(sortKeys);
+      if (sorted.profiles !== profiles || sorted.columns !== columns || sorted.sortBy !== sortBy) {
+        sorted = { profiles, columns, sortBy, entries: sortEntries(Object.entries(profiles), sortKeys, columns) };
+      }
+      return sorted.entries;
+    }
+
+    // A search as query() takes it, parsed for this store's fields; throws ProfileQuery.QuerySyntaxError
+    function parseQuery(text) {
+      return ProfileQuery.parse(text, searchFields);
+    }
+
+    // [[id, profile], ...] matching `query` (query.js syntax, or what parseQuery() made of it; empty
+    // for everyone), in sortKeys order. field: where plain words are looked for ("all" or a key).
+    function query(q = null, { field = "all", sortKeys = [] } = {}) {
+      const ast = typeof q === "string" ? parseQuery(q) : q;
+      const entries = sortedEntries(sortKeys);
+      if (!ast) return entries.slice();
+      index.update(profiles);
+      return entries.filter(([id, p]) => index.matches(ast, p, id, { defaultField: field }));
+    }
+
+    // Calls listener(event) after every change; returns a function that stops it
+    function subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    // The payload save() writes: every profile as storedRecord() keeps it
+    function serialize() {
+      const records = {};
+      Object.keys(profiles).forEach(id => { records[id] = storedRecord(id, profiles[id], { photoLimit, storePhoto, dropPhoto }); });
+      return { schemaVersion: STORAGE_SCHEMA_VERSION, savedAt: new Date().toISOString(), profileId: storedProfileId, profiles: records };
+    }
+
+    // Reads the roster from `storage` (migrated if it is older). Photos left in a photo store keep
+    // their photoRef. Returns { fromVersion } (null when nothing was stored); throws if it can't be read.
+    function load() {
+      const raw = storage.read();
+      if (!raw) {
+        reset({});
+        return { fromVersion: null };
+      }
+      const { payload, fromVersion } = readPayload(raw);
+      storedProfileId = payload.profileId || storedProfileId;
+      reset(payload.profiles);
+      return { fromVersion };
+    }
+
+    function save() {
+      storage.write(JSON.stringify(serialize()));
+    }
+
+    return {
+      setFields,
+      get: id => profiles[id] || null,
+      // { id: profile }: read it, don't change it (it is replaced on every change)
+      all: () => profiles,
+      size: () => Object.keys(profiles).length,
+      validate,
+      isTaken: (field, value, excludeId = null) => isValueTaken(profiles, field, value, excludeId),
+      add,
+      update,
+      remove,
+      apply,
+      reset,
+      parseQuery,
+      query,
+      // the ProfileQuery.createFields() set its searches use
+      searchFields: () => searchFields,
+      subscribe,
+      serialize,
+      load,
+      save
+    };
+  }
+
+  window.ProfileStore = {
+    STORAGE_SCHEMA_VERSION,
+    ValidationError,
+    create,
+    normalizeEmail,
+    validateProfile,
+    stampProfile,
+    readPayload,
+    validatePayload,
+    storedRecord,
+    sortColumns,
+    sortEntries,
+    queryFields
+  };
+})();
@@ -0,0 +1,348 @@
+// qr-code.js
+// QR code generation for badges, done entirely in the browser (no image service)
+// - Byte mode (UTF-8), versions 1-40, error correction level L, M, Q or H
+// - The smallest version that fits is used, and the mask with the lowest penalty score
+// - Output is a square grid of dark/light modules plus SVG path data to draw it
+// Follows ISO/IEC 18004. Exposed as window.QRCode and used by print-layout.js.
+
+(function () {
+  const EC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+  const EC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+  const QUIET_ZONE = 4; // light modules around the code that scanners need
+
+  // [level][version]: error correction codewords per block, and number of blocks
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+  const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  /* =========================
+     Capacity
+     ========================= */
+  // Modules left for data and error correction once the function patterns are placed, in bits
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version, level) {
+    const l = EC_LEVELS[level];
+    return Math.floor(rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[l][version] * NUM_ERROR_CORRECTION_BLOCKS[l][version];
+  }
+
+  /* =========================
+     Reed-Solomon error correction (GF(256), polynomial 0x11D)
+     ========================= */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    });
+    return result;
+  }
+
+  // Splits the data into blocks, adds each block's error correction and interleaves them
+  function addErrorCorrection(data, version, level) {
+    const l = EC_LEVELS[level];
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[l][version];
+    const eccLen = ECC_CODEWORDS_PER_BLOCK[l][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0); // placeholder so every block has the same length
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // skip the short blocks' placeholder
+        if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  /* =========================
+     Module grid
+     ========================= */
+  function alignmentPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    // finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    // alignment patterns, except where they would overlap a finder
+    const align = alignmentPositions(version);
+    align.forEach((ay, i) => {
+      align.forEach((ax, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+    // reserve the format areas (drawn for real once the mask is chosen) and the dark module
+    for (let i = 0; i < 9; i++) {
+      if (i !== 6) {
+        set(8, i, false);
+        set(i, 8, false);
+      }
+    }
+    for (let i = 0; i < 8; i++) {
+      set(size - 1 - i, 8, false);
+      set(8, size - 1 - i, false);
+    }
+    set(8, size - 8, true);
+    // version information (version 7 and up)
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+    return { size, modules, isFunction };
+  }
+
+  function drawFormatBits(grid, level, mask) {
+    const { size, modules } = grid;
+    const data = (EC_FORMAT_BITS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+    modules[size - 8][8] = true;
+  }
+
+  // Places the codewords in the zigzag order, two columns at a time from the bottom right
+  function drawCodewords(grid, codewords) {
+    const { size, modules, isFunction } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  function applyMask(grid, mask) {
+    const { size, modules, isFunction } = grid;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  // Penalty score from the standard: runs, 2x2 blocks, finder-like patterns and dark/light balance
+  function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // 1:1:3:1:1 dark pattern with four light modules on one side (light outside the grid counts)
+      const at = i => (i >= 0 && i < size ? line[i] : false);
+      for (let i = -4; i < size; i++) {
+        const core = at(i) && !at(i + 1) && at(i + 2) && at(i + 3) && at(i + 4) && !at(i + 5) && at(i + 6);
+        if (!core) continue;
+        const lightBefore = [i - 1, i - 2, i - 3, i - 4].every(j => !at(j));
+        const lightAfter = [i + 7, i + 8, i + 9, i + 10].every(j => !at(j));
+        if (lightBefore || lightAfter) score += 40;
+      }
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  /* =========================
+     Encoding
+     ========================= */
+  function utf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(String(text)));
+  }
+
+  // -> { version, size, modules: boolean[][] (true = dark, [row][column]) }
+  function encode(text, { level = "M" } = {}) {
+    if (!(level in EC_LEVELS)) throw new Error(`Unknown error correction level "${level}".`);
+    const bytes = utf8Bytes(text);
+    let version = 1;
+    const bitsNeeded = v => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (version <= 40 && bitsNeeded(version) > dataCodewords(version, level) * 8) version++;
+    if (version > 40) throw new Error("The text is too long for a QR code.");
+
+    const capacity = dataCodewords(version, level) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity - bits.length)); // terminator
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((n, b) => (n << 1) | b, 0));
+
+    const codewords = addErrorCorrection(data, version, level);
+    const grid = createGrid(version);
+    drawCodewords(grid, codewords);
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(grid, mask);
+      drawFormatBits(grid, level, mask);
+      const score = penalty(grid);
+      if (!best || score < best.score) best = { mask, score };
+      applyMask(grid, mask); // XOR again to undo
+    }
+    applyMask(grid, best.mask);
+    drawFormatBits(grid, level, best.mask);
+    return { version, size: grid.size, modules: grid.modules };
+  }
+
+  // SVG path data drawing every dark module as a 1x1 square, offset by the quiet zone.
+  // Use with viewBox="0 0 n n" where n = size + 2 * QUIET_ZONE.
+  function toPathData(qr) {
+    const parts = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) parts.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+      });
+    });
+    return parts.join("");
+  }
+
+  window.QRCode = {
+    QUIET_ZONE,
+    encode,
+    toPathData
+  };
+})();
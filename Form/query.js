@@ -0,0 +1,331 @@
+// query.js
+// Search query language for the profile search box
+//   programme:"Computer Science" year:>=3 interest:AI -email:*@gmail.com
+// - Terms are ANDed by default; OR and AND (upper case) and parentheses group them
+// - "-term" or NOT term negates; "quoted phrases" keep spaces; * and ? are wildcards
+// - field:value matches inside that field; tag fields (interest:) match whole tags; numeric fields (year) support > >= < <= =
+// - Searchable fields come from the form schema through createFields(); each caller (every ProfileStore)
+//   passes its own set to parse(), matches() and createIndex(), so stores with different schemas don't mix
+// - Text is compared folded for the active language (I18n.fold): case and accents don't matter, so zoe finds Zoë
+// - createIndex() keeps the roster's values read and folded ahead of time, for searching large rosters
+// Exposed as window.ProfileQuery and used by script.js.
+
+(function () {
+  // field name (and aliases) -> how to read values from a profile. id and name are built in;
+  // the rest come from the form schema through createFields().
+  const BUILTIN_FIELDS = {
+    id: { values: (p, id) => [id] },
+    name: { values: p => [`${p.firstName} ${p.lastName}`] }
+  };
+  const COMPARISON_OPS = [">=", "<=", ">", "<", "="];
+
+  class QuerySyntaxError extends Error {
+    constructor(message, position) {
+      super(message);
+      this.name = "QuerySyntaxError";
+      this.position = position;
+    }
+  }
+
+  function simplifyName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  // defs: [{ key, aliases, numeric, multiple, tagKey, searchable }]. `multiple` fields hold an array of
+  // tags, and field:value matches a whole tag; `tagKey(text)` says which spellings count as the same tag
+  // (default: ignoring case). Aliases may contain spaces ("year of study").
+  // -> { fields: { key: how to read and compare it }, defaults: keys a bare term searches }
+  function createFields(defs = []) {
+    const fields = { ...BUILTIN_FIELDS };
+    defs.forEach(def => {
+      fields[def.key] = {
+        aliases: (def.aliases || []).map(simplifyName).filter(Boolean),
+        numeric: !!def.numeric,
+        wholeValue: !!def.multiple,
+        tagKey: def.tagKey || (text => text.toLowerCase()),
+        values: def.multiple ? p => p[def.key] || [] : p => [p[def.key]]
+      };
+    });
+    return { fields, defaults: defs.filter(def => def.searchable !== false).map(def => def.key) };
+  }
+
+  const BUILTIN_ONLY = createFields();
+
+  function resolveField(fields, name) {
+    const simple = simplifyName(name);
+    return Object.keys(fields).find(key =>
+      key.toLowerCase() === simple || (fields[key].aliases || []).includes(simple)
+    ) || null;
+  }
+
+  /* =========================
+     Tokenizer
+     ========================= */
+  // Tokens: { type: "(" | ")" | "AND" | "OR" | "NOT" | "TERM", pos, ...term fields }
+  function tokenize(input, fields) {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+      const ch = input[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === "(" || ch === ")") {
+        tokens.push({ type: ch, pos: i });
+        i++;
+      } else if (ch === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        tokens.push({ type: "NOT", pos: i });
+        i++;
+      } else {
+        const term = readTerm(input, i, fields);
+        if (!term.field && !term.quoted && !term.op && /^(AND|OR|NOT)$/.test(term.value)) {
+          tokens.push({ type: term.value, pos: i });
+        } else {
+          tokens.push(term);
+        }
+        i = term.end;
+      }
+    }
+    return tokens;
+  }
+
+  function readTerm(input, start, fields) {
+    let i = start;
+    let field = null;
+    const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(i));
+    if (fieldMatch) {
+      field = resolveField(fields, fieldMatch[1]);
+      if (!field) throw new QuerySyntaxError(I18n.t("Unknown field \"{field}\".", { field: fieldMatch[1] }), i);
+      i += fieldMatch[0].length;
+    }
+
+    let op = null;
+    if (field) {
+      op = COMPARISON_OPS.find(o => input.startsWith(o, i)) || null;
+      if (op) i += op.length;
+    }
+
+    let value = "";
+    let quoted = false;
+    if (input[i] === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) throw new QuerySyntaxError(I18n.t("Missing closing quote."), i);
+      value = input.slice(i + 1, close);
+      quoted = true;
+      i = close + 1;
+    } else {
+      while (i < input.length && !/[\s()]/.test(input[i])) value += input[i++];
+    }
+
+    if (field && value === "") {
+      throw new QuerySyntaxError(I18n.t("Missing value after \"{term}\".", { term: input.slice(start, i) }), start);
+    }
+    if (op && !fields[field].numeric) {
+      throw new QuerySyntaxError(I18n.t("\"{operator}\" only works with numeric fields such as year.", { operator: op }), start);
+    }
+    if (op && !/^\d+(\.\d+)?$/.test(value)) {
+      throw new QuerySyntaxError(I18n.t("\"{value}\" is not a number.", { value }), start);
+    }
+    return { type: "TERM", pos: start, end: i, field, op, value, quoted, wildcard: /[*?]/.test(value) };
+  }
+
+  /* =========================
+     Parser (recursive descent)
+     ========================= */
+  // AST: { type: "or" | "and", items } | { type: "not", item } | { type: "term", ... } ; null = match all
+  // fieldSet: createFields() (only id and name without one); field:value must name one of its fields
+  function parse(input, fieldSet = BUILTIN_ONLY) {
+    const tokens = tokenize(input || "", fieldSet.fields);
+    if (!tokens.length) return null;
+    let index = 0;
+    const peek = () => tokens[index];
+    const describe = t => (t.type === "TERM" ? `"${t.value}"` : `"${t.type === "NOT" ? "-" : t.type}"`);
+
+    function parseOr() {
+      const items = [parseAnd()];
+      while (peek() && peek().type === "OR") {
+        index++;
+        if (!peek() || peek().type === ")") throw new QuerySyntaxError(I18n.t("OR needs a term on both sides."), tokens[index - 1].pos);
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: "or", items };
+    }
+
+    function parseAnd() {
+      const items = [parseUnary()];
+      while (peek() && peek().type !== "OR" && peek().type !== ")") {
+        if (peek().type === "AND") {
+          index++;
+          if (!peek() || peek().type === ")" || peek().type === "OR") throw new QuerySyntaxError(I18n.t("AND needs a term on both sides."), tokens[index - 1].pos);
+        }
+        items.push(parseUnary());
+      }
+      return items.length === 1 ? items[0] : { type: "and", items };
+    }
+
+    function parseUnary() {
+      const token = peek();
+      if (!token) throw new QuerySyntaxError(I18n.t("The query ends too early."), input.length);
+      if (token.type === "NOT") {
+        index++;
+        return { type: "not", item: parseUnary() };
+      }
+      if (token.type === "(") {
+        index++;
+        if (peek() && peek().type === ")") throw new QuerySyntaxError(I18n.t("Empty parentheses."), token.pos);
+        const inner = parseOr();
+        if (!peek() || peek().type !== ")") throw new QuerySyntaxError(I18n.t("Missing closing parenthesis."), token.pos);
+        index++;
+        return inner;
+      }
+      if (token.type === "TERM") {
+        index++;
+        return compileTerm(token);
+      }
+      throw new QuerySyntaxError(I18n.t("Unexpected {token}.", { token: describe(token) }), token.pos);
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw new QuerySyntaxError(I18n.t("Unexpected {token}.", { token: describe(tokens[index]) }), tokens[index].pos);
+    }
+    return ast;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function wildcardSource(value, anyChar) {
+    return value.split("").map(ch => (ch === "*" ? anyChar + "*" : ch === "?" ? anyChar : escapeRegExp(ch))).join("");
+  }
+
+  function compileTerm(token) {
+    const term = {
+      type: "term",
+      field: token.field,
+      op: token.op,
+      value: token.value,
+      needle: I18n.fold(token.value)
+    };
+    if (token.wildcard) term.pattern = new RegExp(`^${wildcardSource(term.needle, "[\\s\\S]")}$`);
+    return term;
+  }
+
+  /* =========================
+     Evaluation & highlighting
+     ========================= */
+  // A field's values as the query compares them: { text, folded }
+  function readValues(def, profile, id) {
+    return def.values(profile, id).map(raw => {
+      const text = String(raw == null ? "" : raw);
+      return { text, folded: I18n.fold(text) };
+    });
+  }
+
+  // ast: parse() with the same fieldSet. options.defaultField: field searched by bare terms ("all" or a field key)
+  function matches(ast, profile, id, fieldSet = BUILTIN_ONLY, options = {}) {
+    return evaluate(ast, fieldSet, key => readValues(fieldSet.fields[key], profile, id), options);
+  }
+
+  // valuesOf(fieldKey) -> the profile's values for that field (readValues, or the search index)
+  function evaluate(ast, fieldSet, valuesOf, options) {
+    if (!ast) return true;
+    switch (ast.type) {
+      case "and": return ast.items.every(item => evaluate(item, fieldSet, valuesOf, options));
+      case "or": return ast.items.some(item => evaluate(item, fieldSet, valuesOf, options));
+      case "not": return !evaluate(ast.item, fieldSet, valuesOf, options);
+      default: return termMatches(ast, fieldSet, valuesOf, options);
+    }
+  }
+
+  function termMatches(term, { fields, defaults }, valuesOf, options) {
+    const fieldKeys = term.field
+      ? [term.field]
+      : options.defaultField && fields[options.defaultField] ? [options.defaultField] : defaults;
+    return fieldKeys.some(key => {
+      const def = fields[key];
+      return valuesOf(key).some(value => valueMatches(term, def, value, !!term.field));
+    });
+  }
+
+  function valueMatches(term, def, { text, folded }, fieldGiven) {
+    if (term.op) {
+      const n = Number(text);
+      const target = Number(term.value);
+      if (text === "" || Number.isNaN(n)) return false;
+      switch (term.op) {
+        case ">": return n > target;
+        case ">=": return n >= target;
+        case "<": return n < target;
+        case "<=": return n <= target;
+        default: return n === target;
+      }
+    }
+    if (term.pattern) return term.pattern.test(folded);
+    // interest:AI means the tag "AI", not every tag containing "ai"
+    if (fieldGiven && def.wholeValue) return def.tagKey(text) === def.tagKey(term.value);
+    if (fieldGiven && def.numeric) return folded === term.needle;
+    return folded.includes(term.needle);
+  }
+
+  /* =========================
+     Search index
+     ========================= */
+  // Every profile's searchable values for `fieldSet`, read and folded ahead of time so a query doesn't
+  // fold the whole roster again on each keystroke. An entry belongs to one profile object: profiles
+  // are replaced rather than edited in place, so a new object means the entry is built again. New
+  // fields mean a new index.
+  function createIndex(fieldSet = BUILTIN_ONLY) {
+    const entries = new Map(); // id -> { profile, values: { fieldKey: [{ text, folded }] } }
+
+    function entryFor(id, profile) {
+      let entry = entries.get(id);
+      if (!entry || entry.profile !== profile) {
+        const values = {};
+        Object.keys(fieldSet.fields).forEach(key => { values[key] = readValues(fieldSet.fields[key], profile, id); });
+        entry = { profile, values };
+        entries.set(id, entry);
+      }
+      return entry;
+    }
+
+    // Brings the index in line with `profiles` ({ id: profile }): new and replaced profiles are read,
+    // removed ones dropped
+    function update(profiles) {
+      entries.forEach((entry, id) => { if (profiles[id] !== entry.profile) entries.delete(id); });
+      Object.keys(profiles).forEach(id => entryFor(id, profiles[id]));
+    }
+
+    // Same as ProfileQuery.matches() with this index's fieldSet, reading the values from the index
+    function indexMatches(ast, profile, id, options = {}) {
+      const { values } = entryFor(id, profile);
+      return evaluate(ast, fieldSet, key => values[key], options);
+    }
+
+    return { update, matches: indexMatches, size: () => entries.size };
+  }
+
+  // Positive (non-negated, non-comparison) terms as { field, regex } for highlighting.
+  // field is null for bare terms. The regexes match folded text (I18n.fold).
+  function highlightTerms(ast) {
+    const out = [];
+    (function walk(node, negated) {
+      if (!node) return;
+      if (node.type === "not") return walk(node.item, !negated);
+      if (node.type === "and" || node.type === "or") return node.items.forEach(item => walk(item, negated));
+      if (negated || node.op) return;
+      const source = /[*?]/.test(node.value) ? wildcardSource(node.needle, "\\S") : escapeRegExp(node.needle);
+      if (source) out.push({ field: node.field, regex: new RegExp(source, "gi") });
+    })(ast, false);
+    return out;
+  }
+
+  window.ProfileQuery = {
+    QuerySyntaxError,
+    createFields,
+    parse,
+    matches,
+    createIndex,
+    highlightTerms
+  };
+})();
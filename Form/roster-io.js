@@ -0,0 +1,238 @@
+// roster-io.js
+// CSV/JSON helpers for importing and exporting the profile roster
+// - RFC 4180 CSV parsing (quoted fields, escaped quotes, CRLF) and serialising
+// - JSON roster envelope, plus the plain array / localStorage shapes on import
+// - Guessing which file column maps to which profile field
+// - Merging an imported row into the profile it duplicates
+// Fields are passed in from the form schema, so custom fields import and export too.
+// Exposed as window.RosterIO and used by script.js.
+
+(function () {
+  const ROSTER_FORMAT = "profile-manager-roster";
+  const ROSTER_VERSION = 1;
+
+  // Profile fields come from the form schema (schema.js): { key, label, shortLabel, type, aliases, options, numeric }.
+  // The photo isn't a schema field, but a roster can still carry a photo URL.
+  const PHOTO_FIELD = { key: "photoUrl", label: "Photo URL", aliases: ["photo", "image", "avatar", "picture"] };
+
+  function columnLabel(field) {
+    return field.shortLabel || field.label;
+  }
+
+  // Fields offered in the import column mapping
+  // The photo's label is shown in the active language; its key still matches a "Photo URL" header
+  function importableFields(fields) {
+    return fields.concat({ ...PHOTO_FIELD, label: I18n.t(PHOTO_FIELD.label) });
+  }
+
+  /* =========================
+     CSV
+     ========================= */
+  // Parse CSV text into an array of rows (arrays of strings). Blank lines are dropped.
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // strip BOM
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (src[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+    if (inQuotes) throw new Error(I18n.t("Unterminated quoted field."));
+    if (field !== "" || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ""));
+  }
+
+  // Spreadsheet apps run cells starting with these characters as formulas, so export puts a ' in front
+  // of them and import takes it off again (a phone number like +44 ... comes back as it was)
+  const FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+  const ESCAPED_FORMULA_RE = /^'[=+\-@\t\r]/;
+
+  function csvCell(value) {
+    let text = value == null ? "" : String(value);
+    if (FORMULA_PREFIX_RE.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function csvValue(cell) {
+    return ESCAPED_FORMULA_RE.test(cell) ? cell.slice(1) : cell;
+  }
+
+  function toCsv(rows) {
+    return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  /* =========================
+     Roster shapes
+     ========================= */
+  // Export rows: entries are [id, profile] pairs. Tags are joined with "; " so commas stay unambiguous.
+  function profilesToCsv(entries, fields) {
+    const header = ["ID"].concat(fields.map(columnLabel));
+    const body = entries.map(([id, p]) => [id].concat(fields.map(f =>
+      f.type === "tags" ? (p[f.key] || []).join("; ") : p[f.key]
+    )));
+    return toCsv([header].concat(body));
+  }
+
+  function profilesToJson(entries, fields, { includePhotos = false } = {}) {
+    return JSON.stringify({
+      format: ROSTER_FORMAT,
+      version: ROSTER_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: entries.map(([id, p]) => {
+        const out = { id };
+        fields.forEach(f => {
+          out[f.key] = f.type === "tags" ? p[f.key] || [] : p[f.key] == null ? "" : p[f.key];
+        });
+        if (includePhotos && p.photoUrl) out.photoUrl = p.photoUrl;
+        return out;
+      })
+    }, null, 2);
+  }
+
+  // Normalise an imported file into { headers, records } where records are { header: string } objects.
+  function readRosterFile(name, text) {
+    if (/\.json$/i.test(name) || /^\s*[[{]/.test(text)) return readJsonRoster(text);
+    const rows = parseCsv(text);
+    if (!rows.length) return { headers: [], records: [] };
+    const headers = rows[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+    const records = rows.slice(1).map(r => {
+      const rec = {};
+      headers.forEach((h, i) => { rec[h] = csvValue(r[i] || "").trim(); });
+      return rec;
+    });
+    return { headers, records };
+  }
+
+  function readJsonRoster(text) {
+    const parsed = JSON.parse(text);
+    let list;
+    if (Array.isArray(parsed)) list = parsed;
+    else if (parsed && Array.isArray(parsed.profiles)) list = parsed.profiles; // our export envelope
+    else if (parsed && parsed.profiles && typeof parsed.profiles === "object") list = Object.values(parsed.profiles); // localStorage payload
+    else throw new Error(I18n.t("No profiles found in JSON file."));
+
+    const headers = [];
+    const records = list.filter(item => item && typeof item === "object").map(item => {
+      const rec = {};
+      Object.keys(item).forEach(k => {
+        if (!headers.includes(k)) headers.push(k);
+        const v = item[k];
+        rec[k] = Array.isArray(v) ? v.join("; ") : v == null ? "" : String(v).trim();
+      });
+      return rec;
+    });
+    return { headers, records };
+  }
+
+  /* =========================
+     Column mapping
+     ========================= */
+  function simplifyHeader(h) {
+    return String(h).toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  // Returns { fieldKey: header | "" } using field keys, labels and aliases.
+  function guessColumnMapping(headers, fields) {
+    const mapping = {};
+    const used = new Set();
+    importableFields(fields).forEach(f => {
+      const candidates = [f.key, f.label, f.shortLabel || ""].concat(f.aliases || []).map(simplifyHeader).filter(Boolean);
+      const match = headers.find(h => !used.has(h) && candidates.includes(simplifyHeader(h)));
+      mapping[f.key] = match || "";
+      if (match) used.add(match);
+    });
+    return mapping;
+  }
+
+  // Turn imported text into a field value: tags are split, option labels ("Year 3") become option
+  // values ("3"), and numeric fields keep the number from text like "3rd".
+  function importValue(field, text) {
+    if (field.type === "tags") return text.split(/[;,]/).map(s => s.trim()).filter(Boolean);
+    const lower = text.toLowerCase();
+    const option = (field.options || []).find(o => o.value.toLowerCase() === lower || o.label.toLowerCase() === lower);
+    if (option) return option.value;
+    if (field.numeric) {
+      const number = text.match(/-?\d+(\.\d+)?/);
+      if (number) return number[0];
+    }
+    return text;
+  }
+
+  // Apply a mapping to one record, producing raw profile input
+  function mapRecord(record, mapping, fields) {
+    const get = key => (mapping[key] ? String(record[mapping[key]] || "").trim() : "");
+    const data = {};
+    fields.forEach(f => { data[f.key] = importValue(f, get(f.key)); });
+    data.photoUrl = get("photoUrl") || null;
+    return data;
+  }
+
+  // The "merge" duplicate strategy: keeps what the existing profile has and fills gaps from the
+  // incoming one; tag fields are combined (tagKey(fieldKey, tag) tells spellings of one tag apart)
+  // up to the field's maxItems. -> { profile, dropped: [{ field, tags }] }, the tags left out for the limit
+  function mergeProfile(existing, incoming, fields, { tagKey = (fieldKey, tag) => tag } = {}) {
+    const profile = { ...existing };
+    const dropped = [];
+    fields.forEach(field => {
+      const k = field.key;
+      if (field.type !== "tags") {
+        if (!profile[k] && incoming[k]) profile[k] = incoming[k];
+        return;
+      }
+      const tags = (profile[k] || []).slice();
+      const seen = new Set(tags.map(tag => tagKey(k, tag)));
+      (incoming[k] || []).forEach(tag => {
+        if (seen.has(tagKey(k, tag))) return;
+        seen.add(tagKey(k, tag));
+        tags.push(tag);
+      });
+      const max = field.maxItems != null ? field.maxItems : Infinity;
+      if (tags.length > max) dropped.push({ field, tags: tags.slice(max) });
+      profile[k] = tags.slice(0, max);
+    });
+    if (!profile.photoUrl && incoming.photoUrl) profile.photoUrl = incoming.photoUrl;
+    return { profile, dropped };
+  }
+
+  window.RosterIO = {
+    importableFields,
+    parseCsv,
+    toCsv,
+    profilesToCsv,
+    profilesToJson,
+    readRosterFile,
+    guessColumnMapping,
+    mapRecord,
+    mergeProfile
+  };
+})();
@@ -0,0 +1,49 @@
+// routes.js
+// What the address hash of index.html stands for
+// - An empty hash, or filters such as #programme=Cybersecurity&year=4 (a key repeated for several
+//   values): the lists, with those filters and no others
+// - #/profiles/:id: the profile's own page; #/profiles/:id/edit: the lists with the profile in the form
+// - Anything else (e.g. the #main skip link) is not a route, and the view stays as it is
+// Exposed as window.ProfileRoutes and used by script.js.
+
+(function () {
+  const PROFILE_ROUTE_RE = /^#\/profiles\/([^/]+)(\/edit)?$/;
+
+  // -> { view: "list", filters: { key: [values] } }, { view: "detail" | "edit", id }, or null
+  function parse(hash) {
+    const text = String(hash || "").replace(/^#?/, "#");
+    const match = PROFILE_ROUTE_RE.exec(text);
+    if (match) {
+      try {
+        return { view: match[2] ? "edit" : "detail", id: decodeURIComponent(match[1]) };
+      } catch (err) {
+        return null; // a malformed %-escape
+      }
+    }
+    const query = text.slice(1);
+    if (query && (!query.includes("=") || query.startsWith("/"))) return null;
+    const filters = {};
+    new URLSearchParams(query).forEach((value, key) => {
+      (filters[key] = filters[key] || []).push(value);
+    });
+    return { view: "list", filters };
+  }
+
+  function profileHash(id, { edit = false } = {}) {
+    return `#/profiles/${encodeURIComponent(id)}${edit ? "/edit" : ""}`;
+  }
+
+  // filters: [[key, values], ...] in the order they should appear; "" when there are none
+  function listHash(filters) {
+    const params = new URLSearchParams();
+    filters.forEach(([key, values]) => values.forEach(value => params.append(key, value)));
+    const query = params.toString();
+    return query ? "#" + query : "";
+  }
+
+  window.ProfileRoutes = {
+    parse,
+    profileHash,
+    listHash
+  };
+})();
@@ -0,0 +1,266 @@
+// schema-admin.js
+// Editor for the form schema (the "Form Settings" admin panel)
+// - Add, remove and reorder fields; change labels, types, options, validation rules and visibility
+// - Works on a draft; script.js validates it with ProfileSchema and applies it on save
+// - Built-in fields keep their key and type, and can't be removed
+// Exposed as window.SchemaAdmin and used by script.js.
+
+(function () {
+  const { t } = I18n;
+  // type -> message id of its name, shown through t()
+  const TYPE_LABELS = {
+    text: "Text",
+    email: "Email",
+    tel: "Phone",
+    number: "Number",
+    select: "Drop-down list",
+    tags: "Tags"
+  };
+
+  // "Student number" -> "studentNumber"
+  function keyFromLabel(label) {
+    const words = String(label).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const key = words.map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())).join("");
+    return /^[0-9]/.test(key) ? "field" + key : key;
+  }
+
+  // Options are edited one per line, as "value" or "value | label"
+  function optionsToText(options) {
+    return (options || []).map(o => (o.value === o.label ? o.value : `${o.value} | ${o.label}`)).join("\n");
+  }
+
+  function textToOptions(text) {
+    return text.split("\n").map(line => line.trim()).filter(Boolean).map(line => {
+      const bar = line.indexOf("|");
+      if (bar === -1) return { value: line, label: line };
+      const value = line.slice(0, bar).trim();
+      return { value, label: line.slice(bar + 1).trim() || value };
+    });
+  }
+
+  function createEditor(container) {
+    let draft = [];
+
+    function load(schema) {
+      draft = ProfileSchema.cloneSchema(schema).fields;
+      render();
+    }
+
+    function getDraft() {
+      return { fields: draft.map(({ isNew, keyEdited, ...field }) => field) };
+    }
+
+    function addField() {
+      draft.push({ key: "", label: "", type: "text", isNew: true, showInCard: true, showInTable: true, searchable: true });
+      render();
+      const label = container.querySelector(`#schema-${draft.length - 1}-label`);
+      if (label) label.focus();
+    }
+
+    function isBuiltIn(field) {
+      return !field.isNew && ProfileSchema.isCoreField(field.key);
+    }
+
+    function render(focusId) {
+      container.innerHTML = "";
+      draft.forEach((field, index) => container.appendChild(renderField(field, index)));
+      const target = focusId && container.querySelector("#" + focusId);
+      if (target) target.focus();
+    }
+
+    function renderField(field, index) {
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "schema-field";
+      const legend = document.createElement("legend");
+      const updateLegend = () => {
+        const name = field.label || t("New field");
+        const text = field.key ? t("{name} ({key})", { name, key: field.key }) : name;
+        legend.textContent = isBuiltIn(field) ? t("{field} — built in", { field: text }) : text;
+      };
+      updateLegend();
+      fieldset.appendChild(legend);
+
+      const grid = document.createElement("div");
+      grid.className = "grid-3";
+      fieldset.appendChild(grid);
+      const add = el => grid.appendChild(el);
+
+      add(textControl(field, index, "label", t("Label"), {
+        onInput: () => {
+          if (field.isNew && !field.keyEdited) {
+            field.key = keyFromLabel(field.label);
+            const keyInput = fieldset.querySelector(`#schema-${index}-key`);
+            if (keyInput) keyInput.value = field.key;
+          }
+          updateLegend();
+        }
+      }));
+      add(textControl(field, index, "shortLabel", t("Column heading"), { placeholder: t("Same as the label") }));
+      add(textControl(field, index, "key", t("Key (stored name)"), {
+        readOnly: !field.isNew,
+        onInput: () => {
+          field.keyEdited = true;
+          updateLegend();
+        }
+      }));
+      add(typeControl(field, index));
+      add(textControl(field, index, "aliases", t("Other names (for search and import)"), {
+        placeholder: t("e.g. student id, matric"),
+        format: v => (v || []).join(", "),
+        parse: v => v.split(",").map(s => s.trim()).filter(Boolean)
+      }));
+      add(textControl(field, index, "hint", t("Hint")));
+      if (field.type !== "select") add(textControl(field, index, "placeholder", t("Placeholder")));
+
+      if (field.type === "select") {
+        add(textareaControl(field, index, "options", t("Options (one per line, value | label)"), optionsToText, textToOptions));
+      }
+      if (field.type === "tags") add(textControl(field, index, "maxItems", t("Maximum number of tags"), { type: "number", min: 1 }));
+      if (field.type === "number") {
+        add(textControl(field, index, "min", t("Minimum value"), { type: "number" }));
+        add(textControl(field, index, "max", t("Maximum value"), { type: "number" }));
+      }
+      if (["text", "email", "tel"].includes(field.type)) {
+        add(textControl(field, index, "minLength", t("Minimum length"), { type: "number", min: 0 }));
+        add(textControl(field, index, "maxLength", t("Maximum length"), { type: "number", min: 1 }));
+        add(textControl(field, index, "pattern", t("Pattern (regular expression)"), { placeholder: t("e.g. [A-Z]{2}[0-9]{6}") }));
+        add(textControl(field, index, "patternMessage", t("Message when the pattern doesn't match")));
+      }
+
+      const checks = document.createElement("div");
+      checks.className = "schema-checks";
+      checks.append(
+        checkControl(field, index, "required", t("Required")),
+        checkControl(field, index, "showInCard", t("Show on cards")),
+        checkControl(field, index, "showInTable", t("Show in table")),
+        checkControl(field, index, "searchable", t("Searched by plain words"))
+      );
+      if (field.type !== "tags" && field.type !== "select") checks.appendChild(checkControl(field, index, "unique", t("Must be unique")));
+      if (field.type === "select") checks.appendChild(checkControl(field, index, "numeric", t("Values are numbers")));
+      if (field.type === "select" || field.type === "tags") checks.appendChild(checkControl(field, index, "facet", t("Filter in the sidebar")));
+      fieldset.appendChild(checks);
+
+      const actions = document.createElement("div");
+      actions.className = "flex gap-2 mt-2";
+      const fieldName = field.label || t("field");
+      actions.append(
+        actionButton(`schema-${index}-up`, t("Move Up"), t("Move {field} up", { field: fieldName }), index === 0, () => move(index, -1)),
+        actionButton(`schema-${index}-down`, t("Move Down"), t("Move {field} down", { field: fieldName }), index === draft.length - 1, () => move(index, 1))
+      );
+      if (!isBuiltIn(field)) {
+        const remove = actionButton(`schema-${index}-remove`, t("Remove Field"), t("Remove {field}", { field: fieldName }), false, () => {
+          draft.splice(index, 1);
+          render();
+        });
+        remove.className = "btn-danger";
+        actions.appendChild(remove);
+      }
+      fieldset.appendChild(actions);
+      return fieldset;
+    }
+
+    function move(index, delta) {
+      const [field] = draft.splice(index, 1);
+      const to = index + delta;
+      draft.splice(to, 0, field);
+      // keep focus on the moved field; its button in this direction is disabled at either end
+      const atEnd = delta < 0 ? to === 0 : to === draft.length - 1;
+      render(`schema-${to}-${(delta < 0) !== atEnd ? "up" : "down"}`);
+    }
+
+    function textControl(field, index, prop, labelText, opts = {}) {
+      const id = `schema-${index}-${prop}`;
+      const row = document.createElement("div");
+      row.className = "form-row";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = labelText;
+      const input = document.createElement("input");
+      input.id = id;
+      input.type = opts.type || "text";
+      if (opts.min != null) input.min = opts.min;
+      if (opts.placeholder) input.placeholder = opts.placeholder;
+      input.readOnly = !!opts.readOnly;
+      const value = opts.format ? opts.format(field[prop]) : field[prop];
+      input.value = value == null ? "" : value;
+      input.addEventListener("input", () => {
+        field[prop] = opts.parse ? opts.parse(input.value) : input.value;
+        if (opts.onInput) opts.onInput();
+      });
+      row.append(label, input);
+      return row;
+    }
+
+    function textareaControl(field, index, prop, labelText, format, parse) {
+      const id = `schema-${index}-${prop}`;
+      const row = document.createElement("div");
+      row.className = "form-row";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = labelText;
+      const area = document.createElement("textarea");
+      area.id = id;
+      area.rows = 4;
+      area.value = format(field[prop]);
+      area.addEventListener("input", () => { field[prop] = parse(area.value); });
+      row.append(label, area);
+      return row;
+    }
+
+    function typeControl(field, index) {
+      const id = `schema-${index}-type`;
+      const row = document.createElement("div");
+      row.className = "form-row";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = t("Type");
+      const select = document.createElement("select");
+      select.id = id;
+      ProfileSchema.FIELD_TYPES.forEach(type => {
+        const opt = document.createElement("option");
+        opt.value = type;
+        opt.textContent = t(TYPE_LABELS[type]);
+        select.appendChild(opt);
+      });
+      select.value = field.type;
+      select.disabled = isBuiltIn(field);
+      select.addEventListener("change", () => {
+        field.type = select.value;
+        render(id); // type-specific settings change
+      });
+      row.append(label, select);
+      return row;
+    }
+
+    function checkControl(field, index, prop, labelText) {
+      const label = document.createElement("label");
+      label.className = "inline-check";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.id = `schema-${index}-${prop}`;
+      // visibility flags default to on
+      box.checked = ["showInCard", "showInTable", "searchable"].includes(prop) ? field[prop] !== false : !!field[prop];
+      box.addEventListener("change", () => { field[prop] = box.checked; });
+      label.append(box, " " + labelText);
+      return label;
+    }
+
+    function actionButton(id, text, ariaLabel, disabled, onClick) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.id = id;
+      button.className = "btn-light";
+      button.textContent = text;
+      button.setAttribute("aria-label", ariaLabel);
+      button.disabled = disabled;
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    return { load, getDraft, addField };
+  }
+
+  window.SchemaAdmin = {
+    createEditor
+  };
+})();
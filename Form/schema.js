@@ -0,0 +1,275 @@
+// schema.js
+// Declarative profile form schema
+// - One list of fields (type, options, required flag, validation rules, where it is shown)
+// - The form, validation, cards, table columns, search fields, facets and export are built from it
+// - Core fields (names, email, programme, year, interests) can be relabelled and reconfigured but not removed
+// - The photo inputs are not part of the schema; they have their own upload pipeline
+// Exposed as window.ProfileSchema and used by script.js / schema-admin.js.
+
+(function () {
+  const SCHEMA_VERSION = 1;
+  const FIELD_TYPES = ["text", "email", "tel", "number", "select", "tags"];
+  // key -> type the rest of the app relies on
+  const CORE_FIELD_TYPES = {
+    firstName: "text",
+    lastName: "text",
+    email: "email",
+    programme: "select",
+    year: "select",
+    interests: "tags"
+  };
+  // profile properties that aren't form fields, plus names used by the search language
+  const RESERVED_KEYS = ["id", "name", "photo", "photoFile", "photoUrl", "photoRef", "photoMissing", "file"];
+  const EMAIL_RE = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+  const DEFAULT_SCHEMA = {
+    version: SCHEMA_VERSION,
+    fields: [
+      { key: "firstName", label: "First Name", type: "text", required: true, aliases: ["first", "given name", "forename"] },
+      { key: "lastName", label: "Last Name", type: "text", required: true, aliases: ["last", "surname", "family name"] },
+      { key: "email", label: "Email", type: "email", required: true, unique: true, aliases: ["e-mail", "mail", "email address"] },
+      {
+        key: "programme",
+        label: "Programme",
+        type: "select",
+        required: true,
+        facet: true,
+        aliases: ["program", "course", "degree"],
+        options: [
+          { value: "Computer Science", label: "Computer Science" },
+          { value: "Information Systems", label: "Information Systems" },
+          { value: "Cybersecurity", label: "Cybersecurity" },
+          { value: "Engineering", label: "Engineering" }
+        ]
+      },
+      {
+        key: "year",
+        label: "Year of Study",
+        shortLabel: "Year",
+        type: "select",
+        required: true,
+        numeric: true,
+        facet: true,
+        aliases: ["study year", "level"],
+        options: [
+          { value: "1", label: "Year 1" },
+          { value: "2", label: "Year 2" },
+          { value: "3", label: "Year 3" },
+          { value: "4", label: "Year 4" }
+        ]
+      },
+      {
+        key: "interests",
+        label: "Interests",
+        type: "tags",
+        maxItems: 3,
+        facet: true,
+        aliases: ["interest", "tag", "tags"],
+        placeholder: "Type an interest and press Enter (e.g. AI, Web, Cloud)",
+        hint: "Up to three interests. Press Enter or a comma after each one; Backspace removes the last."
+      }
+    ]
+  };
+
+  /* =========================
+     Normalising & checking a schema
+     ========================= */
+  function cloneSchema(schema) {
+    return JSON.parse(JSON.stringify(schema));
+  }
+
+  // Fill in defaults so the rest of the app can read every property without checks
+  function normalizeField(field) {
+    const f = {
+      key: String(field.key || "").trim(),
+      label: String(field.label || "").trim(),
+      shortLabel: String(field.shortLabel || "").trim(),
+      type: FIELD_TYPES.includes(field.type) ? field.type : "text",
+      required: !!field.required,
+      unique: !!field.unique,
+      numeric: !!field.numeric || field.type === "number",
+      // other names for the field in search queries (first:Ada) and import file headers
+      aliases: Array.isArray(field.aliases) ? field.aliases.map(a => String(a).trim()).filter(Boolean) : [],
+      hint: String(field.hint || ""),
+      placeholder: String(field.placeholder || ""),
+      options: Array.isArray(field.options)
+        ? field.options.map(o => ({ value: String(o.value).trim(), label: String(o.label || o.value).trim() }))
+        : [],
+      maxItems: field.maxItems != null && field.maxItems !== "" ? Number(field.maxItems) : null,
+      minLength: field.minLength != null && field.minLength !== "" ? Number(field.minLength) : null,
+      maxLength: field.maxLength != null && field.maxLength !== "" ? Number(field.maxLength) : null,
+      min: field.min != null && field.min !== "" ? Number(field.min) : null,
+      max: field.max != null && field.max !== "" ? Number(field.max) : null,
+      pattern: String(field.pattern || ""),
+      patternMessage: String(field.patternMessage || ""),
+      showInCard: field.showInCard !== false,
+      showInTable: field.showInTable !== false,
+      searchable: field.searchable !== false,
+      facet: !!field.facet && (field.type === "select" || field.type === "tags")
+    };
+    if (!f.shortLabel) f.shortLabel = f.label;
+    return f;
+  }
+
+  function normalizeSchema(schema) {
+    return {
+      version: SCHEMA_VERSION,
+      fields: (schema && Array.isArray(schema.fields) ? schema.fields : []).map(normalizeField)
+    };
+  }
+
+  function simplifyName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  // Returns a list of problems; an empty list means the schema can be used
+  function validateSchema(schema) {
+    const problems = [];
+    const seen = new Set();
+    const names = new Map(RESERVED_KEYS.map(k => [simplifyName(k), null])); // simplified name -> field key
+    schema.fields.forEach((f, i) => {
+      const where = f.label || f.key || I18n.t("Field {number}", { number: i + 1 });
+      const problem = (message, params = {}) => problems.push(I18n.t(message, { field: where, ...params }));
+      if (!/^[A-Za-z][A-Za-z0-9]*$/.test(f.key)) problem("{field}: the key must start with a letter and use only letters and digits.");
+      if (RESERVED_KEYS.includes(f.key)) problem("{field}: \"{key}\" is reserved.", { key: f.key });
+      if (seen.has(f.key)) problem("{field}: the key \"{key}\" is used twice.", { key: f.key });
+      seen.add(f.key);
+      if (!f.label) problem("{field}: a label is required.");
+      // the key, labels and aliases all name the field in searches and import headers
+      new Set([f.key, f.label, f.shortLabel].concat(f.aliases).map(simplifyName)).forEach(name => {
+        if (!name) return;
+        if (names.has(name) && names.get(name) !== f.key) {
+          const owner = names.get(name);
+          if (owner) problem("{field}: the name \"{name}\" is already used by the field \"{owner}\".", { name, owner });
+          else problem("{field}: the name \"{name}\" is already used by the app.", { name });
+        } else {
+          names.set(name, f.key);
+        }
+      });
+      if (CORE_FIELD_TYPES[f.key] && CORE_FIELD_TYPES[f.key] !== f.type) {
+        problem("{field}: this built-in field must stay of type \"{type}\".", { type: CORE_FIELD_TYPES[f.key] });
+      }
+      if (f.type === "select") {
+        if (!f.options.length) problem("{field}: add at least one option.");
+        const values = f.options.map(o => o.value);
+        if (values.some(v => !v)) problem("{field}: options can't be empty.");
+        if (new Set(values).size !== values.length) problem("{field}: option values must be unique.");
+      }
+      if (f.type === "tags" && f.maxItems != null && !(f.maxItems >= 1)) problem("{field}: the maximum number of items must be at least 1.");
+      if (f.pattern) {
+        try {
+          new RegExp(f.pattern);
+        } catch (err) {
+          problem("{field}: the pattern is not a valid regular expression.");
+        }
+      }
+    });
+    Object.keys(CORE_FIELD_TYPES).forEach(key => {
+      if (!seen.has(key)) problems.push(I18n.t("The built-in field \"{key}\" can't be removed.", { key }));
+    });
+    return problems;
+  }
+
+  function isCoreField(key) {
+    return Object.prototype.hasOwnProperty.call(CORE_FIELD_TYPES, key);
+  }
+
+  // Copy of `schema` for showing in the active language (i18n.js). Only text the built-in fields
+  // still have from DEFAULT_SCHEMA is translated; anything the admin wrote stays as written. The
+  // English labels become aliases, so queries like year:2 and import headers keep working.
+  function localizeSchema(schema) {
+    const copy = cloneSchema(schema);
+    copy.fields.forEach(field => {
+      const original = DEFAULT_SCHEMA.fields.find(f => f.key === field.key);
+      if (!original) return;
+      const names = [field.label, field.shortLabel];
+      const translate = (text, englishText) => (text === englishText ? I18n.t(englishText) : text);
+      field.label = translate(field.label, original.label);
+      field.shortLabel = translate(field.shortLabel, original.shortLabel || original.label);
+      field.hint = translate(field.hint, original.hint || "");
+      field.placeholder = translate(field.placeholder, original.placeholder || "");
+      field.options.forEach(opt => {
+        const englishOption = (original.options || []).find(o => o.value === opt.value);
+        if (englishOption) opt.label = translate(opt.label, englishOption.label);
+      });
+      names.forEach(name => {
+        if (name !== field.label && name !== field.shortLabel && !field.aliases.includes(name)) field.aliases.push(name);
+      });
+    });
+    return copy;
+  }
+
+  /* =========================
+     Values
+     ========================= */
+  function emptyValue(field) {
+    return field.type === "tags" ? [] : "";
+  }
+
+  function optionLabel(field, value) {
+    const opt = field.options.find(o => o.value === String(value));
+    return opt ? opt.label : String(value);
+  }
+
+  // Text shown in cards and table cells
+  function formatValue(field, value) {
+    if (field.type === "tags") return (value || []).join(", ");
+    return value == null ? "" : String(value);
+  }
+
+  // Checks one value against the field's own rules. Uniqueness needs the other profiles,
+  // so the app checks `unique` itself. Returns an error message (in the active language) or null.
+  function validateFieldValue(field, value) {
+    const label = field.label;
+    const lower = label.toLowerCase();
+    const { t, tn } = I18n;
+    if (field.type === "tags") {
+      const items = value || [];
+      if (field.required && !items.length) return t("{label} is required.", { label });
+      if (field.maxItems != null && items.length > field.maxItems) {
+        return tn(field.maxItems, "You can enter up to {count} {label}.", "You can enter up to {count} {label}.", { label: lower });
+      }
+      return null;
+    }
+
+    const text = value == null ? "" : String(value).trim();
+    if (!text) {
+      if (!field.required) return null;
+      return field.type === "email" ? t("Valid {label} is required.", { label: lower }) : t("{label} is required.", { label });
+    }
+    if (field.type === "email" && !EMAIL_RE.test(text)) return t("Valid {label} is required.", { label: lower });
+    if (field.type === "select" && !field.options.some(o => o.value === text)) {
+      return t("{label} must be one of the listed options.", { label });
+    }
+    if (field.type === "number") {
+      const n = Number(text);
+      if (Number.isNaN(n)) return t("{label} must be a number.", { label });
+      if (field.min != null && n < field.min) return t("{label} must be at least {min}.", { label, min: field.min });
+      if (field.max != null && n > field.max) return t("{label} must be at most {max}.", { label, max: field.max });
+    }
+    if (field.minLength != null && text.length < field.minLength) {
+      return tn(field.minLength, "{label} must be at least {count} character.", "{label} must be at least {count} characters.", { label });
+    }
+    if (field.maxLength != null && text.length > field.maxLength) {
+      return tn(field.maxLength, "{label} must be at most {count} character.", "{label} must be at most {count} characters.", { label });
+    }
+    if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(text)) {
+      return field.patternMessage || t("{label} is not in the expected format.", { label });
+    }
+    return null;
+  }
+
+  window.ProfileSchema = {
+    FIELD_TYPES,
+    DEFAULT_SCHEMA,
+    cloneSchema,
+    normalizeSchema,
+    validateSchema,
+    isCoreField,
+    localizeSchema,
+    emptyValue,
+    optionLabel,
+    formatValue,
+    validateFieldValue
+  };
+})();
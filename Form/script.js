@@ -1,13 +1,33 @@
 // script.js
 // Final feature-complete script for Profile Manager
+// - Configurable form schema (schema.js): fields, options and rules drive the form, validation, cards, table, search, facets and export; edited in the Form Settings panel
+// - Optional step-by-step registration (identity, study details, interests, photo, review) with per-step validation; form drafts autosaved and offered back
 // - Validation (stricter email regex, unique email checks, file size/type checks)
-// - File upload handling with preview, spinner, and caching existing photo if edit and no new file
+// - Photo uploads cropped, resized and re-encoded client-side (image-pipeline.js), with preview and spinner
+// - Existing photo kept on edit when no new file is chosen
 // - Edit / Cancel Edit functionality (card + table)
-// - Remove confirmation
-// - Debounced search/filter/sort with highlighting
-// - LocalStorage persistence with try/catch and simple photo omission for large images
+// - Remove with an Undo toast; undo/redo history (Ctrl+Z / Ctrl+Shift+Z) for add, edit, remove and import
+// - Debounced search with a query language (query.js: field:value, AND/OR, -negation, "phrases", wildcards) and highlighting; multi-key sort from the table headers (saved across reloads)
+// - Tag inputs with autocomplete and a managed vocabulary (tags.js): synonyms, and renaming or merging tags across all profiles
+// - Statistics dashboard (stats.js): programme by year, top interests and photo share as inline SVG charts, following search and filters
+// - Facet sidebar (programme, year, interests) with live counts, bookmarkable through the URL hash
+// - Row selection (select-all, shift-click ranges) with batch delete/edit/tag/export
+// - Print-ready ID badges with a QR code of the profile ID (qr-code.js) and a class roster grouped by programme and year (print-layout.js)
+// - CSV/JSON roster import (column mapping, validated preview, duplicate handling) and export
+// - LocalStorage persistence with try/catch; large photos kept in an IndexedDB photo store
+// - Pluggable storage (storage-adapters.js): this browser only, or a shared REST server with an offline queue and retries
+// - Versioned storage schema with migrations, last-good snapshot and a recovery prompt for damaged data
+// - createdAt/updatedAt on every profile and an append-only change history (audit-log.js): History dialog, restore, export
+// - Duplicate detection (duplicates.js): similar names and photos flagged while typing, a roster scan and a merge wizard
+// - Cross-tab sync through the storage event; per-record revisions, with a conflict dialog (pick a side or merge field by field)
+// - Card grid and table rendered windowed with keyed updates (virtual-list.js), searched through a prebuilt index; index.html?benchmark times them on 10,000 synthetic profiles (benchmark.js)
+// - Roster kept in a headless store (profile-store.js): add/update/remove/query, validation, sorting and the stored format, with change events the page re-renders from
+// - Cards and table rows built from text nodes only (profile-render.js): search matches marked on the text, photo URLs limited to safe schemes
+// - Message catalogue (i18n.js) with plural forms, a saved language switcher, Arabic with right-to-left layout, and sorting and search that follow the language
+// - Works offline and installs as an app (sw.js, manifest.webmanifest), with an update prompt; photo links saved offline show once they can be loaded
 // - Accessibility improvements: aria-live announcements, focus handling
-// - Lazy-loading images, mobile view-details expansion
+// - Profile pages (#/profiles/:id, routes.js) with the full record, a large photo, history and actions; #/profiles/:id/edit opens the form on that profile, and Back returns to the list with its search and scroll position
+// - Lazy-loading images
 // - Modular structure and comments for maintainability
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -15,34 +35,150 @@ document.addEventListener("DOMContentLoaded", () => {
      DOM references
      ========================= */
   const form = document.getElementById("registrationForm");
-  const firstNameInput = document.getElementById("firstName");
-  const lastNameInput = document.getElementById("lastName");
-  const emailInput = document.getElementById("email");
-  const programmeInput = document.getElementById("programme");
-  const yearInput = document.getElementById("year");
-  const interestsInput = document.getElementById("interests");
+  const schemaFieldsContainer = document.getElementById("schemaFields");
   const photoFileInput = document.getElementById("photoFile");
   const photoUrlInput = document.getElementById("photoUrl");
+  const photoUrlOfflineHint = document.getElementById("photoUrlOffline");
   const formStatus = document.getElementById("formStatus") || document.getElementById("formStatus"); // fallback
+  const wizardModeInput = document.getElementById("wizardMode");
+  const wizardProgress = document.getElementById("wizardProgress");
+  const wizardReviewList = document.getElementById("wizardReviewList");
+  const wizardBackBtn = document.getElementById("wizardBack");
+  const wizardNextBtn = document.getElementById("wizardNext");
+  const formSubmitBtn = document.getElementById("formSubmit");
+  const draftBanner = document.getElementById("draftBanner");
+  const draftText = document.getElementById("draftText");
+  const draftRestoreBtn = document.getElementById("draftRestore");
+  const draftDiscardBtn = document.getElementById("draftDiscard");
+  const mainEl = document.getElementById("main");
+  const profileDetail = document.getElementById("profileDetail");
+  const profileDetailBody = document.getElementById("profileDetailBody");
+  const profileDetailBackLink = document.getElementById("profileDetailBack");
   const cardsContainer = document.getElementById("cardsContainer");
   const summaryTable = document.getElementById("summaryTable");
   const summaryTbody = summaryTable.querySelector("tbody");
   const searchInput = document.getElementById("searchInput");
   const filterField = document.getElementById("filterField");
+  const searchError = document.getElementById("searchError");
+  const facetGroupsContainer = document.getElementById("facetGroups");
+  const clearFacetsBtn = document.getElementById("clearFacets");
   const clearSearchBtn = document.getElementById("clearSearch");
   const cancelEditBtn = document.getElementById("cancelEdit");
   const loadingSpinner = document.getElementById("loadingSpinner");
+  const photoCropper = document.getElementById("photoCropper");
+  const photoCropPreview = document.getElementById("photoCropPreview");
+  const photoZoomInput = document.getElementById("photoZoom");
+  const exportCsvBtn = document.getElementById("exportCsv");
+  const exportJsonBtn = document.getElementById("exportJson");
+  const exportPhotosInput = document.getElementById("exportPhotos");
+  const importFileInput = document.getElementById("importFile");
+  const importPanel = document.getElementById("importPanel");
+  const importSummary = document.getElementById("importSummary");
+  const importMappingFields = document.getElementById("importMappingFields");
+  const importPreviewTbody = document.querySelector("#importPreview tbody");
+  const confirmImportBtn = document.getElementById("confirmImport");
+  const cancelImportBtn = document.getElementById("cancelImport");
+  const selectAllBox = document.getElementById("selectAll");
+  const batchBar = document.getElementById("batchBar");
+  const batchCount = document.getElementById("batchCount");
+  const batchDeleteBtn = document.getElementById("batchDelete");
+  const batchProgrammeSelect = document.getElementById("batchProgramme");
+  const batchProgrammeBtn = document.getElementById("batchProgrammeApply");
+  const batchYearSelect = document.getElementById("batchYear");
+  const batchYearBtn = document.getElementById("batchYearApply");
+  const batchTagInput = document.getElementById("batchTag");
+  const batchTagAddBtn = document.getElementById("batchTagAdd");
+  const batchTagRemoveBtn = document.getElementById("batchTagRemove");
+  const batchExportCsvBtn = document.getElementById("batchExportCsv");
+  const batchExportJsonBtn = document.getElementById("batchExportJson");
+  const batchClearBtn = document.getElementById("batchClear");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const toastRegion = document.getElementById("toastRegion");
+  const recoveryDialog = document.getElementById("storageRecovery");
+  const recoveryDetails = document.getElementById("storageRecoveryDetails");
+  const recoverySnapshotInfo = document.getElementById("storageRecoverySnapshot");
+  const recoveryRestoreBtn = document.getElementById("storageRestore");
+  const recoveryDownloadBtn = document.getElementById("storageDownload");
+  const recoveryDiscardBtn = document.getElementById("storageDiscard");
+  const historyDialog = document.getElementById("historyDialog");
+  const historyTitle = document.getElementById("historyTitle");
+  const historyMeta = document.getElementById("historyMeta");
+  const historyList = document.getElementById("historyList");
+  const historyCloseBtn = document.getElementById("historyClose");
+  const exportAuditCsvBtn = document.getElementById("exportAuditCsv");
+  const exportAuditJsonBtn = document.getElementById("exportAuditJson");
+  const auditActorInput = document.getElementById("auditActor");
+  const duplicateWarning = document.getElementById("duplicateWarning");
+  const findDuplicatesBtn = document.getElementById("findDuplicates");
+  const batchMergeBtn = document.getElementById("batchMerge");
+  const printPaperSelect = document.getElementById("printPaper");
+  const printBadgesBtn = document.getElementById("printBadges");
+  const printRosterBtn = document.getElementById("printRoster");
+  const batchPrintBadgesBtn = document.getElementById("batchPrintBadges");
+  const printView = document.getElementById("printView");
+  const printPageStyle = document.getElementById("printPageStyle");
+  const statsPanel = document.getElementById("statsPanel");
+  const statsSummary = document.getElementById("statsSummary");
+  const statsCharts = document.getElementById("statsCharts");
+  const duplicatesDialog = document.getElementById("duplicatesDialog");
+  const duplicatesSummary = document.getElementById("duplicatesSummary");
+  const duplicatesList = document.getElementById("duplicatesList");
+  const duplicatesCloseBtn = document.getElementById("duplicatesClose");
+  const mergeDialog = document.getElementById("mergeDialog");
+  const mergeStepLabel = document.getElementById("mergeStepLabel");
+  const mergeIntro = document.getElementById("mergeIntro");
+  const mergeStepFields = document.getElementById("mergeStepFields");
+  const mergeKeepIdChoices = document.getElementById("mergeKeepId");
+  const mergeTbody = document.querySelector("#mergeTable tbody");
+  const mergeSameNote = document.getElementById("mergeSameNote");
+  const mergeStepReview = document.getElementById("mergeStepReview");
+  const mergeReviewList = document.getElementById("mergeReviewList");
+  const mergeReviewNote = document.getElementById("mergeReviewNote");
+  const mergeBackBtn = document.getElementById("mergeBack");
+  const mergeNextBtn = document.getElementById("mergeNext");
+  const mergeConfirmBtn = document.getElementById("mergeConfirm");
+  const mergeCancelBtn = document.getElementById("mergeCancel");
+  const conflictDialog = document.getElementById("conflictDialog");
+  const conflictIntro = document.getElementById("conflictIntro");
+  const conflictTable = document.getElementById("conflictTable");
+  const conflictTbody = conflictTable ? conflictTable.querySelector("tbody") : null;
+  const conflictKeepMineBtn = document.getElementById("conflictKeepMine");
+  const conflictKeepTheirsBtn = document.getElementById("conflictKeepTheirs");
+  const conflictMergeBtn = document.getElementById("conflictMerge");
+  const schemaEditorContainer = document.getElementById("schemaEditor");
+  const schemaErrors = document.getElementById("schemaErrors");
+  const schemaAddFieldBtn = document.getElementById("schemaAddField");
+  const schemaSaveBtn = document.getElementById("schemaSave");
+  const schemaDiscardBtn = document.getElementById("schemaDiscard");
+  const schemaDefaultsBtn = document.getElementById("schemaResetDefaults");
+  const tagAdmin = document.getElementById("tagAdmin");
+  const tagAdminBody = document.getElementById("tagAdminBody");
+  const syncStatus = document.getElementById("syncStatus");
+  const syncRetryBtn = document.getElementById("syncRetry");
+  const syncDismissBtn = document.getElementById("syncDismiss");
+  const toggleDarkBtn = document.getElementById("toggleDark"); // its click handler is in index.html
+  const storageBackendInputs = document.querySelectorAll('input[name="storageBackend"]');
+  const storageServerUrlInput = document.getElementById("storageServerUrl");
+  const storageApplyBtn = document.getElementById("storageApply");
+  const languageSelect = document.getElementById("languageSelect");
 
   /* =========================
      App state
      ========================= */
-  let profiles = {};       // { id: {firstName,lastName,email,programme,year,interests,photoUrl} }
+  // The roster is kept in a ProfileStore (profile-store.js). `profiles` is its current map, kept in step
+  // by the subscription; changes go through the store (apply / reset), never into `profiles` itself.
+  const store = ProfileStore.create({ tagKey: (fieldKey, text) => tagKeyFor(fieldKey, text) });
+  let profiles = store.all(); // { id: {firstName,lastName,email,programme,year,interests,...custom fields,photoUrl} }
+  store.subscribe(() => { profiles = store.all(); });
   let profileId = 1;       // incremental id (persisted)
   let editingId = null;    // id of profile being edited
+  let editingRev = 0;      // revision of that profile when the form was filled in
   let debounceTimer = null;
   const SEARCH_DEBOUNCE = 300; // ms
-  const PHOTO_MAX_BYTES = 2 * 1024 * 1024; // 2 MB
-  const PHOTO_STORE_THRESHOLD = 150 * 1024; // 150 KB - if bigger than this we'll omit storing the base64 for compression
+  const PHOTO_MAX_BYTES = 10 * 1024 * 1024; // 10 MB - uploads are resized and re-encoded before saving
+  const PHOTO_STORE_THRESHOLD = 150 * 1024; // 150 KB - if bigger than this the photo goes to the IndexedDB photo store
+  const PHOTO_TARGET_LENGTH = 100 * 1024; // data URL budget for processed uploads, comfortably under the threshold
 
   /* =========================
      Accessibility helpers
@@ -59,6 +195,9 @@ document.addEventListener("DOMContentLoaded", () => {
   /* =========================
      Utilities
      ========================= */
+  // Messages in the chosen language (i18n.js); the English text is the message id
+  const { t, tn } = I18n;
+
   function uid() {
     // simple id generator using timestamp + random
     return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
@@ -70,7 +209,7 @@ document.addEventListener("DOMContentLoaded", () => {
       return true;
     } catch (err) {
       console.error("localStorage set error:", err);
-      announce("Could not save to localStorage (quota or privacy settings).", "error");
+      announce(t("Could not save to localStorage (quota or privacy settings)."), "error");
       return false;
     }
   }
@@ -83,648 +222,4114 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  // Normalize emails for uniqueness: lowercase, and for gmail/googlemail remove dots and plus tags.
-  function normalizeEmailForComparison(email) {
-    if (!email) return "";
-    email = email.trim().toLowerCase();
-    const parts = email.split("@");
-    if (parts.length !== 2) return email;
-    let [local, domain] = parts;
-    if (domain === "gmail.com" || domain === "googlemail.com") {
-      // remove dots
-      local = local.split("+")[0].replace(/\./g, "");
-      return `${local}@${domain}`;
+  /* =========================
+     Language (i18n.js)
+     ========================= */
+  // The saved choice, else the browser's first supported language. The page is translated before
+  // anything else is built; switching reloads it, and unsaved form input comes back as a draft.
+  const LANGUAGE_STORAGE_KEY = "profile_manager_language";
+  I18n.setLocale(safeLocalStorageGet(LANGUAGE_STORAGE_KEY) || I18n.pickLocale(navigator.languages));
+  I18n.translateDom(document.body);
+  document.title = t(document.title);
+  // index.html restored the theme before the language was set
+  if (toggleDarkBtn && document.body.classList.contains("dark")) toggleDarkBtn.textContent = t("☀️ Light Mode");
+
+  if (languageSelect) {
+    Object.entries(I18n.LOCALES).forEach(([code, locale]) => {
+      const opt = document.createElement("option");
+      opt.value = code;
+      opt.lang = code;
+      opt.textContent = locale.label;
+      languageSelect.appendChild(opt);
+    });
+    languageSelect.value = I18n.getLocale();
+    languageSelect.addEventListener("change", () => {
+      if (!safeLocalStorageSet(LANGUAGE_STORAGE_KEY, languageSelect.value)) return;
+      location.reload();
+    });
+  }
+
+  /* =========================
+     Form schema (schema.js)
+     ========================= */
+  // The fields of a profile, their options and rules. Saved separately from the profiles so
+  // changing the form never rewrites profile data; values of removed fields stay on the records.
+  // savedSchema is the schema as saved (edited in Form settings, used for export and import values);
+  // formSchema is its copy in the chosen language, which everything on screen is built from.
+  const SCHEMA_STORAGE_KEY = "profile_manager_form_schema";
+  let savedSchema = loadFormSchema();
+  let formSchema = ProfileSchema.localizeSchema(savedSchema);
+
+  function loadFormSchema() {
+    const raw = safeLocalStorageGet(SCHEMA_STORAGE_KEY);
+    if (raw) {
+      try {
+        const schema = ProfileSchema.normalizeSchema(JSON.parse(raw));
+        const problems = ProfileSchema.validateSchema(schema);
+        if (!problems.length) return schema;
+        console.error("Saved form schema is invalid, using the default form:", problems);
+      } catch (err) {
+        console.error("Saved form schema could not be read, using the default form:", err);
+      }
     }
-    // For other domains, strip +tag but keep dots (safer)
-    local = local.split("+")[0];
-    return `${local}@${domain}`;
+    return ProfileSchema.normalizeSchema(ProfileSchema.DEFAULT_SCHEMA);
+  }
+
+  function getField(key) {
+    return formSchema.fields.find(f => f.key === key) || null;
+  }
+
+  // Fields with a flag set (showInCard, showInTable, searchable, facet), or all of them
+  function schemaFields(flag) {
+    return flag ? formSchema.fields.filter(f => f[flag]) : formSchema.fields;
+  }
+
+  // Most tags a profile may have in `key` (Infinity when the field sets no maximum)
+  function maxTags(key) {
+    const field = getField(key);
+    return field && field.maxItems != null ? field.maxItems : Infinity;
   }
 
   /* =========================
      Validation
      ========================= */
-  // stricter email regex (common cases)
-  const EMAIL_RE = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
-
-  function validateProfileInput(data, {isEdit = false, excludeId = null} = {}) {
+  // Validates profile input against the form schema (the rules are in profile-store.js). By default errors are shown inline on the form;
+  // pass `report(field, message)` to collect them instead (used by import, which validates rows that never touch the form).
+  // `fields` limits the checks to those keys (one wizard step); "photoFile" and "photoUrl" stand for the photo checks.
+  function validateProfileInput(data, {isEdit = false, excludeId = null, report = null, fields = null} = {}) {
     let valid = true;
-    // clear previous inline errors
-    clearError("firstName");
-    clearError("lastName");
-    clearError("email");
-    clearError("programme");
-    clearError("year");
-    clearError("photoFile");
-    clearError("interests");
-
-    if (!data.firstName || data.firstName.trim().length < 1) {
-      showError("firstName", "First name is required.");
+    const checked = key => !fields || fields.includes(key);
+    const fail = (field, message) => {
+      (report || showError)(field, message);
       valid = false;
+    };
+    if (!report) {
+      // clear previous inline errors
+      formSchema.fields.forEach(f => { if (checked(f.key)) clearError(f.key); });
+      if (checked("photoFile")) clearError("photoFile");
+      if (checked("photoUrl")) clearError("photoUrl");
     }
-    if (!data.lastName || data.lastName.trim().length < 1) {
-      showError("lastName", "Last name is required.");
-      valid = false;
+
+    store.validate(data, { excludeId, only: fields }).forEach(error => fail(error.field, error.message));
+
+    // photo file validation handled separately on file read stage, but if a File was provided in data.file, check it
+    if (data.file && checked("photoFile")) {
+      if (data.file.size > PHOTO_MAX_BYTES) {
+        fail("photoFile", t("Photo must be less than 10MB."));
+      }
+      if (!ImagePipeline.ACCEPTED_TYPES.includes(data.file.type)) {
+        fail("photoFile", t("Photo must be a JPG, PNG or WebP image."));
+      }
     }
-    if (!data.email || !EMAIL_RE.test(data.email)) {
-      showError("email", "Valid email is required.");
-      valid = false;
-    } else {
-      // Unique email check
-      const normalized = normalizeEmailForComparison(data.email);
-      for (const id in profiles) {
-        if (excludeId && id === excludeId) continue;
-        if (normalizeEmailForComparison(profiles[id].email) === normalized) {
-          showError("email", "This email is already registered.");
-          valid = false;
-          break;
-        }
+
+    return valid;
+  }
+
+  function showError(field, message) {
+    const errorSpan = document.getElementById(field + "Error");
+    if (errorSpan) {
+      errorSpan.textContent = message;
+    }
+  }
+
+  function clearError(field) {
+    const errorSpan = document.getElementById(field + "Error");
+    if (errorSpan) {
+      errorSpan.textContent = "";
+    }
+  }
+
+  // dynamic error clearing when user types/changes an input (schema inputs get theirs in buildFormFields)
+  if (photoFileInput) photoFileInput.addEventListener("input", () => clearError("photoFile"));
+
+  /* =========================
+     Tag vocabulary (tags.js)
+     ========================= */
+  // Per tag field: the canonical spelling of each tag and synonyms mapping onto another tag, so "AI",
+  // "ai", "A.I." and "Artificial Intelligence" are one interest. Managed under Interests & Tags.
+  const TAG_VOCABULARY_STORAGE_KEY = "profile_manager_tag_vocabulary";
+  const DEFAULT_TAG_VOCABULARIES = {
+    interests: {
+      labels: { ai: "AI", machinelearning: "Machine Learning" },
+      synonyms: {
+        artificialintelligence: { to: "ai", text: "Artificial Intelligence" },
+        ml: { to: "machinelearning", text: "ML" }
       }
     }
-    if (!data.programme || data.programme.trim() === "") {
-      showError("programme", "Programme is required.");
-      valid = false;
+  };
+  let tagVocabularies = loadTagVocabularies();
+  const tagInputs = new Map(); // field key -> chip input on the form
+
+  function loadTagVocabularies() {
+    let saved = DEFAULT_TAG_VOCABULARIES;
+    const raw = safeLocalStorageGet(TAG_VOCABULARY_STORAGE_KEY);
+    if (raw) {
+      try {
+        saved = JSON.parse(raw) || {};
+      } catch (err) {
+        console.error("Saved tag vocabulary could not be read, using the default one:", err);
+      }
     }
-    if (!data.year || data.year.trim() === "") {
-      showError("year", "Year is required.");
-      valid = false;
+    const vocabularies = {};
+    Object.keys(saved).forEach(key => { vocabularies[key] = Tags.normalizeVocabulary(saved[key]); });
+    return vocabularies;
+  }
+
+  function tagVocabulary(fieldKey) {
+    return tagVocabularies[fieldKey] || Tags.emptyVocabulary();
+  }
+
+  // Use count and shown spelling of every tag in a field across the roster
+  function tagIndex(fieldKey) {
+    return Tags.indexTags(Object.values(profiles).map(p => p[fieldKey]), tagVocabulary(fieldKey));
+  }
+
+  // What two tags are compared by (case, accents, punctuation and synonyms don't count)
+  function tagKeyFor(fieldKey, text) {
+    return Tags.resolveKey(text, tagVocabulary(fieldKey));
+  }
+
+  // Canonical spellings, without repeats, for tags typed or imported into a field
+  function canonicalTags(fieldKey, tags) {
+    return Tags.normalizeTags(tags, tagVocabulary(fieldKey), tagIndex(fieldKey));
+  }
+
+  // a rename or merge in another tab changes how tags are spelled and counted here too
+  window.addEventListener("storage", (e) => {
+    if (e.key !== TAG_VOCABULARY_STORAGE_KEY) return;
+    tagVocabularies = loadTagVocabularies();
+    rerenderAll();
+  });
+
+  function createFieldTagInput(field, input) {
+    tagInputs.set(field.key, Tags.createTagInput(input, {
+      maxItems: field.maxItems,
+      canonical: text => Tags.canonicalTag(text, tagVocabulary(field.key), tagIndex(field.key)),
+      keyOf: text => tagKeyFor(field.key, text),
+      suggest: (text, exclude) => Tags.suggestTags(text, tagVocabulary(field.key), tagIndex(field.key), { exclude }),
+      onChange: () => {
+        clearError(field.key);
+        scheduleDraftSave();
+      },
+      onLimit: max => showError(field.key, t("You can add up to {max} {label}. Remove one to add another.", { max, label: field.label.toLowerCase() }))
+    }));
+  }
+
+  /* =========================
+     Form fields (built from the schema)
+     ========================= */
+  function buildFormFields() {
+    if (!schemaFieldsContainer) return;
+    schemaFieldsContainer.innerHTML = "";
+    tagInputs.clear();
+    formSchema.fields.forEach(field => {
+      const { row, input } = ProfileRender.formRow(field);
+      row.dataset.step = formStepOf(field);
+      input.addEventListener("input", () => clearError(field.key));
+      if (field.type === "tags") createFieldTagInput(field, input);
+      schemaFieldsContainer.appendChild(row);
+    });
+  }
+
+  // Wizard step a field is filled in on (see "Registration wizard" below)
+  function formStepOf(field) {
+    if (field.key === "firstName" || field.key === "lastName" || field.type === "email" || field.type === "tel") return "identity";
+    return field.type === "tags" ? "interests" : "study";
+  }
+
+  // Form value for one field: tags come from the chip input (all of them, so going over the
+  // maximum is reported rather than cut off), text is trimmed
+  function readFieldInput(field) {
+    const input = document.getElementById(field.key);
+    if (!input) return ProfileSchema.emptyValue(field);
+    if (field.type === "tags") return tagInputs.has(field.key) ? tagInputs.get(field.key).getTags() : [];
+    return field.type === "select" ? input.value : input.value.trim();
+  }
+
+  function writeFieldInput(field, value) {
+    const input = document.getElementById(field.key);
+    if (!input) return;
+    if (field.type === "tags" && tagInputs.has(field.key)) tagInputs.get(field.key).setTags(value || []);
+    else input.value = value == null ? "" : String(value);
+  }
+
+  buildFormFields();
+
+  /* =========================
+     Photo store (IndexedDB)
+     ========================= */
+  // Large photos don't fit in the localStorage quota, so they live in IndexedDB keyed by profile id.
+  // The stored profile keeps a `photoRef` pointing at its entry; the in-memory profile keeps the data URL.
+  const PHOTO_DB_NAME = "profile_manager_photos";
+  const PHOTO_DB_STORE = "photos";
+  let photoDbPromise = null;
+  const persistedPhotos = new Map(); // id -> data URL last written, so unchanged photos aren't rewritten
+
+  function isPhotoStoreAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  function openPhotoDb() {
+    if (photoDbPromise) return photoDbPromise;
+    photoDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(PHOTO_DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(PHOTO_DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // allow a later retry if opening failed (e.g. private browsing)
+    photoDbPromise.catch(() => { photoDbPromise = null; });
+    return photoDbPromise;
+  }
+
+  function photoStoreRequest(mode, run) {
+    return openPhotoDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(PHOTO_DB_STORE, mode);
+      const req = run(tx.objectStore(PHOTO_DB_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }));
+  }
+
+  function putStoredPhoto(id, dataUrl) {
+    persistedPhotos.set(id, dataUrl);
+    return photoStoreRequest("readwrite", store => store.put(dataUrl, id)).catch(err => {
+      persistedPhotos.delete(id);
+      console.error("Photo store write failed:", err);
+      announce(t("Could not save the profile photo to browser storage."), "error");
+    });
+  }
+
+  function getStoredPhoto(id) {
+    return photoStoreRequest("readonly", store => store.get(id));
+  }
+
+  function deleteStoredPhoto(id) {
+    persistedPhotos.delete(id);
+    if (!isPhotoStoreAvailable()) return Promise.resolve();
+    return photoStoreRequest("readwrite", store => store.delete(id)).catch(err => {
+      console.error("Photo store delete failed:", err);
+    });
+  }
+
+  /* =========================
+     Storage (versioned envelope + migrations)
+     ========================= */
+  const STORAGE_KEY = "profile_manager_v1";
+  const LAST_GOOD_KEY = STORAGE_KEY + "_last_good"; // snapshot of the last payload that loaded cleanly
+  const DAMAGED_KEY = STORAGE_KEY + "_damaged";     // a payload that failed to load, kept aside for recovery
+  let storageLocked = false; // true while the recovery prompt is open, so nothing overwrites the damaged data
+  // Other tabs write the same key. Each record carries a revision number; storedRevs holds the revision
+  // this tab last read or wrote, and dirtyIds the records changed here since, so persistProfiles()
+  // only writes those and takes everything else from storage (see "Cross-tab sync & conflicts").
+  const storedRevs = new Map(); // id -> rev
+  const dirtyIds = new Set();
+  const replacedIds = new Set(); // replaced by the server's copy: written with the server's revision
+  // The local adapter always holds the payload; with a server configured it is the offline copy
+  // and remoteStore (the HTTP adapter, see "Server sync") shares the changes.
+  // index.html?benchmark fills the page with synthetic profiles (benchmark.js) that are kept in memory only
+  const BENCHMARK_SIZE = ProfileBenchmark.requestedSize(location.search);
+  const localStore = BENCHMARK_SIZE ? StorageAdapters.createMemoryAdapter() : StorageAdapters.createLocalAdapter(STORAGE_KEY);
+  let remoteStore = null;
+
+  // When storing, large photos are moved to the IndexedDB photo store and replaced by a photoRef.
+  // Without IndexedDB we fall back to omitting them and flag the record with photoMissing: true.
+  function toStoredRecord(id, p) {
+    return ProfileStore.storedRecord(id, p, {
+      photoLimit: PHOTO_STORE_THRESHOLD,
+      storePhoto: (photoId, dataUrl) => {
+        if (!isPhotoStoreAvailable()) return null;
+        if (persistedPhotos.get(photoId) !== dataUrl) putStoredPhoto(photoId, dataUrl);
+        return photoId;
+      },
+      dropPhoto: photoId => {
+        if (persistedPhotos.has(photoId)) deleteStoredPhoto(photoId);
+      }
+    });
+  }
+
+  // Writes the records changed in this tab over whatever is stored now, so changes saved
+  // meanwhile by other tabs are kept rather than overwritten.
+  function persistProfiles() {
+    if (storageLocked) {
+      announce(t("Saving is paused until you choose how to recover the damaged profile data."), "error");
+      return false;
     }
+    // if the write fails, this tab's changes must still count as unsaved next time
+    const revsBefore = new Map(storedRevs);
+    const dirtyBefore = new Set(dirtyIds);
+    const replacedBefore = new Set(replacedIds);
+    const payload = {
+      schemaVersion: ProfileStore.STORAGE_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      profileId,
+      profiles: reconcileWithStored(readStoredProfiles())
+    };
 
-    // interests: min 0, max 3 per UI hint
-    if (data.interests && data.interests.length > 3) {
-      showError("interests", "You can enter up to three interests.");
-      valid = false;
+    // profiles whose photo is still being read back would otherwise reach the server without it
+    if (remoteStore) remoteStore.save(profiles, { skip: new Set(Object.keys(profiles).filter(id => profiles[id].photoRef && !profiles[id].photoUrl)) });
+    try {
+      localStore.write(JSON.stringify(payload));
+    } catch (err) {
+      console.error("localStorage set error:", err);
+      announce(t("Could not save to localStorage (quota or privacy settings)."), "error");
+      storedRevs.clear();
+      revsBefore.forEach((rev, id) => storedRevs.set(id, rev));
+      dirtyBefore.forEach(id => dirtyIds.add(id));
+      replacedBefore.forEach(id => replacedIds.add(id));
+      return false;
     }
+    return true;
+  }
 
-    // photo file validation handled separately on file read stage, but if a File was provided in data.file, check it
-    if (data.file) {
-      if (data.file.size > PHOTO_MAX_BYTES) {
-        showError("photoFile", "Photo must be less than 2MB.");
-        valid = false;
+  // Shows the copy kept in this browser straight away; with a server configured, the server's
+  // roster replaces it once it arrives (see applyServerProfiles).
+  function loadProfilesFromStorage() {
+    const raw = localStore.read();
+    if (raw) loadLocalPayload(raw);
+    if (remoteStore && !storageLocked) remoteStore.load();
+  }
+
+  // The profiles currently in storage, or null when they can't be read (this tab's copy then wins)
+  function readStoredProfiles() {
+    const raw = localStore.read();
+    if (!raw) return {};
+    try {
+      return ProfileStore.readPayload(raw).payload.profiles;
+    } catch (err) {
+      console.error("Stored profiles could not be read before saving:", err);
+      return null;
+    }
+  }
+
+  function loadLocalPayload(raw) {
+    let loaded;
+    try {
+      loaded = ProfileStore.readPayload(raw);
+    } catch (err) {
+      console.error("Failed to load stored profiles:", err);
+      if (remoteStore) {
+        // only the offline copy is damaged: the server has the roster and the outbox any unsent changes
+        safeLocalStorageSet(DAMAGED_KEY, raw);
+        announce(t("The offline copy of the profiles could not be read; loading them from the server instead."), "error");
+        return;
       }
-      if (!["image/jpeg", "image/png"].includes(data.file.type)) {
-        showError("photoFile", "Photo must be a JPG or PNG image.");
-        valid = false;
+      beginStorageRecovery(raw, err);
+      return;
+    }
+    applyStoredPayload(loaded.payload);
+    // write migrated data back so older shapes don't linger in storage
+    if (loaded.fromVersion < ProfileStore.STORAGE_SCHEMA_VERSION) persistProfiles();
+    // keep this clean copy aside in case the main key is damaged later
+    safeLocalStorageSet(LAST_GOOD_KEY, JSON.stringify(loaded.payload));
+    announce(t("Profiles loaded from storage."), "info");
+    loadStoredPhotos();
+  }
+
+  function applyStoredPayload(payload) {
+    profileId = payload.profileId || profileId;
+    store.reset(payload.profiles);
+    storedRevs.clear();
+    dirtyIds.clear();
+    Object.keys(profiles).forEach(id => storedRevs.set(id, profiles[id].rev || 1));
+  }
+
+  /* =========================
+     Storage recovery prompt
+     ========================= */
+  function beginStorageRecovery(raw, err) {
+    storageLocked = true;
+    safeLocalStorageSet(DAMAGED_KEY, raw);
+
+    let lastGood = null;
+    const lastGoodRaw = safeLocalStorageGet(LAST_GOOD_KEY);
+    if (lastGoodRaw) {
+      try {
+        lastGood = ProfileStore.readPayload(lastGoodRaw).payload;
+      } catch (snapshotErr) {
+        console.error("Last good snapshot is unusable too:", snapshotErr);
       }
     }
 
-    // Validate photo URL if provided
-    if (photoUrlInput && photoUrlInput.value.trim() !== "") {
-      const url = photoUrlInput.value.trim();
-      // Simple image URL validation (ends with jpg/jpeg/png)
-      if (!/^https?:\/\/.+\.(jpg|jpeg|png)$/i.test(url)) {
-        showError("photoUrl", "Please enter a valid image URL ending with .jpg, .jpeg, or .png.");
-        valid = false;
+    recoveryDetails.textContent = err.message;
+    if (lastGood) {
+      const count = Object.keys(lastGood.profiles).length;
+      recoverySnapshotInfo.textContent = lastGood.savedAt
+        ? tn(count, "A previous snapshot with {count} profile saved {when} is available.", "A previous snapshot with {count} profiles saved {when} is available.",
+          { when: I18n.formatDateTime(lastGood.savedAt) })
+        : tn(count, "A previous snapshot with {count} profile is available.", "A previous snapshot with {count} profiles is available.");
+    } else {
+      recoverySnapshotInfo.textContent = t("No earlier snapshot is available.");
+    }
+    recoveryRestoreBtn.hidden = !lastGood;
+
+    recoveryRestoreBtn.onclick = () => {
+      endStorageRecovery();
+      applyStoredPayload(lastGood);
+      persistProfiles();
+      rerenderAll();
+      announce(t("Profiles restored from the last good snapshot."), "success");
+      loadStoredPhotos();
+    };
+    recoveryDownloadBtn.onclick = () => {
+      downloadFile(`profiles-damaged-${new Date().toISOString().slice(0, 10)}.json`, raw, "application/json");
+    };
+    recoveryDiscardBtn.onclick = () => {
+      endStorageRecovery();
+      announce(t("Started with an empty roster. The damaged data is still kept aside in this browser."), "info");
+    };
+
+    if (recoveryDialog.showModal) recoveryDialog.showModal();
+    else recoveryDialog.setAttribute("open", "");
+    announce(t("Stored profile data could not be loaded. Choose how to recover it."), "error");
+  }
+
+  function endStorageRecovery() {
+    storageLocked = false;
+    if (recoveryDialog.close) recoveryDialog.close();
+    else recoveryDialog.removeAttribute("open");
+  }
+
+  // Load photos referenced by photoRef back into memory, then report any that are gone for good.
+  function loadStoredPhotos() {
+    const pending = Object.keys(profiles).filter(id => profiles[id].photoRef);
+    const lookups = pending.map(id => {
+      if (!isPhotoStoreAvailable()) return Promise.resolve(null);
+      return getStoredPhoto(profiles[id].photoRef).catch(err => {
+        console.error("Photo store read failed:", err);
+        return null;
+      });
+    });
+
+    Promise.all(lookups).then(results => {
+      const changes = [];
+      results.forEach((dataUrl, i) => {
+        const p = profiles[pending[i]];
+        if (!p || p.photoUrl) return; // removed or replaced while loading
+        const loaded = { ...p };
+        delete loaded.photoRef;
+        if (dataUrl) {
+          changes.push({ id: pending[i], after: { ...loaded, photoUrl: dataUrl } });
+          persistedPhotos.set(pending[i], dataUrl);
+        } else {
+          changes.push({ id: pending[i], after: { ...loaded, photoMissing: true } });
+        }
+      });
+      store.apply(changes);
+      if (pending.length) rerenderAll();
+      // these were held back from the server until their photos were back in memory
+      if (pending.length && remoteStore) persistProfiles();
+      reportOmittedPhotos();
+    });
+  }
+
+  function reportOmittedPhotos() {
+    const count = Object.values(profiles).filter(p => p.photoMissing && !p.photoUrl).length;
+    if (!count) return;
+    announce(tn(count,
+      "{count} profile photo was too large to keep in an earlier save and could not be restored. Edit that profile to upload it again.",
+      "{count} profile photos were too large to keep in an earlier save and could not be restored. Edit those profiles to upload them again."), "error");
+  }
+
+  /* =========================
+     Cross-tab sync & conflicts
+     ========================= */
+  // A conflict is { id, mine, theirs, whileEditing }; either side may be null (deleted).
+  const conflictQueue = [];
+  let openConflict = null;
+
+  // Three-way merge of this tab's profiles with the stored ones, using the revision this tab
+  // last saw as the common base. Returns the records to store. Records changed only elsewhere
+  // are taken into this tab; records changed on both sides go to the conflict dialog and
+  // storage keeps the other tab's version until the user decides.
+  function reconcileWithStored(stored) {
+    if (!stored) {
+      // storage is unreadable: nothing to merge with, this tab's copy is written as it is
+      stored = {};
+      storedRevs.clear();
+      Object.keys(profiles).forEach(id => dirtyIds.add(id));
+    }
+    const records = {};
+    const adopted = [];
+    const bumped = [];
+    const ids = new Set([...Object.keys(profiles), ...Object.keys(stored), ...storedRevs.keys(), ...dirtyIds, ...replacedIds]);
+    ids.forEach(id => {
+      const mine = profiles[id] || null;
+      const theirs = stored[id] || null;
+      const baseRev = storedRevs.get(id) || 0;
+      const theirRev = theirs ? theirs.rev || 1 : 0;
+      const changedHere = dirtyIds.has(id) || replacedIds.has(id);
+      const changedThere = theirRev !== baseRev;
+      if (changedThere) persistedPhotos.delete(id); // the other tab may have replaced the stored photo
+
+      if (changedHere && !changedThere) {
+        if (mine) {
+          // edits here need a revision newer than the stored one (undo and redo put back older ones);
+          // the server's copy keeps its own
+          let rev = mine.rev || 1;
+          if (dirtyIds.has(id) && rev <= baseRev) {
+            rev = baseRev + 1;
+            bumped.push({ id, after: { ...mine, rev } });
+          }
+          records[id] = toStoredRecord(id, { ...mine, rev });
+          storedRevs.set(id, rev);
+        } else {
+          storedRevs.delete(id);
+        }
+      } else {
+        if (changedHere && !sameProfileContent(mine, theirs)) {
+          queueConflict({ id, mine: cloneProfile(mine), theirs: cloneProfile(theirs), whileEditing: false });
+        } else if (changedThere) {
+          adopted.push(id);
+        }
+        if (theirs) {
+          records[id] = theirs;
+          storedRevs.set(id, theirRev);
+        } else {
+          storedRevs.delete(id);
+        }
       }
+      dirtyIds.delete(id);
+      replacedIds.delete(id);
+    });
+    store.apply(bumped.concat(adopted.map(id => ({ id, after: stored[id] ? { ...stored[id] } : null }))));
+    if (adopted.length) setTimeout(() => showOtherTabChanges(adopted), 0);
+    return records;
+  }
+
+  // Compares what a person would see; a photo only counts as different when both sides can be compared
+  function sameProfileContent(a, b) {
+    if (!a || !b) return a === b;
+    const fields = p => {
+      const out = {};
+      Object.keys(p).sort().forEach(k => {
+        if (!["rev", "file", "createdAt", "updatedAt", "photoUrl", "photoRef", "photoMissing"].includes(k)) out[k] = p[k];
+      });
+      return JSON.stringify(out);
+    };
+    if (fields(a) !== fields(b)) return false;
+    if (a.photoUrl && b.photoUrl) return a.photoUrl === b.photoUrl;
+    return !(a.photoUrl || a.photoRef) === !(b.photoUrl || b.photoRef);
+  }
+
+  // Refresh after records were taken over from another tab (called outside persistProfiles)
+  function showOtherTabChanges(ids) {
+    rerenderAll();
+    loadStoredPhotos();
+    if (editingId && ids.includes(editingId)) {
+      announce(
+        profiles[editingId]
+          ? t("The profile you are editing was just changed in another tab. When you save, you can choose which changes to keep.")
+          : t("The profile you are editing was just deleted in another tab. When you save, you can choose whether to keep it."),
+        "info"
+      );
+    } else {
+      announce(tn(ids.length, "{count} profile was updated from another tab.", "{count} profiles were updated from another tab."), "info");
     }
+  }
 
-    return valid;
+  // Another tab saved: take its changes (this tab has usually saved everything already)
+  window.addEventListener("storage", (e) => {
+    if (e.key !== STORAGE_KEY || storageLocked || BENCHMARK_SIZE) return;
+    if (dirtyIds.size || replacedIds.size) {
+      persistProfiles();
+      return;
+    }
+    let stored;
+    try {
+      stored = e.newValue ? ProfileStore.readPayload(e.newValue).payload.profiles : {};
+    } catch (err) {
+      console.error("Profiles saved by another tab could not be read:", err);
+      return;
+    }
+    reconcileWithStored(stored);
+  });
+
+  function queueConflict(conflict) {
+    // a newer conflict on the same profile replaces an undecided older one
+    const index = conflictQueue.findIndex(c => c.id === conflict.id);
+    if (index !== -1) conflictQueue.splice(index, 1);
+    conflictQueue.push(conflict);
+    setTimeout(showNextConflict, 0);
+  }
+
+  function showNextConflict() {
+    if (openConflict || !conflictQueue.length || !conflictDialog) return;
+    openConflict = conflictQueue.shift();
+    const { mine, theirs, whileEditing } = openConflict;
+    const name = profileName(mine || theirs);
+
+    if (!mine) {
+      conflictIntro.textContent = t("{name} was deleted in this tab but changed in another tab.", { name });
+    } else if (!theirs) {
+      conflictIntro.textContent = whileEditing
+        ? t("{name} was edited here but deleted in another tab.", { name })
+        : t("{name} was changed in this tab but deleted in another tab.", { name });
+    } else {
+      conflictIntro.textContent = whileEditing
+        ? t("{name} was changed in another tab while you were editing it. Pick the version to keep, or choose field by field and save the merged version.", { name })
+        : t("{name} was changed both in this tab and in another tab. Pick the version to keep, or choose field by field and save the merged version.", { name });
+    }
+    conflictKeepMineBtn.textContent = mine ? t("Keep This Tab's Version") : t("Keep It Deleted");
+    conflictKeepTheirsBtn.textContent = theirs ? t("Keep Other Tab's Version") : t("Delete It");
+    conflictMergeBtn.hidden = !mine || !theirs;
+    renderConflictFields(mine, theirs);
+
+    if (conflictDialog.showModal) conflictDialog.showModal();
+    else conflictDialog.setAttribute("open", "");
+    announce(t("Conflicting changes to {name}. Choose which to keep.", { name }), "error");
+  }
+
+  function profileName(p) {
+    return (p && `${p.firstName || ""} ${p.lastName || ""}`.trim()) || t("A profile");
+  }
+
+  // One row per field that differs, with a radio button on each side
+  function renderConflictFields(mine, theirs) {
+    conflictTbody.innerHTML = "";
+    conflictTable.hidden = !mine || !theirs;
+    if (!mine || !theirs) return;
+    const rows = formSchema.fields
+      .filter(field => JSON.stringify(mine[field.key] == null ? ProfileSchema.emptyValue(field) : mine[field.key]) !==
+        JSON.stringify(theirs[field.key] == null ? ProfileSchema.emptyValue(field) : theirs[field.key]))
+      .map(field => ({ key: field.key, label: field.shortLabel, show: p => fieldText(field, p[field.key]) }));
+    if (!sameProfileContent({ photoUrl: mine.photoUrl, photoRef: mine.photoRef }, { photoUrl: theirs.photoUrl, photoRef: theirs.photoRef })) {
+      rows.push({ key: "photo", label: t("Photo"), show: photoCell });
+    }
+    if (!rows.length) {
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 3;
+      td.textContent = t("Both versions show the same details.");
+      tr.appendChild(td);
+      conflictTbody.appendChild(tr);
+      return;
+    }
+    rows.forEach(row => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = row.label;
+      tr.appendChild(th);
+      [["mine", mine], ["theirs", theirs]].forEach(([side, p]) => {
+        const td = document.createElement("td");
+        const label = document.createElement("label");
+        label.className = "conflict-choice";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `conflict-${row.key}`;
+        radio.value = side;
+        radio.checked = side === "mine";
+        const value = row.show(p);
+        label.append(radio, " ", value);
+        td.appendChild(label);
+        tr.appendChild(td);
+      });
+      conflictTbody.appendChild(tr);
+    });
+  }
+
+  function fieldText(field, value) {
+    const text = field.type === "select" && value ? ProfileSchema.optionLabel(field, value) : ProfileSchema.formatValue(field, value);
+    return text || t("(empty)");
+  }
+
+  function photoCell(p) {
+    const url = ProfileRender.safePhotoUrl(p.photoUrl);
+    if (!url) return document.createTextNode(p.photoRef ? t("(saved photo)") : t("(no photo)"));
+    const img = document.createElement("img");
+    img.src = url;
+    img.alt = t("Photo");
+    img.className = "table-photo";
+    return img;
+  }
+
+  function mergedConflictVersion() {
+    const { mine, theirs } = openConflict;
+    const merged = cloneProfile(mine);
+    conflictTbody.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+      if (radio.value !== "theirs") return;
+      const key = radio.name.slice("conflict-".length);
+      const keys = key === "photo" ? ["photoUrl", "photoRef", "photoMissing"] : [key];
+      keys.forEach(k => {
+        if (theirs[k] === undefined) delete merged[k];
+        else merged[k] = cloneProfile(theirs[k]);
+      });
+    });
+    return merged;
+  }
+
+  // The chosen version is applied as an ordinary (undoable) change on top of what this tab shows
+  function resolveConflict(chosen) {
+    const { id } = openConflict;
+    const current = profiles[id] || null;
+    openConflict = null;
+    if (conflictDialog.close) conflictDialog.close();
+    else conflictDialog.removeAttribute("open");
+
+    const rejected = (current || chosen) &&
+      !tryProfileCommand(t("Resolve conflict on {name}", { name: profileName(chosen || current) }), [{ id, before: current, after: chosen }]);
+    persistProfiles();
+    rerenderAll();
+    loadStoredPhotos();
+    if (!rejected) announce(chosen ? t("Saved your choice for {name}.", { name: profileName(chosen) }) : t("The profile stays deleted."), "success");
+    showNextConflict();
+  }
+
+  if (conflictDialog) {
+    conflictKeepMineBtn.addEventListener("click", () => resolveConflict(cloneProfile(openConflict.mine)));
+    conflictKeepTheirsBtn.addEventListener("click", () => resolveConflict(cloneProfile(openConflict.theirs)));
+    conflictMergeBtn.addEventListener("click", () => resolveConflict(mergedConflictVersion()));
+    // a choice is needed; Escape would leave the two versions unreconciled
+    conflictDialog.addEventListener("cancel", (e) => e.preventDefault());
+  }
+
+  /* =========================
+     Server sync (storage-adapters.js)
+     ========================= */
+  // Where profiles are saved: { backend: "local" | "http", serverUrl }
+  const STORAGE_SETTINGS_KEY = "profile_manager_storage";
+  const SYNC_STATE_KEY = "profile_manager_sync"; // the HTTP adapter's outbox and what the server has
+  let storageSettings = loadStorageSettings();
+  let lastSyncState = null;
+  let syncWentOffline = false; // announce "reconnected" once everything has gone through again
+  let syncCountdownTimer = null;
+  let shownSyncStatus = null; // last status from the adapter, shown again when the language changes
+
+  function defaultServerUrl() {
+    // served by server/profiles-server.js itself, or opened from disk
+    return /^https?:$/.test(location.protocol) ? location.origin : "http://localhost:8080";
+  }
+
+  function loadStorageSettings() {
+    try {
+      const saved = JSON.parse(safeLocalStorageGet(STORAGE_SETTINGS_KEY) || "null");
+      if (saved && (saved.backend === "local" || saved.backend === "http")) {
+        return { backend: saved.backend, serverUrl: String(saved.serverUrl || defaultServerUrl()) };
+      }
+    } catch (err) {
+      console.error("Storage settings could not be read:", err);
+    }
+    return { backend: "local", serverUrl: defaultServerUrl() };
+  }
+
+  function connectRemoteStore() {
+    if (remoteStore) remoteStore.stop();
+    remoteStore = null;
+    syncWentOffline = false;
+    if (storageSettings.backend === "http" && !BENCHMARK_SIZE) {
+      remoteStore = StorageAdapters.createHttpAdapter({
+        baseUrl: storageSettings.serverUrl,
+        stateKey: SYNC_STATE_KEY,
+        onStatus: showSyncStatus,
+        onLoad: applyServerProfiles
+      });
+    } else {
+      showSyncStatus(null);
+    }
+  }
+
+  // The server's roster replaces the local copy (queued local changes are already on top of it).
+  // The first time, profiles that only exist in this browser are kept and uploaded.
+  function applyServerProfiles(serverProfiles, { firstSync }) {
+    const problems = ProfileStore.validatePayload({ profiles: serverProfiles });
+    if (problems.length) {
+      console.error("Server data rejected:", problems);
+      announce(t("The server sent profile data this app can't read: {problem}", { problem: problems[0] }), "error");
+      return;
+    }
+    const localOnly = firstSync ? Object.keys(profiles).filter(id => !serverProfiles[id]) : [];
+    localOnly.forEach(id => { serverProfiles[id] = profiles[id]; });
+    Object.keys(profiles).concat(Object.keys(serverProfiles)).forEach(id => replacedIds.add(id));
+    store.reset(serverProfiles);
+    if (editingId && !profiles[editingId]) form.reset();
+    persistProfiles();
+    rerenderAll();
+    if (localOnly.length) {
+      announce(tn(localOnly.length, "Uploading {count} profile from this browser to the server.", "Uploading {count} profiles from this browser to the server."), "info");
+    } else {
+      announce(t("Profiles loaded from the server."), "info");
+    }
+  }
+
+  function showSyncStatus(status) {
+    const state = status ? status.state : null;
+    if (loadingSpinner && (state === "loading" || lastSyncState === "loading")) loadingSpinner.hidden = state !== "loading";
+    if (syncRetryBtn) syncRetryBtn.hidden = state !== "offline";
+
+    if (state === "offline" && !syncWentOffline) {
+      syncWentOffline = true;
+      announce(t("The server can't be reached. Changes are kept in this browser and sent once it is back."), "error");
+    } else if (state === "synced" && syncWentOffline) {
+      syncWentOffline = false;
+      announce(t("Reconnected. All changes are saved on the server."), "success");
+    } else if (state === "error") {
+      announce(status.message, "error");
+    }
+    lastSyncState = state;
+    renderSyncStatus(status);
+  }
+
+  // The toolbar's "saved / saving / offline" text
+  function renderSyncStatus(status) {
+    clearInterval(syncCountdownTimer);
+    syncCountdownTimer = null;
+    shownSyncStatus = status;
+    if (syncDismissBtn) syncDismissBtn.hidden = !(status && status.rejected && status.rejected.length);
+    if (!syncStatus) return;
+    syncStatus.hidden = !status;
+    if (!status) return;
+    if (status.rejected && status.rejected.length) {
+      // refused changes stay on show until dismissed or a later sync goes through without one
+      syncStatus.className = "sync-status sync-error";
+      syncStatus.textContent = status.rejected.join(" ");
+      return;
+    }
+    const state = status.state;
+    syncStatus.className = `sync-status sync-${state}`;
+    const text = {
+      loading: () => t("Loading profiles from the server…"),
+      saving: () => tn(status.pending, "Saving {count} change to the server…", "Saving {count} changes to the server…"),
+      synced: () => t("All changes saved to the server."),
+      error: () => status.message
+    };
+    if (state !== "offline") {
+      syncStatus.textContent = text[state]();
+      return;
+    }
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((status.retryAt - Date.now()) / 1000));
+      syncStatus.textContent = status.pending
+        ? tn(status.pending, "Offline. {count} change waiting. Retrying in {seconds} s.", "Offline. {count} changes waiting. Retrying in {seconds} s.", { seconds })
+        : t("Offline. Retrying in {seconds} s.", { seconds });
+    };
+    tick();
+    syncCountdownTimer = setInterval(tick, 1000);
+  }
+
+  function showStorageSettings() {
+    storageBackendInputs.forEach(input => { input.checked = input.value === storageSettings.backend; });
+    if (storageServerUrlInput) {
+      storageServerUrlInput.value = storageSettings.serverUrl;
+      storageServerUrlInput.disabled = storageSettings.backend !== "http";
+    }
+  }
+
+  function applyStorageSettings() {
+    const checked = Array.from(storageBackendInputs).find(input => input.checked);
+    const backend = checked ? checked.value : "local";
+    const serverUrl = (storageServerUrlInput && storageServerUrlInput.value.trim().replace(/\/+$/, "")) || defaultServerUrl();
+    if (backend === "http" && !/^https?:\/\/[^\s/]+/i.test(serverUrl)) {
+      announce(t("Enter the server address, starting with http:// or https://."), "error");
+      if (storageServerUrlInput) storageServerUrlInput.focus();
+      return;
+    }
+    if (backend === storageSettings.backend && (backend === "local" || serverUrl === storageSettings.serverUrl)) {
+      announce(t("Storage settings are unchanged."), "info");
+      return;
+    }
+    const pending = remoteStore ? remoteStore.pendingCount() : 0;
+    if (pending && !confirm(tn(pending,
+      "{count} change hasn't reached the server yet. Switch anyway? It stays in this browser's copy only.",
+      "{count} changes haven't reached the server yet. Switch anyway? They stay in this browser's copy only."))) {
+      return;
+    }
+
+    storageSettings = { backend, serverUrl };
+    if (!safeLocalStorageSet(STORAGE_SETTINGS_KEY, JSON.stringify(storageSettings))) return;
+    // a different server (or coming back after local-only edits) starts from a fresh comparison
+    try {
+      localStorage.removeItem(SYNC_STATE_KEY);
+    } catch (err) {
+      console.error("localStorage remove error:", err);
+    }
+    connectRemoteStore();
+    showStorageSettings();
+    if (remoteStore) {
+      remoteStore.load();
+    } else {
+      announce(t("Profiles are now saved in this browser only."), "success");
+    }
+  }
+
+  /* =========================
+     Rendering helpers
+     ========================= */
+  // The card grid and the table hold only the profiles near the viewport (virtual-list.js). shownIds is
+  // every profile the search and filters let through, in table order; a card or row is built again only
+  // when its profile object is replaced (profiles are never edited in place) or the edit marker moves.
+  let shownIds = [];
+  let renderedHighlights = null; // the search highlights and schema the rendered items were built with
+  let renderedSchema = null;
+  let retryPhotos = false; // rebuild every item on the next render, so photos that failed to load offline are fetched again
+
+  function profileVersion(id) {
+    return [profiles[id], id === editingId];
+  }
+
+  // Grid tracks as the browser laid them out ("280px 280px 280px" -> 3)
+  function cardColumns() {
+    return getComputedStyle(cardsContainer).gridTemplateColumns.split(" ").filter(track => /px$/.test(track)).length || 1;
+  }
+
+  const cardList = VirtualList.create(cardsContainer, {
+    render: renderProfileCard,
+    version: profileVersion,
+    createSpacer: () => document.createElement("div"),
+    columns: cardColumns,
+    place: (card, index) => {
+      card.setAttribute("aria-posinset", index + 1);
+      card.setAttribute("aria-setsize", shownIds.length);
+    },
+    estimatedRowHeight: 400
+  });
+
+  const rowList = VirtualList.create(summaryTbody, {
+    render: renderProfileRow,
+    version: profileVersion,
+    createSpacer: () => {
+      const tr = document.createElement("tr");
+      tr.insertCell().colSpan = 1000; // the most browsers allow; spans however many columns there are
+      return tr;
+    },
+    place: (tr, index) => tr.setAttribute("aria-rowindex", index + 2), // the heading row is 1
+    estimatedRowHeight: 64
+  });
+
+  // One profile as a card; the fields shown come from the schema, and text matching the search is marked
+  function renderProfileCard(id) {
+    const data = profiles[id];
+    return ProfileRender.card(id, data, {
+      fields: schemaFields("showInCard"),
+      highlights: currentSearch.highlights,
+      editing: id === editingId,
+      photoNote: isPhotoLost(data) ? photoLostNote() : null,
+      actions: name => createProfileActions(id, name)
+    });
+  }
+
+  // One profile as a summary table row, with the schema's table fields
+  function renderProfileRow(id) {
+    const data = profiles[id];
+    return ProfileRender.row(id, data, {
+      fields: schemaFields("showInTable"),
+      highlights: currentSearch.highlights,
+      selected: selectedIds.has(id),
+      photoNote: isPhotoLost(data) ? photoLostNote() : null,
+      selectCell: () => createSelectCell(id, data),
+      actions: name => createProfileActions(id, name)
+    });
+  }
+
+  function createProfileActions(id, fullName) {
+    // a real link, so it can be opened in a new tab or copied; the router below handles plain clicks
+    const detailsLink = document.createElement("a");
+    detailsLink.className = "details-link";
+    detailsLink.href = ProfileRoutes.profileHash(id);
+    detailsLink.textContent = t("Details");
+    detailsLink.setAttribute("aria-label", t("Details of {name}", { name: fullName }));
+
+    const editBtn = document.createElement("button");
+    editBtn.className = "edit-btn";
+    editBtn.type = "button";
+    editBtn.textContent = t("Edit");
+    editBtn.setAttribute("aria-label", t("Edit profile {name}", { name: fullName }));
+    editBtn.addEventListener("click", () => beginEditProfile(id));
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "remove-btn";
+    removeBtn.type = "button";
+    removeBtn.textContent = t("Remove");
+    removeBtn.setAttribute("aria-label", t("Remove profile {name}", { name: fullName }));
+    removeBtn.addEventListener("click", () => removeProfile(id));
+
+    const historyBtn = document.createElement("button");
+    historyBtn.className = "history-btn";
+    historyBtn.type = "button";
+    historyBtn.textContent = t("History");
+    historyBtn.setAttribute("aria-label", t("Change history of {name}", { name: fullName }));
+    historyBtn.addEventListener("click", () => openHistory(id));
+
+    const container = document.createElement("div");
+    container.append(detailsLink, editBtn, removeBtn, historyBtn);
+    return container;
+  }
+
+  // A photo that an earlier version dropped from storage and that can't be recovered
+  function photoLostNote() {
+    return t("Photo could not be restored — edit to upload it again.");
+  }
+
+  function isPhotoLost(data) {
+    return !!data.photoMissing && !data.photoUrl;
+  }
+
+  // The single render path: applies the current search and facet filters, then refreshes the
+  // selection state, facet counts and statistics. Returns how many profiles are shown.
+  function rerenderAll() {
+    const searched = store.query(currentSearch.ast, { field: currentSearch.field, sortKeys });
+    const shown = searched.filter(([, data]) => matchesFacets(data));
+    shownIds = shown.map(([id]) => id);
+    // new search terms or fields change every item, not just the replaced profiles (and after going
+    // back online, photos that failed to load get another try)
+    const rebuild = retryPhotos || renderedHighlights !== currentSearch.highlights || renderedSchema !== formSchema;
+    renderedHighlights = currentSearch.highlights;
+    renderedSchema = formSchema;
+    retryPhotos = false;
+    cardList.setItems(shownIds, { rebuild });
+    rowList.setItems(shownIds, { rebuild });
+    syncSelectionUI();
+    renderFacetPanel(searched);
+    renderStats(shown.map(([, data]) => data));
+    renderTagAdmin();
+    if (currentRoute && !currentRoute.edit) renderProfileDetail();
+    return shown.length;
+  }
+
+  /* =========================
+     Photo cropper (upload preview)
+     ========================= */
+  // The chosen file is decoded once into an upright working canvas; the crop is applied on save.
+  let photoSourcePromise = null; // resolves to the decoded canvas for the selected file
+  let photoSource = null;
+  let photoCrop = { zoom: 1, x: 0.5, y: 0.5 };
+  const CROP_KEY_STEP = 0.05;
+
+  function drawPhotoCropPreview() {
+    if (!photoSource || !photoCropPreview) return;
+    ImagePipeline.drawSquareCrop(photoSource, photoCrop, photoCropPreview.width, photoCropPreview);
+  }
+
+  function clearPhotoCropper() {
+    photoSourcePromise = null;
+    photoSource = null;
+    photoCrop = { zoom: 1, x: 0.5, y: 0.5 };
+    if (photoZoomInput) photoZoomInput.value = "1";
+    if (photoCropper) photoCropper.hidden = true;
+  }
+
+  function handlePhotoFileChange() {
+    clearPhotoCropper();
+    clearError("photoFile");
+    const file = photoFileInput.files && photoFileInput.files[0];
+    if (!file) return;
+    if (!ImagePipeline.ACCEPTED_TYPES.includes(file.type)) {
+      showError("photoFile", t("Photo must be a JPG, PNG or WebP image."));
+      return;
+    }
+    if (file.size > PHOTO_MAX_BYTES) {
+      showError("photoFile", t("Photo must be less than 10MB."));
+      return;
+    }
+
+    if (loadingSpinner) loadingSpinner.hidden = false;
+    const pending = ImagePipeline.decodeImageFile(file);
+    photoSourcePromise = pending;
+    pending.then(source => {
+      if (photoSourcePromise !== pending) return; // a different file was chosen meanwhile
+      photoSource = source;
+      if (photoCropper) photoCropper.hidden = false;
+      drawPhotoCropPreview();
+      scheduleDuplicateCheck();
+    }).catch(err => {
+      console.error("Image decode error:", err);
+      if (photoSourcePromise === pending) showError("photoFile", t("Failed to read image file."));
+    }).finally(() => {
+      if (loadingSpinner) loadingSpinner.hidden = true;
+    });
+  }
+
+  // Move the crop by a number of preview pixels (drag) in source space
+  function panPhotoCrop(dxPreview, dyPreview) {
+    if (!photoSource) return;
+    const { side } = ImagePipeline.getCropRect(photoSource, photoCrop);
+    const perPreviewPx = side / photoCropPreview.width;
+    const freeX = photoSource.width - side;
+    const freeY = photoSource.height - side;
+    if (freeX > 0) photoCrop.x = Math.min(1, Math.max(0, photoCrop.x - (dxPreview * perPreviewPx) / freeX));
+    if (freeY > 0) photoCrop.y = Math.min(1, Math.max(0, photoCrop.y - (dyPreview * perPreviewPx) / freeY));
+    drawPhotoCropPreview();
+  }
+
+  if (photoFileInput) {
+    photoFileInput.addEventListener("change", handlePhotoFileChange);
+  }
+
+  if (photoZoomInput) {
+    photoZoomInput.addEventListener("input", () => {
+      photoCrop.zoom = Number(photoZoomInput.value) || 1;
+      drawPhotoCropPreview();
+    });
+  }
+
+  if (photoCropPreview) {
+    let dragFrom = null;
+    photoCropPreview.addEventListener("pointerdown", (e) => {
+      dragFrom = { x: e.clientX, y: e.clientY };
+      photoCropPreview.setPointerCapture(e.pointerId);
+    });
+    photoCropPreview.addEventListener("pointermove", (e) => {
+      if (!dragFrom) return;
+      panPhotoCrop(e.clientX - dragFrom.x, e.clientY - dragFrom.y);
+      dragFrom = { x: e.clientX, y: e.clientY };
+    });
+    ["pointerup", "pointercancel"].forEach(type => {
+      photoCropPreview.addEventListener(type, () => { dragFrom = null; });
+    });
+    photoCropPreview.addEventListener("keydown", (e) => {
+      const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      const move = moves[e.key];
+      if (!move) return;
+      e.preventDefault();
+      photoCrop.x = Math.min(1, Math.max(0, photoCrop.x + move[0] * CROP_KEY_STEP));
+      photoCrop.y = Math.min(1, Math.max(0, photoCrop.y + move[1] * CROP_KEY_STEP));
+      drawPhotoCropPreview();
+    });
+  }
+
+  /* =========================
+     CRUD operations
+     ========================= */
+  function createNewProfileObjectFromForm() {
+    let photoUrl = "";
+    let file = null;
+    if (photoFileInput && photoFileInput.files && photoFileInput.files[0]) {
+      file = photoFileInput.files[0];
+    } else if (photoUrlInput && photoUrlInput.value.trim() !== "") {
+      photoUrl = photoUrlInput.value.trim();
+    }
+    const data = {};
+    formSchema.fields.forEach(field => { data[field.key] = readFieldInput(field); });
+    return { ...data, photoUrl, file };
+  }
+
+  // begin editing a profile: populate form and show cancel button
+  function beginEditProfile(id) {
+    const data = profiles[id];
+    if (!data) return;
+    editingId = id;
+    editingRev = data.rev || 0;
+    syncEditRoute(id);
+
+    formSchema.fields.forEach(field => writeFieldInput(field, data[field.key]));
+
+    // Clear file input (can't programmatically set File input value to a dataURL)
+    photoFileInput.value = "";
+
+    // create or update hidden existingPhotoUrl input to preserve existing image if no new file chosen
+    let hidden = document.getElementById("existingPhotoUrl");
+    if (!hidden) {
+      hidden = document.createElement("input");
+      hidden.type = "hidden";
+      hidden.id = "existingPhotoUrl";
+      hidden.name = "existingPhotoUrl";
+      form.appendChild(hidden);
+    }
+    hidden.value = data.photoUrl || "";
+
+    // show cancel edit button
+    cancelEditBtn.hidden = false;
+    cancelEditBtn.addEventListener("click", cancelEdit, { once: true });
+
+    // marks the card being edited
+    rerenderAll();
+
+    scheduleDuplicateCheck();
+    if (wizardOn()) showWizardStep(0, { focus: false });
+
+    // Focus first field
+    const firstInput = formSchema.fields.length && document.getElementById(formSchema.fields[0].key);
+    if (firstInput) firstInput.focus();
+
+    announce(t("Editing profile {id}. Form populated.", { id }), "info");
+  }
+
+  // Resetting the form ends the edit; the reset handler below clears the edit state
+  function cancelEdit() {
+    form.reset();
+  }
+
+  function exitEditMode() {
+    editingId = null;
+    cancelEditBtn.hidden = true;
+    // remove any hidden existingPhotoUrl
+    const hidden = document.getElementById("existingPhotoUrl");
+    if (hidden) hidden.remove();
+    rerenderAll();
+    announce(t("Edit cancelled."), "info");
+  }
+
+  // Remove straight away; the toast (and Ctrl+Z) offers the way back
+  function removeProfile(id) {
+    const profile = profiles[id];
+    if (!profile) return;
+    const name = `${profile.firstName} ${profile.lastName}`;
+    if (editingId === id) form.reset();
+    const command = tryProfileCommand(t("Remove {name}", { name }), [{ id, before: profile, after: null }]);
+    if (!command) return;
+    persistProfiles();
+    rerenderAll();
+    announce(t("Profile {id} removed.", { id }), "success");
+    showToast(t("Profile removed"), { actionLabel: t("Undo"), onAction: () => undoCommand(command) });
+  }
+
+  /* =========================
+     Save logic (handles file encoding, validation, storing)
+     ========================= */
+  function saveProfileFromForm() {
+    const dataObj = createNewProfileObjectFromForm();
+
+    // If editing, exclude the currently edited id when checking unique email
+    const isValid = validateProfileInput(dataObj, { isEdit: !!editingId, excludeId: editingId });
+    if (!isValid) {
+      announce(t("Please fix form errors before submitting."), "error");
+      return;
+    }
+
+    // If file present -> crop, resize and re-encode it through the image pipeline
+    if (dataObj.file) {
+      // show spinner
+      if (loadingSpinner) loadingSpinner.hidden = false;
+
+      const f = dataObj.file;
+      // extra validation again (defensive)
+      if (!ImagePipeline.ACCEPTED_TYPES.includes(f.type)) {
+        showError("photoFile", t("Only JPG, PNG or WebP files are allowed."));
+        if (loadingSpinner) loadingSpinner.hidden = true;
+        return;
+      }
+      if (f.size > PHOTO_MAX_BYTES) {
+        showError("photoFile", t("File too large. Max 10MB."));
+        if (loadingSpinner) loadingSpinner.hidden = true;
+        return;
+      }
+
+      // the change handler normally started decoding already
+      if (!photoSourcePromise) handlePhotoFileChange();
+      photoSourcePromise.then(source => {
+        dataObj.photoUrl = ImagePipeline.encodeWithinBudget(source, photoCrop, PHOTO_TARGET_LENGTH);
+        dataObj.file = null; // we no longer need the file object
+
+        finalizeSave(dataObj);
+        if (loadingSpinner) loadingSpinner.hidden = true;
+      }).catch(e => {
+        console.error("Image processing error:", e);
+        showError("photoFile", t("Failed to read image file."));
+        if (loadingSpinner) loadingSpinner.hidden = true;
+      });
+    } else {
+      // No new file: a typed photo link, else (during edit) the existingPhotoUrl hidden input; else no photo
+      const hidden = document.getElementById("existingPhotoUrl");
+      dataObj.photoUrl = dataObj.photoUrl || (hidden && hidden.value) || null;
+      finalizeSave(dataObj);
+    }
+  }
+
+  // finalizeSave: create or update record, persist, rerender, reset form
+  function finalizeSave(profileData) {
+    delete profileData.file;
+    if (editingId) {
+      // update existing
+      const current = profiles[editingId] || null;
+      const updated = {
+        rev: editingRev, // (deleted meanwhile) a re-created profile continues from the edited revision
+        ...current, // keep any other fields
+        ...profileData
+      };
+      if (profileData.photoUrl) {
+        // a fresh photo replaces a lost or still-loading one
+        updated.photoMissing = false;
+        delete updated.photoRef;
+      }
+      if (!current || (current.rev || 0) !== editingRev) {
+        // another tab saved this profile after the form was filled in: let the user reconcile
+        queueConflict({ id: editingId, mine: updated, theirs: cloneProfile(current), whileEditing: true });
+      } else {
+        // ensure id remains same
+        const label = t("Edit {name}", { name: `${updated.firstName} ${updated.lastName}` });
+        if (!tryProfileCommand(label, [{ id: editingId, before: current, after: updated }], { fieldErrors: true })) return;
+        announce(t("Profile {id} updated successfully.", { id: editingId }), "success");
+      }
+    } else {
+      // create new id; ensure uniqueness of email enforced earlier
+      const id = uid();
+      const label = t("Add {name}", { name: `${profileData.firstName} ${profileData.lastName}` });
+      if (!tryProfileCommand(label, [{ id, before: null, after: profileData }], { fieldErrors: true })) return;
+      profileId = Math.max(profileId, Date.now()); // bump profileId in case
+      announce(t("Profile added successfully with ID {id}.", { id }), "success");
+    }
+
+    // persist (large photos go to the IndexedDB photo store)
+    const ok = persistProfiles();
+    if (!ok) {
+      // persisted failed; still keep in memory but notify
+      announce(t("Saved locally but could not persist to localStorage."), "error");
+    }
+
+    // cleanup UI
+    form.reset();
+    const hidden = document.getElementById("existingPhotoUrl");
+    if (hidden) hidden.remove();
+    editingId = null;
+    cancelEditBtn.hidden = true;
+    rerenderAll();
+  }
+
+  /* =========================
+     Registration wizard & draft autosave
+     ========================= */
+  // Step-by-step mode shows one group of fields at a time (rows carry data-step, see formStepOf) and
+  // checks each step with validateProfileInput() before moving on. In either mode what has been typed
+  // is kept as a draft until the profile is saved or the form is reset, and offered back on the next visit.
+  const FORM_MODE_STORAGE_KEY = "profile_manager_form_mode";
+  const DRAFT_STORAGE_KEY = "profile_manager_form_draft";
+  const DRAFT_SAVE_DELAY = 500; // ms after the last change
+  // labels are message ids, shown through t()
+  const WIZARD_STEPS = [
+    { key: "identity", label: "Your details" },
+    { key: "study", label: "Study details" },
+    { key: "interests", label: "Interests" },
+    { key: "photo", label: "Photo" },
+    { key: "review", label: "Review" }
+  ];
+  let wizardStep = 0; // index into wizardSteps()
+  let draftTimer = null;
+  let draftOffered = false; // while the restore/discard choice is open, the old draft is left alone
+
+  function wizardOn() {
+    return !!(wizardModeInput && wizardModeInput.checked);
+  }
+
+  // Steps with something to fill in under the current schema
+  function wizardSteps() {
+    return WIZARD_STEPS.filter(step => step.key === "review" || form.querySelector(`[data-step="${step.key}"]`));
+  }
+
+  // What validateProfileInput() checks on a step
+  function stepFieldKeys(stepKey) {
+    if (stepKey === "photo") return ["photoFile", "photoUrl"];
+    return formSchema.fields.filter(f => formStepOf(f) === stepKey).map(f => f.key);
+  }
+
+  function showWizardStep(index, { focus = true } = {}) {
+    const steps = wizardSteps();
+    const on = wizardOn();
+    wizardStep = Math.max(0, Math.min(index, steps.length - 1));
+    const step = steps[wizardStep];
+    form.querySelectorAll("[data-step]").forEach(el => {
+      el.hidden = on ? el.dataset.step !== step.key : el.dataset.step === "review";
+    });
+    if (wizardProgress) wizardProgress.hidden = !on;
+    if (wizardBackBtn) wizardBackBtn.hidden = !on || wizardStep === 0;
+    if (wizardNextBtn) wizardNextBtn.hidden = !on || step.key === "review";
+    if (formSubmitBtn) formSubmitBtn.hidden = on && step.key !== "review";
+    if (!on) return;
+    renderWizardProgress(steps);
+    if (step.key === "review") renderWizardReview(steps);
+    if (!focus) return;
+    const target = step.key === "review"
+      ? document.getElementById("wizardReviewTitle")
+      : form.querySelector(`[data-step="${step.key}"] input, [data-step="${step.key}"] select`);
+    if (target) target.focus();
+  }
+
+  function goToWizardStep(index) {
+    showWizardStep(index);
+    const steps = wizardSteps();
+    announce(t("Step {step} of {total}: {label}.", { step: wizardStep + 1, total: steps.length, label: t(steps[wizardStep].label) }), "info");
+  }
+
+  function renderWizardProgress(steps) {
+    wizardProgress.innerHTML = "";
+    steps.forEach((step, i) => {
+      const li = document.createElement("li");
+      li.textContent = t(step.label);
+      if (i < wizardStep) li.className = "is-done";
+      if (i === wizardStep) li.setAttribute("aria-current", "step");
+      wizardProgress.appendChild(li);
+    });
+  }
+
+  function photoSummary() {
+    if (photoFileInput && photoFileInput.files && photoFileInput.files[0]) return t("New photo: {file}", { file: photoFileInput.files[0].name });
+    if (photoUrlInput && photoUrlInput.value.trim()) return t("Photo from a link");
+    const hidden = document.getElementById("existingPhotoUrl");
+    return hidden && hidden.value ? t("Current photo kept") : t("No photo (a placeholder is shown)");
+  }
+
+  // Everything entered, grouped by step, each with a button back to it
+  function renderWizardReview(steps) {
+    wizardReviewList.innerHTML = "";
+    steps.forEach((step, index) => {
+      if (step.key === "review") return;
+      const group = document.createElement("div");
+      group.className = "wizard-review-group";
+      const heading = document.createElement("h4");
+      heading.textContent = t(step.label);
+      const change = document.createElement("button");
+      change.type = "button";
+      change.className = "btn-light";
+      change.textContent = t("Change");
+      change.setAttribute("aria-label", t("Change {step}", { step: t(step.label).toLowerCase() }));
+      change.addEventListener("click", () => goToWizardStep(index));
+      heading.append(" ", change);
+      const list = document.createElement("dl");
+      const rows = step.key === "photo"
+        ? [[t("Photo"), photoSummary()]]
+        : formSchema.fields.filter(f => formStepOf(f) === step.key).map(f => [f.label, fieldText(f, readFieldInput(f))]);
+      rows.forEach(([label, value]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        list.append(dt, dd);
+      });
+      group.append(heading, list);
+      wizardReviewList.appendChild(group);
+    });
+  }
+
+  function wizardNext() {
+    const step = wizardSteps()[wizardStep];
+    const valid = validateProfileInput(createNewProfileObjectFromForm(), {
+      isEdit: !!editingId,
+      excludeId: editingId,
+      fields: stepFieldKeys(step.key)
+    });
+    if (!valid) {
+      announce(t("Please fix the errors in {step} before going on.", { step: t(step.label).toLowerCase() }), "error");
+      return;
+    }
+    goToWizardStep(wizardStep + 1);
+  }
+
+  // After a failed submit from the review, open the first step that shows an error
+  function showFirstWizardError() {
+    const steps = wizardSteps();
+    const index = steps.findIndex(step => stepFieldKeys(step.key).some(key => {
+      const error = document.getElementById(key + "Error");
+      return error && error.textContent;
+    }));
+    if (index !== -1 && index !== wizardStep) goToWizardStep(index);
+  }
+
+  if (wizardModeInput) {
+    const saved = safeLocalStorageGet(FORM_MODE_STORAGE_KEY);
+    wizardModeInput.checked = saved ? saved === "wizard" : !!(window.matchMedia && window.matchMedia("(max-width: 600px)").matches);
+    wizardModeInput.addEventListener("change", () => {
+      safeLocalStorageSet(FORM_MODE_STORAGE_KEY, wizardOn() ? "wizard" : "single");
+      if (wizardOn()) {
+        goToWizardStep(0);
+      } else {
+        showWizardStep(0, { focus: false });
+        announce(t("All fields are shown on one page."), "info");
+      }
+    });
+  }
+  if (wizardBackBtn) wizardBackBtn.addEventListener("click", () => goToWizardStep(wizardStep - 1));
+  if (wizardNextBtn) wizardNextBtn.addEventListener("click", wizardNext);
+  showWizardStep(0, { focus: false });
+
+  /* ----- Draft autosave ----- */
+  // draft: { savedAt, editingId, editingRev, values: { fieldKey: value }, photoUrl, step }
+  // A chosen photo file can't be stored, so it has to be picked again after a restore.
+  function readDraft() {
+    const raw = safeLocalStorageGet(DRAFT_STORAGE_KEY);
+    if (!raw) return null;
+    try {
+      const draft = JSON.parse(raw);
+      return draft && draft.values ? draft : null;
+    } catch (err) {
+      console.error("Saved form draft could not be read:", err);
+      return null;
+    }
+  }
+
+  function currentDraft() {
+    const values = {};
+    formSchema.fields.forEach(field => { values[field.key] = readFieldInput(field); });
+    return {
+      savedAt: new Date().toISOString(),
+      editingId,
+      editingRev: editingId ? editingRev : null,
+      values,
+      photoUrl: photoUrlInput ? photoUrlInput.value.trim() : "",
+      step: wizardSteps()[wizardStep].key
+    };
+  }
+
+  // Worth keeping: anything typed into a new profile, or a change to the profile being edited
+  function draftHasChanges(draft) {
+    const base = draft.editingId ? profiles[draft.editingId] : null;
+    if (draft.photoUrl) return true;
+    return formSchema.fields.some(field => {
+      const before = base && base[field.key] != null ? base[field.key] : ProfileSchema.emptyValue(field);
+      return JSON.stringify(draft.values[field.key]) !== JSON.stringify(before);
+    });
+  }
+
+  // Best effort: a full localStorage only means there is no draft, so this doesn't announce failures
+  function writeDraft(draft) {
+    try {
+      if (draft) localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+      else localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (err) {
+      console.error("Form draft could not be saved:", err);
+    }
+  }
+
+  function saveDraft() {
+    if (draftTimer) clearTimeout(draftTimer);
+    draftTimer = null;
+    if (draftOffered) return;
+    const draft = currentDraft();
+    writeDraft(draftHasChanges(draft) ? draft : null);
+  }
+
+  function scheduleDraftSave() {
+    if (draftTimer) clearTimeout(draftTimer);
+    draftTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+  }
+
+  function discardDraft() {
+    if (draftTimer) clearTimeout(draftTimer);
+    draftTimer = null;
+    if (!draftOffered) writeDraft(null);
+  }
+
+  function hideDraftOffer() {
+    draftOffered = false;
+    if (draftBanner) draftBanner.hidden = true;
+  }
+
+  // Called once profiles are loaded, so the draft can name the profile it edits
+  function offerDraft() {
+    const draft = readDraft();
+    if (!draft || !draftBanner) return;
+    const when = formatTimestamp(draft.savedAt);
+    let text;
+    if (!draft.editingId) {
+      const name = `${draft.values.firstName || ""} ${draft.values.lastName || ""}`.trim();
+      text = name
+        ? t("You have an unsaved new profile for {name} from {when}.", { name, when })
+        : t("You have an unsaved new profile from {when}.", { when });
+    } else if (profiles[draft.editingId]) {
+      text = t("You have unsaved changes to {name} ({id}) from {when}.", { name: profileName(profiles[draft.editingId]), id: draft.editingId, when });
+    } else {
+      text = t("You have unsaved changes from {when} to a profile that has since been removed. Restoring them starts a new profile.", { when });
+    }
+    draftText.textContent = text;
+    draftBanner.hidden = false;
+    draftOffered = true;
+  }
+
+  function restoreDraft() {
+    const draft = readDraft();
+    hideDraftOffer();
+    if (!draft) return;
+    if (draft.editingId && profiles[draft.editingId]) {
+      beginEditProfile(draft.editingId);
+      // a save then compares against the revision the draft started from, so changes made since raise the conflict dialog
+      editingRev = draft.editingRev || 0;
+    } else if (editingId) {
+      exitEditMode();
+    }
+    formSchema.fields.forEach(field => {
+      if (field.key in draft.values) writeFieldInput(field, draft.values[field.key]);
+    });
+    if (photoUrlInput) photoUrlInput.value = draft.photoUrl || "";
+    scheduleDuplicateCheck();
+    const index = wizardSteps().findIndex(step => step.key === draft.step);
+    showWizardStep(index === -1 ? 0 : index);
+    announce(t("Draft restored. If you had chosen a photo file, choose it again."), "success");
+  }
+
+  form.addEventListener("input", scheduleDraftSave);
+  form.addEventListener("change", scheduleDraftSave);
+  // don't lose the last half second of typing
+  window.addEventListener("pagehide", () => { if (draftTimer) saveDraft(); });
+  if (draftRestoreBtn) draftRestoreBtn.addEventListener("click", restoreDraft);
+  if (draftDiscardBtn) {
+    draftDiscardBtn.addEventListener("click", () => {
+      hideDraftOffer();
+      saveDraft(); // replaces the old draft with what the form holds now (usually nothing)
+      announce(t("Draft discarded."), "info");
+    });
+  }
+
+  /* =========================
+     Bulk selection & batch actions (summary table)
+     ========================= */
+  const selectedIds = new Set();
+  let lastToggledId = null; // anchor for shift-click range selection
+
+  function createSelectCell(id, data) {
+    const td = document.createElement("td");
+    td.setAttribute("data-label", t("Select"));
+    td.className = "td-select";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.className = "row-select";
+    box.checked = selectedIds.has(id);
+    box.setAttribute("aria-label", t("Select {name}", { name: `${data.firstName} ${data.lastName}` }));
+    box.addEventListener("click", (e) => toggleRowSelection(id, box.checked, e.shiftKey));
+    td.appendChild(box);
+    return td;
+  }
+
+  // Ids of the rows currently shown, in table order (so it follows search + sort)
+  function getVisibleRowIds() {
+    return shownIds.slice(); // the table only has rows near the viewport in the DOM
+  }
+
+  function toggleRowSelection(id, checked, extendRange) {
+    const visible = getVisibleRowIds();
+    let ids = [id];
+    if (extendRange && lastToggledId && visible.includes(lastToggledId)) {
+      const from = visible.indexOf(lastToggledId);
+      const to = visible.indexOf(id);
+      ids = visible.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+    ids.forEach(rowId => (checked ? selectedIds.add(rowId) : selectedIds.delete(rowId)));
+    lastToggledId = id;
+    syncSelectionUI();
+  }
+
+  // Prune selection of removed profiles and bring checkboxes, select-all and the batch bar in line
+  function syncSelectionUI() {
+    selectedIds.forEach(id => { if (!profiles[id]) selectedIds.delete(id); });
+
+    summaryTbody.querySelectorAll("tr[data-id]").forEach(tr => {
+      const selected = selectedIds.has(tr.getAttribute("data-id"));
+      tr.classList.toggle("is-selected", selected);
+      const box = tr.querySelector(".row-select");
+      if (box) box.checked = selected;
+    });
+
+    const visible = getVisibleRowIds();
+    const visibleSelected = visible.filter(id => selectedIds.has(id)).length;
+    if (selectAllBox) {
+      selectAllBox.checked = visible.length > 0 && visibleSelected === visible.length;
+      selectAllBox.indeterminate = visibleSelected > 0 && visibleSelected < visible.length;
+      selectAllBox.disabled = visible.length === 0;
+    }
+
+    if (batchBar) {
+      batchBar.hidden = selectedIds.size === 0;
+      if (batchMergeBtn) batchMergeBtn.hidden = selectedIds.size !== 2;
+      const hiddenCount = selectedIds.size - visibleSelected;
+      batchCount.textContent = hiddenCount
+        ? tn(selectedIds.size, "{count} selected ({hidden} hidden by the search)", "{count} selected ({hidden} hidden by the search)", { hidden: hiddenCount })
+        : tn(selectedIds.size, "{count} selected", "{count} selected");
+    }
+  }
+
+  function clearSelection() {
+    selectedIds.clear();
+    lastToggledId = null;
+    syncSelectionUI();
+  }
+
+  // Apply `change(profile)` to every selected profile as a single undoable command.
+  // `change` returns the updated profile, or null to leave that profile alone. Returns how many
+  // profiles changed, or null when the store rejected the change (and said why).
+  function runBatchUpdate(label, change) {
+    const changes = [];
+    selectedIds.forEach(id => {
+      const after = change(cloneProfile(profiles[id]));
+      if (after) changes.push({ id, before: profiles[id], after });
+    });
+    if (!changes.length) return 0;
+    const command = tryProfileCommand(label, changes);
+    if (!command) return null;
+    persistProfiles();
+    rerenderAll();
+    showToast(`${label} (${tn(changes.length, "{count} profile", "{count} profiles")})`, {
+      actionLabel: t("Undo"),
+      onAction: () => undoCommand(command)
+    });
+    return changes.length;
+  }
+
+  function batchDelete() {
+    const count = selectedIds.size;
+    if (!count) return;
+    if (!confirm(tn(count, "Delete {count} selected profile? You can undo this afterwards.", "Delete {count} selected profiles? You can undo this afterwards."))) {
+      announce(t("Deletion cancelled."), "info");
+      return;
+    }
+    if (editingId && selectedIds.has(editingId)) form.reset();
+    const changes = Array.from(selectedIds).map(id => ({ id, before: profiles[id], after: null }));
+    const command = tryProfileCommand(tn(count, "Delete {count} profile", "Delete {count} profiles"), changes);
+    if (!command) return;
+    selectedIds.clear();
+    persistProfiles();
+    rerenderAll();
+    announce(tn(count, "{count} profile removed.", "{count} profiles removed."), "success");
+    showToast(tn(count, "{count} profile removed", "{count} profiles removed"), { actionLabel: t("Undo"), onAction: () => undoCommand(command) });
+  }
+
+  function batchSetField(field, select, label) {
+    const value = select.value;
+    if (!value) {
+      announce(t("Choose a {label} to apply.", { label: label.toLowerCase() }), "error");
+      return;
+    }
+    const text = select.options[select.selectedIndex].textContent;
+    const count = runBatchUpdate(t("Set {label} to {value}", { label: label.toLowerCase(), value: text }), p => {
+      if (p[field] === value) return null;
+      p[field] = value;
+      return p;
+    });
+    if (count === null) return;
+    announce(count
+      ? tn(count, "{label} updated for {count} profile.", "{label} updated for {count} profiles.", { label })
+      : t("All selected profiles already have that {label}.", { label: label.toLowerCase() }), count ? "success" : "info");
+  }
+
+  function batchTag(mode) {
+    const typed = (batchTagInput.value || "").trim();
+    if (!typed) {
+      announce(t("Type an interest to add or remove."), "error");
+      return;
+    }
+    const tag = canonicalTags("interests", [typed])[0];
+    const key = tagKeyFor("interests", tag);
+    const max = maxTags("interests");
+    let full = 0;
+    const count = runBatchUpdate(mode === "add" ? t("Add interest \"{tag}\"", { tag }) : t("Remove interest \"{tag}\"", { tag }), p => {
+      const interests = p.interests || [];
+      const has = interests.some(t => tagKeyFor("interests", t) === key);
+      if (mode === "add") {
+        if (has) return null;
+        if (interests.length >= max) {
+          full++;
+          return null;
+        }
+        p.interests = interests.concat(tag);
+      } else {
+        if (!has) return null;
+        p.interests = interests.filter(t => tagKeyFor("interests", t) !== key);
+      }
+      return p;
+    });
+    if (count === null) return;
+    let message = mode === "add"
+      ? tn(count, "Interest \"{tag}\" added to {count} profile.", "Interest \"{tag}\" added to {count} profiles.", { tag })
+      : tn(count, "Interest \"{tag}\" removed from {count} profile.", "Interest \"{tag}\" removed from {count} profiles.", { tag });
+    if (full) message += " " + tn(full, "{count} already had {max} interests and was left unchanged.", "{count} already had {max} interests and were left unchanged.", { max });
+    announce(message, count ? "success" : "info");
+    if (count) batchTagInput.value = "";
+  }
+
+  // Batch programme/year pickers offer the schema's options
+  function fillBatchSelect(target, key) {
+    const field = getField(key);
+    if (!target || !field) return;
+    target.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = t("Change {label}…", { label: field.shortLabel.toLowerCase() });
+    target.appendChild(placeholder);
+    field.options.forEach(o => {
+      const opt = document.createElement("option");
+      opt.value = o.value;
+      opt.textContent = o.label;
+      target.appendChild(opt);
+    });
+    target.setAttribute("aria-label", t("New {label} for selected profiles", { label: field.shortLabel.toLowerCase() }));
+  }
+
+  function buildBatchPickers() {
+    fillBatchSelect(batchProgrammeSelect, "programme");
+    fillBatchSelect(batchYearSelect, "year");
+  }
+
+  buildBatchPickers();
+
+  if (selectAllBox) {
+    selectAllBox.addEventListener("change", () => {
+      const visible = getVisibleRowIds();
+      visible.forEach(id => (selectAllBox.checked ? selectedIds.add(id) : selectedIds.delete(id)));
+      lastToggledId = null;
+      syncSelectionUI();
+    });
+  }
+  if (batchDeleteBtn) batchDeleteBtn.addEventListener("click", batchDelete);
+  if (batchProgrammeBtn) batchProgrammeBtn.addEventListener("click", () => batchSetField("programme", batchProgrammeSelect, getField("programme").shortLabel));
+  if (batchYearBtn) batchYearBtn.addEventListener("click", () => batchSetField("year", batchYearSelect, getField("year").shortLabel));
+  if (batchTagAddBtn) batchTagAddBtn.addEventListener("click", () => batchTag("add"));
+  if (batchTagRemoveBtn) batchTagRemoveBtn.addEventListener("click", () => batchTag("remove"));
+  if (batchExportCsvBtn) batchExportCsvBtn.addEventListener("click", () => exportRoster("csv", Array.from(selectedIds)));
+  if (batchExportJsonBtn) batchExportJsonBtn.addEventListener("click", () => exportRoster("json", Array.from(selectedIds)));
+  if (batchClearBtn) batchClearBtn.addEventListener("click", clearSelection);
+
+  /* =========================
+     Undo / redo history (session only)
+     ========================= */
+  // A command is { label, changes: [{ id, before, after }] } with full profile snapshots;
+  // `null` means the profile doesn't exist on that side (create / delete). Tag renames and merges
+  // also carry tagVocabulary: { fieldKey, before, after }.
+  const HISTORY_LIMIT = 100;
+  const undoStack = [];
+  const redoStack = [];
+
+  function cloneProfile(p) {
+    return p ? JSON.parse(JSON.stringify(p)) : null;
+  }
+
+  function markChanged(changes, side) {
+    changes.forEach(change => {
+      dirtyIds.add(change.id);
+      if (!change[side]) deleteStoredPhoto(change.id);
+    });
+  }
+
+  // Undo and redo put recorded versions back as they were
+  function applyProfileSnapshots(changes, side) {
+    markChanged(changes, side);
+    store.apply(changes.map(change => ({ id: change.id, after: cloneProfile(change[side]) })));
+  }
+
+  // What `after` changes in `before`, for store.update(); a field `after` no longer has is set to undefined
+  function changedFields(before, after) {
+    const changed = {};
+    Object.keys(after).forEach(key => {
+      if (JSON.stringify(after[key]) !== JSON.stringify(before[key])) changed[key] = after[key];
+    });
+    Object.keys(before).forEach(key => { if (!(key in after)) changed[key] = undefined; });
+    return changed;
+  }
+
+  // Apply a change set through the store's add, update and remove (which validate the changes and
+  // stamp them with dates and revisions) and record it (here and in the change history). If the
+  // store rejects one change, the ones already made are rolled back and the error is rethrown.
+  // Callers persist and re-render as usual.
+  function runProfileCommand(label, changes) {
+    // removals first and additions last, so a unique value can move from one profile to another
+    const order = c => (!c.after ? 0 : c.before ? 1 : 2);
+    const done = [];
+    try {
+      changes.slice().sort((a, b) => order(a) - order(b)).forEach(c => {
+        if (!c.after) store.remove(c.id);
+        else if (!c.before) store.add(c.after, { id: c.id });
+        else store.update(c.id, changedFields(c.before, c.after));
+        done.push(c);
+      });
+    } catch (err) {
+      store.apply(done.map(c => ({ id: c.id, after: c.before })));
+      throw err;
+    }
+    const command = {
+      label,
+      changes: changes.map(c => ({ id: c.id, before: cloneProfile(c.before), after: cloneProfile(store.get(c.id)) }))
+    };
+    markChanged(command.changes, "after");
+    recordAudit(label, command.changes);
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    updateHistoryButtons();
+    return command;
+  }
+
+  // runProfileCommand for the UI: a change the store rejects (a ValidationError) leaves the roster as
+  // it was and its messages are announced, and shown next to the form's fields when `fieldErrors`.
+  // Returns the command, or null when it was rejected.
+  function tryProfileCommand(label, changes, { fieldErrors = false } = {}) {
+    try {
+      return runProfileCommand(label, changes);
+    } catch (err) {
+      if (!(err instanceof ProfileStore.ValidationError)) throw err;
+      if (fieldErrors) err.errors.forEach(error => showError(error.field, error.message));
+      announce(t("The change was not made: {errors}", { errors: err.message }), "error");
+      return null;
+    }
+  }
+
+  function afterHistoryStep() {
+    // the profile being edited may no longer exist
+    if (editingId && !profiles[editingId]) form.reset();
+    persistProfiles();
+    rerenderAll();
+    updateHistoryButtons();
+  }
+
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) {
+      announce(t("Nothing to undo."), "info");
+      return;
+    }
+    applyProfileSnapshots(command.changes, "before");
+    if (command.tagVocabulary) saveTagVocabulary(command.tagVocabulary.fieldKey, command.tagVocabulary.before);
+    recordAudit(t("Undo: {label}", { label: command.label }), command.changes.map(c => ({ id: c.id, before: c.after, after: c.before })));
+    redoStack.push(command);
+    afterHistoryStep();
+    announce(t("Undone: {label}.", { label: command.label }), "success");
+  }
+
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) {
+      announce(t("Nothing to redo."), "info");
+      return;
+    }
+    applyProfileSnapshots(command.changes, "after");
+    if (command.tagVocabulary) saveTagVocabulary(command.tagVocabulary.fieldKey, command.tagVocabulary.after);
+    recordAudit(t("Redo: {label}", { label: command.label }), command.changes);
+    undoStack.push(command);
+    afterHistoryStep();
+    announce(t("Redone: {label}.", { label: command.label }), "success");
+  }
+
+  // Undo a specific command (e.g. from its toast) only while it is still the latest change
+  function undoCommand(command) {
+    if (undoStack[undoStack.length - 1] !== command) {
+      announce(t("That change can no longer be undone from here; later changes came after it."), "info");
+      return;
+    }
+    undo();
+  }
+
+  function updateHistoryButtons() {
+    if (undoBtn) {
+      const next = undoStack[undoStack.length - 1];
+      undoBtn.disabled = !next;
+      undoBtn.title = next ? t("Undo: {label} (Ctrl+Z)", { label: next.label }) : t("Nothing to undo");
+    }
+    if (redoBtn) {
+      const next = redoStack[redoStack.length - 1];
+      redoBtn.disabled = !next;
+      redoBtn.title = next ? t("Redo: {label} (Ctrl+Shift+Z)", { label: next.label }) : t("Nothing to redo");
+    }
+  }
+
+  // Leave Ctrl+Z alone in text fields so the browser's own text undo keeps working
+  function isTextEditingTarget(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === "TEXTAREA") return true;
+    return el.tagName === "INPUT" && !["checkbox", "radio", "button", "submit", "reset", "file", "range"].includes(el.type);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEditingTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  if (undoBtn) undoBtn.addEventListener("click", undo);
+  if (redoBtn) redoBtn.addEventListener("click", redo);
+  updateHistoryButtons();
+
+  /* =========================
+     Change history / audit log (audit-log.js)
+     ========================= */
+  // Append-only list of field-level changes, shared by every tab in this browser. Unlike undo/redo
+  // it survives reloads; entries are never edited or removed by the app.
+  const AUDIT_STORAGE_KEY = "profile_manager_audit";
+  const ACTOR_STORAGE_KEY = "profile_manager_actor"; // name recorded with each change
+  let historyProfileId = null; // profile shown in the History dialog
+
+  function readAuditLog() {
+    try {
+      const entries = JSON.parse(safeLocalStorageGet(AUDIT_STORAGE_KEY) || "[]");
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      console.error("Change history could not be read:", err);
+      return [];
+    }
+  }
+
+  // createdAt is set once; updatedAt on every change made through a command
+  function recordAudit(summary, changes) {
+    const at = new Date().toISOString();
+    const by = safeLocalStorageGet(ACTOR_STORAGE_KEY) || "";
+    const entries = changes
+      .map(c => AuditLog.createEntry({ at, by, summary, profileId: c.id, before: c.before, after: c.after }))
+      .filter(Boolean);
+    if (!entries.length) return;
+    // re-read so entries other tabs appended meanwhile are kept
+    const log = readAuditLog().concat(entries);
+    if (!safeLocalStorageSet(AUDIT_STORAGE_KEY, JSON.stringify(log))) {
+      announce(t("The change could not be added to the change history (storage is full)."), "error");
+    }
+    if (historyProfileId && entries.some(e => e.profileId === historyProfileId)) renderHistory();
+  }
+
+  function formatTimestamp(iso) {
+    return iso ? I18n.formatDateTime(iso) : t("unknown");
+  }
+
+  function auditFieldLabel(key) {
+    if (key === AuditLog.PHOTO_KEY) return t("Photo");
+    const field = getField(key);
+    return field ? field.shortLabel : key;
+  }
+
+  function auditValueText(key, value) {
+    if (key === AuditLog.PHOTO_KEY) return value ? t("photo") : t("no photo");
+    if (value === null) return t("(empty)");
+    const field = getField(key);
+    if (field && field.type === "select") return ProfileSchema.optionLabel(field, value);
+    return AuditLog.formatChangeValue(key, value);
+  }
+
+  function openHistory(id) {
+    if (!profiles[id] || !historyDialog) return;
+    historyProfileId = id;
+    renderHistory();
+    if (historyDialog.showModal) historyDialog.showModal();
+    else historyDialog.setAttribute("open", "");
+    historyCloseBtn.focus();
+  }
+
+  function closeHistory() {
+    historyProfileId = null;
+    if (historyDialog.close) historyDialog.close();
+    else historyDialog.removeAttribute("open");
+  }
+
+  function renderHistory() {
+    const id = historyProfileId;
+    const current = profiles[id];
+    if (!current) {
+      closeHistory();
+      return;
+    }
+    const name = `${current.firstName || ""} ${current.lastName || ""}`.trim();
+    historyTitle.textContent = t("History of {name}", { name });
+    historyMeta.textContent = t("Created {created} · Last updated {updated}", { created: formatTimestamp(current.createdAt), updated: formatTimestamp(current.updatedAt) });
+    historyList.innerHTML = "";
+    historyList.append(...historyItems(id, current));
+  }
+
+  // The <li>s of a profile's history, newest first, each earlier version with a Restore button;
+  // shared by the History dialog and the profile page
+  function historyItems(id, current) {
+    const versions = AuditLog.versionsOf(readAuditLog(), id, current);
+    if (!versions.length) {
+      const li = document.createElement("li");
+      li.textContent = t("No changes recorded yet. Changes made from now on are listed here.");
+      return [li];
+    }
+    return versions.map(({ entry, version }, index) => {
+      const li = document.createElement("li");
+      li.className = "history-entry";
+      const heading = document.createElement("p");
+      const when = document.createElement("time");
+      when.dateTime = entry.at;
+      when.textContent = formatTimestamp(entry.at);
+      const what = document.createElement("strong");
+      what.textContent = ` ${entry.summary}`;
+      heading.append(when, what, entry.by ? " " + t("— by {name}", { name: entry.by }) : "");
+      li.appendChild(heading);
+
+      const changes = document.createElement("ul");
+      changes.className = "history-changes";
+      entry.changes.forEach(c => {
+        const item = document.createElement("li");
+        const field = auditFieldLabel(c.field);
+        const before = auditValueText(c.field, c.before);
+        const after = auditValueText(c.field, c.after);
+        if (entry.action === "create") item.textContent = t("{field}: {value}", { field, value: after });
+        else if (entry.action === "delete") item.textContent = t("{field} was {value}", { field, value: before });
+        else item.textContent = t("{field}: {before} → {after}", { field, before, after });
+        changes.appendChild(item);
+      });
+      li.appendChild(changes);
+
+      if (index === 0) {
+        const note = document.createElement("p");
+        note.className = "hint";
+        note.textContent = t("Current version");
+        li.appendChild(note);
+      } else if (version) {
+        const restoreBtn = document.createElement("button");
+        restoreBtn.type = "button";
+        restoreBtn.className = "btn-light";
+        restoreBtn.textContent = t("Restore This Version");
+        restoreBtn.setAttribute("aria-label", t("Restore the version saved {when}", { when: formatTimestamp(entry.at) }));
+        restoreBtn.addEventListener("click", () => restoreProfileVersion(id, version, entry.at));
+        li.appendChild(restoreBtn);
+      }
+      return li;
+    });
+  }
+
+  // Brings back the fields of an earlier version; the photo isn't in the history, so the current one stays
+  function restoreProfileVersion(id, version, when) {
+    const current = profiles[id];
+    if (!current) return;
+    const restored = { ...version, photoUrl: current.photoUrl, photoRef: current.photoRef, photoMissing: current.photoMissing };
+    const taken = formSchema.fields.find(field => field.unique && store.isTaken(field, restored[field.key], id));
+    if (taken) {
+      announce(t("That version can't be restored: its {label} is now used by another profile.", { label: taken.label.toLowerCase() }), "error");
+      return;
+    }
+    // the form may have changed since (an option removed, a rule tightened)
+    const errors = store.validate(restored, { excludeId: id });
+    if (errors.length) {
+      announce(t("That version can't be restored: {errors}", { errors: errors.map(e => e.message).join(" ") }), "error");
+      return;
+    }
+    if (editingId === id) form.reset();
+    const name = `${restored.firstName || ""} ${restored.lastName || ""}`.trim();
+    const command = tryProfileCommand(t("Restore {name} to the version of {when}", { name, when: formatTimestamp(when) }), [{ id, before: current, after: restored }]);
+    if (!command) return;
+    persistProfiles();
+    rerenderAll();
+    if (historyProfileId) renderHistory();
+    announce(t("{name} restored to the version of {when}.", { name, when: formatTimestamp(when) }), "success");
+    showToast(t("Earlier version restored"), { actionLabel: t("Undo"), onAction: () => undoCommand(command) });
+  }
+
+  function exportAuditLog(format) {
+    const entries = readAuditLog();
+    if (!entries.length) {
+      announce(t("The change history is empty."), "info");
+      return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadFile(`profile-history-${stamp}.csv`, RosterIO.toCsv(AuditLog.toCsvRows(entries, auditFieldLabel)), "text/csv;charset=utf-8");
+    } else {
+      downloadFile(`profile-history-${stamp}.json`, AuditLog.toJson(entries), "application/json");
+    }
+    announce(tn(entries.length, "Exported {count} change as {format}.", "Exported {count} changes as {format}.", { format: format.toUpperCase() }), "success");
+  }
+
+  if (historyDialog) {
+    historyCloseBtn.addEventListener("click", closeHistory);
+    historyDialog.addEventListener("close", () => { historyProfileId = null; });
+  }
+  if (exportAuditCsvBtn) exportAuditCsvBtn.addEventListener("click", () => exportAuditLog("csv"));
+  if (exportAuditJsonBtn) exportAuditJsonBtn.addEventListener("click", () => exportAuditLog("json"));
+  if (auditActorInput) {
+    auditActorInput.value = safeLocalStorageGet(ACTOR_STORAGE_KEY) || "";
+    auditActorInput.addEventListener("change", () => {
+      safeLocalStorageSet(ACTOR_STORAGE_KEY, auditActorInput.value.trim());
+      announce(auditActorInput.value.trim()
+        ? t("Changes will be recorded as made by {name}.", { name: auditActorInput.value.trim() })
+        : t("Changes will be recorded without a name."), "info");
+    });
+  }
+
+  /* =========================
+     Duplicate detection & merge wizard (duplicates.js)
+     ========================= */
+  // Unique fields only catch exact repeats; these catch the same person entered under another
+  // email: similar names, swapped names, accents, or the same photo.
+  const DUPLICATE_FORM_FIELDS = ["firstName", "lastName", "email"];
+  const MAX_FORM_MATCHES = 3;
+  const photoHashCache = new Map(); // id -> { photoUrl, hash }, worked out on demand and kept in memory only
+  let duplicateCheckTimer = null;
+  let duplicateCheckRun = 0;        // ignores results of a check overtaken by a newer one
+  let mergeState = null;            // { ids: [a, b] } while the merge wizard is open
+
+  // Photo fingerprints of the profiles that have a photo (Map id -> hash)
+  async function profilePhotoHashes() {
+    // photos on the web can't be fetched offline; they are left out until the connection is back
+    const ids = Object.keys(profiles).filter(id => profiles[id].photoUrl && canLoadPhoto(profiles[id].photoUrl));
+    await Promise.all(ids.map(async id => {
+      const url = profiles[id].photoUrl;
+      const cached = photoHashCache.get(id);
+      if (cached && cached.photoUrl === url) return;
+      photoHashCache.set(id, { photoUrl: url, hash: await ImagePipeline.photoHashFromUrl(url) });
+    }));
+    const hashes = new Map();
+    ids.forEach(id => {
+      const cached = photoHashCache.get(id);
+      if (cached && cached.hash) hashes.set(id, cached.hash);
+    });
+    return hashes;
+  }
+
+  function describeProfile(id) {
+    const p = profiles[id];
+    return `${profileName(p)} (${[id, p.email].filter(Boolean).join(", ")})`;
+  }
+
+  // --- While typing in the form ---
+  function scheduleDuplicateCheck() {
+    clearTimeout(duplicateCheckTimer);
+    duplicateCheckTimer = setTimeout(checkFormForDuplicates, SEARCH_DEBOUNCE);
+  }
+
+  async function checkFormForDuplicates() {
+    if (!duplicateWarning) return;
+    const run = ++duplicateCheckRun;
+    const candidate = createNewProfileObjectFromForm();
+    if (photoSource) {
+      candidate.photoHash = ImagePipeline.photoHash(ImagePipeline.drawSquareCrop(photoSource, photoCrop, 64));
+    } else if (candidate.photoUrl && canLoadPhoto(candidate.photoUrl)) {
+      candidate.photoHash = await ImagePipeline.photoHashFromUrl(candidate.photoUrl);
+    }
+    const photoHashes = await profilePhotoHashes();
+    if (run !== duplicateCheckRun) return;
+    const matches = DuplicateScanner.findMatches(candidate, profiles, {
+      excludeId: editingId,
+      photoHashes,
+      normalizeEmail: ProfileStore.normalizeEmail
+    });
+    renderDuplicateWarning(matches.slice(0, MAX_FORM_MATCHES));
+  }
+
+  function renderDuplicateWarning(matches) {
+    duplicateWarning.innerHTML = "";
+    duplicateWarning.hidden = !matches.length;
+    if (!matches.length) return;
+    const intro = document.createElement("strong");
+    intro.textContent = matches.length === 1 ? t("This may be a duplicate of:") : t("This may be a duplicate of one of these:");
+    const list = document.createElement("ul");
+    matches.forEach(match => {
+      const li = document.createElement("li");
+      li.textContent = `${describeProfile(match.id)} — ${I18n.formatList(match.reasons).toLowerCase()}`;
+      list.appendChild(li);
+    });
+    const hint = document.createElement("span");
+    hint.className = "hint";
+    hint.textContent = t("You can still save. To combine two saved profiles, use Find Duplicates below the table.");
+    duplicateWarning.append(intro, list, hint);
+  }
+
+  function clearDuplicateWarning() {
+    clearTimeout(duplicateCheckTimer);
+    duplicateCheckRun++;
+    if (duplicateWarning) renderDuplicateWarning([]);
+  }
+
+  if (schemaFieldsContainer) {
+    schemaFieldsContainer.addEventListener("input", (e) => {
+      if (DUPLICATE_FORM_FIELDS.includes(e.target.id)) scheduleDuplicateCheck();
+    });
+  }
+  if (photoUrlInput) photoUrlInput.addEventListener("change", scheduleDuplicateCheck);
+  if (photoZoomInput) photoZoomInput.addEventListener("change", scheduleDuplicateCheck);
+
+  // --- Scanning the whole roster ---
+  async function openDuplicateScan() {
+    if (!duplicatesDialog) return;
+    duplicatesList.innerHTML = "";
+    duplicatesSummary.textContent = t("Comparing profiles…");
+    if (!duplicatesDialog.open) {
+      if (duplicatesDialog.showModal) duplicatesDialog.showModal();
+      else duplicatesDialog.setAttribute("open", "");
+      duplicatesCloseBtn.focus();
+    }
+    const pairs = DuplicateScanner.scanProfiles(profiles, {
+      photoHashes: await profilePhotoHashes(),
+      normalizeEmail: ProfileStore.normalizeEmail
+    });
+    const count = Object.keys(profiles).length;
+    duplicatesSummary.textContent = pairs.length
+      ? tn(pairs.length, "{count} possible duplicate among {profiles} profiles, most likely first.", "{count} possible duplicates among {profiles} profiles, most likely first.", { profiles: count })
+      : tn(count, "No likely duplicates among {count} profile.", "No likely duplicates among {count} profiles.");
+    pairs.forEach(pair => {
+      const li = document.createElement("li");
+      li.className = "duplicate-pair";
+      const names = document.createElement("p");
+      names.textContent = t("{first} and {second}", { first: describeProfile(pair.ids[0]), second: describeProfile(pair.ids[1]) });
+      const reasons = document.createElement("p");
+      reasons.className = "hint";
+      reasons.textContent = pair.reasons.join(" · ");
+      const mergeBtn = document.createElement("button");
+      mergeBtn.type = "button";
+      mergeBtn.className = "btn-light";
+      mergeBtn.textContent = t("Merge…");
+      mergeBtn.setAttribute("aria-label", t("Merge {first} and {second}", { first: profileName(profiles[pair.ids[0]]), second: profileName(profiles[pair.ids[1]]) }));
+      mergeBtn.addEventListener("click", () => openMergeWizard(pair.ids));
+      li.append(names, reasons, mergeBtn);
+      duplicatesList.appendChild(li);
+    });
+  }
+
+  function closeDuplicateScan() {
+    if (duplicatesDialog.close) duplicatesDialog.close();
+    else duplicatesDialog.removeAttribute("open");
+  }
+
+  // --- Merge wizard: step 1 picks the id to keep and a value per field, step 2 reviews the result ---
+  function openMergeWizard(ids) {
+    if (!mergeDialog || ids.length !== 2 || !ids.every(id => profiles[id])) return;
+    // keep the older record's id by default
+    const byAge = ids.slice().sort((a, b) => String(profiles[a].createdAt || "").localeCompare(String(profiles[b].createdAt || "")));
+    mergeState = { ids: byAge };
+    renderMergeChoices();
+    showMergeStep(1);
+    if (mergeDialog.showModal) mergeDialog.showModal();
+    else mergeDialog.setAttribute("open", "");
+    mergeNextBtn.focus();
+  }
+
+  function closeMergeWizard() {
+    mergeState = null;
+    if (mergeDialog.close) mergeDialog.close();
+    else mergeDialog.removeAttribute("open");
+  }
+
+  function showMergeStep(step) {
+    mergeStepFields.hidden = step !== 1;
+    mergeStepReview.hidden = step !== 2;
+    mergeBackBtn.hidden = step !== 2;
+    mergeNextBtn.hidden = step !== 1;
+    mergeConfirmBtn.hidden = step !== 2;
+    mergeStepLabel.textContent = step === 1 ? t("Step 1 of 2: choose what to keep") : t("Step 2 of 2: check the merged profile");
+  }
+
+  function isEmptyValue(value) {
+    return value == null || value === "" || (Array.isArray(value) && !value.length);
+  }
+
+  function renderMergeChoices() {
+    const [a, b] = mergeState.ids.map(id => profiles[id]);
+    mergeIntro.textContent = t("{first} and {second} will become one profile.", { first: describeProfile(mergeState.ids[0]), second: describeProfile(mergeState.ids[1]) });
+
+    mergeKeepIdChoices.innerHTML = "";
+    mergeState.ids.forEach((id, index) => {
+      const label = document.createElement("label");
+      label.className = "conflict-choice";
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "mergeKeepId";
+      radio.value = id;
+      radio.checked = index === 0;
+      const created = profiles[id].createdAt ? t("{id}, created {date}", { id, date: I18n.formatDate(profiles[id].createdAt) }) : id;
+      label.append(radio, ` ${created}`);
+      mergeKeepIdChoices.appendChild(label);
+    });
+
+    mergeTbody.innerHTML = "";
+    let same = 0;
+    const rows = [];
+    formSchema.fields.forEach(field => {
+      const values = [a[field.key], b[field.key]];
+      if (JSON.stringify(isEmptyValue(values[0]) ? null : values[0]) === JSON.stringify(isEmptyValue(values[1]) ? null : values[1])) {
+        same++;
+        return;
+      }
+      // prefer a filled-in value; tags default to both lists combined
+      const preferred = field.type === "tags" ? "both" : isEmptyValue(values[0]) ? "1" : "0";
+      rows.push({ key: field.key, label: field.shortLabel, show: p => fieldText(field, p[field.key]), both: field.type === "tags", preferred });
+    });
+    if (!sameProfileContent({ photoUrl: a.photoUrl, photoRef: a.photoRef }, { photoUrl: b.photoUrl, photoRef: b.photoRef })) {
+      rows.push({ key: "photo", label: t("Photo"), show: photoCell, both: false, preferred: a.photoUrl || a.photoRef ? "0" : "1" });
+    }
+    rows.forEach(row => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = row.label;
+      tr.appendChild(th);
+      [a, b, null].forEach((p, index) => {
+        const td = document.createElement("td");
+        const value = p ? String(index) : "both";
+        if (p || row.both) {
+          const label = document.createElement("label");
+          label.className = "conflict-choice";
+          const radio = document.createElement("input");
+          radio.type = "radio";
+          radio.name = `merge-${row.key}`;
+          radio.value = value;
+          radio.checked = value === row.preferred;
+          label.append(radio, " ", p ? row.show(p) : t("Both"));
+          td.appendChild(label);
+        }
+        tr.appendChild(td);
+      });
+      mergeTbody.appendChild(tr);
+    });
+    mergeSameNote.textContent = !rows.length
+      ? t("Both profiles hold the same details.")
+      : same ? tn(same, "{count} field is the same on both and kept as it is.", "{count} fields are the same on both and kept as they are.") : "";
+  }
+
+  // The kept id's record with the chosen values laid over it
+  function mergedProfile() {
+    const keepId = mergeKeepIdChoices.querySelector('input[name="mergeKeepId"]:checked').value;
+    const sources = mergeState.ids.map(id => profiles[id]);
+    const merged = cloneProfile(profiles[keepId]);
+    const createdAt = sources.map(p => p.createdAt).filter(Boolean).sort()[0];
+    if (createdAt) merged.createdAt = createdAt;
+    mergeTbody.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+      const key = radio.name.slice("merge-".length);
+      if (key === "photo") {
+        const from = sources[Number(radio.value)];
+        merged.photoUrl = from.photoUrl || null;
+        merged.photoMissing = !!from.photoMissing;
+        delete merged.photoRef; // the photo store keys photos by id; the kept id gets its own copy
+      } else if (radio.value === "both") {
+        const seen = new Set();
+        merged[key] = sources.flatMap(p => p[key] || []).filter(tag => {
+          const k = tagKeyFor(key, tag);
+          if (seen.has(k)) return false;
+          seen.add(k);
+          return true;
+        }).slice(0, maxTags(key));
+      } else {
+        const value = sources[Number(radio.value)][key];
+        if (value === undefined) delete merged[key];
+        else merged[key] = cloneProfile(value);
+      }
+    });
+    return { keepId, dropId: mergeState.ids.find(id => id !== keepId), merged };
+  }
+
+  function renderMergeReview() {
+    const { keepId, dropId, merged } = mergedProfile();
+    mergeReviewList.innerHTML = "";
+    const add = (label, content) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.append(content);
+      mergeReviewList.append(dt, dd);
+    };
+    add(t("ID"), keepId);
+    formSchema.fields.forEach(field => add(field.label, fieldText(field, merged[field.key])));
+    add(t("Photo"), photoCell(merged));
+    mergeReviewNote.textContent = t("Profile {id} will be removed. The merge can be undone.", { id: dropId });
+  }
+
+  function completeMerge() {
+    const { keepId, dropId, merged } = mergedProfile();
+    const kept = profiles[keepId];
+    const dropped = profiles[dropId];
+    closeMergeWizard();
+    if (editingId === keepId || editingId === dropId) form.reset();
+    const command = tryProfileCommand(t("Merge profile {id} into {name}", { id: dropId, name: profileName(merged) }), [
+      { id: keepId, before: kept, after: merged },
+      { id: dropId, before: dropped, after: null }
+    ]);
+    if (!command) return;
+    selectedIds.delete(dropId);
+    persistProfiles();
+    rerenderAll();
+    syncSelectionUI();
+    announce(t("Merged {dropped} into {kept}.", { dropped: dropId, kept: keepId }), "success");
+    showToast(t("Profiles merged"), { actionLabel: t("Undo"), onAction: () => undoCommand(command) });
+    if (duplicatesDialog && duplicatesDialog.open) openDuplicateScan();
+  }
+
+  if (findDuplicatesBtn) findDuplicatesBtn.addEventListener("click", openDuplicateScan);
+  if (duplicatesDialog) duplicatesCloseBtn.addEventListener("click", closeDuplicateScan);
+  if (batchMergeBtn) batchMergeBtn.addEventListener("click", () => openMergeWizard(Array.from(selectedIds)));
+  if (mergeDialog) {
+    mergeNextBtn.addEventListener("click", () => {
+      renderMergeReview();
+      showMergeStep(2);
+      mergeConfirmBtn.focus();
+    });
+    mergeBackBtn.addEventListener("click", () => {
+      showMergeStep(1);
+      mergeNextBtn.focus();
+    });
+    mergeConfirmBtn.addEventListener("click", completeMerge);
+    mergeCancelBtn.addEventListener("click", closeMergeWizard);
+    mergeDialog.addEventListener("close", () => { mergeState = null; });
+  }
+
+  /* =========================
+     Toasts
+     ========================= */
+  const TOAST_DURATION = 6000; // ms
+
+  // duration: ms before the toast goes away by itself; 0 keeps it until it is dismissed
+  function showToast(message, { actionLabel = "", onAction = null, duration = TOAST_DURATION } = {}) {
+    if (!toastRegion) return;
+    const toast = document.createElement("div");
+    toast.className = "toast fade-in";
+    const text = document.createElement("span");
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    const schedule = () => {
+      if (duration) timer = setTimeout(dismiss, duration);
+    };
+    const dismiss = () => {
+      clearTimeout(timer);
+      toast.remove();
+    };
+    if (actionLabel && onAction) {
+      const sep = document.createElement("span");
+      sep.textContent = " — ";
+      sep.setAttribute("aria-hidden", "true");
+      const action = document.createElement("button");
+      action.type = "button";
+      action.className = "toast-action";
+      action.textContent = actionLabel;
+      action.addEventListener("click", () => {
+        dismiss();
+        onAction();
+      });
+      toast.append(sep, action);
+    }
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "toast-close";
+    close.setAttribute("aria-label", t("Dismiss notification"));
+    close.textContent = "×";
+    close.addEventListener("click", dismiss);
+    toast.appendChild(close);
+
+    toastRegion.appendChild(toast);
+    schedule();
+    // keep the toast while the pointer or focus is on it
+    toast.addEventListener("mouseenter", () => clearTimeout(timer));
+    toast.addEventListener("focusin", () => clearTimeout(timer));
+    toast.addEventListener("mouseleave", schedule);
+    return dismiss;
+  }
+
+  /* =========================
+     Import / export (CSV + JSON via roster-io.js)
+     ========================= */
+  let importState = null; // { fileName, headers, records, mapping } while the import panel is open
+
+  // message ids, shown through t()
+  const IMPORT_STRATEGY_TEXT = {
+    skip: "will be skipped",
+    overwrite: "will be overwritten",
+    merge: "will be merged"
+  };
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Exports every profile, or only `ids` when given (batch "export selected")
+  function exportRoster(format, ids = null) {
+    const all = Object.entries(profiles);
+    const entries = sortProfiles(ids ? all.filter(([id]) => ids.includes(id)) : all);
+    if (!entries.length) {
+      announce(t("There are no profiles to export."), "info");
+      return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadFile(`profiles${ids ? "-selected" : ""}-${stamp}.csv`, RosterIO.profilesToCsv(entries, savedSchema.fields), "text/csv;charset=utf-8");
+    } else {
+      const includePhotos = !!(exportPhotosInput && exportPhotosInput.checked);
+      downloadFile(`profiles${ids ? "-selected" : ""}-${stamp}.json`, RosterIO.profilesToJson(entries, savedSchema.fields, { includePhotos }), "application/json");
+    }
+    announce(tn(entries.length, "Exported {count} profile as {format}.", "Exported {count} profiles as {format}.", { format: format.toUpperCase() }), "success");
+  }
+
+  function findProfileIdByEmail(email) {
+    const normalized = ProfileStore.normalizeEmail(email);
+    if (!normalized) return null;
+    return Object.keys(profiles).find(id => ProfileStore.normalizeEmail(profiles[id].email) === normalized) || null;
+  }
+
+  function getImportStrategy() {
+    const checked = document.querySelector('input[name="importDuplicates"]:checked');
+    return checked ? checked.value : "skip";
+  }
+
+  // Classify each mapped record as new, duplicate (of an existing profile) or rejected (with reasons)
+  function buildImportPlan() {
+    const seenInFile = new Map(); // normalised email -> row number
+    return importState.records.map((record, i) => {
+      const row = i + 1;
+      const data = RosterIO.mapRecord(record, importState.mapping, savedSchema.fields);
+      schemaFields().filter(f => f.type === "tags").forEach(f => { data[f.key] = canonicalTags(f.key, data[f.key]); });
+      const duplicateId = findProfileIdByEmail(data.email);
+      const reasons = [];
+      // the duplicate itself is handled by the chosen strategy; every other rule still applies
+      validateProfileInput(data, { excludeId: duplicateId, report: (field, message) => reasons.push(message) });
+
+      const key = ProfileStore.normalizeEmail(data.email);
+      if (key && seenInFile.has(key)) {
+        reasons.push(t("Same email as row {row} of this file.", { row: seenInFile.get(key) }));
+      } else if (key) {
+        seenInFile.set(key, row);
+      }
+
+      if (reasons.length) return { row, data, status: "rejected", reasons };
+      return { row, data, status: duplicateId ? "duplicate" : "new", duplicateId };
+    });
+  }
+
+  function renderImportMapping() {
+    importMappingFields.innerHTML = "";
+    RosterIO.importableFields(formSchema.fields).forEach(field => {
+      const wrap = document.createElement("div");
+      wrap.className = "form-row";
+      const label = document.createElement("label");
+      label.htmlFor = "importMap-" + field.key;
+      label.textContent = field.label;
+      const select = document.createElement("select");
+      select.id = "importMap-" + field.key;
+      [""].concat(importState.headers).forEach(h => {
+        const opt = document.createElement("option");
+        opt.value = h;
+        opt.textContent = h || t("(not imported)");
+        select.appendChild(opt);
+      });
+      select.value = importState.mapping[field.key] || "";
+      select.addEventListener("change", () => {
+        importState.mapping[field.key] = select.value;
+        renderImportPreview();
+      });
+      wrap.append(label, select);
+      importMappingFields.appendChild(wrap);
+    });
+  }
+
+  function renderImportPreview() {
+    const plan = buildImportPlan();
+    const strategy = getImportStrategy();
+    importPreviewTbody.innerHTML = "";
+    const counts = { new: 0, duplicate: 0, rejected: 0 };
+    // column headings follow the schema's labels
+    const labels = [t("Row"), t("Name")].concat(["email", "programme", "year"].map(k => getField(k).shortLabel), t("Result"));
+    importPreviewTbody.parentNode.querySelectorAll("thead th").forEach((th, i) => { th.textContent = labels[i]; });
+
+    plan.forEach(item => {
+      counts[item.status]++;
+      const tr = document.createElement("tr");
+      const d = item.data;
+      let result;
+      if (item.status === "new") {
+        result = t("New profile");
+      } else if (item.status === "duplicate") {
+        const existing = profiles[item.duplicateId];
+        result = t("Matches {name} ({id}) — {outcome}", {
+          name: `${existing.firstName} ${existing.lastName}`,
+          id: item.duplicateId,
+          outcome: t(IMPORT_STRATEGY_TEXT[strategy])
+        });
+        if (strategy === "merge") {
+          const { dropped } = mergeImportedProfile(existing, d);
+          if (dropped.length) result += ". " + droppedTagsText(dropped);
+        }
+      } else {
+        result = item.reasons.join(" ");
+      }
+      const values = [item.row, `${d.firstName} ${d.lastName}`.trim(), d.email, d.programme, d.year, result];
+      values.forEach((v, i) => {
+        const td = document.createElement("td");
+        td.setAttribute("data-label", labels[i]);
+        td.textContent = v;
+        if (i === values.length - 1) {
+          td.className = item.status === "new" ? "import-accepted" : item.status === "duplicate" ? "import-duplicate" : "import-rejected";
+        }
+        tr.appendChild(td);
+      });
+      importPreviewTbody.appendChild(tr);
+    });
+
+    importSummary.textContent = tn(plan.length, "{file}: {count} row — {new} new, {duplicate} matching existing profiles, {rejected} rejected.",
+      "{file}: {count} rows — {new} new, {duplicate} matching existing profiles, {rejected} rejected.",
+      { file: importState.fileName, new: counts.new, duplicate: counts.duplicate, rejected: counts.rejected });
+    const importable = counts.new + (strategy === "skip" ? 0 : counts.duplicate);
+    confirmImportBtn.disabled = importable === 0;
+    confirmImportBtn.textContent = tn(importable, "Import {count} profile", "Import {count} profiles");
+  }
+
+  function openImportPanel(fileName, text) {
+    let parsed;
+    try {
+      parsed = RosterIO.readRosterFile(fileName, text);
+    } catch (err) {
+      console.error("Import parse error:", err);
+      announce(t("Could not read {file}: {error}", { file: fileName, error: err.message }), "error");
+      return;
+    }
+    if (!parsed.records.length) {
+      announce(t("No rows found in {file}.", { file: fileName }), "error");
+      return;
+    }
+    importState = {
+      fileName,
+      headers: parsed.headers,
+      records: parsed.records,
+      mapping: RosterIO.guessColumnMapping(parsed.headers, formSchema.fields)
+    };
+    renderImportMapping();
+    renderImportPreview();
+    importPanel.hidden = false;
+    importPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+    announce(t("Review the import preview for {file}.", { file: fileName }), "info");
+  }
+
+  function closeImportPanel() {
+    importState = null;
+    importPanel.hidden = true;
+    importPreviewTbody.innerHTML = "";
+    importMappingFields.innerHTML = "";
+    if (importFileInput) importFileInput.value = "";
+  }
+
+  // Merge keeps what the existing profile has and fills gaps from the import; tags (interests) are combined,
+  // and the ones over a field's limit are left out: -> { profile, dropped: [{ field, tags }] }
+  function mergeImportedProfile(existing, incoming) {
+    return RosterIO.mergeProfile(existing, incoming, formSchema.fields, { tagKey: tagKeyFor });
+  }
+
+  // "Interests keeps at most 5; AI, Cloud will be left out." for each field over its limit (or "were
+  // left out" once the import is done)
+  function droppedTagsText(dropped, { done = false } = {}) {
+    return dropped.map(({ field, tags }) => {
+      const params = { label: field.label, max: field.maxItems, tags: tags.join(", ") };
+      return done
+        ? t("{label} keeps at most {max}; {tags} were left out.", params)
+        : t("{label} keeps at most {max}; {tags} will be left out.", params);
+    }).join(" ");
+  }
+
+  function applyImport() {
+    if (!importState) return;
+    const strategy = getImportStrategy();
+    const changes = [];
+    let added = 0, updated = 0, skipped = 0;
+    const leftOut = []; // "Name: Interests keeps at most ..." for merges over a tag limit
+
+    buildImportPlan().forEach(item => {
+      const incoming = { ...item.data };
+      const existing = item.duplicateId ? profiles[item.duplicateId] : null;
+      if (item.status === "new") {
+        changes.push({ id: uid(), before: null, after: incoming });
+        added++;
+      } else if (item.status === "duplicate" && strategy === "overwrite") {
+        // a row without a photo keeps the current one
+        if (!incoming.photoUrl) incoming.photoUrl = existing.photoUrl || null;
+        changes.push({ id: item.duplicateId, before: existing, after: { ...existing, ...incoming } });
+        updated++;
+      } else if (item.status === "duplicate" && strategy === "merge") {
+        const { profile, dropped } = mergeImportedProfile(existing, incoming);
+        changes.push({ id: item.duplicateId, before: existing, after: profile });
+        if (dropped.length) leftOut.push(`${profileName(existing)}: ${droppedTagsText(dropped, { done: true })}`);
+        updated++;
+      } else {
+        skipped++;
+      }
+    });
+
+    if (changes.length && !tryProfileCommand(t("Import {file}", { file: importState.fileName }), changes)) return;
+    persistProfiles();
+    closeImportPanel();
+    rerenderAll();
+    const summary = t("Import complete: {added} added, {updated} updated, {skipped} skipped.", { added, updated, skipped });
+    announce(leftOut.length ? `${summary} ${leftOut.join(" ")}` : summary, leftOut.length ? "info" : "success");
+  }
+
+  if (exportCsvBtn) exportCsvBtn.addEventListener("click", () => exportRoster("csv"));
+  if (exportJsonBtn) exportJsonBtn.addEventListener("click", () => exportRoster("json"));
+
+  if (importFileInput) {
+    importFileInput.addEventListener("change", () => {
+      const file = importFileInput.files && importFileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => openImportPanel(file.name, String(reader.result));
+      reader.onerror = () => announce(t("Could not read {file}.", { file: file.name }), "error");
+      reader.readAsText(file);
+    });
+  }
+
+  document.querySelectorAll('input[name="importDuplicates"]').forEach(radio => {
+    radio.addEventListener("change", () => { if (importState) renderImportPreview(); });
+  });
+  if (confirmImportBtn) confirmImportBtn.addEventListener("click", applyImport);
+  if (cancelImportBtn) {
+    cancelImportBtn.addEventListener("click", () => {
+      closeImportPanel();
+      announce(t("Import cancelled."), "info");
+    });
+  }
+
+  /* =========================
+     Badges & printable roster (print-layout.js)
+     ========================= */
+  // Printing fills #printView and marks <body> with data-printing; the print styles then show only
+  // that view. "Save as PDF" in the print dialog gives a PDF of it.
+  const PRINT_PAPER_STORAGE_KEY = "profile_manager_print_paper";
+  const PRINT_TITLE = "Profile Manager"; // message id
+
+  // Letter in North America and the Philippines, A4 elsewhere, until a size is chosen
+  function defaultPaper() {
+    const region = (navigator.language || "").split("-")[1] || "";
+    return ["US", "CA", "MX", "PH"].includes(region.toUpperCase()) ? "Letter" : "A4";
+  }
+
+  if (printPaperSelect) {
+    const saved = safeLocalStorageGet(PRINT_PAPER_STORAGE_KEY);
+    printPaperSelect.value = PrintLayout.PAPER_SIZES[saved] ? saved : defaultPaper();
+    printPaperSelect.addEventListener("change", () => safeLocalStorageSet(PRINT_PAPER_STORAGE_KEY, printPaperSelect.value));
+  }
+
+  function printPaper() {
+    return printPaperSelect ? printPaperSelect.value : defaultPaper();
+  }
+
+  function optionText(key, value) {
+    const field = getField(key);
+    return field && value ? ProfileSchema.optionLabel(field, value) : "";
+  }
+
+  // What the print layouts need to know about one profile
+  function printablePerson(id) {
+    const p = profiles[id];
+    return {
+      id,
+      name: profileName(p),
+      details: [optionText("programme", p.programme), optionText("year", p.year)],
+      photo: ProfileRender.safePhotoUrl(p.photoUrl),
+      fallbackPhoto: ProfileRender.placeholderPhoto(p.firstName, p.lastName),
+      profile: p
+    };
+  }
+
+  // Selected profiles in table order, including any the current search hides
+  function selectedIdsInOrder() {
+    return sortProfiles(Object.entries(profiles).filter(([id]) => selectedIds.has(id))).map(([id]) => id);
+  }
+
+  function showPrintView(kind, nodes) {
+    if (!printView) return;
+    printPageStyle.textContent = PrintLayout.pageRule(printPaper());
+    printView.replaceChildren(...nodes);
+    printView.hidden = false;
+    document.body.dataset.printing = kind;
+    PrintLayout.imagesReady(printView).then(() => window.print());
+  }
+
+  function clearPrintView() {
+    if (!printView || !document.body.dataset.printing) return;
+    delete document.body.dataset.printing;
+    printView.hidden = true;
+    printView.replaceChildren();
+    printPageStyle.textContent = "";
+  }
+
+  function printBadges(ids) {
+    if (!ids.length) {
+      announce(t("There are no profiles to print badges for."), "info");
+      return;
+    }
+    const paper = printPaper();
+    const { perSheet } = PrintLayout.badgeGrid(paper);
+    const sheets = PrintLayout.buildBadgeSheets(ids.map(printablePerson), { paper, title: t(PRINT_TITLE) });
+    showPrintView("badges", sheets);
+    const sheetText = tn(sheets.length, "{count} {paper} sheet", "{count} {paper} sheets", { paper: t(PrintLayout.PAPER_SIZES[paper].label) });
+    announce(tn(ids.length, "Printing {count} badge on {sheets} ({perSheet} per sheet).", "Printing {count} badges on {sheets} ({perSheet} per sheet).",
+      { sheets: sheetText, perSheet }), "success");
+  }
+
+  // Groups by programme, then year, in the order the form lists them; values no longer listed go last
+  function rosterGroups(ids) {
+    const rank = (key, value) => {
+      const field = getField(key);
+      const index = field ? field.options.findIndex(o => o.value === value) : -1;
+      return index === -1 ? Infinity : index;
+    };
+    const groups = new Map();
+    ids.forEach(id => {
+      const p = profiles[id];
+      const key = JSON.stringify([p.programme || "", p.year || ""]);
+      if (!groups.has(key)) {
+        const heading = [optionText("programme", p.programme) || t("No {label}", { label: getField("programme").shortLabel.toLowerCase() }),
+          optionText("year", p.year) || t("No {label}", { label: getField("year").shortLabel.toLowerCase() })].join(" — ");
+        groups.set(key, { programme: p.programme || "", year: p.year || "", heading, people: [] });
+      }
+      groups.get(key).people.push(printablePerson(id));
+    });
+    return Array.from(groups.values()).sort((a, b) =>
+      rank("programme", a.programme) - rank("programme", b.programme) || I18n.compare(a.programme, b.programme) ||
+      rank("year", a.year) - rank("year", b.year) || I18n.compare(a.year, b.year));
+  }
+
+  function printRoster(ids) {
+    if (!ids.length) {
+      announce(t("There are no profiles to print."), "info");
+      return;
+    }
+    const grouped = ["firstName", "lastName", "programme", "year"];
+    const columns = [
+      { label: t("ID"), value: person => person.id },
+      { label: t("Name"), value: person => person.name }
+    ].concat(schemaFields("showInTable").filter(f => !grouped.includes(f.key)).map(field => ({
+      label: field.shortLabel,
+      value: person => field.type === "select" && person.profile[field.key]
+        ? ProfileSchema.optionLabel(field, person.profile[field.key])
+        : ProfileSchema.formatValue(field, person.profile[field.key])
+    })));
+    const groups = rosterGroups(ids);
+    const subtitle = tn(ids.length, "{count} profile in {groups} · printed {date}", "{count} profiles in {groups} · printed {date}", {
+      groups: tn(groups.length, "{count} group", "{count} groups"),
+      date: I18n.formatDate(Date.now())
+    });
+    showPrintView("roster", [PrintLayout.buildRoster(groups, columns, { title: t("{title} — Class Roster", { title: t(PRINT_TITLE) }), subtitle })]);
+    announce(tn(ids.length, "Printing a roster of {count} profile.", "Printing a roster of {count} profiles."), "success");
+  }
+
+  window.addEventListener("afterprint", clearPrintView);
+  if (printBadgesBtn) printBadgesBtn.addEventListener("click", () => printBadges(getVisibleRowIds()));
+  if (printRosterBtn) printRosterBtn.addEventListener("click", () => printRoster(getVisibleRowIds()));
+  if (batchPrintBadgesBtn) batchPrintBadgesBtn.addEventListener("click", () => printBadges(selectedIdsInOrder()));
+
+  /* =========================
+     Sorting, filtering, search (with debounce + highlighting)
+     ========================= */
+  // Multi-key sort: sortKeys[0] is the primary key, later entries break ties. Persisted across reloads.
+  const SORT_STORAGE_KEY = "profile_manager_sort";
+  let SORT_COLUMNS = ProfileStore.sortColumns(formSchema.fields);
+  let sortKeys = loadSortKeys(); // [{ key, dir: "asc" | "desc" }]
+
+  function loadSortKeys() {
+    try {
+      const saved = JSON.parse(safeLocalStorageGet(SORT_STORAGE_KEY) || "[]");
+      return Array.isArray(saved)
+        ? saved.filter(k => k && SORT_COLUMNS[k.key] && (k.dir === "asc" || k.dir === "desc"))
+        : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function sortProfiles(entriesArray) {
+    // entriesArray: [ [id, data], ... ]
+    return ProfileStore.sortEntries(entriesArray, sortKeys, SORT_COLUMNS);
+  }
+
+  // Plain click: sort by this column only (toggling direction). Shift+click: add/toggle/remove as a secondary key.
+  function changeSort(key, additive) {
+    const existing = sortKeys.find(k => k.key === key);
+    if (!additive) {
+      const dir = sortKeys.length === 1 && existing && existing.dir === "asc" ? "desc" : "asc";
+      sortKeys = [{ key, dir }];
+    } else if (!existing) {
+      sortKeys = sortKeys.concat({ key, dir: "asc" });
+    } else if (existing.dir === "asc") {
+      existing.dir = "desc";
+    } else {
+      sortKeys = sortKeys.filter(k => k !== existing);
+    }
+    safeLocalStorageSet(SORT_STORAGE_KEY, JSON.stringify(sortKeys));
+    updateSortHeaders();
+    rerenderAll();
+    announce(describeSort(), "info");
+  }
+
+  function describeSort() {
+    if (!sortKeys.length) return t("Sorted by ID.");
+    return t("Sorted by {columns}.", {
+      columns: sortKeys
+        .map(k => (k.dir === "asc" ? t("{column} (ascending)", { column: SORT_COLUMNS[k.key].label }) : t("{column} (descending)", { column: SORT_COLUMNS[k.key].label })))
+        .join(t(", then "))
+    });
+  }
+
+  function updateSortHeaders() {
+    summaryTable.querySelectorAll("th[data-sort-key]").forEach(th => {
+      const key = th.getAttribute("data-sort-key");
+      const index = sortKeys.findIndex(k => k.key === key);
+      const button = th.querySelector(".th-sort");
+      let indicator = button.querySelector(".sort-indicator");
+      if (!indicator) {
+        indicator = document.createElement("span");
+        indicator.className = "sort-indicator";
+        indicator.setAttribute("aria-hidden", "true");
+        button.appendChild(indicator);
+      }
+      // aria-sort belongs on the primary sort column only
+      if (index === 0) th.setAttribute("aria-sort", sortKeys[0].dir === "asc" ? "ascending" : "descending");
+      else th.removeAttribute("aria-sort");
+
+      if (index === -1) {
+        indicator.textContent = "";
+        button.setAttribute("aria-label", t("{column}, not sorted. Shift-click to add as a secondary sort.", { column: SORT_COLUMNS[key].label }));
+      } else {
+        const dir = sortKeys[index].dir;
+        indicator.textContent = (dir === "asc" ? "▲" : "▼") + (sortKeys.length > 1 ? index + 1 : "");
+        button.setAttribute("aria-label", dir === "asc"
+          ? t("{column}, sort {position}, ascending", { column: SORT_COLUMNS[key].label, position: index + 1 })
+          : t("{column}, sort {position}, descending", { column: SORT_COLUMNS[key].label, position: index + 1 }));
+      }
+    });
+  }
+
+  // Column headings: the select-all cell stays, the rest follow the schema's table fields
+  function buildTableHeader() {
+    const row = summaryTable.querySelector("thead tr");
+    Array.from(row.children).forEach(th => { if (!th.classList.contains("th-select")) th.remove(); });
+    const columns = [{ key: "id", label: t("ID") }, { key: "photo", label: t("Photo") }]
+      .concat(schemaFields("showInTable").map(f => ({ key: f.key, label: f.shortLabel })));
+    columns.forEach(column => {
+      const th = document.createElement("th");
+      th.setAttribute("data-sort-key", column.key);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "th-sort";
+      button.textContent = column.label;
+      button.addEventListener("click", (e) => changeSort(column.key, e.shiftKey));
+      th.appendChild(button);
+      row.appendChild(th);
+    });
+    const actions = document.createElement("th");
+    actions.textContent = t("Actions");
+    row.appendChild(actions);
+    updateSortHeaders();
+  }
+
+  buildTableHeader();
+
+  function showSearchError(message) {
+    if (searchError) searchError.textContent = message;
+    if (searchInput) searchInput.setAttribute("aria-invalid", message ? "true" : "false");
+  }
+
+  // Last query that parsed, so re-renders keep filtering while the user fixes a syntax error
+  let currentSearch = { ast: null, highlights: [], field: "all" };
+
+  // The store's fields (validation, sorting, query field names) and the "search in" picker follow the schema
+  function configureSearchFields() {
+    store.setFields(formSchema.fields);
+    if (!filterField) return;
+    const current = filterField.value;
+    filterField.innerHTML = "";
+    [{ key: "all", shortLabel: t("All Fields") }].concat(schemaFields("searchable")).forEach(f => {
+      const opt = document.createElement("option");
+      opt.value = f.key;
+      opt.textContent = f.shortLabel;
+      filterField.appendChild(opt);
+    });
+    filterField.value = Array.from(filterField.options).some(o => o.value === current) ? current : "all";
+  }
+
+  configureSearchFields();
+
+  // Returns false when the query doesn't parse (the previous results stay on screen)
+  function applyFilterAndSearch() {
+    const rawQuery = (searchInput && searchInput.value) ? searchInput.value.trim() : "";
+    const field = (filterField && filterField.value) ? filterField.value : "all";
+
+    let ast;
+    try {
+      ast = store.parseQuery(rawQuery);
+    } catch (err) {
+      if (!(err instanceof ProfileQuery.QuerySyntaxError)) throw err;
+      // keep the last results on screen rather than silently showing nothing
+      showSearchError(t("{error} (at character {position})", { error: err.message, position: err.position + 1 }));
+      announce(t("The search query has a syntax error."), "error");
+      return false;
+    }
+    showSearchError("");
+
+    // bare terms search (and highlight) the field picked in the dropdown
+    const highlights = ProfileQuery.highlightTerms(ast)
+      .map(h => (h.field || field === "all" ? h : { ...h, field }));
+    currentSearch = { ast, highlights, field };
+
+    // Rebuild the table/cards from in-memory profiles, showing only matches
+    const shown = rerenderAll();
+    announce(rawQuery
+      ? tn(shown, "{count} profile matches \"{query}\".", "{count} profiles match \"{query}\".", { query: rawQuery })
+      : t("Search cleared."), "info");
+    return true;
+  }
+
+  /* =========================
+     Facet filters (sidebar with live counts, kept in the URL hash)
+     ========================= */
+  // Options within a group are ORed, groups are ANDed. One group per schema field marked `facet`;
+  // tag values are compared by their tag key (tags.js) and labelled with the tag's canonical spelling.
+  let FACET_GROUPS = buildFacetGroups();
+  const activeFacets = {}; // group key -> Set of selected values
+  FACET_GROUPS.forEach(g => { activeFacets[g.key] = new Set(); });
+
+  function buildFacetGroups() {
+    return schemaFields("facet").map(field => {
+      const k = field.key;
+      if (field.type === "tags") {
+        const labels = new Map(); // tag key -> spelling shown
+        return {
+          key: k,
+          label: field.label,
+          isTags: true,
+          labels,
+          values: p => Array.from(new Set((p[k] || []).map(t => tagKeyFor(k, t)))),
+          optionLabel: v => labels.get(v) || v,
+          baseOptions: () => Array.from(labels.keys())
+        };
+      }
+      return {
+        key: k,
+        label: field.label,
+        values: p => (p[k] ? [String(p[k])] : []),
+        optionLabel: v => ProfileSchema.optionLabel(field, v),
+        baseOptions: () => field.options.map(o => o.value)
+      };
+    });
+  }
+
+  function hasActiveFacets() {
+    return FACET_GROUPS.some(g => activeFacets[g.key].size > 0);
+  }
+
+  // `exceptKey` leaves one group out, which is how each group's counts are computed
+  function matchesFacets(data, exceptKey = null) {
+    return FACET_GROUPS.every(g => {
+      const active = activeFacets[g.key];
+      if (g.key === exceptKey || !active.size) return true;
+      return g.values(data).some(v => active.has(v));
+    });
+  }
+
+  // Counts show how many of the search results each option would give, given the other groups
+  function computeFacetCounts(entries) {
+    FACET_GROUPS.filter(g => g.isTags).forEach(g => {
+      const index = tagIndex(g.key);
+      g.labels.clear();
+      entries.forEach(([, data]) => (data[g.key] || []).forEach(t => {
+        const key = tagKeyFor(g.key, t);
+        if (!g.labels.has(key)) g.labels.set(key, index.has(key) ? index.get(key).label : t);
+      }));
+    });
+    const counts = {};
+    FACET_GROUPS.forEach(g => {
+      const groupCounts = new Map(g.baseOptions().map(v => [v, 0]));
+      entries.forEach(([, data]) => {
+        if (!matchesFacets(data, g.key)) return;
+        g.values(data).forEach(v => groupCounts.set(v, (groupCounts.get(v) || 0) + 1));
+      });
+      // selected options stay visible even when nothing matches them
+      activeFacets[g.key].forEach(v => { if (!groupCounts.has(v)) groupCounts.set(v, 0); });
+      counts[g.key] = groupCounts;
+    });
+    return counts;
+  }
+
+  function renderFacetPanel(entries) {
+    if (!facetGroupsContainer) return;
+    // rebuilding replaces the checkboxes, so remember which one had focus
+    const focused = document.activeElement && document.activeElement.closest
+      ? document.activeElement.closest("#facetGroups input[type=checkbox]")
+      : null;
+    const focusKey = focused ? `${focused.dataset.facet}|${focused.value}` : null;
+
+    const counts = computeFacetCounts(entries);
+    facetGroupsContainer.innerHTML = "";
+    FACET_GROUPS.forEach(g => {
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "facet-group";
+      const legend = document.createElement("legend");
+      legend.textContent = g.label;
+      fieldset.appendChild(legend);
+
+      let options = Array.from(counts[g.key].entries());
+      if (g.isTags) {
+        // most common first, then alphabetical
+        options.sort((a, b) => b[1] - a[1] || I18n.compare(g.optionLabel(a[0]), g.optionLabel(b[0])));
+      }
+      if (!options.length) {
+        const empty = document.createElement("p");
+        empty.className = "hint";
+        empty.textContent = t("None yet.");
+        fieldset.appendChild(empty);
+      }
+      options.forEach(([value, count]) => {
+        const label = document.createElement("label");
+        label.className = "facet-option" + (count === 0 ? " is-empty" : "");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = value;
+        box.dataset.facet = g.key;
+        box.checked = activeFacets[g.key].has(value);
+        box.addEventListener("change", () => toggleFacet(g.key, value, box.checked));
+        const text = document.createElement("span");
+        text.textContent = g.optionLabel(value);
+        const badge = document.createElement("span");
+        badge.className = "facet-count";
+        badge.textContent = I18n.formatNumber(count);
+        label.setAttribute("aria-label", tn(count, "{option}, {count} profile", "{option}, {count} profiles", { option: g.optionLabel(value) }));
+        label.append(box, text, badge);
+        fieldset.appendChild(label);
+        if (focusKey === `${g.key}|${value}`) box.focus();
+      });
+      facetGroupsContainer.appendChild(fieldset);
+    });
+    if (clearFacetsBtn) clearFacetsBtn.hidden = !hasActiveFacets();
+  }
+
+  function toggleFacet(key, value, checked) {
+    if (checked) activeFacets[key].add(value);
+    else activeFacets[key].delete(value);
+    writeFacetsToHash();
+    const shown = rerenderAll();
+    announce(tn(shown, "{count} profile shown.", "{count} profiles shown."), "info");
   }
 
-  function showError(field, message) {
-    const errorSpan = document.getElementById(field + "Error");
-    if (errorSpan) {
-      errorSpan.textContent = message;
-    }
+  function clearFacets() {
+    FACET_GROUPS.forEach(g => activeFacets[g.key].clear());
+    writeFacetsToHash();
+    rerenderAll();
+    announce(t("Filters cleared."), "info");
   }
 
-  function clearError(field) {
-    const errorSpan = document.getElementById(field + "Error");
-    if (errorSpan) {
-      errorSpan.textContent = "";
-    }
+  // Hash format: #programme=Cybersecurity&year=4&interests=ai (repeat a key for several values; see routes.js)
+  function writeFacetsToHash() {
+    const url = location.pathname + location.search + ProfileRoutes.listHash(FACET_GROUPS.map(g => [g.key, activeFacets[g.key]]));
+    // replaceState so ticking boxes doesn't fill the back button history
+    history.replaceState(history.state, "", url);
   }
 
-  // dynamic error clearing when user types/changes an input
-  [firstNameInput, lastNameInput, emailInput, programmeInput, yearInput, photoFileInput, interestsInput].forEach(inp => {
-    if (!inp) return;
-    inp.addEventListener("input", (e) => {
-      clearError(inp.id);
+  // Sets the filters from the hash of a list view (an empty hash clears them). Returns false for any
+  // other hash (e.g. the #main skip link or a #/profiles/... route), leaving filters alone.
+  function readFacetsFromHash() {
+    const route = ProfileRoutes.parse(location.hash);
+    if (!route || route.view !== "list") return false;
+    FACET_GROUPS.forEach(g => {
+      activeFacets[g.key] = new Set((route.filters[g.key] || []).map(v => (g.isTags ? tagKeyFor(g.key, v) : v)));
     });
-  });
+    return true;
+  }
+
+  if (clearFacetsBtn) clearFacetsBtn.addEventListener("click", clearFacets);
+  readFacetsFromHash();
 
   /* =========================
-     Storage (with compression approach)
+     Profile pages (hash routes)
      ========================= */
-  const STORAGE_KEY = "profile_manager_v1";
+  // Besides the facet filters, the hash can hold a route (routes.js):
+  //   #/profiles/:id        the profile's own page (full record, large photo, history, actions), shown
+  //                         instead of the rest of main
+  //   #/profiles/:id/edit   the lists with that profile loaded into the form
+  // Routes opened from the page are pushed onto the browser history, and the list entry they leave
+  // keeps its search and scroll position in history.state, so Back brings the list back as it was.
+  const pageTitle = document.title;
+  let currentRoute = null; // { id, edit } while a route is shown
+  let renderedDetail = null; // what the profile page was last built from
+  // the list's scroll position is put back by restoreListView, not by the browser
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
 
-  // When storing, omit photoUrl if it's large (saves quota). We'll place a flag photoOmitted: true when omitted.
-  function persistProfiles() {
-    const payload = {
-      profileId,
-      profiles: {}
-    };
-    // Build minimal payload
-    for (const id in profiles) {
-      const p = profiles[id];
-      const copy = {...p};
-      if (copy.photoUrl && copy.photoUrl.length > PHOTO_STORE_THRESHOLD) {
-        // omit large base64 to save space
-        copy._photoOmitted = true;
-        copy.photoUrl = null;
-      } else {
-        copy._photoOmitted = false;
-      }
-      payload.profiles[id] = copy;
+  function navigate(hash) {
+    if (!currentRoute) {
+      const list = { search: searchInput ? searchInput.value : "", field: filterField ? filterField.value : "all", scrollY: window.scrollY };
+      history.replaceState({ ...history.state, list }, "");
     }
+    history.pushState({ fromApp: true }, "", location.pathname + location.search + hash);
+    showRoute();
+  }
 
-    try {
-      safeLocalStorageSet(STORAGE_KEY, JSON.stringify(payload));
-      console.debug("Profiles persisted (compression applied).");
-      return true;
-    } catch (err) {
-      console.error("Persist failed:", err);
-      announce("Failed to save profiles to localStorage.", "error");
-      return false;
+  // Back to the lists: the entry the route was opened from when there is one, so Forward returns to
+  // the profile, else (a link opened from elsewhere) a new entry with the current filters
+  function leaveRoute() {
+    if (history.state && history.state.fromApp) {
+      history.back();
+      return;
     }
+    history.pushState(null, "", location.pathname + location.search);
+    writeFacetsToHash();
+    showRoute();
   }
 
-  function loadProfilesFromStorage() {
-    const raw = safeLocalStorageGet(STORAGE_KEY);
-    if (!raw) return;
-    try {
-      const parsed = JSON.parse(raw);
-      profileId = parsed.profileId || profileId;
-      profiles = parsed.profiles || {};
-      // Rebuild UI
-      for (const id of Object.keys(profiles)) {
-        renderProfileToUI(id, profiles[id]);
-      }
-      announce("Profiles loaded from storage.", "info");
-    } catch (err) {
-      console.error("Failed to parse stored profiles:", err);
+  // Shows whatever the hash asks for; called on load, on hashchange (Back/Forward, typed links) and by navigate()
+  function showRoute() {
+    const parsed = ProfileRoutes.parse(location.hash);
+    // other hashes (e.g. the #main skip link) leave the view alone
+    if (!parsed) return;
+    // back on the lists, the hash's filters apply (none for a bare index.html)
+    if (parsed.view === "list") readFacetsFromHash();
+    const route = parsed.view === "list" ? null : { id: parsed.id, edit: parsed.view === "edit" };
+    const previous = currentRoute;
+    currentRoute = route;
+    const onDetail = !!route && !route.edit;
+    mainEl.dataset.view = onDetail ? "detail" : "list";
+    profileDetail.hidden = !onDetail;
+    if (onDetail) {
+      renderedDetail = null;
+      rerenderAll(); // builds the page (and keeps the hidden lists current)
+      window.scrollTo(0, 0);
+      const heading = document.getElementById("detailTitle");
+      if (heading) heading.focus();
+      return;
     }
+    document.title = pageTitle;
+    if (route) {
+      openEditRoute(route.id);
+      return;
+    }
+    restoreListView(history.state && history.state.list, previous);
   }
 
-  /* =========================
-     Rendering helpers
-     ========================= */
-  function clearCardsAndTable() {
-    cardsContainer.innerHTML = "";
-    summaryTbody.innerHTML = "";
-  }
-
-  function renderProfileToUI(id, data) {
-    // --- Render to table ---
-    let tr = document.getElementById("row-" + id);
-    if (!tr) {
-      tr = document.createElement("tr");
-      tr.id = "row-" + id;
-      summaryTbody.appendChild(tr);
-    }
-    tr.innerHTML = "";
-
-    const cells = [
-      { label: "ID", value: id },
-      { label: "Photo", value: `<img src="${data.photoUrl || getPlaceholderImage(data.firstName, data.lastName)}" alt="Profile photo" style="width:48px;height:48px;object-fit:cover;border-radius:50%;">` },
-      { label: "First Name", value: data.firstName },
-      { label: "Last Name", value: data.lastName },
-      { label: "Email", value: data.email },
-      { label: "Programme", value: data.programme },
-      { label: "Year", value: data.year },
-      { label: "Interests", value: (data.interests || []).join(", ") },
-      { label: "Actions", value: "" }
-    ];
-
-    cells.forEach((c, idx) => {
-      const td = document.createElement("td");
-      td.setAttribute("data-label", c.label);
-      if (c.label === "Photo") {
-        td.innerHTML = c.value;
-      } else if (c.label === "Actions") {
-        const editBtnRow = document.createElement("button");
-        editBtnRow.className = "edit-btn";
-        editBtnRow.type = "button";
-        editBtnRow.textContent = "Edit";
-        editBtnRow.setAttribute("aria-label", `Edit profile ${data.firstName} ${data.lastName}`);
-        editBtnRow.addEventListener("click", () => beginEditProfile(id));
-
-        const removeBtnRow = document.createElement("button");
-        removeBtnRow.className = "remove-btn";
-        removeBtnRow.type = "button";
-        removeBtnRow.textContent = "Remove";
-        removeBtnRow.setAttribute("aria-label", `Remove profile ${data.firstName} ${data.lastName}`);
-        removeBtnRow.addEventListener("click", () => confirmAndRemove(id));
-
-        const container = document.createElement("div");
-        container.className = "td-actions";
-        container.appendChild(editBtnRow);
-        container.appendChild(removeBtnRow);
-
-        td.appendChild(container);
-      } else {
-        td.textContent = c.value;
-      }
-      tr.appendChild(td);
-    });
+  function openEditRoute(id) {
+    if (!profiles[id]) {
+      announce(t("There is no profile with the ID {id}.", { id }), "error");
+      return;
+    }
+    if (editingId !== id) beginEditProfile(id);
+    else rerenderAll();
+    form.scrollIntoView({ block: "start" });
+  }
 
-    // --- Render to cards ---
-    let card = document.getElementById("card-" + id);
-    if (!card) {
-      card = document.createElement("div");
-      card.className = "profile-card fade-in";
-      card.id = "card-" + id;
-      card.setAttribute("data-id", id); // <-- Add this line!
-      cardsContainer.appendChild(card);
-    }
-    card.innerHTML = `
-      <img src="${data.photoUrl || getPlaceholderImage(data.firstName, data.lastName)}" alt="Profile photo of ${data.firstName} ${data.lastName}">
-      <div class="card-body">
-        <h4>${data.firstName} ${data.lastName}</h4>
-        <p><strong>Email:</strong> ${data.email}</p>
-        <p><strong>Programme:</strong> ${data.programme}</p>
-        <p><strong>Year:</strong> ${data.year}</p>
-        <p><strong>Interests:</strong> ${(data.interests || []).join(", ")}</p>
-        <div class="card-actions">
-          <button type="button" class="edit-btn" aria-label="Edit profile" onclick="window.beginEditProfile && beginEditProfile('${id}')">Edit</button>
-          <button type="button" class="remove-btn" aria-label="Remove profile" onclick="window.confirmAndRemove && confirmAndRemove('${id}')">Remove</button>
-        </div>
-      </div>
-    `;
+  // The search, field and scroll position saved when the route was opened; the link back to the
+  // profile that was open gets the focus
+  function restoreListView(list, previous) {
+    const searchChanged = list && ((searchInput && searchInput.value !== list.search) || (filterField && filterField.value !== list.field));
+    if (searchChanged) {
+      if (searchInput) searchInput.value = list.search;
+      if (filterField) filterField.value = list.field;
+      if (clearSearchBtn) clearSearchBtn.style.display = list.search ? "inline-block" : "none";
+      if (!applyFilterAndSearch()) rerenderAll();
+    } else {
+      rerenderAll();
+    }
+    if (!previous) return;
+    window.scrollTo(0, list ? list.scrollY : 0);
+    // the lists were hidden, so render the rows and cards at the restored position
+    cardList.update();
+    rowList.update();
+    const card = document.getElementById("card-" + previous.id);
+    const link = card && card.querySelector(".details-link");
+    if (link) link.focus({ preventScroll: true });
   }
 
-  function rerenderAll() {
-    clearCardsAndTable();
-    const entries = Object.entries(profiles);
-    sortProfiles(entries).forEach(([id, data]) => renderProfileToUI(id, data));
+  // Editing another profile (its Edit button) while on an edit route keeps the address in step
+  function syncEditRoute(id) {
+    if (!currentRoute || !currentRoute.edit || currentRoute.id === id) return;
+    currentRoute = { id, edit: true };
+    history.replaceState(history.state, "", location.pathname + location.search + ProfileRoutes.profileHash(id, { edit: true }));
   }
 
-  /* =========================
-     Helpers: placeholders & image handling
-     ========================= */
-  function getPlaceholderImage(first, last) {
-    // simple gradient placeholder dataURI or external service would be nicer,
-    // but to avoid external calls we'll return a subtle SVG data URI
-    const initials = ((first || "").charAt(0) + (last || "").charAt(0)).toUpperCase() || "U";
-    const svg = `<svg xmlns='http://www.w3.org/2000/svg' width='300' height='180'>
-      <defs><linearGradient id='g' x1='0' x2='1'><stop stop-color='#e0f2f1' offset='0'/><stop stop-color='#b2dfdb' offset='1'/></linearGradient></defs>
-      <rect width='100%' height='100%' fill='url(#g)'/>
-      <text x='50%' y='55%' dominant-baseline='middle' text-anchor='middle' font-family='Arial' font-size='48' fill='#00695c'>${initials}</text>
-    </svg>`;
-    return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+  // The edit route ends with the edit (saved, cancelled or the form reset)
+  function endEditRoute() {
+    if (currentRoute && currentRoute.edit) leaveRoute();
   }
 
-  /* =========================
-     CRUD operations
-     ========================= */
-  function createNewProfileObjectFromForm() {
-    let photoUrl = "";
-    let file = null;
-    if (photoFileInput && photoFileInput.files && photoFileInput.files[0]) {
-      file = photoFileInput.files[0];
-    } else if (photoUrlInput && photoUrlInput.value.trim() !== "") {
-      photoUrl = photoUrlInput.value.trim();
-    }
-    // Parse interests from comma-separated string, trim, remove empty, max 3
-    let interestsArr = [];
-    if (interestsInput && interestsInput.value) {
-      interestsArr = interestsInput.value
-        .split(",")
-        .map(s => s.trim())
-        .filter(Boolean)
-        .slice(0, 3);
+  // Called from rerenderAll while a profile page is shown; rebuilt only when the profile (or the
+  // schema) changed, so focus stays put on unrelated renders
+  function renderProfileDetail() {
+    const id = currentRoute.id;
+    const data = profiles[id] || null;
+    if (renderedDetail && renderedDetail.id === id && renderedDetail.data === data && renderedDetail.schema === formSchema) return;
+    const hadFocus = profileDetail.contains(document.activeElement);
+    renderedDetail = { id, data, schema: formSchema };
+    profileDetailBody.innerHTML = "";
+
+    const heading = document.createElement("h2");
+    heading.id = "detailTitle";
+    heading.tabIndex = -1;
+    if (!data) {
+      heading.textContent = t("Profile not found");
+      const note = document.createElement("p");
+      note.textContent = t("There is no profile with the ID {id}. It may have been removed.", { id });
+      profileDetailBody.append(heading, note);
+      document.title = `${t("Profile not found")} – ${pageTitle}`;
+      if (hadFocus) heading.focus();
+      return;
     }
-    return {
-      firstName: firstNameInput.value.trim(),
-      lastName: lastNameInput.value.trim(),
-      email: emailInput.value.trim(),
-      programme: programmeInput.value,
-      year: yearInput.value,
-      interests: interestsArr,
-      photoUrl,
-      file
+    const name = profileName(data);
+    heading.textContent = name;
+    document.title = `${name} – ${pageTitle}`;
+
+    const photo = document.createElement("img");
+    photo.className = "detail-photo";
+    photo.alt = t("Profile photo of {name}", { name });
+    const fallback = ProfileRender.placeholderPhoto(data.firstName, data.lastName);
+    photo.src = ProfileRender.safePhotoUrl(data.photoUrl) || fallback;
+    photo.onerror = () => {
+      photo.onerror = null;
+      photo.src = fallback;
     };
-  }
 
-  // begin editing a profile: populate form and show cancel button
-  function beginEditProfile(id) {
-    const data = profiles[id];
-    if (!data) return;
-    editingId = id;
+    // every schema field, empty ones included, unlike the card and table
+    const fields = document.createElement("dl");
+    fields.className = "detail-fields";
+    const addField = (label, value) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      fields.append(dt, dd);
+    };
+    addField(t("ID"), id);
+    formSchema.fields.forEach(field => addField(field.shortLabel, ProfileSchema.formatValue(field, data[field.key]) || "—"));
+    addField(t("Created"), formatTimestamp(data.createdAt));
+    addField(t("Last updated"), formatTimestamp(data.updatedAt));
 
-    form.firstName.value = data.firstName;
-    form.lastName.value = data.lastName;
-    form.email.value = data.email;
-    form.programme.value = data.programme;
-    form.year.value = data.year;
-    interestsInput.value = data.interests.join(", "); // comma-separated
+    const info = document.createElement("div");
+    info.className = "detail-info";
+    info.append(heading, fields);
+    if (isPhotoLost(data)) {
+      const note = document.createElement("p");
+      note.className = "photo-note";
+      note.textContent = photoLostNote();
+      info.appendChild(note);
+    }
+    info.appendChild(createDetailActions(id, name));
 
-    // Clear file input (can't programmatically set File input value to a dataURL)
-    photoFileInput.value = "";
+    const summary = document.createElement("div");
+    summary.className = "detail-summary";
+    summary.append(photo, info);
 
-    // create or update hidden existingPhotoUrl input to preserve existing image if no new file chosen
-    let hidden = document.getElementById("existingPhotoUrl");
-    if (!hidden) {
-      hidden = document.createElement("input");
-      hidden.type = "hidden";
-      hidden.id = "existingPhotoUrl";
-      hidden.name = "existingPhotoUrl";
-      form.appendChild(hidden);
-    }
-    hidden.value = data.photoUrl || "";
+    const historyHeading = document.createElement("h3");
+    historyHeading.textContent = t("Change history");
+    const historyNote = document.createElement("p");
+    historyNote.className = "hint";
+    historyNote.textContent = t("Photos aren't kept in the history; restoring a version keeps the current photo.");
+    const historyEntries = document.createElement("ol");
+    historyEntries.className = "history-list detail-history";
+    historyEntries.append(...historyItems(id, data));
 
-    // show cancel edit button
-    cancelEditBtn.hidden = false;
-    cancelEditBtn.addEventListener("click", cancelEdit, { once: true });
+    profileDetailBody.append(summary, historyHeading, historyNote, historyEntries);
+    if (hadFocus) heading.focus();
+  }
 
-    // visually mark the card being edited
-    rerenderAll();
-    const card = cardsContainer.querySelector(`.profile-card[data-id="${id}"]`);
-    if (card) card.setAttribute("aria-current", "true");
+  function createDetailActions(id, name) {
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "edit-btn";
+    editBtn.textContent = t("Edit");
+    editBtn.setAttribute("aria-label", t("Edit profile {name}", { name }));
+    editBtn.addEventListener("click", () => navigate(ProfileRoutes.profileHash(id, { edit: true })));
 
-    // Focus first field
-    firstNameInput.focus();
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "remove-btn";
+    removeBtn.textContent = t("Remove");
+    removeBtn.setAttribute("aria-label", t("Remove profile {name}", { name }));
+    removeBtn.addEventListener("click", () => {
+      removeProfile(id);
+      leaveRoute();
+    });
 
-    announce(`Editing profile ${id}. Form populated.`, "info");
+    const printBtn = document.createElement("button");
+    printBtn.type = "button";
+    printBtn.className = "btn-light";
+    printBtn.textContent = t("Print Badge");
+    printBtn.addEventListener("click", () => printBadges([id]));
+
+    const copyBtn = document.createElement("button");
+    copyBtn.type = "button";
+    copyBtn.className = "btn-light";
+    copyBtn.textContent = t("Copy Link");
+    copyBtn.addEventListener("click", () => copyProfileLink(id));
+
+    const container = document.createElement("div");
+    container.className = "detail-actions";
+    container.append(editBtn, removeBtn, printBtn, copyBtn);
+    return container;
   }
 
-  function cancelEdit() {
-    editingId = null;
-    cancelEditBtn.hidden = true;
-    form.reset();
-    // remove any hidden existingPhotoUrl
-    const hidden = document.getElementById("existingPhotoUrl");
-    if (hidden) hidden.remove();
-    rerenderAll();
-    announce("Edit cancelled.", "info");
+  function copyProfileLink(id) {
+    const url = location.href.split("#")[0] + ProfileRoutes.profileHash(id);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error("no clipboard"));
+    copied.then(
+      () => announce(t("Link copied."), "success"),
+      () => announce(t("The link could not be copied; copy it from the address bar."), "error")
+    );
   }
 
-  function confirmAndRemove(id) {
-    const profile = profiles[id];
-    const name = profile ? `${profile.firstName} ${profile.lastName}` : id;
-    if (!confirm(`Are you sure you want to remove profile "${name}"? This cannot be undone.`)) {
-      announce("Deletion cancelled.", "info");
-      return;
-    }
-    // proceed
-    delete profiles[id];
-    persistProfiles();
-    rerenderAll();
-    announce(`Profile ${id} removed.`, "success");
+  // Plain clicks on route links stay in the page; modified ones (new tab, new window) are the browser's
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest && e.target.closest('a[href^="#/"]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    const hash = link.getAttribute("href");
+    if (hash !== location.hash) navigate(hash);
+  });
+  if (profileDetailBackLink) {
+    profileDetailBackLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      leaveRoute();
+    });
   }
+  window.addEventListener("hashchange", showRoute);
 
   /* =========================
-     Save logic (handles file encoding, validation, storing)
+     Statistics dashboard (stats.js)
      ========================= */
-  function saveProfileFromForm() {
-    const dataObj = createNewProfileObjectFromForm();
+  // Counts the profiles rerenderAll() shows, so search and filters apply. Skipped while collapsed.
+  const TOP_TAGS = 8;
 
-    // If editing, exclude the currently edited id when checking unique email
-    const isValid = validateProfileInput(dataObj, { isEdit: !!editingId, excludeId: editingId });
-    if (!isValid) {
-      announce("Please fix form errors before submitting.", "error");
-      return;
+  // Option values in the order the form lists them, then any other values found, then "" (not set)
+  function orderedValues(key, counts) {
+    const field = getField(key);
+    const listed = field && field.options ? field.options.map(o => o.value) : [];
+    const others = Array.from(counts.keys()).filter(v => v && !listed.includes(v)).sort();
+    return listed.concat(others, counts.has("") ? [""] : []).filter(v => counts.has(v));
+  }
+
+  function statsTile(value, label) {
+    const tile = document.createElement("div");
+    tile.className = "stats-tile";
+    const number = document.createElement("strong");
+    number.textContent = value;
+    const text = document.createElement("span");
+    text.textContent = label;
+    tile.append(number, text);
+    return tile;
+  }
+
+  function statsChart(heading, ...content) {
+    const figure = document.createElement("figure");
+    figure.className = "stats-chart";
+    const caption = document.createElement("figcaption");
+    caption.textContent = heading;
+    figure.append(caption, ...content);
+    return figure;
+  }
+
+  function programmeByYearChart(shown) {
+    const programmeField = getField("programme");
+    const yearField = getField("year");
+    const programmeOf = p => p.programme || "";
+    const yearOf = p => p.year || "";
+    const table = Stats.crossCount(shown, programmeOf, yearOf);
+    const years = orderedValues("year", Stats.countBy(shown, yearOf));
+    const yearTotals = Stats.countBy(shown, yearOf);
+    const yearName = v => v ? ProfileSchema.optionLabel(yearField, v) : t("No {label}", { label: yearField.shortLabel.toLowerCase() });
+    const programmeName = v => v ? ProfileSchema.optionLabel(programmeField, v) : t("No {label}", { label: programmeField.shortLabel.toLowerCase() });
+    const color = i => Stats.PALETTE[i % Stats.PALETTE.length];
+    const rows = orderedValues("programme", Stats.countBy(shown, programmeOf)).map(programme => ({
+      label: programmeName(programme),
+      segments: years.map((year, i) => ({ value: table.get(programme).get(year) || 0, color: color(i), label: yearName(year) }))
+    }));
+    const description = rows.map(r => `${r.label}: ${r.segments.filter(s => s.value).map(s => `${s.label} ${I18n.formatNumber(s.value)}`).join(", ")}`).join("; ");
+    const labels = { rows: programmeField.shortLabel, columns: yearField.shortLabel.toLowerCase() };
+    return statsChart(
+      t("{rows} by {columns}", labels),
+      Stats.barChart(rows, { title: t("Profiles per {rows}, split by {columns}", { ...labels, rows: labels.rows.toLowerCase() }), description }),
+      Stats.legend(years.map((year, i) => ({ label: `${yearName(year)} (${I18n.formatNumber(yearTotals.get(year))})`, color: color(i) })))
+    );
+  }
+
+  function topTagsChart(shown, field) {
+    const entries = Array.from(Tags.indexTags(shown.map(p => p[field.key]), tagVocabulary(field.key)).values())
+      .filter(e => e.count) // the vocabulary also lists tags nobody uses
+      .sort((a, b) => b.count - a.count || I18n.compare(a.label, b.label));
+    const top = entries.slice(0, TOP_TAGS);
+    const heading = entries.length > TOP_TAGS
+      ? t("Top {top} {label} (of {count})", { top: TOP_TAGS, label: field.label.toLowerCase(), count: entries.length })
+      : field.label;
+    if (!top.length) {
+      const none = document.createElement("p");
+      none.className = "hint";
+      none.textContent = t("No {label} entered.", { label: field.label.toLowerCase() });
+      return statsChart(heading, none);
     }
+    const rows = top.map(e => ({ label: e.label, segments: [{ value: e.count, color: Stats.PALETTE[0] }] }));
+    return statsChart(heading, Stats.barChart(rows, {
+      title: t("Most common {label}", { label: field.label.toLowerCase() }),
+      description: top.map(e => `${e.label}: ${I18n.formatNumber(e.count)}`).join(", ")
+    }));
+  }
 
-    // If file present -> validate and read as data URL
-    if (dataObj.file) {
-      // show spinner
-      if (loadingSpinner) loadingSpinner.hidden = false;
+  function photoShareChart(shown) {
+    const withPhoto = shown.filter(p => p.photoUrl).length;
+    const parts = [
+      { label: t("With photo"), value: withPhoto, color: Stats.PALETTE[0] },
+      { label: t("Placeholder"), value: shown.length - withPhoto, color: "#b0bec5" }
+    ];
+    return statsChart(
+      t("Photos"),
+      Stats.donutChart(parts, {
+        title: t("Profiles with a photo"),
+        description: parts.map(p => `${p.label}: ${I18n.formatNumber(p.value)} (${Stats.formatPercent(p.value, shown.length)})`).join(", ")
+      }),
+      Stats.legend(parts.map(p => ({ label: `${p.label} (${I18n.formatNumber(p.value)})`, color: p.color })))
+    );
+  }
 
-      const f = dataObj.file;
-      // extra validation again (defensive)
-      const allowedTypes = ["image/jpeg", "image/png", "image/jpg"];
-      if (!allowedTypes.includes(f.type)) {
-        showError("photoFile", "Only JPG/PNG files are allowed.");
-        if (loadingSpinner) loadingSpinner.hidden = true;
-        return;
-      }
-      if (f.size > PHOTO_MAX_BYTES) {
-        showError("photoFile", "File too large. Max 2MB.");
-        if (loadingSpinner) loadingSpinner.hidden = true;
-        return;
-      }
+  function renderStats(shown) {
+    if (!statsPanel || !statsPanel.open) return;
+    const total = Object.keys(profiles).length;
+    statsSummary.textContent = shown.length === total
+      ? tn(total, "All {count} profile.", "All {count} profiles.")
+      : tn(total, "{shown} of {count} profile: the ones the search and filters show.", "{shown} of {count} profiles: the ones the search and filters show.", { shown: shown.length });
+    statsCharts.innerHTML = "";
+    if (!shown.length) return;
+    const programmes = Stats.countBy(shown, p => p.programme).size;
+    const tiles = document.createElement("div");
+    tiles.className = "stats-tiles";
+    tiles.append(
+      statsTile(I18n.formatNumber(shown.length), tn(shown.length, "Profile", "Profiles")),
+      statsTile(I18n.formatNumber(programmes), tn(programmes, "{label}", "{label}s", { label: getField("programme").shortLabel })),
+      statsTile(Stats.formatPercent(shown.filter(p => p.photoUrl).length, shown.length), t("With a photo"))
+    );
+    statsCharts.append(tiles, programmeByYearChart(shown));
+    const tagField = getField("interests");
+    if (tagField) statsCharts.append(topTagsChart(shown, tagField));
+    statsCharts.append(photoShareChart(shown));
+  }
 
-      const reader = new FileReader();
-      reader.onload = function(ev) {
-        const dataUrl = ev.target.result;
-        dataObj.photoUrl = dataUrl;
-        dataObj.file = null; // we no longer need the file object
+  if (statsPanel) statsPanel.addEventListener("toggle", () => rerenderAll());
 
-        finalizeSave(dataObj);
-        if (loadingSpinner) loadingSpinner.hidden = true;
-      };
-      reader.onerror = function(e) {
-        console.error("FileReader error:", e);
-        showError("photoFile", "Failed to read image file.");
-        if (loadingSpinner) loadingSpinner.hidden = true;
-      };
-      reader.readAsDataURL(f);
-    } else {
-      // No new file: if existingPhotoUrl hidden input exists (during edit) use that; else no photo
-      const hidden = document.getElementById("existingPhotoUrl");
-      if (hidden && hidden.value) {
-        dataObj.photoUrl = hidden.value;
-      } else {
-        dataObj.photoUrl = null;
-      }
-      finalizeSave(dataObj);
+  /* =========================
+     Form settings (schema editor, schema-admin.js)
+     ========================= */
+  const schemaEditor = schemaEditorContainer ? SchemaAdmin.createEditor(schemaEditorContainer) : null;
+
+  // Problems the schema can't see by itself: input ids must not clash with the rest of the page,
+  // and names like "reset" would shadow the form's own methods.
+  function checkSchemaAgainstPage(schema) {
+    return schema.fields
+      .filter(f => f.key in HTMLFormElement.prototype || [f.key, f.key + "Error", f.key + "Help"].some(id => {
+        const el = document.getElementById(id);
+        return el && !(schemaFieldsContainer && schemaFieldsContainer.contains(el));
+      }))
+      .map(f => t("{field}: the key \"{key}\" is used by the page itself; choose another.", { field: f.label || f.key, key: f.key }));
+  }
+
+  // Rebuild everything that is generated from the schema
+  function applyFormSchema(schema) {
+    if (editingId) form.reset(); // the inputs are about to be replaced
+    savedSchema = schema;
+    formSchema = ProfileSchema.localizeSchema(schema);
+    buildFormFields();
+    showWizardStep(0, { focus: false });
+    configureSearchFields();
+    SORT_COLUMNS = ProfileStore.sortColumns(formSchema.fields);
+    sortKeys = sortKeys.filter(k => SORT_COLUMNS[k.key]);
+    safeLocalStorageSet(SORT_STORAGE_KEY, JSON.stringify(sortKeys));
+    buildTableHeader();
+    FACET_GROUPS = buildFacetGroups();
+    FACET_GROUPS.forEach(g => { if (!activeFacets[g.key]) activeFacets[g.key] = new Set(); });
+    Object.keys(activeFacets).forEach(key => { if (!FACET_GROUPS.some(g => g.key === key)) delete activeFacets[key]; });
+    writeFacetsToHash();
+    buildBatchPickers();
+    if (!applyFilterAndSearch()) {
+      // the query no longer parses (e.g. it names a removed field), so stop applying the old one
+      currentSearch = { ast: null, highlights: [], field: "all" };
+      rerenderAll();
     }
   }
 
-  // finalizeSave: create or update record, persist, rerender, reset form
-  function finalizeSave(profileData) {
-    if (editingId) {
-      // update existing
-      profiles[editingId] = {
-        ...profiles[editingId], // keep any other fields
-        ...profileData
-      };
-      // ensure id remains same
-      announce(`Profile ${editingId} updated successfully.`, "success");
-    } else {
-      // create new id; ensure uniqueness of email enforced earlier
-      const id = uid();
-      profiles[id] = profileData;
-      profileId = Math.max(profileId, Date.now()); // bump profileId in case
-      announce(`Profile added successfully with ID ${id}.`, "success");
+  function showSchemaErrors(problems) {
+    schemaErrors.innerHTML = "";
+    problems.forEach(problem => {
+      const li = document.createElement("li");
+      li.textContent = problem;
+      schemaErrors.appendChild(li);
+    });
+    schemaErrors.hidden = !problems.length;
+  }
+
+  function saveFormSettings() {
+    const schema = ProfileSchema.normalizeSchema(schemaEditor.getDraft());
+    const problems = ProfileSchema.validateSchema(schema).concat(checkSchemaAgainstPage(schema));
+    showSchemaErrors(problems);
+    if (problems.length) {
+      announce(t("The form settings have problems; see the list under the editor."), "error");
+      return;
     }
+    if (!safeLocalStorageSet(SCHEMA_STORAGE_KEY, JSON.stringify(schema))) return;
+    applyFormSchema(schema);
+    schemaEditor.load(savedSchema);
+    announce(t("Form settings saved. The form, cards and table now use them."), "success");
+  }
 
-    // persist with compression strategy
-    const ok = persistProfiles();
-    if (!ok) {
-      // persisted failed; still keep in memory but notify
-      announce("Saved locally but could not persist to localStorage.", "error");
+  function restoreDefaultFormSettings() {
+    if (!confirm(t("Restore the default form? Custom fields are removed from the form; their values stay on the profiles."))) return;
+    try {
+      localStorage.removeItem(SCHEMA_STORAGE_KEY);
+    } catch (err) {
+      console.error("localStorage remove error:", err);
     }
+    applyFormSchema(ProfileSchema.normalizeSchema(ProfileSchema.DEFAULT_SCHEMA));
+    schemaEditor.load(savedSchema);
+    showSchemaErrors([]);
+    announce(t("Default form restored."), "success");
+  }
 
-    // cleanup UI
-    form.reset();
-    const hidden = document.getElementById("existingPhotoUrl");
-    if (hidden) hidden.remove();
-    editingId = null;
-    cancelEditBtn.hidden = true;
-    rerenderAll();
+  if (schemaEditor) {
+    schemaEditor.load(savedSchema);
+    schemaAddFieldBtn.addEventListener("click", () => schemaEditor.addField());
+    schemaSaveBtn.addEventListener("click", saveFormSettings);
+    schemaDiscardBtn.addEventListener("click", () => {
+      schemaEditor.load(savedSchema);
+      showSchemaErrors([]);
+      announce(t("Unsaved form settings discarded."), "info");
+    });
+    schemaDefaultsBtn.addEventListener("click", restoreDefaultFormSettings);
   }
 
   /* =========================
-     Sorting, filtering, search (with debounce + highlighting)
+     Interests & tags (tag vocabulary admin)
      ========================= */
-  function sortProfiles(entriesArray) {
-    // entriesArray: [ [id, data], ... ]
-    const sortBy = (document.getElementById("sortBy") || { value: "id-asc" }).value;
-    entriesArray.sort((a, b) => {
-      const [, A] = a;
-      const [, B] = b;
-      switch (sortBy) {
-        case "id-desc": return String(b[0]).localeCompare(String(a[0]));
-        case "name-asc": return (A.firstName + A.lastName).localeCompare(B.firstName + B.lastName);
-        case "name-desc": return (B.firstName + B.lastName).localeCompare(A.firstName + A.lastName);
-        case "year-asc": return (Number(A.year) || 0) - (Number(B.year) || 0);
-        case "year-desc": return (Number(B.year) || 0) - (Number(A.year) || 0);
-        default: // id-asc
-          return String(a[0]).localeCompare(String(b[0]));
+  // Rename or merge a tag everywhere, and manage synonyms. A rename or merge rewrites the profiles as
+  // one undoable change that also carries the vocabulary before and after (see undo/redo).
+  function saveTagVocabulary(fieldKey, vocab) {
+    tagVocabularies = { ...tagVocabularies, [fieldKey]: vocab };
+    return safeLocalStorageSet(TAG_VOCABULARY_STORAGE_KEY, JSON.stringify(tagVocabularies));
+  }
+
+  // Switches a field to `vocab` and rewrites profiles' tags with its spellings: only the tags that
+  // now stand for `intoKey`, or every tag when it is null. Returns how many profiles changed,
+  // or null when the vocabulary couldn't be saved or the store rejected the change.
+  function retagProfiles(fieldKey, vocab, intoKey, label) {
+    const previous = tagVocabulary(fieldKey);
+    if (!saveTagVocabulary(fieldKey, vocab)) return null;
+    const index = tagIndex(fieldKey);
+    const changes = [];
+    Object.keys(profiles).forEach(id => {
+      const before = profiles[id];
+      const tags = [];
+      const seen = new Set();
+      (before[fieldKey] || []).forEach(tag => {
+        const key = Tags.resolveKey(tag, vocab);
+        if (seen.has(key)) return;
+        seen.add(key);
+        tags.push(intoKey === null || key === intoKey ? Tags.canonicalTag(tag, vocab, index) : tag);
+      });
+      if (JSON.stringify(tags) !== JSON.stringify(before[fieldKey] || [])) {
+        changes.push({ id, before, after: { ...before, [fieldKey]: tags } });
       }
     });
-    return entriesArray;
+    if (changes.length) {
+      if (editingId && changes.some(c => c.id === editingId)) form.reset();
+      const command = tryProfileCommand(label, changes);
+      if (!command) {
+        saveTagVocabulary(fieldKey, previous);
+        return null;
+      }
+      command.tagVocabulary = { fieldKey, before: previous, after: vocab };
+      persistProfiles();
+      showToast(`${label} (${profilesCount(changes.length)})`, { actionLabel: t("Undo"), onAction: () => undoCommand(command) });
+    }
+    rerenderAll();
+    return changes.length;
   }
 
-  function highlightMatches(text, query) {
-    if (!query) return text;
-    // escape regex special chars
-    const esc = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const re = new RegExp(`(${esc})`, "gi");
-    return text.replace(re, (m) => `<mark>${m}</mark>`);
+  function profilesCount(n) {
+    return tn(n, "{count} profile", "{count} profiles");
   }
 
-  function applyFilterAndSearch() {
-    const rawQuery = (searchInput && searchInput.value) ? searchInput.value.trim() : "";
-    const query = rawQuery.toLowerCase();
-    const field = (filterField && filterField.value) ? filterField.value : "all";
+  function renameTag(field, entry, newLabel) {
+    const label = Tags.tidyTag(newLabel);
+    if (!label) {
+      announce(t("Type the new name for the tag."), "error");
+      return;
+    }
+    const intoKey = tagKeyFor(field.key, label);
+    const merging = intoKey !== entry.key && tagIndex(field.key).has(intoKey);
+    const names = { field: field.label.toLowerCase(), from: entry.label, to: label };
+    const changed = retagProfiles(field.key, Tags.mergeTag(tagVocabulary(field.key), entry.label, label), intoKey,
+      merging ? t("Merge {field} \"{from}\" into \"{to}\"", names) : t("Rename {field} \"{from}\" to \"{to}\"", names));
+    if (changed === null) return;
+    names.profiles = profilesCount(changed);
+    announce(merging
+      ? t("Merged \"{from}\" into \"{to}\"; {profiles} updated.", names)
+      : t("Renamed \"{from}\" to \"{to}\"; {profiles} updated.", names), "success");
+  }
 
-    // Rerender UI but hide non-matching elements and highlight matches
-    // We'll rebuild the table/cards based on in-memory profiles
-    clearCardsAndTable();
-    const entries = Object.entries(profiles);
-    const sorted = sortProfiles(entries);
+  function mergeTagInto(field, entry, intoKey) {
+    const into = tagIndex(field.key).get(intoKey);
+    if (!into) return;
+    const names = { field: field.label.toLowerCase(), from: entry.label, to: into.label };
+    const changed = retagProfiles(field.key, Tags.mergeTag(tagVocabulary(field.key), entry.label, into.label), intoKey,
+      t("Merge {field} \"{from}\" into \"{to}\"", names));
+    if (changed === null) return;
+    announce(t("Merged \"{from}\" into \"{to}\"; {profiles} updated. \"{from}\" is now a synonym.", { ...names, profiles: profilesCount(changed) }), "success");
+  }
 
-    for (const [id, data] of sorted) {
-      // determine searchable text based on selected field
-      let hay = "";
-      if (field === "all") {
-        hay = `${data.firstName} ${data.lastName} ${data.email} ${data.programme} ${data.year} ${data.interests.join(" ")}`.toLowerCase();
-      } else if (field === "firstName") {
-        hay = (data.firstName || "").toLowerCase();
-      } else if (field === "lastName") {
-        hay = (data.lastName || "").toLowerCase();
-      } else if (field === "email") {
-        hay = (data.email || "").toLowerCase();
-      } else if (field === "programme") {
-        hay = (data.programme || "").toLowerCase();
-      } else if (field === "year") {
-        hay = String(data.year || "").toLowerCase();
-      } else if (field === "interests") {
-        hay = (data.interests || []).join(" ").toLowerCase();
-      }
+  function addTagSynonym(field, text, intoKey) {
+    const synonym = Tags.tidyTag(text);
+    const into = tagIndex(field.key).get(intoKey);
+    if (!synonym || !into) {
+      announce(t("Type a synonym and choose the tag it stands for."), "error");
+      return;
+    }
+    if (tagKeyFor(field.key, synonym) === intoKey) {
+      announce(t("\"{synonym}\" already counts as \"{tag}\".", { synonym, tag: into.label }), "info");
+      return;
+    }
+    mergeTagInto(field, { key: tagKeyFor(field.key, synonym), label: synonym }, intoKey);
+  }
 
-      const matches = !query || hay.includes(query);
+  function removeTagSynonym(field, key) {
+    const syn = tagVocabulary(field.key).synonyms[key];
+    if (!syn || !saveTagVocabulary(field.key, Tags.removeSynonym(tagVocabulary(field.key), key))) return;
+    renderTagAdmin();
+    announce(t("\"{synonym}\" is no longer a synonym. Profiles already using the other tag keep it.", { synonym: syn.text }), "info");
+  }
 
-      if (!matches) continue;
+  function tagAdminButton(text, ariaLabel, onClick, className = "btn-light") {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+    button.textContent = text;
+    button.setAttribute("aria-label", ariaLabel);
+    button.addEventListener("click", onClick);
+    return button;
+  }
 
-      // Render card and table row with highlighted text
-      renderProfileToUIWithHighlight(id, data, query);
+  function renderTagAdmin() {
+    if (!tagAdminBody || !tagAdmin.open) return;
+    tagAdminBody.innerHTML = "";
+    const fields = schemaFields().filter(f => f.type === "tags");
+    if (!fields.length) {
+      tagAdminBody.textContent = t("The form has no tag fields.");
+      return;
     }
+    fields.forEach(field => {
+      const vocab = tagVocabulary(field.key);
+      const index = tagIndex(field.key);
+      const entries = Array.from(index.values()).sort((a, b) => b.count - a.count || I18n.compare(a.label, b.label));
+      // spellings in use that differ from the shown one
+      const variants = new Map(entries.map(e => [e.key, new Set()]));
+      Object.values(profiles).forEach(p => (p[field.key] || []).forEach(t => {
+        const key = tagKeyFor(field.key, t);
+        if (variants.has(key) && t !== index.get(key).label) variants.get(key).add(t);
+      }));
+      const untidy = Array.from(variants.values()).reduce((n, set) => n + set.size, 0);
 
-    announce(rawQuery ? `Filtered results for "${rawQuery}".` : "Search cleared.", rawQuery ? "info" : "info");
-  }
+      const group = document.createElement("fieldset");
+      group.className = "schema-field";
+      const legend = document.createElement("legend");
+      legend.textContent = field.maxItems != null
+        ? t("{label} (up to {max} per profile)", { label: field.label, max: field.maxItems })
+        : field.label;
+      group.appendChild(legend);
 
-  // render but with highlighting for matches (used in filtered display)
-  function renderProfileToUIWithHighlight(id, data, query) {
-    // create card as in renderProfileToUI, but mask text with highlight markup
-    const card = document.createElement("article");
-    card.className = "profile-card fade-in";
-    card.setAttribute("data-id", id);
-    card.setAttribute("role", "listitem");
+      const wrapper = document.createElement("div");
+      wrapper.className = "table-wrapper";
+      const table = document.createElement("table");
+      table.className = "tag-admin-table";
+      const headRow = table.createTHead().insertRow();
+      [t("Tag"), t("Profiles"), t("Also written as"), t("Rename"), t("Merge into")].forEach(text => {
+        const th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      const tbody = document.createElement("tbody");
+      entries.forEach((entry, i) => {
+        const tr = document.createElement("tr");
+        const name = document.createElement("th");
+        name.scope = "row";
+        name.textContent = entry.label;
+        const count = document.createElement("td");
+        count.textContent = I18n.formatNumber(entry.count);
 
-    const img = document.createElement("img");
-    img.setAttribute("alt", `${data.firstName} ${data.lastName} photo`);
-    img.loading = "lazy";
-    img.src = data.photoUrl || getPlaceholderImage(data.firstName, data.lastName);
-    img.onerror = () => { img.src = getPlaceholderImage(data.firstName, data.lastName); };
+        const also = document.createElement("td");
+        variants.get(entry.key).forEach(text => also.append(`${text} `));
+        Object.entries(vocab.synonyms).filter(([, syn]) => syn.to === entry.key).forEach(([key, syn]) => {
+          const chip = document.createElement("span");
+          chip.className = "tag-chip";
+          chip.append(syn.text, tagAdminButton("×", t("Remove the synonym {synonym}", { synonym: syn.text }), () => removeTagSynonym(field, key), "tag-remove"));
+          also.append(chip, " ");
+        });
 
-    const body = document.createElement("div");
-    body.className = "card-body";
+        const rename = document.createElement("td");
+        const renameInput = document.createElement("input");
+        renameInput.type = "text";
+        renameInput.id = `tagAdmin-${field.key}-${i}-rename`;
+        renameInput.value = entry.label;
+        renameInput.setAttribute("aria-label", t("New name for {tag}", { tag: entry.label }));
+        renameInput.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") renameTag(field, entry, renameInput.value);
+        });
+        rename.append(renameInput, tagAdminButton(t("Rename"), t("Rename {tag}", { tag: entry.label }), () => renameTag(field, entry, renameInput.value)));
 
-    const name = document.createElement("h4");
-    name.innerHTML = highlightMatches(`${data.firstName} ${data.lastName}`, query);
+        const merge = document.createElement("td");
+        const select = document.createElement("select");
+        select.id = `tagAdmin-${field.key}-${i}-merge`;
+        select.setAttribute("aria-label", t("Tag to merge {tag} into", { tag: entry.label }));
+        const placeholder = document.createElement("option");
+        placeholder.value = "";
+        placeholder.textContent = t("Choose a tag");
+        select.appendChild(placeholder);
+        entries.filter(other => other.key !== entry.key).forEach(other => {
+          const opt = document.createElement("option");
+          opt.value = other.key;
+          opt.textContent = other.label;
+          select.appendChild(opt);
+        });
+        merge.append(select, tagAdminButton(t("Merge"), t("Merge {tag} into the chosen tag", { tag: entry.label }), () => {
+          if (select.value) mergeTagInto(field, entry, select.value);
+          else announce(t("Choose the tag to merge \"{tag}\" into.", { tag: entry.label }), "error");
+        }));
 
-    const emailP = document.createElement("p");
-    emailP.innerHTML = highlightMatches(data.email, query);
+        tr.append(name, count, also, rename, merge);
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      wrapper.appendChild(table);
+      group.appendChild(wrapper);
+      if (!entries.length) {
+        const none = document.createElement("p");
+        none.className = "hint";
+        none.textContent = t("No tags yet.");
+        group.appendChild(none);
+      }
 
-    const programmeP = document.createElement("p");
-    programmeP.innerHTML = highlightMatches(`${data.programme} • Year ${data.year}`, query);
+      // new synonym: "<text> counts as <tag>"
+      const synonymRow = document.createElement("div");
+      synonymRow.className = "flex gap-2 mt-2 tag-synonym-row";
+      const synonymInput = document.createElement("input");
+      synonymInput.type = "text";
+      synonymInput.id = `tagAdmin-${field.key}-synonym`;
+      synonymInput.placeholder = t("e.g. Artificial Intelligence");
+      synonymInput.setAttribute("aria-label", t("Synonym"));
+      const targetSelect = document.createElement("select");
+      targetSelect.id = `tagAdmin-${field.key}-synonymTarget`;
+      targetSelect.setAttribute("aria-label", t("Tag the synonym stands for"));
+      entries.forEach(entry => {
+        const opt = document.createElement("option");
+        opt.value = entry.key;
+        opt.textContent = entry.label;
+        targetSelect.appendChild(opt);
+      });
+      synonymRow.append(synonymInput, document.createTextNode(` ${t("counts as")} `), targetSelect,
+        tagAdminButton(t("Add Synonym"), t("Add a synonym for {field}", { field: field.label.toLowerCase() }), () => addTagSynonym(field, synonymInput.value, targetSelect.value)));
+      group.appendChild(synonymRow);
 
-    const interestsP = document.createElement("p");
-    interestsP.innerHTML = highlightMatches(data.interests && data.interests.length ? `Interests: ${data.interests.join(", ")}` : "No interests", query);
+      if (untidy) {
+        const tidy = document.createElement("p");
+        tidy.className = "mt-2";
+        tidy.append(`${tn(untidy, "{count} other spelling is in use.", "{count} other spellings are in use.")} `, tagAdminButton(
+          t("Use the Shown Spellings Everywhere"),
+          t("Rewrite {field} on every profile with the spellings shown", { field: field.label.toLowerCase() }),
+          () => {
+            const changed = retagProfiles(field.key, vocab, null, t("Tidy up {field}", { field: field.label.toLowerCase() }));
+            if (changed === null) return;
+            announce(t("{profiles} updated.", { profiles: profilesCount(changed) }), "success");
+          }
+        ));
+        group.appendChild(tidy);
+      }
+      tagAdminBody.appendChild(group);
+    });
+  }
 
-    const actions = document.createElement("div");
-    actions.className = "card-actions";
-    const editBtn = document.createElement("button");
-    editBtn.className = "edit-btn"; editBtn.type = "button"; editBtn.textContent = "Edit";
-    editBtn.addEventListener("click", () => beginEditProfile(id));
-    const removeBtn = document.createElement("button");
-    removeBtn.className = "remove-btn"; removeBtn.type = "button"; removeBtn.textContent = "Remove";
-    removeBtn.addEventListener("click", () => confirmAndRemove(id));
-    actions.appendChild(editBtn); actions.appendChild(removeBtn);
-
-    body.appendChild(name); body.appendChild(emailP); body.appendChild(programmeP); body.appendChild(interestsP); body.appendChild(actions);
-    card.appendChild(img); card.appendChild(body);
-    cardsContainer.appendChild(card);
-
-    // Table row
-    const tr = document.createElement("tr");
-    tr.setAttribute("data-id", id);
-    const htmlPhoto = `<img src="${img.src}" alt="${data.firstName} ${data.lastName} photo" loading="lazy" style="width:48px;height:48px;object-fit:cover;border-radius:6px;">`;
-    const tdValues = [
-      id,
-      htmlPhoto,
-      highlightMatches(data.firstName, query),
-      highlightMatches(data.lastName, query),
-      highlightMatches(data.email, query),
-      highlightMatches(data.programme, query),
-      highlightMatches(String(data.year), query),
-      highlightMatches(data.interests && data.interests.length ? data.interests.join(", ") : "—", query)
-    ];
+  if (tagAdmin) tagAdmin.addEventListener("toggle", renderTagAdmin);
 
-    tdValues.forEach((val, i) => {
-      const td = document.createElement("td");
-      td.setAttribute("data-label", ["ID","Photo","First Name","Last Name","Email","Programme","Year","Interests"][i] || "");
-      if (i === 1) {
-        td.innerHTML = val;
-      } else {
-        td.innerHTML = val;
+  /* =========================
+     Benchmark (index.html?benchmark, see benchmark.js)
+     ========================= */
+  // Synthetic profiles stand in for the saved ones (in memory only), and the benchmark times this
+  // page's own render, search and scroll paths
+  function runBenchmark() {
+    const inDom = () => cardList.renderedCount() + rowList.renderedCount();
+    ProfileBenchmark.run(BENCHMARK_SIZE, {
+      load(generated) {
+        store.reset(generated);
+        return rerenderAll();
+      },
+      search(query) {
+        if (searchInput) searchInput.value = query;
+        applyFilterAndSearch();
+        return shownIds.length;
+      },
+      scrollTo(y) {
+        window.scrollTo(0, y);
+        cardList.update();
+        rowList.update();
+      },
+      replace(id, changes) {
+        store.update(id, changes);
+        rerenderAll();
+      },
+      inDom,
+      tableTop: () => summaryTable.getBoundingClientRect().top + window.scrollY,
+      searchFields: () => store.searchFields()
+    });
+  }
+
+  /* =========================
+     Offline use & app updates (sw.js)
+     ========================= */
+  // The service worker keeps the app's files, so the page opens without a network and can be installed.
+  // A new version installs in the background and waits until the user chooses to reload into it.
+  const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // ms; pages left open all day still hear about updates
+  let reloadingForUpdate = false;
+
+  function registerServiceWorker() {
+    // service workers need http(s); the benchmark page shouldn't install anything
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol) || BENCHMARK_SIZE) return;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloadingForUpdate) location.reload();
+    });
+    navigator.serviceWorker.register("sw.js").then(registration => {
+      // the first install has no page running an older version, so there is nothing to offer
+      if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    }).catch(err => console.error("Service worker registration failed:", err));
+  }
+
+  function offerUpdate(worker) {
+    announce(t("A new version of the app is available. Reload to use it."), "info");
+    showToast(t("A new version is available."), {
+      actionLabel: t("Reload"),
+      duration: 0,
+      onAction: () => {
+        reloadingForUpdate = true;
+        worker.postMessage({ type: "skip-waiting" });
       }
-      tr.appendChild(td);
     });
+  }
 
-    // actions cell
-    const actionTd = document.createElement("td");
-    actionTd.setAttribute("data-label", "Actions");
-    const editBtnRow = document.createElement("button");
-    editBtnRow.className = "edit-btn"; editBtnRow.type = "button"; editBtnRow.textContent = "Edit";
-    editBtnRow.addEventListener("click", () => beginEditProfile(id));
-    const removeBtnRow = document.createElement("button");
-    removeBtnRow.className = "remove-btn"; removeBtnRow.type = "button"; removeBtnRow.textContent = "Remove";
-    removeBtnRow.addEventListener("click", () => confirmAndRemove(id));
-    const wrap = document.createElement("div"); wrap.className = "td-actions"; wrap.append(editBtnRow, removeBtnRow);
-    actionTd.appendChild(wrap);
-    tr.appendChild(actionTd);
+  // data: and blob: photos are in the page; anything else needs the network
+  function canLoadPhoto(url) {
+    return navigator.onLine || /^(data|blob):/i.test(url);
+  }
 
-    summaryTbody.appendChild(tr);
+  // Offline, a photo link can still be saved; the hint says its photo shows once it can be loaded
+  function showConnectivity() {
+    if (photoUrlOfflineHint) photoUrlOfflineHint.hidden = navigator.onLine;
   }
 
+  window.addEventListener("offline", showConnectivity);
+  window.addEventListener("online", () => {
+    showConnectivity();
+    // fingerprints that failed offline are worked out again on the next duplicate check
+    photoHashCache.forEach((entry, id) => { if (!entry.hash) photoHashCache.delete(id); });
+    retryPhotos = true;
+    rerenderAll();
+  });
+
   /* =========================
      Event handlers
      ========================= */
   form.addEventListener("submit", (e) => {
     e.preventDefault();
+    // in step-by-step mode Enter moves on; only the review step saves
+    if (wizardOn() && wizardSteps()[wizardStep].key !== "review") {
+      wizardNext();
+      return;
+    }
     saveProfileFromForm();
+    if (wizardOn()) showFirstWizardError();
   });
 
   // Reset clears errors and cancels edit
   form.addEventListener("reset", () => {
+    tagInputs.forEach(tagInput => tagInput.clear());
+    discardDraft();
     // small timeout to allow fields to clear
     setTimeout(() => {
-      ["firstName","lastName","email","programme","year","photoFile","interests"].forEach(clearError);
-      cancelEdit();
+      formSchema.fields.forEach(f => clearError(f.key));
+      clearError("photoFile");
+      clearPhotoCropper();
+      clearDuplicateWarning();
+      // (calling cancelEdit here would reset the form again and loop forever)
+      if (editingId) exitEditMode();
+      showWizardStep(0, { focus: false });
+      endEditRoute();
     }, 0);
   });
 
@@ -750,8 +4355,9 @@ document.addEventListener("DOMContentLoaded", () => {
   if (clearSearchBtn) {
     clearSearchBtn.addEventListener("click", () => {
       if (searchInput) searchInput.value = "";
+      showSearchError("");
       applyFilterAndSearch();
-      announce("Search cleared.", "info");
+      announce(t("Search cleared."), "info");
       clearSearchBtn.style.display = "none";
     });
     clearSearchBtn.style.display = "none";
@@ -763,17 +4369,45 @@ document.addEventListener("DOMContentLoaded", () => {
     cancelEditBtn.hidden = true;
   }
 
+  // storage & sync settings
+  storageBackendInputs.forEach(input => {
+    input.addEventListener("change", () => {
+      if (storageServerUrlInput) storageServerUrlInput.disabled = input.value !== "http";
+    });
+  });
+  if (storageApplyBtn) storageApplyBtn.addEventListener("click", applyStorageSettings);
+  if (syncRetryBtn) {
+    syncRetryBtn.addEventListener("click", () => {
+      if (remoteStore) remoteStore.retryNow();
+    });
+  }
+  if (syncDismissBtn) {
+    syncDismissBtn.addEventListener("click", () => {
+      if (remoteStore) remoteStore.dismissRejected();
+    });
+  }
+
   /* =========================
      Initialization
      ========================= */
-  // load saved profiles
+  // load saved profiles (and start syncing with the server, if one is configured)
+  showStorageSettings();
+  connectRemoteStore();
   loadProfilesFromStorage();
 
   // If no profiles yet, show a helpful message in UI (optional)
-  if (Object.keys(profiles).length === 0) {
-    announce("No profiles yet. Use the form to add one.", "info");
-  } else {
-    // re-render to ensure highlights cleared
-    rerenderAll();
+  if (storageLocked) {
+    // the recovery prompt is open and has announced itself
+  } else if (Object.keys(profiles).length === 0) {
+    announce(t("No profiles yet. Use the form to add one."), "info");
   }
+  // re-render to apply any filters from the URL and build the facet panel
+  rerenderAll();
+  // a shared #/profiles/... link
+  const startRoute = ProfileRoutes.parse(location.hash);
+  if (startRoute && startRoute.view !== "list") showRoute();
+  if (BENCHMARK_SIZE) runBenchmark();
+  else offerDraft();
+  showConnectivity();
+  registerServiceWorker();
 });
@@ -0,0 +1,164 @@
+// stats.js
+// Cohort statistics and the inline SVG charts that show them (no chart library)
+// - Counting helpers: per value, and per pair of values (programme x year)
+// - Horizontal bar chart, with stacked segments for a breakdown
+// - Donut chart for shares of a whole
+// Charts are plain <svg> elements sized by viewBox, so they scale with their container; text is
+// set through textContent and coloured with currentColor so dark mode carries over.
+// Exposed as window.Stats and used by script.js.
+
+(function () {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  // Colours for series, in order; chosen to stay apart for common colour blindness
+  const PALETTE = ["#00897b", "#1976d2", "#f9a825", "#c62828", "#6a1b9a", "#2e7d32", "#ef6c00", "#546e7a"];
+  let chartCount = 0; // for unique title/desc ids
+
+  /* =========================
+     Counting
+     ========================= */
+  // Map value -> count. valueOf may return an array (every element counts) or "" / null (skipped).
+  function countBy(items, valueOf) {
+    const counts = new Map();
+    items.forEach(item => {
+      const values = [].concat(valueOf(item));
+      values.forEach(value => {
+        if (value === "" || value == null) return;
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    return counts;
+  }
+
+  // Map row value -> Map column value -> count
+  function crossCount(items, rowOf, columnOf) {
+    const table = new Map();
+    items.forEach(item => {
+      const row = rowOf(item);
+      const column = columnOf(item);
+      if (!table.has(row)) table.set(row, new Map());
+      const cells = table.get(row);
+      cells.set(column, (cells.get(column) || 0) + 1);
+    });
+    return table;
+  }
+
+  function percent(part, whole) {
+    return whole ? Math.round((part / whole) * 100) : 0;
+  }
+
+  // percent() written the active language's way (i18n.js), e.g. "25%"
+  function formatPercent(part, whole) {
+    return I18n.formatPercent(percent(part, whole) / 100);
+  }
+
+  /* =========================
+     Drawing
+     ========================= */
+  function svgEl(tag, attrs = {}, text = null) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, String(value)));
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // <svg role="img"> with a <title> and <desc> that screen readers read instead of the shapes.
+  // Drawn left to right in every language: the text-anchor values assume it.
+  function chartRoot(width, height, title, description) {
+    const id = `chart-${++chartCount}`;
+    const svg = svgEl("svg", {
+      viewBox: `0 0 ${width} ${height}`,
+      direction: "ltr",
+      role: "img",
+      "aria-labelledby": `${id}-title ${id}-desc`,
+      class: "chart"
+    });
+    svg.append(svgEl("title", { id: `${id}-title` }, title), svgEl("desc", { id: `${id}-desc` }, description));
+    return svg;
+  }
+
+  // rows: [{ label, segments: [{ value, color, label }] }] (a single segment for a plain bar)
+  // Each bar is as long as its total; the total is written after it.
+  function barChart(rows, { title, description, width = 480, labelWidth = 140, rowHeight = 26 } = {}) {
+    const gap = 8;
+    const valueWidth = 40;
+    const height = Math.max(1, rows.length) * (rowHeight + gap) + gap;
+    const svg = chartRoot(width, height, title, description);
+    const max = Math.max(1, ...rows.map(r => r.segments.reduce((sum, s) => sum + s.value, 0)));
+    const scale = (width - labelWidth - valueWidth - 8) / max;
+    rows.forEach((row, i) => {
+      const y = gap + i * (rowHeight + gap);
+      const total = row.segments.reduce((sum, s) => sum + s.value, 0);
+      const g = svgEl("g", { class: "chart-row" });
+      g.append(svgEl("text", { x: labelWidth - 8, y: y + rowHeight / 2, "text-anchor": "end", "dominant-baseline": "middle", fill: "currentColor", class: "chart-label" }, row.label));
+      let x = labelWidth;
+      row.segments.forEach(segment => {
+        if (!segment.value) return;
+        const w = segment.value * scale;
+        const rect = svgEl("rect", { x, y, width: w, height: rowHeight, fill: segment.color, rx: 2 });
+        rect.append(svgEl("title", {}, `${row.label}${segment.label ? `, ${segment.label}` : ""}: ${I18n.formatNumber(segment.value)}`));
+        g.append(rect);
+        x += w;
+      });
+      g.append(svgEl("text", { x: x + 6, y: y + rowHeight / 2, "dominant-baseline": "middle", fill: "currentColor", class: "chart-value" }, I18n.formatNumber(total)));
+      svg.append(g);
+    });
+    return svg;
+  }
+
+  // parts: [{ label, value, color }]
+  function donutChart(parts, { title, description, size = 180, thickness = 34 } = {}) {
+    const svg = chartRoot(size, size, title, description);
+    svg.classList.add("chart-donut");
+    const r = (size - thickness) / 2;
+    const c = size / 2;
+    const circumference = 2 * Math.PI * r;
+    const total = parts.reduce((sum, p) => sum + p.value, 0);
+    svg.append(svgEl("circle", { cx: c, cy: c, r, fill: "none", stroke: "currentColor", "stroke-opacity": 0.12, "stroke-width": thickness }));
+    let offset = 0;
+    parts.forEach(part => {
+      if (!part.value) return;
+      const length = (part.value / total) * circumference;
+      // dash starting at 12 o'clock, going clockwise
+      const arc = svgEl("circle", {
+        cx: c, cy: c, r, fill: "none", stroke: part.color, "stroke-width": thickness,
+        "stroke-dasharray": `${length} ${circumference - length}`,
+        "stroke-dashoffset": -offset,
+        transform: `rotate(-90 ${c} ${c})`
+      });
+      arc.append(svgEl("title", {}, `${part.label}: ${I18n.formatNumber(part.value)} (${formatPercent(part.value, total)})`));
+      svg.append(arc);
+      offset += length;
+    });
+    const main = parts[0];
+    svg.append(svgEl("text", { x: c, y: c, "text-anchor": "middle", "dominant-baseline": "middle", fill: "currentColor", class: "chart-total" },
+      total ? formatPercent(main.value, total) : "—"));
+    return svg;
+  }
+
+  // items: [{ label, color }] -> <ul class="chart-legend">
+  function legend(items) {
+    const list = document.createElement("ul");
+    list.className = "chart-legend";
+    items.forEach(item => {
+      const li = document.createElement("li");
+      const swatch = document.createElement("span");
+      swatch.className = "chart-swatch";
+      swatch.style.background = item.color;
+      swatch.setAttribute("aria-hidden", "true");
+      li.append(swatch, item.label);
+      list.appendChild(li);
+    });
+    return list;
+  }
+
+  window.Stats = {
+    PALETTE,
+    countBy,
+    crossCount,
+    percent,
+    formatPercent,
+    barChart,
+    donutChart,
+    legend
+  };
+})();
@@ -0,0 +1,301 @@
+// storage-adapters.js
+// Where the roster is kept: persistProfiles() / loadProfilesFromStorage() in script.js go through these
+// - Local adapter: the profile payload in this browser's localStorage
+// - Memory adapter: the same interface, kept only in memory (the benchmark page, see benchmark.js)
+// - HTTP adapter: a shared REST API (GET/POST/PUT/DELETE on /profiles, see server/profiles-server.js)
+//   Changes are diffed against what the server has, queued in an outbox that survives reloads,
+//   sent in order, retried with backoff while offline and replayed once the server is reachable.
+// Exposed as window.StorageAdapters and used by script.js.
+
+(function () {
+  const REQUEST_TIMEOUT = 10000; // ms
+  const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000]; // ms, the last one repeats
+
+  /* =========================
+     Local adapter
+     ========================= */
+  function createLocalAdapter(key) {
+    return {
+      kind: "local",
+      // Returns the stored text, or null when there is none or storage can't be read
+      read() {
+        try {
+          return localStorage.getItem(key);
+        } catch (err) {
+          console.error("localStorage get error:", err);
+          return null;
+        }
+      },
+      // Throws when the browser refuses the write (quota, privacy settings)
+      write(text) {
+        localStorage.setItem(key, text);
+      }
+    };
+  }
+
+  // Like the local adapter, but nothing outlives the page
+  function createMemoryAdapter(text = null) {
+    return {
+      kind: "memory",
+      read() {
+        return text;
+      },
+      write(newText) {
+        text = newText;
+      }
+    };
+  }
+
+  /* =========================
+     HTTP adapter
+     ========================= */
+  // Raised for responses the server rejected (4xx); network failures and 5xx are retried instead
+  class RequestRejectedError extends Error {
+    constructor(message, status) {
+      super(message);
+      this.name = "RequestRejectedError";
+      this.status = status;
+    }
+  }
+
+  // 32-bit FNV-1a, enough to tell whether a profile changed since the server last saw it
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36) + ":" + text.length;
+  }
+
+  // The server copy of a profile: no id (it's in the URL) and no browser-only fields
+  function serverCopy(profile) {
+    const { id, file, photoRef, ...rest } = profile;
+    return rest;
+  }
+
+  // options: { baseUrl, stateKey, onStatus(status), onLoad(profiles, { firstSync }) }
+  // status: { state: "loading" | "saving" | "synced" | "offline" | "error", pending, retryAt, message, rejected }
+  // rejected: messages for the changes the server refused, kept until dismissRejected() or a sync
+  // that runs through without a refusal
+  function createHttpAdapter({ baseUrl, stateKey, onStatus = () => {}, onLoad = () => {} }) {
+    const root = String(baseUrl).replace(/\/+$/, "") + "/profiles";
+    // synced: id -> hash of the copy the server has, or will have once the outbox is sent
+    // outbox: [{ method: "POST" | "PUT" | "DELETE", id, body }]
+    let { synced, outbox, hasBaseline } = readState();
+    let loadWanted = false;
+    let pumping = null;      // promise of the running send loop
+    let retryTimer = null;
+    let attempt = 0;
+    let rejected = [];
+    let rejectedThisRun = false;
+    let lastReport = null; // [state, extra] of the last report, to show again once `rejected` is dismissed
+
+    function readState() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(stateKey) || "null");
+        if (saved && Array.isArray(saved.outbox) && saved.synced && typeof saved.synced === "object") {
+          return { synced: new Map(Object.entries(saved.synced)), outbox: saved.outbox, hasBaseline: true };
+        }
+      } catch (err) {
+        console.error("Sync state could not be read:", err);
+      }
+      return { synced: new Map(), outbox: [], hasBaseline: false };
+    }
+
+    function writeState() {
+      try {
+        localStorage.setItem(stateKey, JSON.stringify({ synced: Object.fromEntries(synced), outbox }));
+      } catch (err) {
+        console.error("Sync state could not be saved:", err);
+      }
+    }
+
+    function report(state, extra = {}) {
+      lastReport = [state, extra];
+      onStatus({ state, pending: outbox.length, retryAt: null, message: "", ...extra, rejected: rejected.slice() });
+    }
+
+    function request(method, path, body) {
+      const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT) : null;
+      return fetch(root + path, {
+        method,
+        headers: body === undefined ? {} : { "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller ? controller.signal : undefined
+      }).then(res => {
+        if (res.status >= 500) throw new Error(I18n.t("Server error {status}", { status: String(res.status) }));
+        if (!res.ok) {
+          return res.json().catch(() => ({})).then(data => {
+            throw new RequestRejectedError(data.error || I18n.t("Request failed with status {status}", { status: String(res.status) }), res.status);
+          });
+        }
+        return res.status === 204 ? null : res.json();
+      }).finally(() => clearTimeout(timer));
+    }
+
+    // Add an operation, folding it into a queued one for the same profile where possible.
+    // The head of the queue may be in flight, so it is never rewritten.
+    function enqueue(method, id, body) {
+      const index = outbox.findIndex((op, i) => op.id === id && !(i === 0 && pumping));
+      const queued = index === -1 ? null : outbox[index];
+      if (!queued) {
+        outbox.push({ method, id, body });
+      } else if (method === "DELETE") {
+        // never reached the server: nothing to delete there
+        if (queued.method === "POST") outbox.splice(index, 1);
+        else outbox[index] = { method, id };
+      } else if (queued.method === "DELETE") {
+        outbox[index] = { method: "PUT", id, body }; // re-created (e.g. undo): PUT creates or replaces
+      } else {
+        outbox[index] = { method: queued.method, id, body };
+      }
+    }
+
+    // Queue whatever differs from the server's copy. `skip` holds ids to leave alone this time
+    // (e.g. a profile whose photo is still being read back from the photo store).
+    function save(profiles, { skip = new Set() } = {}) {
+      if (!hasBaseline) return; // nothing is sent until the server's roster has been loaded once
+      Object.keys(profiles).forEach(id => {
+        if (skip.has(id)) return;
+        const body = serverCopy(profiles[id]);
+        const hash = hashText(JSON.stringify(body));
+        if (synced.get(id) === hash) return;
+        enqueue(synced.has(id) ? "PUT" : "POST", id, body);
+        synced.set(id, hash);
+      });
+      Array.from(synced.keys()).forEach(id => {
+        if (profiles[id] || skip.has(id)) return;
+        enqueue("DELETE", id);
+        synced.delete(id);
+      });
+      writeState();
+      pump();
+    }
+
+    // Send queued writes first so offline edits reach the server, then fetch the roster
+    function load() {
+      loadWanted = true;
+      report("loading");
+      return pump();
+    }
+
+    function pump() {
+      if (pumping) return pumping;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      rejectedThisRun = false;
+      pumping = run().finally(() => { pumping = null; });
+      return pumping;
+    }
+
+    async function run() {
+      try {
+        while (outbox.length) {
+          report("saving");
+          await send(outbox[0]);
+          outbox.shift();
+          writeState();
+        }
+        if (loadWanted) {
+          const list = await request("GET", "");
+          const firstSync = !hasBaseline;
+          loadWanted = false;
+          hasBaseline = true;
+          synced = new Map();
+          const profiles = {};
+          (Array.isArray(list) ? list : []).forEach(item => {
+            if (!item || typeof item.id !== "string") return;
+            const body = serverCopy(item);
+            profiles[item.id] = body;
+            synced.set(item.id, hashText(JSON.stringify(body)));
+          });
+          // changes made while the roster was on its way are still queued; lay them on top
+          outbox.forEach(op => {
+            if (op.method === "DELETE") {
+              delete profiles[op.id];
+              synced.delete(op.id);
+            } else {
+              profiles[op.id] = JSON.parse(JSON.stringify(op.body));
+              synced.set(op.id, hashText(JSON.stringify(op.body)));
+            }
+          });
+          writeState();
+          onLoad(profiles, { firstSync });
+        }
+        // a save during onLoad may have queued more
+        if (outbox.length) return run();
+        attempt = 0;
+        if (!rejectedThisRun) rejected = [];
+        report("synced");
+      } catch (err) {
+        console.error("Sync failed:", err);
+        attempt++;
+        const delay = RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length) - 1];
+        retryTimer = setTimeout(pump, delay);
+        report("offline", { retryAt: Date.now() + delay, message: err.message });
+      }
+    }
+
+    async function send(op) {
+      const path = "/" + encodeURIComponent(op.id);
+      try {
+        if (op.method === "POST") await request("POST", "", { id: op.id, ...op.body });
+        else if (op.method === "PUT") await request("PUT", path, op.body);
+        else await request("DELETE", path);
+      } catch (err) {
+        if (!(err instanceof RequestRejectedError)) throw err;
+        if (op.method === "DELETE" && err.status === 404) return; // already gone
+        if (op.method === "POST" && err.status === 409) {
+          await request("PUT", path, op.body); // it exists already (e.g. an earlier POST timed out)
+          return;
+        }
+        // the server will never accept this one; drop it rather than block the queue
+        const message = I18n.t("The server rejected a change to profile {id}: {error}", { id: op.id, error: err.message });
+        rejected.push(message);
+        rejectedThisRun = true;
+        report("error", { message });
+      }
+    }
+
+    function retryNow() {
+      attempt = 0;
+      return pump();
+    }
+
+    function dismissRejected() {
+      rejected = [];
+      if (!lastReport) return;
+      const [state, extra] = lastReport;
+      // the refusal itself was the last news: what's left is the send loop's own state
+      if (state === "error") report(pumping ? "saving" : "synced");
+      else report(state, extra);
+    }
+
+    if (typeof window !== "undefined") window.addEventListener("online", retryNow);
+
+    return {
+      kind: "http",
+      baseUrl: root.slice(0, -"/profiles".length),
+      load,
+      save,
+      retryNow,
+      dismissRejected,
+      pendingCount: () => outbox.length,
+      // Stop retrying (when switching back to local storage); the outbox stays for next time
+      stop() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        if (typeof window !== "undefined") window.removeEventListener("online", retryNow);
+      }
+    };
+  }
+
+  window.StorageAdapters = {
+    createLocalAdapter,
+    createMemoryAdapter,
+    createHttpAdapter,
+    RequestRejectedError
+  };
+})();
@@ -0,0 +1,134 @@
+// sw.js
+// Service worker: lets the app open without a network and be installed
+// - The app's files are precached under a versioned cache name and served from there; raise
+//   CACHE_VERSION whenever one of them changes, so browsers install the new set
+// - A new version waits until the page asks it to take over ("skip-waiting", sent when the user
+//   accepts the update prompt in script.js), and then removes the old caches
+// - Photos from other sites are kept in a small cache of their own, so profiles seen online still show
+//   their photo offline; a photo that was never loaded falls back to the placeholder. Only photos from
+//   sites that allow CORS are kept: browsers count an opaque (no-CORS) response as several megabytes of
+//   the storage the profile photo store and localStorage share
+// - If an app file is missing from the cache while offline, a page load still gets index.html
+// - Anything else (the /profiles API of the stand-in server) goes to the network untouched
+// Registered by script.js.
+
+const CACHE_VERSION = 5;
+const CACHE_PREFIX = "profile-manager-";
+const APP_CACHE = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const PHOTO_CACHE = `${CACHE_PREFIX}photos`;
+const MAX_CACHED_PHOTOS = 200;
+
+const APP_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "script.js",
+  "i18n.js",
+  "messages-ar.js",
+  "schema.js",
+  "schema-admin.js",
+  "image-pipeline.js",
+  "audit-log.js",
+  "duplicates.js",
+  "tags.js",
+  "qr-code.js",
+  "print-layout.js",
+  "stats.js",
+  "storage-adapters.js",
+  "roster-io.js",
+  "query.js",
+  "routes.js",
+  "profile-store.js",
+  "profile-render.js",
+  "virtual-list.js",
+  "benchmark.js",
+  "profile-elements.js",
+  "embed.html",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png"
+];
+const APP_PATHS = new Set(APP_FILES.map(file => new URL(file, self.registration.scope).pathname));
+const INDEX_PATH = new URL("index.html", self.registration.scope).pathname;
+const noCorsHosts = new Set(); // photo sites that refused a CORS request, asked without it from then on
+
+self.addEventListener("install", (event) => {
+  // "reload" skips the HTTP cache, so a new version never precaches a stale file
+  event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(APP_FILES.map(file => new Request(file, { cache: "reload" })))));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== APP_CACHE && name !== PHOTO_CACHE)
+        .map(name => caches.delete(name))))
+      // the page that installed the first version works offline without a reload
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    // index.html?benchmark and index.html#programme=... are the same file
+    if (APP_PATHS.has(url.pathname)) event.respondWith(appFile(request, url.pathname));
+  } else if (request.destination === "image") {
+    event.respondWith(photo(event, request));
+  }
+});
+
+function appFile(request, pathname) {
+  return caches.open(APP_CACHE).then(cache => cache.match(pathname).then(cached => cached || fetch(request).catch(err => {
+    if (request.mode !== "navigate") throw err;
+    return cache.match(INDEX_PATH).then(page => page || Promise.reject(err));
+  })));
+}
+
+// The cached copy when there is one (refreshed in the background), else the network's
+function photo(event, request) {
+  return caches.open(PHOTO_CACHE).then(cache => cache.match(request).then(cached => {
+    const fresh = fetchPhoto(request).then(response => {
+      if (response.ok) event.waitUntil(keepPhoto(cache, request, response.clone()));
+      return response;
+    });
+    if (!cached) return fresh;
+    event.waitUntil(fresh.catch(() => {}));
+    return cached;
+  }));
+}
+
+// Asked with CORS, so the response can be cached at its real size; sites that don't allow it get
+// the page's own no-CORS request (shown, but not cached)
+function fetchPhoto(request) {
+  const host = new URL(request.url).host;
+  if (noCorsHosts.has(host)) return fetch(request);
+  // (when the no-CORS request fails as well, the network is down and the site is asked again next time)
+  return fetch(new Request(request.url, { mode: "cors", credentials: "omit" }))
+    .catch(() => fetch(request).then(response => {
+      noCorsHosts.add(host);
+      return response;
+    }));
+}
+
+// A full storage quota drops the older half of the photos rather than failing the page's request
+function keepPhoto(cache, request, response) {
+  return cache.put(request, response)
+    .then(() => trimPhotos(cache, MAX_CACHED_PHOTOS))
+    .catch(err => {
+      console.warn("Photo not cached:", err);
+      return cache.keys().then(keys => trimPhotos(cache, Math.floor(keys.length / 2)));
+    });
+}
+
+// Drops the photos cached first once there are more than `keep`
+function trimPhotos(cache, keep) {
+  return cache.keys().then(keys => Promise.all(keys.slice(0, Math.max(0, keys.length - keep)).map(key => cache.delete(key))));
+}
@@ -0,0 +1,456 @@
+// tags.js
+// Tag fields (interests and custom tag fields)
+// - A comparison key per tag that ignores case, accents, dots, spaces and dashes, so "AI", "ai" and "A.I." are one tag
+// - A vocabulary per field: the canonical spelling of a tag, and synonyms that map onto another tag
+// - Autocomplete suggestions from the tags already in use
+// - A chip input: type and press Enter or comma to add, Backspace removes the last tag, arrow keys
+//   move between chips, Delete removes one and Enter edits it
+// The vocabularies are stored by script.js. Exposed as window.Tags and used by script.js.
+
+(function () {
+  const MAX_SUGGESTIONS = 8;
+
+  // vocabulary: { labels: { key: "Canonical spelling" }, synonyms: { key: { to: key, text: "As typed" } } }
+  function emptyVocabulary() {
+    return { labels: {}, synonyms: {} };
+  }
+
+  function normalizeVocabulary(vocab) {
+    const out = emptyVocabulary();
+    if (!vocab || typeof vocab !== "object") return out;
+    Object.entries(vocab.labels || {}).forEach(([key, label]) => {
+      if (typeof label === "string" && tidyTag(label)) out.labels[key] = tidyTag(label);
+    });
+    Object.entries(vocab.synonyms || {}).forEach(([key, syn]) => {
+      if (syn && typeof syn.to === "string" && syn.to !== key) out.synonyms[key] = { to: syn.to, text: String(syn.text || key) };
+    });
+    return out;
+  }
+
+  /* =========================
+     Keys & spellings
+     ========================= */
+  // "A.I." -> "ai", "Machine-Learning" -> "machinelearning"
+  function tagKey(text) {
+    return String(text == null ? "" : text)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[\s._\-/]+/g, "");
+  }
+
+  function tidyTag(text) {
+    return String(text == null ? "" : text).trim().replace(/\s+/g, " ");
+  }
+
+  // The key a tag counts as once synonyms are applied
+  function resolveKey(text, vocab) {
+    const key = tagKey(text);
+    const synonym = vocab && vocab.synonyms[key];
+    return synonym ? synonym.to : key;
+  }
+
+  // How often each tag is used across `lists` (one array of tags per profile), with the spelling
+  // shown for it: the vocabulary's, else the most used one. Returns Map key -> { key, label, count }.
+  function indexTags(lists, vocab) {
+    const found = new Map(); // key -> { spellings: Map text -> uses, count, synonymText }
+    lists.forEach(list => {
+      const seen = new Set();
+      (list || []).forEach(tag => {
+        const text = tidyTag(tag);
+        const key = resolveKey(text, vocab);
+        if (!key) return;
+        if (!found.has(key)) found.set(key, { spellings: new Map(), count: 0, synonymText: "" });
+        const entry = found.get(key);
+        // a synonym's spelling only names the tag when nothing else does
+        if (tagKey(text) === key) entry.spellings.set(text, (entry.spellings.get(text) || 0) + 1);
+        else if (!entry.synonymText) entry.synonymText = text;
+        if (!seen.has(key)) {
+          seen.add(key);
+          entry.count++;
+        }
+      });
+    });
+    const index = new Map();
+    found.forEach((entry, key) => {
+      let label = vocab && vocab.labels[key];
+      let best = 0;
+      if (!label) {
+        entry.spellings.forEach((uses, text) => {
+          if (uses > best) {
+            best = uses;
+            label = text;
+          }
+        });
+      }
+      index.set(key, { key, label: label || entry.synonymText, count: entry.count });
+    });
+    // tags the vocabulary knows but no profile uses yet can still be suggested
+    if (vocab) {
+      Object.entries(vocab.labels).forEach(([key, label]) => {
+        if (!index.has(key)) index.set(key, { key, label, count: 0 });
+      });
+    }
+    return index;
+  }
+
+  // The spelling a typed tag is stored with
+  function canonicalTag(text, vocab, index) {
+    const key = resolveKey(text, vocab);
+    if (!key) return "";
+    if (vocab && vocab.labels[key]) return vocab.labels[key];
+    const known = index && index.get(key);
+    return known ? known.label : tidyTag(text);
+  }
+
+  // Canonical spellings without repeats, in the order given
+  function normalizeTags(tags, vocab, index) {
+    const seen = new Set();
+    const out = [];
+    (tags || []).forEach(tag => {
+      const key = resolveKey(tag, vocab);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      out.push(canonicalTag(tag, vocab, index));
+    });
+    return out;
+  }
+
+  // Tags whose spelling, or one of whose words or synonyms, starts with `text`; most used first.
+  // Returns [{ key, label, count, via }] where `via` is the synonym that matched, if any.
+  function suggestTags(text, vocab, index, { exclude = new Set(), limit = MAX_SUGGESTIONS } = {}) {
+    const typed = tagKey(text);
+    if (!typed) return [];
+    const startsWith = label => tagKey(label).startsWith(typed) ||
+      tidyTag(label).split(" ").some(word => tagKey(word).startsWith(typed));
+    const found = new Map();
+    index.forEach(entry => {
+      if (!exclude.has(entry.key) && startsWith(entry.label)) found.set(entry.key, { ...entry, via: "" });
+    });
+    Object.values(vocab ? vocab.synonyms : {}).forEach(syn => {
+      const entry = index.get(syn.to);
+      if (entry && !exclude.has(entry.key) && !found.has(entry.key) && startsWith(syn.text)) {
+        found.set(entry.key, { ...entry, via: syn.text });
+      }
+    });
+    return Array.from(found.values())
+      .sort((a, b) => b.count - a.count || I18n.compare(a.label, b.label))
+      .slice(0, limit);
+  }
+
+  /* =========================
+     Vocabulary changes
+     ========================= */
+  // Make `fromText` (and its current synonyms) count as `intoLabel` from now on. Renaming a tag to a
+  // new spelling of the same key just changes its label. Returns a new vocabulary.
+  function mergeTag(vocab, fromText, intoLabel) {
+    const next = normalizeVocabulary(vocab);
+    const fromKey = resolveKey(fromText, next);
+    const intoKey = resolveKey(intoLabel, next);
+    if (!fromKey || !intoKey) return next;
+    next.labels[intoKey] = tidyTag(intoLabel);
+    if (fromKey === intoKey) return next;
+    delete next.labels[fromKey];
+    next.synonyms[fromKey] = { to: intoKey, text: tidyTag(fromText) };
+    Object.values(next.synonyms).forEach(syn => {
+      if (syn.to === fromKey) syn.to = intoKey;
+    });
+    delete next.synonyms[intoKey];
+    return next;
+  }
+
+  function removeSynonym(vocab, key) {
+    const next = normalizeVocabulary(vocab);
+    delete next.synonyms[key];
+    return next;
+  }
+
+  /* =========================
+     Chip input
+     ========================= */
+  // Turns a text input into a tag editor. The input keeps its id, so labels and errors still point at it.
+  // options: {
+  //   maxItems, canonical(text) -> spelling to store, keyOf(text) -> comparison key,
+  //   suggest(text, excludeKeys) -> [{ label, via }], onChange(tags), onLimit(maxItems)
+  // }
+  function createTagInput(input, {
+    maxItems = null,
+    canonical = tidyTag,
+    keyOf = tagKey,
+    suggest = () => [],
+    onChange = () => {},
+    onLimit = () => {}
+  } = {}) {
+    let tags = [];
+    let shown = [];   // suggestions on screen
+    let active = -1;  // highlighted suggestion
+
+    const box = document.createElement("div");
+    box.className = "tag-input";
+    const chips = document.createElement("ul");
+    chips.className = "tag-chips";
+    const list = document.createElement("ul");
+    list.className = "tag-suggestions";
+    list.id = `${input.id}Suggestions`;
+    list.setAttribute("role", "listbox");
+    list.hidden = true;
+    const counter = document.createElement("span");
+    counter.className = "hint tag-count";
+    counter.id = `${input.id}Count`;
+    counter.setAttribute("aria-live", "polite");
+
+    input.parentNode.insertBefore(box, input);
+    box.append(chips, input, list);
+    box.after(counter);
+    input.setAttribute("role", "combobox");
+    input.setAttribute("aria-autocomplete", "list");
+    input.setAttribute("aria-expanded", "false");
+    input.setAttribute("aria-controls", list.id);
+    input.setAttribute("aria-describedby", [input.getAttribute("aria-describedby"), counter.id].filter(Boolean).join(" "));
+    // clicking the empty part of the box types into it
+    box.addEventListener("click", (e) => {
+      if (e.target === box || e.target === chips) input.focus();
+    });
+
+    function isFull() {
+      return maxItems != null && tags.length >= maxItems;
+    }
+
+    function has(text) {
+      const key = keyOf(text);
+      return tags.some(t => keyOf(t) === key);
+    }
+
+    // Adds a tag; returns false when it couldn't be (empty, or the limit is reached)
+    function add(text) {
+      const label = canonical(text);
+      if (!label) return false;
+      if (has(label)) return true;
+      if (isFull()) {
+        onLimit(maxItems);
+        return false;
+      }
+      tags.push(label);
+      render();
+      onChange(tags.slice());
+      return true;
+    }
+
+    function removeAt(index) {
+      tags.splice(index, 1);
+      render();
+      onChange(tags.slice());
+    }
+
+    // Put a chip's text back into the input to change it
+    function editAt(index) {
+      const text = tags[index];
+      commitPending();
+      removeAt(index);
+      input.value = text;
+      input.focus();
+      updateSuggestions();
+    }
+
+    function commitPending() {
+      const text = input.value;
+      if (!tidyTag(text)) return true;
+      if (!add(text)) return false;
+      input.value = "";
+      closeSuggestions();
+      return true;
+    }
+
+    function focusChip(index) {
+      const chip = chips.children[index];
+      if (chip) chip.focus();
+      else input.focus();
+    }
+
+    function render() {
+      chips.innerHTML = "";
+      tags.forEach((tag, index) => {
+        const chip = document.createElement("li");
+        chip.className = "tag-chip";
+        chip.tabIndex = -1;
+        chip.setAttribute("aria-label", I18n.t("{tag}. Delete removes it, Enter edits it.", { tag }));
+        const text = document.createElement("span");
+        text.textContent = tag;
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "tag-remove";
+        remove.tabIndex = -1;
+        remove.textContent = "×";
+        remove.setAttribute("aria-label", I18n.t("Remove {tag}", { tag }));
+        remove.addEventListener("click", () => {
+          removeAt(index);
+          input.focus();
+        });
+        chip.addEventListener("dblclick", () => editAt(index));
+        chip.addEventListener("keydown", (e) => {
+          if (e.key === "Delete" || e.key === "Backspace") {
+            e.preventDefault();
+            removeAt(index);
+            focusChip(Math.min(index, tags.length));
+          } else if (e.key === "Enter" || e.key === "F2") {
+            e.preventDefault();
+            editAt(index);
+          } else if (e.key === previousKey()) {
+            e.preventDefault();
+            focusChip(Math.max(0, index - 1));
+          } else if (e.key === nextKey()) {
+            e.preventDefault();
+            focusChip(index + 1);
+          }
+        });
+        chip.append(text, remove);
+        chips.appendChild(chip);
+      });
+      box.classList.toggle("is-full", isFull());
+      if (maxItems != null) {
+        const count = I18n.t("{count} of {max}", { count: tags.length, max: maxItems });
+        if (tags.length > maxItems) counter.textContent = I18n.t("{count} — remove {extra}", { count, extra: tags.length - maxItems });
+        else counter.textContent = isFull() ? I18n.t("{count} — limit reached", { count }) : count;
+      } else {
+        counter.textContent = tags.length ? I18n.t("{count} added", { count: tags.length }) : "";
+      }
+    }
+
+    // Chips run right to left in a right-to-left page, and so do the arrow keys
+    function previousKey() {
+      return getComputedStyle(box).direction === "rtl" ? "ArrowRight" : "ArrowLeft";
+    }
+
+    function nextKey() {
+      return getComputedStyle(box).direction === "rtl" ? "ArrowLeft" : "ArrowRight";
+    }
+
+    function closeSuggestions() {
+      shown = [];
+      active = -1;
+      list.hidden = true;
+      list.innerHTML = "";
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+    }
+
+    function updateSuggestions() {
+      const text = tidyTag(input.value);
+      shown = text ? suggest(text, new Set(tags.map(keyOf))) : [];
+      active = -1;
+      list.innerHTML = "";
+      if (!shown.length) {
+        closeSuggestions();
+        return;
+      }
+      shown.forEach((s, i) => {
+        const option = document.createElement("li");
+        option.id = `${list.id}-${i}`;
+        option.setAttribute("role", "option");
+        option.setAttribute("aria-selected", "false");
+        option.textContent = s.via ? `${s.label} (${s.via})` : s.label;
+        // keep focus in the input, so blur doesn't commit the half-typed text first
+        option.addEventListener("mousedown", (e) => e.preventDefault());
+        option.addEventListener("click", () => pick(i));
+        list.appendChild(option);
+      });
+      list.hidden = false;
+      input.setAttribute("aria-expanded", "true");
+    }
+
+    function highlight(index) {
+      active = index;
+      Array.from(list.children).forEach((option, i) => option.setAttribute("aria-selected", String(i === index)));
+      if (index >= 0) input.setAttribute("aria-activedescendant", `${list.id}-${index}`);
+      else input.removeAttribute("aria-activedescendant");
+    }
+
+    function pick(index) {
+      if (add(shown[index].label)) input.value = "";
+      closeSuggestions();
+      input.focus();
+    }
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" && shown.length) {
+        e.preventDefault();
+        highlight((active + 1) % shown.length);
+      } else if (e.key === "ArrowUp" && shown.length) {
+        e.preventDefault();
+        highlight(active <= 0 ? shown.length - 1 : active - 1);
+      } else if (e.key === "Escape" && shown.length) {
+        e.preventDefault();
+        closeSuggestions();
+      } else if ((e.key === "Enter" || e.key === "Tab") && active >= 0) {
+        e.preventDefault();
+        pick(active);
+      } else if ((e.key === "Enter" || e.key === ",") && tidyTag(input.value)) {
+        e.preventDefault(); // Enter with text adds a tag instead of submitting the form
+        commitPending();
+      } else if (e.key === "Backspace" && !input.value && tags.length) {
+        e.preventDefault();
+        removeAt(tags.length - 1);
+      } else if (e.key === previousKey() && !input.value && tags.length) {
+        e.preventDefault();
+        focusChip(tags.length - 1);
+      }
+    });
+    input.addEventListener("input", () => {
+      // pasted "a, b, c": every complete part becomes a tag
+      if (input.value.includes(",")) {
+        const parts = input.value.split(",");
+        const rest = parts.pop();
+        const left = parts.filter(part => !add(part));
+        input.value = left.concat(rest).join(",");
+        if (left.length) return closeSuggestions();
+      }
+      updateSuggestions();
+    });
+    input.addEventListener("blur", () => {
+      commitPending();
+      closeSuggestions();
+    });
+
+    render();
+
+    return {
+      // The tags, plus whatever is typed but not added yet (so it is validated, not lost)
+      getTags() {
+        const out = tags.slice();
+        input.value.split(",").forEach(part => {
+          const label = canonical(part);
+          if (label && !out.some(t => keyOf(t) === keyOf(label))) out.push(label);
+        });
+        return out;
+      },
+      setTags(list) {
+        tags = [];
+        (list || []).forEach(tag => {
+          const label = canonical(tag);
+          if (label && !has(label)) tags.push(label);
+        });
+        input.value = "";
+        closeSuggestions();
+        render();
+      },
+      clear() {
+        this.setTags([]);
+      }
+    };
+  }
+
+  window.Tags = {
+    emptyVocabulary,
+    normalizeVocabulary,
+    tagKey,
+    tidyTag,
+    resolveKey,
+    indexTags,
+    canonicalTag,
+    normalizeTags,
+    suggestTags,
+    mergeTag,
+    removeSynonym,
+    createTagInput
+  };
+})();
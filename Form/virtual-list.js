@@ -0,0 +1,161 @@
+// virtual-list.js
+// Windowed ("virtualised") rendering for long lists: the card grid and the summary table
+// - Only the items in and near the viewport are in the DOM; a spacer above and below stands in for the
+//   rest, so the page keeps its full scroll height and scrollbar
+// - Items are keyed: a rendered element is kept while its version is unchanged, so a re-render only
+//   rebuilds the records that changed (and those scrolling into view)
+// - The page itself scrolls. Row height is measured from the rendered items (an estimate until then);
+//   a grid shows several items per row
+// Exposed as window.VirtualList and used by script.js.
+
+(function () {
+  const OVERSCAN_ROWS = 4; // rendered beyond each edge of the viewport, so fast scrolling doesn't show gaps
+  const MIN_ROWS = 20; // rendered when the viewport has no height (e.g. before layout)
+
+  function sameVersion(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+
+  // container: the element the items go in (a <tbody>, or a CSS grid for cards). Options:
+  //   render(key) -> Element          builds one item
+  //   version(key) -> array           the item is built again when any entry changes (compared with ===)
+  //   createSpacer() -> Element       stands in for the rows above or below the window
+  //   columns() -> number             items per row (default 1)
+  //   place(element, index)           called for every rendered item with its position in the whole list
+  //   estimatedRowHeight              px per row until a row has been measured
+  function create(container, {
+    render,
+    version = () => [],
+    createSpacer,
+    columns = () => 1,
+    place = () => {},
+    estimatedRowHeight = 60
+  }) {
+    let keys = [];
+    let rendered = new Map(); // key -> { element, version }, only the items in the window
+    let rowHeight = 0; // measured distance from one row to the next (gap included); 0 until measured
+    let range = null; // { first, last, perRow } rows in the DOM
+    let frame = 0;
+
+    const before = createSpacer();
+    const after = createSpacer();
+    // an empty extra spacer, so in a one-column list every item keeps the :nth-child() parity it
+    // would have with the whole list in the DOM (striped table rows don't flip while scrolling)
+    const parity = createSpacer();
+    parity.style.height = "0px";
+    [before, after, parity].forEach(spacer => {
+      spacer.classList.add("virtual-spacer");
+      spacer.setAttribute("aria-hidden", "true");
+    });
+
+    function rowGap() {
+      return parseFloat(getComputedStyle(container).rowGap) || 0;
+    }
+
+    function pitch() {
+      return rowHeight || estimatedRowHeight;
+    }
+
+    // Rows that should be in the DOM for the current scroll position
+    function windowRows(perRow) {
+      const rows = Math.ceil(keys.length / perRow);
+      const viewport = window.innerHeight || document.documentElement.clientHeight || 0;
+      if (!viewport) return { first: 0, last: Math.min(rows, MIN_ROWS) - 1 };
+      const top = container.getBoundingClientRect().top; // where row 0 starts
+      let first = Math.floor(-top / pitch()) - OVERSCAN_ROWS;
+      let last = Math.ceil((viewport - top) / pitch()) + OVERSCAN_ROWS;
+      // a list wholly above or below the viewport still renders a few rows at its near end
+      first = Math.max(0, Math.min(first, rows - 1 - OVERSCAN_ROWS));
+      last = Math.min(rows - 1, Math.max(last, first + OVERSCAN_ROWS));
+      return { first, last };
+    }
+
+    function sizeSpacer(spacer, rows) {
+      // in a grid the spacer takes a track of its own, and the gap after it counts towards the space
+      spacer.style.height = `${Math.max(0, rows * pitch() - rowGap())}px`;
+    }
+
+    // The distance between rows, from the first and last rendered item
+    function measure(elements, perRow) {
+      if (!elements.length) return;
+      const top = elements[0].getBoundingClientRect().top;
+      const bottom = elements[elements.length - 1].getBoundingClientRect().bottom;
+      const rows = Math.ceil(elements.length / perRow);
+      if (bottom > top) rowHeight = (bottom - top + rowGap()) / rows;
+    }
+
+    // force: check the rendered items against their versions even when the window hasn't moved
+    function update({ force = false } = {}) {
+      const perRow = Math.max(1, Math.floor(columns()) || 1);
+      const { first, last } = windowRows(perRow);
+      if (!force && range && range.first === first && range.last === last && range.perRow === perRow) return;
+      range = { first, last, perRow };
+
+      const start = first * perRow;
+      const windowKeys = keys.slice(start, (last + 1) * perRow);
+      const next = new Map();
+      const elements = windowKeys.map(key => {
+        const current = version(key);
+        const entry = rendered.get(key);
+        const element = entry && sameVersion(entry.version, current) ? entry.element : render(key);
+        next.set(key, { element, version: current });
+        return element;
+      });
+      rendered = next;
+
+      const rows = Math.ceil(keys.length / perRow);
+      const sequence = [];
+      if (first > 0) {
+        sizeSpacer(before, first);
+        sequence.push(before);
+        if (perRow === 1 && first % 2 === 0) sequence.push(parity);
+      }
+      sequence.push(...elements);
+      if (last < rows - 1) {
+        sizeSpacer(after, rows - 1 - last);
+        sequence.push(after);
+      }
+      // items already in place stay put, so focus and text selection inside them survive
+      let cursor = container.firstChild;
+      sequence.forEach(node => {
+        if (node === cursor) cursor = cursor.nextSibling;
+        else container.insertBefore(node, cursor);
+      });
+      while (cursor) {
+        const nextNode = cursor.nextSibling;
+        container.removeChild(cursor);
+        cursor = nextNode;
+      }
+      elements.forEach((element, i) => place(element, start + i));
+      measure(elements, perRow);
+    }
+
+    function scheduleUpdate() {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        update();
+      });
+    }
+
+    window.addEventListener("scroll", scheduleUpdate, { passive: true });
+    window.addEventListener("resize", scheduleUpdate);
+
+    return {
+      // The keys to show, in order. rebuild: build every item again (e.g. the highlighted terms changed)
+      setItems(newKeys, { rebuild = false } = {}) {
+        keys = newKeys.slice();
+        if (rebuild) rendered = new Map();
+        update({ force: true });
+      },
+      // Brings the window in line with the scroll position straight away (scrolling does it on the next frame)
+      update,
+      keys: () => keys.slice(),
+      // The element for `key` if it is in the DOM
+      element: key => (rendered.has(key) ? rendered.get(key).element : null),
+      renderedCount: () => rendered.size
+    };
+  }
+
+  window.VirtualList = { create };
+})();
@@ -0,0 +1,228 @@
+// profiles-server.js
+// Stand-in REST backend for sharing profiles between browsers (no dependencies, Node 18+)
+// - GET /profiles, GET /profiles/:id, POST /profiles, PUT /profiles/:id, DELETE /profiles/:id
+// - Serves the app from ../Form on the same port, so http://localhost:8080/ works out of the box
+// - Profiles live in memory; pass --data <file> to keep them in a JSON file between runs
+// - --delay <ms> and --fail-rate <0..1> simulate a slow or flaky network to try the offline queue
+//
+//   node server/profiles-server.js [--port 8080] [--data profiles.json] [--delay 0] [--fail-rate 0]
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const APP_DIR = path.join(__dirname, "..", "Form");
+const MAX_BODY_BYTES = 2 * 1024 * 1024; // photos travel inline as data URLs
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon"
+};
+
+function readOptions(argv) {
+  const options = { port: Number(process.env.PORT) || 8080, data: null, delay: 0, failRate: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    if (argv[i] === "--port") options.port = Number(value);
+    else if (argv[i] === "--data") options.data = path.resolve(value);
+    else if (argv[i] === "--delay") options.delay = Number(value);
+    else if (argv[i] === "--fail-rate") options.failRate = Number(value);
+    else continue;
+    i++;
+  }
+  return options;
+}
+
+/* =========================
+   Profile store
+   ========================= */
+function createStore(file) {
+  const profiles = new Map(); // id -> profile (without id)
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    (Array.isArray(saved) ? saved : []).forEach(({ id, ...profile }) => profiles.set(id, profile));
+  }
+
+  function save() {
+    if (!file) return;
+    // write then rename, so a crash never leaves half a file behind
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(list(), null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function list() {
+    return Array.from(profiles, ([id, profile]) => ({ id, ...profile }));
+  }
+
+  return {
+    list,
+    get: id => (profiles.has(id) ? { id, ...profiles.get(id) } : null),
+    has: id => profiles.has(id),
+    put(id, profile) {
+      const { id: ignored, ...rest } = profile;
+      profiles.set(id, rest);
+      save();
+      return { id, ...rest };
+    },
+    remove(id) {
+      const existed = profiles.delete(id);
+      if (existed) save();
+      return existed;
+    }
+  };
+}
+
+/* =========================
+   HTTP helpers
+   ========================= */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A path segment as text; a malformed %-escape (e.g. /%E0%A4%A) is the client's mistake
+function decodePathPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    throw new HttpError(400, "The address has a malformed %-escape.");
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+}
+
+// A body over MAX_BODY_BYTES is answered with 413. The rest of it is read and thrown away rather than
+// the socket destroyed, so the answer reaches the client; Connection: close ends the socket after it.
+function readJsonBody(req, res) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", function collect(chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeListener("data", collect);
+        req.resume();
+        res.setHeader("Connection", "close");
+        reject(new HttpError(413, "The profile is too large."));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(new HttpError(400, "The request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// The server doesn't know the form schema (fields are configurable in the app), so it only
+// checks the shape every profile shares.
+function checkProfile(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "A profile must be a JSON object.");
+  ["firstName", "lastName", "email"].forEach(key => {
+    if (typeof body[key] !== "string") throw new HttpError(400, `The profile has no valid ${key}.`);
+  });
+  return body;
+}
+
+function checkId(id) {
+  if (!ID_RE.test(id)) throw new HttpError(400, "Profile ids may only use letters, digits, - and _.");
+  return id;
+}
+
+/* =========================
+   Routes
+   ========================= */
+async function handleApi(req, res, store, id) {
+  if (id === undefined) {
+    if (req.method === "GET") return sendJson(res, 200, store.list());
+    if (req.method === "POST") {
+      const body = checkProfile(await readJsonBody(req, res));
+      const newId = checkId(body.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 8));
+      if (store.has(newId)) throw new HttpError(409, `A profile with id ${newId} already exists.`);
+      return sendJson(res, 201, store.put(newId, body));
+    }
+    throw new HttpError(405, "Use GET or POST on /profiles.");
+  }
+
+  checkId(id);
+  if (req.method === "GET") {
+    const profile = store.get(id);
+    if (!profile) throw new HttpError(404, "No such profile.");
+    return sendJson(res, 200, profile);
+  }
+  if (req.method === "PUT") {
+    // PUT creates or replaces, so a client can safely repeat it
+    const existed = store.has(id);
+    const profile = store.put(id, checkProfile(await readJsonBody(req, res)));
+    return sendJson(res, existed ? 200 : 201, profile);
+  }
+  if (req.method === "DELETE") {
+    if (!store.remove(id)) throw new HttpError(404, "No such profile.");
+    return sendJson(res, 204);
+  }
+  throw new HttpError(405, "Use GET, PUT or DELETE on /profiles/:id.");
+}
+
+function serveApp(req, res, pathname) {
+  if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Method not allowed.");
+  const file = path.normalize(path.join(APP_DIR, pathname === "/" ? "index.html" : decodePathPart(pathname)));
+  if (!file.startsWith(APP_DIR + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, "Not found.");
+  }
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+  if (req.method === "HEAD") return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+function createServer(options) {
+  const store = createStore(options.data);
+  return http.createServer(async (req, res) => {
+    // the app may also be opened from a file:// URL or another port
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") return sendJson(res, 204);
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const match = pathname.match(/^\/profiles(?:\/([^/]+))?\/?$/);
+    try {
+      if (options.delay) await new Promise(resolve => setTimeout(resolve, options.delay));
+      if (match && Math.random() < options.failRate) throw new HttpError(503, "Simulated outage (--fail-rate).");
+      if (match) await handleApi(req, res, store, match[1] === undefined ? undefined : decodePathPart(match[1]));
+      else serveApp(req, res, pathname);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (res.headersSent) return res.end();
+      sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : "Internal server error." });
+    }
+    console.log(`${req.method} ${pathname} ${res.statusCode}`);
+  });
+}
+
+if (require.main === module) {
+  const options = readOptions(process.argv.slice(2));
+  createServer(options).listen(options.port, () => {
+    console.log(`Profile server on http://localhost:${options.port}/ (profiles ${options.data ? "saved to " + options.data : "kept in memory"})`);
+  });
+}
+
+module.exports = { createServer, MAX_BODY_BYTES };
@@ -0,0 +1,29 @@
+// browser-modules.js
+// Loads the app's browser modules (Form/*.js) into a fresh context for Node tests. Each module is
+// an IIFE that sets window.<Name>, so the context's global object stands in for `window`.
+//
+//   const { ProfileRender } = loadModules(["i18n.js", "schema.js", "profile-render.js"], { document });
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const FORM_DIR = path.join(__dirname, "..", "..", "Form");
+
+// files: in the order index.html loads them. globals: browser APIs the modules need (document, ...)
+function loadModules(files, globals = {}) {
+  const context = vm.createContext({ URL, URLSearchParams, console, ...globals });
+  context.window = context;
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(FORM_DIR, file), "utf8"), context, { filename: file });
+  });
+  return context;
+}
+
+// Arrays and objects made inside the context have that context's prototypes, which
+// assert.deepStrictEqual tells apart from the test's own; this copies them across
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadModules, plain };
@@ -0,0 +1,138 @@
+// mini-dom.js
+// Just enough of the DOM for the rendering tests: elements, text nodes and fragments, built by
+// createElement/createTextNode/append. There is no HTML parser: setting innerHTML or outerHTML
+// throws, so a test fails if the code under test ever builds markup from a string.
+
+class Node {
+  constructor() {
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  appendChild(child) {
+    if (child instanceof DocumentFragment) {
+      child.childNodes.slice().forEach(node => this.appendChild(node));
+      return child;
+    }
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  append(...nodes) {
+    nodes.forEach(node => this.appendChild(typeof node === "string" ? new Text(node) : node));
+  }
+
+  removeChild(child) {
+    this.childNodes.splice(this.childNodes.indexOf(child), 1);
+    child.parentNode = null;
+    return child;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join("");
+  }
+
+  set textContent(value) {
+    this.childNodes.slice().forEach(node => this.removeChild(node));
+    if (value !== "" && value != null) this.appendChild(new Text(value));
+  }
+}
+
+class Text extends Node {
+  constructor(data) {
+    super();
+    this.data = String(data);
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+}
+
+class DocumentFragment extends Node {}
+
+// Properties the app sets directly that browsers reflect as attributes
+const REFLECTED = { id: "id", className: "class", title: "title", alt: "alt", src: "src", loading: "loading" };
+
+class Element extends Node {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.style = {};
+    this.listeners = {};
+    const element = this;
+    this.classList = {
+      add: (...names) => names.forEach(name => element.classList.toggle(name, true)),
+      remove: (...names) => names.forEach(name => element.classList.toggle(name, false)),
+      contains: name => element.className.split(/\s+/).includes(name),
+      toggle(name, force = !this.contains(name)) {
+        const names = element.className.split(/\s+/).filter(n => n && n !== name);
+        if (force) names.push(name);
+        element.className = names.join(" ");
+        return force;
+      }
+    };
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name.toLowerCase(), String(value));
+  }
+
+  getAttribute(name) {
+    const value = this.attributes.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name.toLowerCase());
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name.toLowerCase());
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  set innerHTML(html) {
+    throw new Error(`innerHTML set on <${this.tagName.toLowerCase()}>: ${html}`);
+  }
+
+  set outerHTML(html) {
+    throw new Error(`outerHTML set on <${this.tagName.toLowerCase()}>: ${html}`);
+  }
+
+  // Every element in the subtree, this one first
+  descendants() {
+    return [this].concat(...this.childNodes.filter(node => node instanceof Element).map(node => node.descendants()));
+  }
+}
+
+Object.entries(REFLECTED).forEach(([property, attribute]) => {
+  Object.defineProperty(Element.prototype, property, {
+    get() {
+      return this.getAttribute(attribute) || "";
+    },
+    set(value) {
+      this.setAttribute(attribute, value);
+    }
+  });
+});
+
+function createDocument() {
+  return {
+    createElement: tagName => new Element(tagName),
+    createTextNode: data => new Text(data),
+    createDocumentFragment: () => new DocumentFragment()
+  };
+}
+
+module.exports = { createDocument, Element, Text, DocumentFragment };
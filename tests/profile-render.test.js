@@ -0,0 +1,184 @@
+// Hostile profile data must come out of the card and row renderers as plain text.
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadModules, plain } = require("./helpers/browser-modules");
+const { createDocument, Element } = require("./helpers/mini-dom");
+
+const document = createDocument();
+const { ProfileRender, ProfileSchema, ProfileQuery } = loadModules(
+  ["i18n.js", "schema.js", "query.js", "profile-render.js"],
+  { document }
+);
+const fields = ProfileSchema.normalizeSchema(ProfileSchema.DEFAULT_SCHEMA).fields;
+const searchFields = ProfileQuery.createFields(fields.map(f => ({ key: f.key, aliases: [f.label, f.shortLabel], numeric: f.numeric, multiple: f.type === "tags" })));
+
+const HOSTILE = [
+  '<img src=x onerror="alert(1)">',
+  "<script>alert(1)</script>",
+  '"><svg onload=alert(1)>',
+  "' onmouseover='alert(1)",
+  "&lt;b&gt;already escaped&lt;/b&gt;",
+  "<mark>fake highlight</mark>"
+];
+
+const UNSAFE_PHOTOS = [
+  "javascript:alert(1)",
+  " JaVaScRiPt:alert(1)",
+  "java\tscript:alert(1)",
+  "\u0001javascript:alert(1)",
+  "vbscript:msgbox(1)",
+  "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+  "data:image/svg+xml;utf8,<svg onload=alert(1)>",
+  'data:image/png;base64,AAAA" onerror="alert(1)',
+  '" onerror="alert(1)',
+  "/relative/photo.png",
+  "file:///etc/passwd"
+];
+
+function hostileProfile(text, photoUrl = null) {
+  return {
+    firstName: text,
+    lastName: text,
+    email: text,
+    programme: text,
+    year: text,
+    interests: [text, "AI"],
+    photoUrl,
+    updatedAt: "2024-05-01T10:00:00.000Z"
+  };
+}
+
+function actions() {
+  const div = document.createElement("div");
+  const button = document.createElement("button");
+  button.textContent = "Edit";
+  div.appendChild(button);
+  return div;
+}
+
+// The tags a card or row is made of; anything else came from the data
+const CARD_TAGS = ["ARTICLE", "IMG", "DIV", "H4", "P", "STRONG", "SPAN", "MARK", "BUTTON"];
+const ROW_TAGS = ["TR", "TD", "IMG", "MARK", "DIV", "BUTTON", "INPUT"];
+
+function assertInert(root, allowedTags, photos = 1) {
+  const elements = root.descendants();
+  elements.forEach(element => {
+    assert.ok(allowedTags.includes(element.tagName), `unexpected <${element.tagName.toLowerCase()}>`);
+    element.attributes.forEach((value, name) => {
+      assert.ok(!name.startsWith("on"), `event handler attribute ${name}="${value}"`);
+    });
+  });
+  assert.equal(elements.filter(element => element.tagName === "IMG").length, photos, "photos");
+}
+
+function photoOf(root) {
+  return root.descendants().find(element => element.tagName === "IMG");
+}
+
+test("safePhotoUrl keeps web, blob and base64 image data URLs", () => {
+  [
+    "https://example.com/photo.jpg",
+    "http://example.com/a.png",
+    "blob:https://example.com/0b6f0c1e-2f4e-4a57-9d5a-111111111111",
+    "data:image/jpeg;base64,/9j/4AAQSkZJRg==",
+    "data:image/png;base64,iVBORw0KGgo=",
+    "data:image/webp;base64,UklGRg=="
+  ].forEach(url => assert.equal(ProfileRender.safePhotoUrl(url), url));
+});
+
+test("safePhotoUrl refuses script, markup and other schemes", () => {
+  UNSAFE_PHOTOS.forEach(url => assert.equal(ProfileRender.safePhotoUrl(url), "", JSON.stringify(url)));
+  [null, undefined, 42, {}, ""].forEach(value => assert.equal(ProfileRender.safePhotoUrl(value), ""));
+});
+
+test("card shows hostile field values as text", () => {
+  HOSTILE.forEach(text => {
+    const card = ProfileRender.card("p1", hostileProfile(text), { fields, actions });
+    assertInert(card, CARD_TAGS);
+    assert.equal(card.descendants().find(element => element.tagName === "H4").textContent, `${text} ${text}`);
+    assert.ok(card.textContent.includes(`${text}, AI`), "interests as text");
+  });
+});
+
+test("row shows hostile field values and ids as text", () => {
+  const selectCell = () => {
+    const td = document.createElement("td");
+    td.appendChild(document.createElement("input"));
+    return td;
+  };
+  HOSTILE.forEach(text => {
+    const row = ProfileRender.row(text, hostileProfile(text), { fields, actions, selectCell });
+    assertInert(row, ROW_TAGS);
+    assert.equal(row.getAttribute("data-id"), text);
+    const cells = row.childNodes.filter(node => node instanceof Element);
+    assert.equal(cells[1].textContent, text, "id cell");
+    assert.ok(cells.some(cell => cell.textContent === text && cell.getAttribute("data-label") === "Email"));
+  });
+});
+
+test("unsafe photo URLs are replaced by the placeholder", () => {
+  UNSAFE_PHOTOS.forEach(url => {
+    const data = hostileProfile("Ada", url);
+    [ProfileRender.card("p1", data, { fields }), ProfileRender.row("p1", data, { fields })].forEach(root => {
+      assert.equal(photoOf(root).src, ProfileRender.placeholderPhoto("Ada", "Ada"), JSON.stringify(url));
+    });
+  });
+  const safe = ProfileRender.card("p1", hostileProfile("Ada", "https://example.com/ada.jpg"), { fields });
+  assert.equal(photoOf(safe).src, "https://example.com/ada.jpg");
+});
+
+test("placeholder escapes the initials it draws", () => {
+  const url = ProfileRender.placeholderPhoto("<", "&");
+  const svg = decodeURIComponent(url.slice(url.indexOf(",") + 1));
+  assert.ok(svg.includes(">&lt;&amp;</text>"));
+});
+
+test("search matches are marked without parsing the text", () => {
+  const highlights = ProfileQuery.highlightTerms(ProfileQuery.parse("img OR script", searchFields));
+  const card = ProfileRender.card("p1", hostileProfile('<img src=x onerror="alert(1)"> <script>'), { fields, highlights });
+  assertInert(card, CARD_TAGS);
+  const heading = card.descendants().find(element => element.tagName === "H4");
+  const marks = heading.descendants().filter(element => element.tagName === "MARK").map(mark => mark.textContent);
+  assert.deepEqual(marks, ["img", "script", "img", "script"]);
+  assert.equal(heading.textContent, '<img src=x onerror="alert(1)"> <script> <img src=x onerror="alert(1)"> <script>');
+});
+
+test("highlightedText marks accented text found by a folded term", () => {
+  const highlights = ProfileQuery.highlightTerms(ProfileQuery.parse("zoe", searchFields));
+  const fragment = ProfileRender.highlightedText("Zoë <Zoe>", highlights, ["firstName"]);
+  const parts = fragment.childNodes.map(node => (node instanceof Element ? `[${node.textContent}]` : node.textContent));
+  assert.deepEqual(parts, ["[Zoë]", " <", "[Zoe]", ">"]);
+});
+
+test("a term aimed at another field isn't marked", () => {
+  const highlights = ProfileQuery.highlightTerms(ProfileQuery.parse("email:ada", searchFields));
+  assert.deepEqual(plain(ProfileRender.matchRanges("Ada", highlights, ["firstName", "lastName", "name"])), []);
+  assert.deepEqual(plain(ProfileRender.matchRanges("ada@x.co", highlights, ["email"])), [[0, 3]]);
+});
+
+test("a row without actions has no Actions cell", () => {
+  const withActions = ProfileRender.row("p1", hostileProfile("Ada"), { fields, actions });
+  const without = ProfileRender.row("p1", hostileProfile("Ada"), { fields });
+  const labels = row => row.childNodes.filter(node => node instanceof Element).map(cell => cell.getAttribute("data-label"));
+  assert.equal(labels(withActions).pop(), "Actions");
+  assert.deepEqual(labels(without), labels(withActions).slice(0, -1));
+});
+
+test("formRow builds a field's label, input, hint and error from the schema", () => {
+  const programme = fields.find(f => f.key === "programme");
+  const { row, input } = ProfileRender.formRow({ ...programme, label: HOSTILE[0], options: [{ value: "x", label: HOSTILE[1] }] });
+  assertInert(row, ["DIV", "LABEL", "SELECT", "OPTION", "SPAN"], 0);
+  assert.equal(input.tagName, "SELECT");
+  assert.equal(input.id, "programme");
+  assert.equal(row.childNodes[0].textContent, HOSTILE[0]);
+  assert.deepEqual(input.childNodes.map(option => option.value), ["", "x"]);
+  assert.equal(input.childNodes[1].textContent, HOSTILE[1]);
+  assert.ok(row.descendants().some(element => element.id === "programmeError"));
+
+  const interests = ProfileRender.formRow(fields.find(f => f.key === "interests"));
+  assert.equal(interests.input.type, "text");
+  assert.ok(interests.row.classList.contains("span-2"));
+  assert.equal(interests.input.getAttribute("aria-describedby"), "interestsHelp");
+});
@@ -0,0 +1,323 @@
+// ProfileStore without a page: validation, email normalisation, sorting, search and the stored format.
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadModules, plain } = require("./helpers/browser-modules");
+
+const { ProfileStore, ProfileSchema, StorageAdapters } = loadModules([
+  "i18n.js",
+  "schema.js",
+  "query.js",
+  "storage-adapters.js",
+  "profile-store.js"
+]);
+const fields = ProfileSchema.normalizeSchema(ProfileSchema.DEFAULT_SCHEMA).fields;
+
+function person(firstName, lastName, extra = {}) {
+  return {
+    firstName,
+    lastName,
+    email: `${firstName}.${lastName}@example.com`.toLowerCase(),
+    programme: "Computer Science",
+    year: "1",
+    interests: [],
+    ...extra
+  };
+}
+
+// A store with the default schema and a few profiles under fixed ids
+function storeWith(profiles = {}, options = {}) {
+  let next = 0;
+  const store = ProfileStore.create({ fields, newId: () => `p${next++}`, ...options });
+  Object.entries(profiles).forEach(([id, data]) => store.add(data, { id }));
+  return store;
+}
+
+const ids = entries => plain(entries.map(([id]) => id));
+
+/* ===== Email normalisation ===== */
+test("normalizeEmail ignores case, spaces and +tags", () => {
+  assert.equal(ProfileStore.normalizeEmail("  Ada.Lovelace+cs@Example.COM "), "ada.lovelace@example.com");
+  assert.equal(ProfileStore.normalizeEmail("ada@example.com"), "ada@example.com");
+});
+
+test("normalizeEmail drops the dots of Gmail addresses only", () => {
+  assert.equal(ProfileStore.normalizeEmail("J.Doe+news@gmail.com"), "jdoe@gmail.com");
+  assert.equal(ProfileStore.normalizeEmail("j.d.o.e@googlemail.com"), "jdoe@googlemail.com");
+  assert.equal(ProfileStore.normalizeEmail("j.doe@uni.example.edu"), "j.doe@uni.example.edu");
+});
+
+test("normalizeEmail leaves text that isn't one address alone", () => {
+  assert.equal(ProfileStore.normalizeEmail(""), "");
+  assert.equal(ProfileStore.normalizeEmail(null), "");
+  assert.equal(ProfileStore.normalizeEmail("Not An Email"), "not an email");
+  assert.equal(ProfileStore.normalizeEmail("a@b@c.com"), "a@b@c.com");
+});
+
+/* ===== Validation ===== */
+test("validate reports every rule a profile breaks", () => {
+  const store = storeWith();
+  const errors = store.validate({ firstName: "", lastName: "Lovelace", email: "not-an-email", programme: "Astrology", year: "9", interests: ["a", "b", "c", "d"] });
+  assert.deepEqual(plain(errors.map(e => e.field)).sort(), ["email", "firstName", "interests", "programme", "year"]);
+  errors.forEach(e => assert.equal(typeof e.message, "string"));
+  assert.deepEqual(plain(store.validate(person("Ada", "Lovelace"))), []);
+});
+
+test("validate finds a duplicate email in its normalised form", () => {
+  const store = storeWith({ a: person("Jane", "Doe", { email: "jane.doe@gmail.com" }) });
+  const [error] = store.validate(person("Jane", "Other", { email: "Jane.D.o.e+cs@GMAIL.com" }));
+  assert.equal(error.field, "email");
+  assert.match(error.message, /already registered/);
+  // the profile itself doesn't count when it is being edited
+  assert.deepEqual(plain(store.validate(store.get("a"), { excludeId: "a" })), []);
+});
+
+test("validate checks photo links and data URLs", () => {
+  const store = storeWith();
+  const photo = photoUrl => plain(store.validate(person("Ada", "Lovelace", { photoUrl })).map(e => e.field));
+  assert.deepEqual(photo("https://example.com/ada.png"), []);
+  assert.deepEqual(photo("data:image/webp;base64,UklGRg=="), []);
+  assert.deepEqual(photo("https://example.com/ada.gif"), ["photoUrl"]);
+  assert.deepEqual(photo("javascript:alert(1)"), ["photoUrl"]);
+});
+
+test("validate can check only some fields", () => {
+  const store = storeWith();
+  const errors = store.validate({ firstName: "", lastName: "", email: "" }, { only: ["firstName", "lastName"] });
+  assert.deepEqual(plain(errors.map(e => e.field)), ["firstName", "lastName"]);
+});
+
+/* ===== add / update / remove and events ===== */
+test("add fills in empty fields, stamps the profile and refuses invalid input", () => {
+  const store = storeWith();
+  const id = store.add({ firstName: "Ada", lastName: "Lovelace", email: "ada@example.com", programme: "Engineering", year: "2" });
+  const added = store.get(id);
+  assert.equal(id, "p0");
+  assert.deepEqual(plain(added.interests), []);
+  assert.equal(added.rev, 1);
+  assert.equal(added.photoUrl, null);
+  assert.ok(added.createdAt && added.createdAt === added.updatedAt);
+
+  assert.throws(() => store.add(person("Ada", "Again", { email: "ADA@example.com" })), error => {
+    assert.equal(error.name, "ValidationError");
+    assert.deepEqual(plain(error.errors.map(e => e.field)), ["email"]);
+    return true;
+  });
+  assert.equal(store.size(), 1);
+});
+
+test("update replaces the profile with a new revision and remove takes it out", () => {
+  const store = storeWith({ a: person("Ada", "Lovelace") });
+  const before = store.get("a");
+  const after = store.update("a", { lastName: "Byron" });
+  assert.equal(after.rev, 2);
+  assert.equal(after.createdAt, before.createdAt);
+  assert.notEqual(after, before);
+  assert.equal(before.lastName, "Lovelace", "the old version is left as it was");
+  assert.throws(() => store.update("a", { email: "" }), { name: "ValidationError" });
+  assert.throws(() => store.update("missing", { lastName: "X" }));
+
+  assert.equal(store.remove("a"), after);
+  assert.equal(store.get("a"), null);
+  assert.equal(store.remove("a"), null);
+});
+
+test("update checks only the fields it changes and removes the ones set to undefined", () => {
+  const store = storeWith({ a: person("Ada", "Lovelace", { photoRef: "photo-a" }) });
+  // a field added to the schema later: the saved profile doesn't have it yet
+  store.setFields(fields.concat({ ...fields.find(f => f.key === "lastName"), key: "studentNumber", label: "Student Number", required: true }));
+  const after = store.update("a", { year: "2", photoRef: undefined });
+  assert.equal(after.year, "2");
+  assert.ok(!("photoRef" in after));
+  assert.throws(() => store.update("a", { studentNumber: "" }), { name: "ValidationError" });
+});
+
+test("subscribers hear about every change until they unsubscribe", () => {
+  const store = storeWith();
+  const events = [];
+  const stop = store.subscribe(event => events.push([event.type, ...event.changes.map(c => `${c.id}:${c.before ? c.before.rev : "-"}>${c.after ? c.after.rev : "-"}`)]));
+  store.add(person("Ada", "Lovelace"), { id: "a" });
+  store.update("a", { year: "3" });
+  store.apply([{ id: "b", after: { ...person("Grace", "Hopper"), rev: 7 } }]);
+  store.remove("a");
+  store.reset({});
+  stop();
+  store.add(person("Alan", "Turing"));
+  assert.deepEqual(events, [["add", "a:->1"], ["update", "a:1>2"], ["change", "b:->7"], ["remove", "a:2>-"], ["reset"]]);
+});
+
+test("all() is a new map after each change", () => {
+  const store = storeWith({ a: person("Ada", "Lovelace") });
+  const first = store.all();
+  store.add(person("Grace", "Hopper"), { id: "b" });
+  assert.notEqual(store.all(), first);
+  assert.deepEqual(plain(Object.keys(first)), ["a"]);
+});
+
+/* ===== Sorting ===== */
+const ROSTER = {
+  a: person("Zoë", "Ärger", { programme: "Engineering", year: "1", interests: ["AI"], email: "zoe.arger@example.com" }),
+  b: person("Émile", "Zola", { programme: "Engineering", year: "3", interests: ["AI", "Web"], email: "emile.zola@example.com" }),
+  c: person("adam", "Baker", { programme: "Cybersecurity", year: "4", interests: [] }),
+  d: person("Omar", "Öz", { programme: "Computer Science", year: "1", interests: ["Cloud", "Web", "AI"], email: "omar.oz@example.com" }),
+  e: person("Zoe", "Adams", { programme: "Cybersecurity", year: "2", interests: ["Web"], email: "zoe@gmail.com" })
+};
+
+test("query sorts by id when no sort is chosen", () => {
+  assert.deepEqual(ids(storeWith(ROSTER).query()), ["a", "b", "c", "d", "e"]);
+});
+
+test("text sorts follow the language, accents only breaking ties", () => {
+  const store = storeWith(ROSTER);
+  assert.deepEqual(ids(store.query("", { sortKeys: [{ key: "lastName", dir: "asc" }] })), ["e", "a", "c", "d", "b"]);
+  assert.deepEqual(ids(store.query("", { sortKeys: [{ key: "firstName", dir: "desc" }] })), ["a", "e", "d", "b", "c"]);
+});
+
+test("numeric fields sort by value, tags by count, and later keys break ties", () => {
+  const store = storeWith(ROSTER);
+  assert.deepEqual(ids(store.query("", { sortKeys: [{ key: "year", dir: "desc" }] })), ["c", "b", "e", "a", "d"]);
+  assert.deepEqual(ids(store.query("", { sortKeys: [{ key: "interests", dir: "desc" }] })), ["d", "b", "a", "e", "c"]);
+  const byProgrammeThenYear = [{ key: "programme", dir: "asc" }, { key: "year", dir: "desc" }];
+  assert.deepEqual(ids(store.query("", { sortKeys: byProgrammeThenYear })), ["d", "c", "e", "b", "a"]);
+});
+
+test("sortEntries skips keys without a column", () => {
+  const entries = Object.entries({ b: person("B", "B"), a: person("A", "A") });
+  const columns = ProfileStore.sortColumns(fields);
+  assert.deepEqual(ids(ProfileStore.sortEntries(entries, [{ key: "gone", dir: "asc" }], columns)), ["a", "b"]);
+});
+
+/* ===== Search ===== */
+test("query understands the search language", () => {
+  const store = storeWith(ROSTER);
+  const found = q => ids(store.query(q));
+  assert.deepEqual(found("programme:Engineering"), ["a", "b"]);
+  assert.deepEqual(found("zoe"), ["a", "e"], "accents and case don't matter");
+  assert.deepEqual(found("year:>=3 interest:AI"), ["b"]);
+  assert.deepEqual(found("-email:*@example.com"), ["e"]);
+  assert.deepEqual(found("(baker OR omar) year:<4"), ["d"]);
+  assert.deepEqual(found('"Computer Science"'), ["d"]);
+});
+
+test("query keeps the sort and limits plain words to the chosen field", () => {
+  const store = storeWith(ROSTER);
+  assert.deepEqual(ids(store.query("zo", { sortKeys: [{ key: "lastName", dir: "asc" }] })), ["e", "a", "b"]);
+  assert.deepEqual(ids(store.query("zo", { field: "lastName" })), ["b"]);
+});
+
+test("query sees changes made after the last search", () => {
+  const store = storeWith(ROSTER);
+  assert.deepEqual(ids(store.query("hopper")), []);
+  store.update("c", { lastName: "Hopper" });
+  assert.deepEqual(ids(store.query("hopper")), ["c"]);
+  store.remove("c");
+  assert.deepEqual(ids(store.query("hopper")), []);
+});
+
+test("a query that doesn't parse throws QuerySyntaxError", () => {
+  assert.throws(() => storeWith(ROSTER).query("colour:red"), { name: "QuerySyntaxError" });
+});
+
+test("each store searches its own fields", () => {
+  // e.g. the page's store with a custom field next to an embedded element's default one
+  const colour = { ...fields.find(f => f.key === "lastName"), key: "colour", label: "Colour", required: false, unique: false };
+  const custom = storeWith({ a: person("Ada", "Lovelace", { colour: "red" }) }, { fields: fields.concat(colour) });
+  const plainStore = storeWith(ROSTER);
+  assert.deepEqual(ids(custom.query("colour:red")), ["a"]);
+  assert.throws(() => plainStore.query("colour:red"), { name: "QuerySyntaxError" });
+  assert.deepEqual(ids(custom.query("red")), ["a"]);
+  assert.deepEqual(ids(plainStore.query("baker")), ["c"]);
+});
+
+/* ===== Storage round trip ===== */
+const SMALL_PHOTO = "data:image/png;base64,iVBORw0KGgo=";
+const LARGE_PHOTO = "data:image/jpeg;base64," + "A".repeat(2000);
+
+test("save and load give back the same roster", () => {
+  const storage = StorageAdapters.createMemoryAdapter();
+  const store = storeWith(ROSTER, { storage });
+  store.update("a", { photoUrl: SMALL_PHOTO });
+  store.save();
+
+  const copy = ProfileStore.create({ fields, storage });
+  assert.deepEqual(plain(copy.load()), { fromVersion: 3 });
+  assert.deepEqual(plain(copy.all()), plain(store.all()));
+  assert.equal(JSON.parse(storage.read()).schemaVersion, ProfileStore.STORAGE_SCHEMA_VERSION);
+});
+
+test("a photo link is saved and loaded back as it was typed", () => {
+  const storage = StorageAdapters.createMemoryAdapter();
+  const store = storeWith({}, { storage, photoLimit: 1000 });
+  store.add(person("Ada", "Lovelace", { photoUrl: "https://photos.example.com/ada.jpg" }), { id: "a" });
+  store.save();
+
+  const copy = ProfileStore.create({ fields, storage });
+  copy.load();
+  assert.equal(copy.get("a").photoUrl, "https://photos.example.com/ada.jpg");
+  assert.equal(copy.get("a").photoMissing, false);
+});
+
+test("photos over the limit are left out and flagged as missing", () => {
+  const storage = StorageAdapters.createMemoryAdapter();
+  const store = storeWith({}, { storage, photoLimit: 1000 });
+  store.add(person("Ada", "Lovelace", { photoUrl: LARGE_PHOTO }), { id: "big" });
+  store.add(person("Grace", "Hopper", { photoUrl: SMALL_PHOTO }), { id: "small" });
+  store.save();
+  assert.ok(!storage.read().includes(LARGE_PHOTO));
+  assert.equal(store.get("big").photoUrl, LARGE_PHOTO, "the photo stays in memory");
+
+  const copy = ProfileStore.create({ fields, storage });
+  copy.load();
+  assert.equal(copy.get("big").photoUrl, null);
+  assert.equal(copy.get("big").photoMissing, true);
+  assert.equal(copy.get("small").photoUrl, SMALL_PHOTO);
+  assert.equal(copy.get("small").photoMissing, false);
+});
+
+test("photos over the limit can be handed to a photo store instead", () => {
+  const photoStore = new Map();
+  const storage = StorageAdapters.createMemoryAdapter();
+  const store = storeWith({}, {
+    storage,
+    photoLimit: 1000,
+    storePhoto: (id, dataUrl) => {
+      photoStore.set(`photo-${id}`, dataUrl);
+      return `photo-${id}`;
+    }
+  });
+  store.add(person("Ada", "Lovelace", { photoUrl: LARGE_PHOTO }), { id: "a" });
+  store.save();
+
+  const copy = ProfileStore.create({ fields, storage });
+  copy.load();
+  const loaded = copy.get("a");
+  assert.equal(loaded.photoUrl, null);
+  assert.equal(loaded.photoMissing, false);
+  assert.equal(photoStore.get(loaded.photoRef), LARGE_PHOTO);
+});
+
+test("older payloads are migrated on load", () => {
+  const storage = StorageAdapters.createMemoryAdapter(JSON.stringify({
+    profileId: 4,
+    profiles: {
+      old: { firstName: "Ada", lastName: "Lovelace", email: "ada@example.com", programme: "Engineering", year: 2, interests: "AI, Web, ", _photoOmitted: true, file: {} }
+    }
+  }));
+  const store = ProfileStore.create({ fields, storage });
+  assert.deepEqual(plain(store.load()), { fromVersion: 1 });
+  const p = store.get("old");
+  assert.deepEqual(plain(p.interests), ["AI", "Web"]);
+  assert.equal(p.year, "2");
+  assert.equal(p.rev, 1);
+  assert.equal(p.photoMissing, true);
+  assert.ok(!("_photoOmitted" in p) && !("file" in p));
+});
+
+test("damaged or newer payloads are refused with a reason", () => {
+  const load = text => ProfileStore.create({ fields, storage: StorageAdapters.createMemoryAdapter(text) }).load();
+  assert.throws(() => load("{not json"), /not valid JSON/);
+  assert.throws(() => load(JSON.stringify({ schemaVersion: 99, profiles: {} })), /newer than this app supports/);
+  assert.throws(() => load(JSON.stringify({ schemaVersion: 3, profiles: { x: { firstName: 1 } } })), /Profile x has no valid firstName/);
+  assert.deepEqual(plain(load(null)), { fromVersion: null });
+});
@@ -0,0 +1,41 @@
+// The stand-in REST backend (server/profiles-server.js).
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createServer, MAX_BODY_BYTES } = require("../server/profiles-server");
+
+// -> { status, body } for one request to the server on `port`
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers: { "Content-Type": "application/json" } }, res => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", chunk => { text += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+test("a body over the size limit is answered with 413, and the server keeps serving", async t => {
+  const server = createServer({ delay: 0, failRate: 0 }).listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once("listening", resolve));
+  const { port } = server.address();
+  const log = console.log;
+  console.log = () => {}; // the request log
+  t.after(() => { console.log = log; });
+
+  const photoUrl = "data:image/png;base64," + "A".repeat(MAX_BODY_BYTES + 1024);
+  const big = JSON.stringify({ firstName: "Ada", lastName: "Lovelace", email: "ada@example.com", photoUrl });
+  const tooLarge = await request(port, "PUT", "/profiles/ada", big);
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.error, "The profile is too large.");
+
+  const small = JSON.stringify({ firstName: "Ada", lastName: "Lovelace", email: "ada@example.com" });
+  assert.equal((await request(port, "PUT", "/profiles/ada", small)).status, 201);
+  assert.deepEqual((await request(port, "GET", "/profiles")).body, [{ id: "ada", firstName: "Ada", lastName: "Lovelace", email: "ada@example.com" }]);
+});
@@ -0,0 +1,42 @@
+// CSV and JSON roster import and export.
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadModules, plain } = require("./helpers/browser-modules");
+
+const { RosterIO } = loadModules(["i18n.js", "roster-io.js"]);
+const fields = [
+  { key: "name", label: "Full Name" },
+  { key: "phone", label: "Phone" },
+  { key: "notes", label: "Notes" }
+];
+
+test("CSV export guards formula-like cells and import gives them back as they were", () => {
+  const csv = RosterIO.profilesToCsv([
+    ["a1", { name: "=SUM(A1)", phone: "+44 20 7946 0958", notes: "-5" }],
+    ["a2", { name: "@home, \"quoted\"", phone: "07946 0958", notes: "'kept as typed" }]
+  ], fields);
+  assert.match(csv, /^a1,'=SUM\(A1\),'\+44 20 7946 0958,'-5\r$/m);
+
+  const { headers, records } = RosterIO.readRosterFile("roster.csv", csv);
+  assert.deepEqual(plain(headers), ["ID", "Full Name", "Phone", "Notes"]);
+  assert.deepEqual(plain(records), [
+    { ID: "a1", "Full Name": "=SUM(A1)", Phone: "+44 20 7946 0958", Notes: "-5" },
+    { ID: "a2", "Full Name": "@home, \"quoted\"", Phone: "07946 0958", Notes: "'kept as typed" }
+  ]);
+});
+
+test("a merge fills the existing profile's gaps and leaves out the tags over the field's limit", () => {
+  const tagFields = fields.concat({ key: "interests", label: "Interests", type: "tags", maxItems: 3 });
+  const tagKey = (fieldKey, tag) => tag.toLowerCase();
+  const existing = { name: "Ada", phone: "", notes: "kept", interests: ["AI", "Cloud"] };
+  const incoming = { name: "Other", phone: "0123", notes: "", interests: ["ai", "Robotics", "Music", "Chess"] };
+
+  const { profile, dropped } = RosterIO.mergeProfile(existing, incoming, tagFields, { tagKey });
+  assert.deepEqual(plain(profile), { name: "Ada", phone: "0123", notes: "kept", interests: ["AI", "Cloud", "Robotics"] });
+  assert.deepEqual(plain(dropped.map(d => [d.field.key, d.tags])), [["interests", ["Music", "Chess"]]]);
+
+  const within = RosterIO.mergeProfile(existing, { interests: ["Robotics"] }, tagFields, { tagKey });
+  assert.equal(within.dropped.length, 0);
+});
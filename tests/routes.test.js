@@ -0,0 +1,44 @@
+// The address hash: list filters and profile routes.
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadModules, plain } = require("./helpers/browser-modules");
+
+const { ProfileRoutes } = loadModules(["routes.js"]);
+const parse = hash => plain(ProfileRoutes.parse(hash));
+
+test("an empty hash is the lists without filters", () => {
+  // going Back to a bare index.html clears the filters the previous entry had
+  assert.deepEqual(parse(""), { view: "list", filters: {} });
+  assert.deepEqual(parse("#"), { view: "list", filters: {} });
+});
+
+test("filter hashes list each key's values", () => {
+  assert.deepEqual(parse("#programme=Cybersecurity&year=4&year=2"), {
+    view: "list",
+    filters: { programme: ["Cybersecurity"], year: ["4", "2"] }
+  });
+  assert.deepEqual(parse("#programme=Computer+Science"), { view: "list", filters: { programme: ["Computer Science"] } });
+});
+
+test("profile routes give the decoded id", () => {
+  assert.deepEqual(parse("#/profiles/abc123"), { view: "detail", id: "abc123" });
+  assert.deepEqual(parse("#/profiles/a%2Fb%3Dc/edit"), { view: "edit", id: "a/b=c" });
+});
+
+test("other hashes are not routes", () => {
+  ["#main", "#/profiles/", "#/profiles/a/b", "#/profiles/a/delete", "#/profiles/%E0%A4%A", "#/other=1"].forEach(hash => {
+    assert.equal(ProfileRoutes.parse(hash), null, hash);
+  });
+});
+
+test("hashes made here parse back to what they were made from", () => {
+  const id = "id with/odd=chars";
+  assert.deepEqual(parse(ProfileRoutes.profileHash(id)), { view: "detail", id });
+  assert.deepEqual(parse(ProfileRoutes.profileHash(id, { edit: true })), { view: "edit", id });
+
+  const hash = ProfileRoutes.listHash([["programme", new Set(["Law", "Computer Science"])], ["year", []]]);
+  assert.deepEqual(parse(hash), { view: "list", filters: { programme: ["Law", "Computer Science"] } });
+  assert.equal(ProfileRoutes.listHash([["year", []]]), "");
+});
@@ -0,0 +1,64 @@
+// Syncing the roster with the REST backend (the HTTP adapter), against a fake server.
+// Run from the repository root with: node --test
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadModules } = require("./helpers/browser-modules");
+
+// A server that refuses (400) any profile whose firstName is empty, like profiles-server.js does
+function fakeServer() {
+  const profiles = {};
+  return (url, { method = "GET", body } = {}) => {
+    const id = decodeURIComponent(url.split("/profiles")[1].slice(1));
+    const reply = (status, data) => Promise.resolve({ ok: status < 300, status, json: () => Promise.resolve(data) });
+    if (method === "GET") return reply(200, Object.keys(profiles).map(key => ({ id: key, ...profiles[key] })));
+    if (method === "DELETE") return reply(204, null);
+    const profile = JSON.parse(body);
+    if (!profile.firstName) return reply(400, { error: "The profile has no valid firstName." });
+    profiles[id || profile.id] = profile;
+    return reply(201, profile);
+  };
+}
+
+function httpAdapter() {
+  const storage = new Map();
+  const { StorageAdapters } = loadModules(["i18n.js", "storage-adapters.js"], {
+    fetch: fakeServer(),
+    localStorage: { getItem: key => (storage.has(key) ? storage.get(key) : null), setItem: (key, value) => storage.set(key, value) },
+    addEventListener() {},
+    removeEventListener() {},
+    setTimeout,
+    clearTimeout
+  });
+  const statuses = [];
+  const adapter = StorageAdapters.createHttpAdapter({ baseUrl: "http://server", stateKey: "sync", onStatus: s => statuses.push(s) });
+  const last = () => statuses[statuses.length - 1];
+  return { adapter, last };
+}
+
+test("a refused change stays reported until a sync goes through without one", async () => {
+  const { adapter, last } = httpAdapter();
+  await adapter.load();
+
+  adapter.save({ a: { firstName: "", email: "a@x.co" }, b: { firstName: "Bo", email: "b@x.co" } });
+  await adapter.retryNow();
+  assert.equal(last().state, "synced");
+  assert.deepEqual(Array.from(last().rejected), ["The server rejected a change to profile a: The profile has no valid firstName."]);
+
+  adapter.save({ a: { firstName: "", email: "a@x.co" }, b: { firstName: "Bea", email: "b@x.co" } });
+  await adapter.retryNow();
+  assert.equal(last().state, "synced");
+  assert.equal(last().rejected.length, 0);
+});
+
+test("a refused change can be dismissed", async () => {
+  const { adapter, last } = httpAdapter();
+  await adapter.load();
+  adapter.save({ a: { firstName: "", email: "a@x.co" } });
+  await adapter.retryNow();
+  assert.equal(last().rejected.length, 1);
+
+  adapter.dismissRejected();
+  assert.equal(last().state, "synced");
+  assert.equal(last().rejected.length, 0);
+});